@@ -15,6 +15,9 @@ const buildConfig = {
   external: [
     'exceljs',
     'jspdf', 
+    'jszip',
+    'saxes',
+    '@napi-rs/canvas',
     'fs'
   ],
   minify: process.env.NODE_ENV === 'production',
@@ -25,14 +28,22 @@ const buildConfig = {
   }
 };
 
+// Command-line interface, bundled with the library
+const cliConfig = {
+  ...buildConfig,
+  entryPoints: ['src/cli/index.js'],
+  outfile: 'dist/cli.js'
+};
+
 async function build() {
   try {
     console.log('Building excel-to-pdf-converter...');
     
     await esbuild.build(buildConfig);
+    await esbuild.build(cliConfig);
     
     console.log('✅ Build completed successfully!');
-    console.log('📦 Output: dist/excel-to-pdf.js');
+    console.log('📦 Output: dist/excel-to-pdf.js, dist/cli.js');
     
   } catch (error) {
     console.error('❌ Build failed:', error);
@@ -0,0 +1,433 @@
+/**
+ * Command-line flags and the convertExcelToPdf options they set
+ * Types: "boolean", "number", "string", "sheets" (comma separated names or positions),
+ * "titles" (count, range or false), "numbers" (comma separated numbers),
+ * "size" (a paper name or width,height), "margins" (one number or top,right,bottom,left),
+ * "delimiter" (a character or "tab"), "font" (Name=path or Name:style=path, repeatable)
+ * and "list" (repeatable). Options with a dot, like csv.header, set a nested option.
+ */
+export const CONVERSION_FLAGS = [
+  {
+    flag: "format",
+    option: "outputFormat",
+    type: "string",
+    description: "Output format: pdf, html, svg or png (default: pdf)",
+  },
+  {
+    flag: "png-scale",
+    option: "pngScale",
+    type: "number",
+    description: "Pixels per point of png pages (default: 1)",
+  },
+  {
+    flag: "input-format",
+    option: "inputFormat",
+    type: "string",
+    description:
+      "Format of the inputs: xlsx, ods, xls or csv (default: detected)",
+  },
+  {
+    flag: "csv-delimiter",
+    option: "csv.delimiter",
+    type: "delimiter",
+    description:
+      "Field delimiter of csv inputs, e.g. ; or tab (default: detected)",
+  },
+  {
+    flag: "csv-encoding",
+    option: "csv.encoding",
+    type: "string",
+    description:
+      "Text encoding of csv inputs, e.g. windows-1252 (default: utf-8)",
+  },
+  {
+    flag: "csv-header",
+    option: "csv.header",
+    type: "boolean",
+    description:
+      "Draw the first row of csv inputs bold and repeat it on every page",
+  },
+  {
+    flag: "paginate",
+    option: "enablePagination",
+    type: "boolean",
+    description: "Split rows that do not fit the page height into pages",
+  },
+  {
+    flag: "max-width",
+    option: "MAX_WIDTH_SIZE",
+    type: "number",
+    description: "Maximum page width in points (default: 14400)",
+  },
+  {
+    flag: "max-height",
+    option: "MAX_HEIGHT_SIZE",
+    type: "number",
+    description: "Maximum page height in points (default: 14400)",
+  },
+  {
+    flag: "min-width",
+    option: "MIN_WIDTH_SIZE",
+    type: "number",
+    description: "Minimum page width in points (default: 612)",
+  },
+  {
+    flag: "min-height",
+    option: "MIN_HEIGHT_SIZE",
+    type: "number",
+    description: "Minimum page height in points (default: 792)",
+  },
+  {
+    flag: "use-min-limit",
+    option: "useMinLimit",
+    type: "boolean",
+    description: "Enforce the minimum page size",
+  },
+  {
+    flag: "fixed-at",
+    option: "fixedAt",
+    type: "number",
+    description:
+      "Decimals for numbers whose format cannot be applied (default: 2)",
+  },
+  {
+    flag: "locale",
+    option: "locale",
+    type: "string",
+    description: "Locale for number formats, e.g. de-DE",
+  },
+  {
+    flag: "sheets",
+    option: "sheets",
+    type: "sheets",
+    description:
+      "Sheets to convert: names or 1-based positions, comma separated (default: all)",
+  },
+  {
+    flag: "include-hidden-sheets",
+    option: "includeHiddenSheets",
+    type: "boolean",
+    description: "Also convert hidden sheets",
+  },
+  {
+    flag: "sheet-bookmarks",
+    option: "sheetBookmarks",
+    type: "boolean",
+    description: "Add a PDF outline entry for each sheet",
+  },
+  {
+    flag: "respect-page-setup",
+    option: "respectPageSetup",
+    type: "boolean",
+    description: "Print like Excel, using each sheet's page setup",
+  },
+  {
+    flag: "repeat-header-rows",
+    option: "repeatHeaderRows",
+    type: "titles",
+    description:
+      "Rows repeated on every page: a count, a range like 1:2 or false",
+  },
+  {
+    flag: "paginate-columns",
+    option: "paginateColumns",
+    type: "boolean",
+    description: "Split columns that do not fit the page width into pages",
+  },
+  {
+    flag: "page-order",
+    option: "pageOrder",
+    type: "string",
+    description: "downThenOver or overThenDown",
+  },
+  {
+    flag: "repeat-key-columns",
+    option: "repeatKeyColumns",
+    type: "titles",
+    description:
+      "Columns repeated on every page: a count, a range like A:B or false",
+  },
+  {
+    flag: "width-strategy",
+    option: "widthStrategy",
+    type: "string",
+    description: "Column widths: auto, excel or max (default: auto)",
+  },
+  {
+    flag: "font",
+    option: "fonts",
+    type: "font",
+    description:
+      "Embed a TrueType font: Name=path or Name:bold=path, repeatable",
+  },
+  {
+    flag: "fallback-font",
+    option: "fallbackFonts",
+    type: "list",
+    description: "Font name used for missing glyphs, repeatable",
+  },
+  {
+    flag: "evaluate-formulas",
+    option: "evaluateFormulas",
+    type: "boolean",
+    description: "Evaluate formulas that have no cached result",
+  },
+  {
+    flag: "outline-rows",
+    option: "outlineRows",
+    type: "numbers",
+    description: "Rows with a PDF outline entry, comma separated, e.g. 1,12,30",
+  },
+  {
+    flag: "outline-names",
+    option: "outlineNames",
+    type: "boolean",
+    description: "Add a PDF outline entry for each defined name",
+  },
+  {
+    flag: "range",
+    option: "range",
+    type: "string",
+    description:
+      "Part of each sheet to render: a range like B3:H120 or a defined name",
+  },
+  {
+    flag: "streaming",
+    option: "streaming",
+    type: "boolean",
+    description:
+      "Read very large sheets row by row, drawing each page when it is full",
+  },
+  {
+    flag: "sample-rows",
+    option: "sampleRows",
+    type: "number",
+    description:
+      "Rows the column widths are measured on when streaming (default: 100)",
+  },
+  {
+    flag: "column-widths",
+    option: "columnWidths",
+    type: "numbers",
+    description:
+      "Column widths in points from column A on when streaming, e.g. 40,120,80",
+  },
+  {
+    flag: "page-size",
+    option: "pageSize",
+    type: "size",
+    description:
+      "Paper of every page: A4, Letter, Legal, A3, ... or width,height in points",
+  },
+  {
+    flag: "orientation",
+    option: "orientation",
+    type: "string",
+    description: "Paper orientation: portrait or landscape",
+  },
+  {
+    flag: "fit",
+    option: "fit",
+    type: "string",
+    description: "Shrink sheets to fit: width, page or none (default: none)",
+  },
+  {
+    flag: "margins",
+    option: "margins",
+    type: "margins",
+    description:
+      "Page margins in points: one for every side, or top,right,bottom,left",
+  },
+  {
+    flag: "header",
+    option: "header",
+    type: "string",
+    description:
+      'Page header with Excel\'s codes, e.g. "&LReport&RPage &P of &N"',
+  },
+  {
+    flag: "footer",
+    option: "footer",
+    type: "string",
+    description: 'Page footer with Excel\'s codes, e.g. "&C&P / &N"',
+  },
+  {
+    flag: "watermark",
+    option: "watermark",
+    type: "string",
+    description: "Watermark text drawn across every page",
+  },
+];
+
+/**
+ * Flags controlling the command itself
+ */
+export const CLI_FLAGS = [
+  {
+    flag: "out-dir",
+    short: "o",
+    type: "string",
+    description:
+      "Folder the outputs are written to, mirroring the input folders (default: next to each input)",
+  },
+  {
+    flag: "concurrency",
+    short: "j",
+    type: "number",
+    description: "Number of files converted at the same time (default: 4)",
+  },
+  { flag: "help", short: "h", type: "boolean", description: "Show this help" },
+];
+
+/**
+ * Builds the option configuration for util.parseArgs
+ * @returns {Object} The parseArgs options
+ */
+export function parseArgsOptions() {
+  const options = {};
+  [...CLI_FLAGS, ...CONVERSION_FLAGS].forEach(({ flag, short, type }) => {
+    options[flag] = {
+      type: type === "boolean" ? "boolean" : "string",
+      multiple: type === "font" || type === "list",
+    };
+    if (short) options[flag].short = short;
+  });
+  return options;
+}
+
+/**
+ * Converts parsed flag values to convertExcelToPdf options
+ * @param {Object} values - The values returned by util.parseArgs
+ * @returns {Object} The conversion options that were set on the command line
+ * @throws {Error} If a flag value is invalid
+ */
+export function toConversionOptions(values) {
+  const options = {};
+  CONVERSION_FLAGS.forEach(({ flag, option: path, type }) => {
+    const value = values[flag];
+    if (value === undefined) return;
+
+    // Nested options are set on their parent object
+    const keys = path.split(".");
+    const option = keys.pop();
+    const target = keys.reduce((parent, key) => {
+      parent[key] = parent[key] || {};
+      return parent[key];
+    }, options);
+
+    switch (type) {
+      case "number":
+        target[option] = parseNumber(flag, value);
+        break;
+      case "sheets":
+        target[option] =
+          value === "all"
+            ? "all"
+            : value.split(",").map((ref) => {
+                const name = ref.trim();
+                return /^\d+$/.test(name) ? Number(name) : name;
+              });
+        break;
+      case "titles":
+        if (value === "false") {
+          target[option] = false;
+        } else {
+          target[option] = /^\d+$/.test(value) ? Number(value) : value;
+        }
+        break;
+      case "numbers":
+        target[option] = value
+          .split(",")
+          .map((number) => parseNumber(flag, number.trim()));
+        break;
+      case "size":
+        target[option] = value.includes(",")
+          ? value.split(",").map((number) => parseNumber(flag, number.trim()))
+          : value;
+        break;
+      case "margins": {
+        const numbers = value
+          .split(",")
+          .map((number) => parseNumber(flag, number.trim()));
+        if (numbers.length === 1) {
+          target[option] = numbers[0];
+        } else if (numbers.length === 4) {
+          const [top, right, bottom, left] = numbers;
+          target[option] = { top, right, bottom, left };
+        } else {
+          throw new Error(
+            `--${flag} expects one or four numbers, got "${value}".`
+          );
+        }
+        break;
+      }
+      case "delimiter":
+        target[option] = value.toLowerCase() === "tab" ? "\t" : value;
+        break;
+      case "font":
+        target[option] = parseFonts(value);
+        break;
+      default:
+        target[option] = value;
+    }
+  });
+  return options;
+}
+
+/**
+ * Formats the usage text printed by --help
+ * @returns {string} The usage text
+ */
+export function usage() {
+  const describe = ({ flag, short, type, description }) => {
+    const name = `${short ? `-${short}, ` : "    "}--${flag}${type === "boolean" ? "" : " <value>"}`;
+    return `  ${name.padEnd(34)}${description}`;
+  };
+  return [
+    "Usage: excel-to-pdf [options] <files, globs or folders...>",
+    "",
+    "Converts Excel workbooks to PDF, HTML, SVG or PNG. Folders are searched recursively",
+    "for .xlsx, .xlsm, .xls, .ods, .csv and .tsv files.",
+    "",
+    "Options:",
+    ...CLI_FLAGS.map(describe),
+    "",
+    "Conversion options:",
+    ...CONVERSION_FLAGS.map(describe),
+  ].join("\n");
+}
+
+/**
+ * Parses a numeric flag value
+ * @param {string} flag - The flag name, used in the error message
+ * @param {string} value - The flag value
+ * @returns {number} The parsed number
+ * @throws {Error} If the value is not a number
+ */
+export function parseNumber(flag, value) {
+  const number = Number(value);
+  if (value === "" || Number.isNaN(number)) {
+    throw new Error(`--${flag} expects a number, got "${value}".`);
+  }
+  return number;
+}
+
+/**
+ * Parses --font values into the fonts option
+ */
+function parseFonts(values) {
+  const fonts = {};
+  values.forEach((value) => {
+    const match = /^([^=:]+)(?::(normal|bold|italic|bolditalic))?=(.+)$/.exec(
+      value
+    );
+    if (!match) {
+      throw new Error(
+        `--font expects Name=path or Name:style=path, got "${value}".`
+      );
+    }
+    const [, name, style = "normal", path] = match;
+    fonts[name] = { ...fonts[name], [style]: path };
+  });
+  return fonts;
+}
@@ -0,0 +1,123 @@
+import { readdir, stat } from "fs/promises";
+import { join, dirname, relative, resolve, sep } from "path";
+
+/**
+ * Workbook files picked up from folders and globs
+ */
+const WORKBOOK_PATTERN = /\.(xls[xm]?|ods|csv|tsv)$/i;
+
+/**
+ * Expands command-line arguments into the workbook files to convert
+ * Every file comes with the folder its output path is mirrored from: the folder
+ * itself for folder arguments, the part before the first wildcard for globs,
+ * and the file's own folder for plain files.
+ * @param {Array<string>} args - Files, globs (*, ** and ?) or folders
+ * @returns {Promise<Array<Object>>} Unique { file, base } entries, in argument order
+ * @throws {Error} If a plain file or folder argument does not exist
+ */
+export async function collectInputs(args) {
+  const inputs = [];
+  const seen = new Set();
+  const add = (file, base) => {
+    const absolute = resolve(file);
+    if (seen.has(absolute)) return;
+    seen.add(absolute);
+    inputs.push({ file: absolute, base: resolve(base) });
+  };
+
+  for (const arg of args) {
+    if (/[*?]/.test(arg)) {
+      const base = globBase(arg);
+      const matcher = globToRegExp(resolve(arg));
+      const files = await walk(base);
+      files
+        .filter((file) => matcher.test(file))
+        .forEach((file) => add(file, base));
+      continue;
+    }
+
+    const stats = await stat(arg).catch(() => null);
+    if (!stats) {
+      throw new Error(`No such file or folder: ${arg}`);
+    }
+    if (stats.isDirectory()) {
+      const files = await walk(arg);
+      files
+        .filter((file) => WORKBOOK_PATTERN.test(file))
+        .forEach((file) => add(file, arg));
+    } else {
+      add(arg, dirname(arg));
+    }
+  }
+
+  return inputs;
+}
+
+/**
+ * Returns the part of a glob before its first wildcard segment
+ */
+function globBase(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const index = segments.findIndex((segment) => /[*?]/.test(segment));
+  return segments.slice(0, index).join(sep) || ".";
+}
+
+/**
+ * Converts a glob to a regular expression matching absolute paths
+ * `**` matches any number of folders, `*` and `?` stay within one path segment.
+ */
+function globToRegExp(pattern) {
+  const separator = sep === "\\" ? "\\\\" : "/";
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" also matches no folder at all
+      const slash = pattern[i + 2] === "/" || pattern[i + 2] === sep;
+      source += slash ? `(?:.*${separator})?` : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += `[^${separator}]*`;
+    } else if (char === "?") {
+      source += `[^${separator}]`;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the files below a folder, skipping hidden entries and Excel lock files
+ */
+async function walk(folder) {
+  const entries = await readdir(folder, { withFileTypes: true }).catch(
+    () => []
+  );
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".") || entry.name.startsWith("~$")) continue;
+    const path = resolve(join(folder, entry.name));
+    if (entry.isDirectory()) {
+      files.push(...(await walk(path)));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Computes the output path of an input, mirroring its folder below outDir
+ * @param {Object} input - An entry returned by collectInputs
+ * @param {string} outDir - The output folder, or undefined to write next to the input
+ * @param {string} format - The output format, used as the file extension (default: "pdf")
+ * @returns {string} The absolute output path
+ */
+export function outputPathFor({ file, base }, outDir, format = "pdf") {
+  const outputName = file.replace(/\.[^.\\/]+$/, "") + `.${format}`;
+  if (!outDir) {
+    return outputName;
+  }
+  return join(resolve(outDir), relative(base, outputName));
+}
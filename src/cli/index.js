@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// src/cli/index.js
+
+import { parseArgs } from "util";
+import { mkdir } from "fs/promises";
+import { dirname, relative } from "path";
+import { convertExcelToPdf } from "../lib/excel-to-pdf.js";
+import {
+  parseArgsOptions,
+  toConversionOptions,
+  parseNumber,
+  usage,
+} from "./cliOptions.js";
+import { collectInputs, outputPathFor } from "./collectInputs.js";
+import { mapWithConcurrency } from "./mapWithConcurrency.js";
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs the excel-to-pdf command.
+ * @param {Array<string>} argv Command-line arguments, without the node and script paths
+ * @returns {Promise<number>} The exit code: 0 on success, 1 when a conversion failed, 2 on usage errors
+ */
+async function main(argv) {
+  let values;
+  let positionals;
+  let options;
+  let concurrency = DEFAULT_CONCURRENCY;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: parseArgsOptions(),
+      allowPositionals: true,
+    }));
+    options = toConversionOptions(values);
+    if (values.concurrency !== undefined) {
+      concurrency = parseNumber("concurrency", values.concurrency);
+    }
+  } catch (error) {
+    console.error(`excel-to-pdf: ${error.message}\n\n${usage()}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+  if (positionals.length === 0) {
+    console.error(`excel-to-pdf: no input files given\n\n${usage()}`);
+    return 2;
+  }
+
+  let inputs;
+  try {
+    inputs = await collectInputs(positionals);
+  } catch (error) {
+    console.error(`excel-to-pdf: ${error.message}`);
+    return 2;
+  }
+  if (inputs.length === 0) {
+    console.error("excel-to-pdf: no Excel files matched the given inputs");
+    return 2;
+  }
+
+  // Inputs differing only in their extension, like report.csv and report.xlsx,
+  // would overwrite each other's output; none of them is converted
+  const outputFilePaths = inputs.map((input) =>
+    outputPathFor(input, values["out-dir"], options.outputFormat)
+  );
+  const writers = new Map();
+  outputFilePaths.forEach((outputFilePath, idx) => {
+    const key = pathKey(outputFilePath);
+    writers.set(key, [...(writers.get(key) || []), inputs[idx]]);
+  });
+
+  const failures = [];
+  await mapWithConcurrency(inputs, concurrency, async (input, idx) => {
+    const outputFilePath = outputFilePaths[idx];
+    const name = relative(process.cwd(), input.file);
+    const others = writers
+      .get(pathKey(outputFilePath))
+      .filter((other) => other !== input);
+    if (others.length > 0) {
+      failures.push({
+        name,
+        message: `${relative(process.cwd(), outputFilePath)} would also be written from ${others
+          .map((other) => relative(process.cwd(), other.file))
+          .join(", ")}; convert them separately`,
+      });
+      console.error(`${name}: failed`);
+      return;
+    }
+    try {
+      await mkdir(dirname(outputFilePath), { recursive: true });
+      // Files are converted side by side, so messages name their file
+      const { pageCount } = await convertExcelToPdf({
+        ...options,
+        inputFilePath: input.file,
+        outputFilePath,
+        logger: {
+          info: (message) => console.log(`${name}: ${message}`),
+          warn: (message) => console.warn(`${name}: ${message}`),
+        },
+      });
+      console.log(
+        `${name} -> ${relative(process.cwd(), outputFilePath)} (${plural(pageCount, "page")})`
+      );
+    } catch (error) {
+      failures.push({ name, message: error.message });
+      console.error(`${name}: failed`);
+    }
+  });
+
+  // Per-file summary of what went wrong
+  if (failures.length > 0) {
+    console.error(
+      `\nFailed to convert ${failures.length} of ${plural(inputs.length, "file")}:`
+    );
+    failures.forEach(({ name, message }) => {
+      console.error(`  ${name}: ${message}`);
+    });
+    return 1;
+  }
+
+  console.log(`\nConverted ${plural(inputs.length, "file")}.`);
+  return 0;
+}
+
+/**
+ * Writes a count with its noun, e.g. "1 file" or "3 files"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Compares output paths the way the file system does, ignoring case on
+ * Windows and macOS
+ */
+function pathKey(path) {
+  return process.platform === "win32" || process.platform === "darwin"
+    ? path.toLowerCase()
+    : path;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
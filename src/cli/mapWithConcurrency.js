@@ -0,0 +1,22 @@
+/**
+ * Runs an async task for every item, with at most `limit` tasks running at once
+ * @param {Array} items - The items to process
+ * @param {number} limit - Maximum number of tasks running at the same time
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<Array>} The task results, in item order
+ */
+export async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
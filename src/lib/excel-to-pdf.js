@@ -1,28 +1,131 @@
 // src/lib/excel-to-pdf.js
 
-import ExcelJS from "exceljs";
-import fs from "fs";
 import { jsPDF } from "jspdf";
+import { drawCell, textRuns, TEXT_INSET } from "./utils/draw-cell.js";
 import { drawBorders } from "./utils/draw-borders.js";
 import { encodeCell } from "./utils/encodeCell.js";
-import { decodeCell } from "./utils/decodeCell.js";
+import { decodeRange } from "./utils/decodeRange.js";
 import { extractCellText } from "./utils/extractCellText.js";
+import { selectWorksheets } from "./utils/selectWorksheets.js";
+import { loadWorkbook, openWorkbookReader } from "./utils/loadWorkbook.js";
+import { exportPdf } from "./utils/exportPdf.js";
+import { exportHtml, exportSvg, exportPng } from "./utils/exportPages.js";
+import { createSvgDocument } from "./utils/svgDocument.js";
+import { createHtmlDocument } from "./utils/htmlDocument.js";
+import { layoutPage } from "./utils/layoutPage.js";
+import { splitIntoBands } from "./utils/splitIntoBands.js";
+import { PAPER_SIZES, DEFAULT_PAPER_SIZE } from "./utils/paperSizes.js";
+import { resolvePageSize } from "./utils/resolvePageSize.js";
+import { resolveHeaderRows } from "./utils/resolveHeaderRows.js";
+import { resolveKeyColumns } from "./utils/resolveKeyColumns.js";
+import { excelColumnWidth } from "./utils/excelColumnWidth.js";
+import { numberFormatColor } from "./utils/formatNumber.js";
+import {
+  layoutText,
+  measureText,
+  LINE_HEIGHT_FACTOR,
+} from "./utils/layoutText.js";
+import { loadFonts, registerFonts } from "./utils/fontRegistry.js";
+import { evaluateConditionalFormatting } from "./utils/conditionalFormatting.js";
+import { ICON_SIZE } from "./utils/draw-icon.js";
+import { drawImage } from "./utils/draw-image.js";
+import { drawChart } from "./utils/draw-chart.js";
+import { openXlsxPackage } from "./utils/openXlsxPackage.js";
+import { readCharts } from "./utils/readCharts.js";
+import { readHyperlinks } from "./utils/readHyperlinks.js";
+import { resolveLinkTarget } from "./utils/resolveLinkTarget.js";
+import { drawHeaderFooter } from "./utils/headerFooter.js";
+import { loadWatermark, drawWatermark } from "./utils/watermark.js";
+import { readAutoFilters } from "./utils/readAutoFilters.js";
+import { readStopIfTrue } from "./utils/readStopIfTrue.js";
+import { applyAutoFilter } from "./utils/applyAutoFilter.js";
+import { resolveRange } from "./utils/resolveRange.js";
+import { cellValue } from "./utils/cellValue.js";
+import { resolveImageAnchor } from "./utils/resolveImageAnchor.js";
+import { evaluateWorkbookFormulas } from "./utils/evaluateWorkbookFormulas.js";
+import { themeColors, resolveStyleColors } from "./utils/resolveColor.js";
+import { ConversionError, ERROR_CODES } from "./utils/conversionError.js";
+
+export { ConversionError, ERROR_CODES };
+
+// Cell sizes in points: the default row height, and the padding and extra
+// space around the text of auto-sized columns
+const ROW_HEIGHT = 20;
+const CELL_PADDING = 10;
+const EXTRA_SPACE = 10;
+// Page margins in points without the page setup, with Excel's default
+// distance of headers and footers from the page edge
+const PAGE_MARGINS = {
+  top: 50,
+  right: 50,
+  bottom: 50,
+  left: 50,
+  header: 0.3 * 72,
+  footer: 0.3 * 72,
+};
+// Largest page width or height a PDF allows, in points
+const PDF_MAX_SIZE = 14400;
+const OUTPUT_FORMATS = ["pdf", "html", "svg", "png"];
 
 /**
  * Converts an Excel file to a PDF document.
- * @param {string} inputFilePath Path to the input Excel file.
- * @param {string} outputFilePath Name of the output PDF file.
+ * @param {Object|Buffer|ArrayBuffer|Uint8Array|Readable} input Excel data to convert: an ExcelJS Workbook, xlsx, ods, xls or csv bytes or a readable stream of them. Takes precedence over inputFilePath.
+ * @param {string} inputFilePath Path to the input xlsx, ods, xls or csv file.
+ * @param {string} inputFormat Format of the input: "xlsx", "ods", "xls" or "csv" (default: detected from the content, or the file extension for csv)
+ * @param {Object} csv Options of csv input: { delimiter, encoding, header }, the field delimiter (default: detected), the text encoding (default: utf-8) and whether the first row is a header drawn bold and repeated on every page (default: false)
+ * @param {string} outputFilePath Name of the output file. When omitted nothing is written to disk. SVG and PNG pages are written to numbered files like "report-2.png" when there are several.
+ * @param {string} outputFormat What to produce: "pdf", "html" with a table per page, "svg" or "png" page images; png needs the @napi-rs/canvas package (default: "pdf")
+ * @param {string} outputType Form of the resolved PDF: "buffer", "uint8array" or "stream" (default: "buffer")
+ * @param {number} pngScale Pixels per point of PNG pages (default: 1)
  * @param {boolean} enablePagination Whether to enable pagination (default: false)
  * @param {number} MAX_WIDTH_SIZE Maximum width size for the PDF (default: 14400, max jsPDF limit)
  * @param {number} MAX_HEIGHT_SIZE Maximum height size for the PDF (default: 14400, max jsPDF limit)
  * @param {number} MIN_WIDTH_SIZE Minimum width size for the PDF (default: 612, letter width in points)
  * @param {number} MIN_HEIGHT_SIZE Minimum height size for the PDF (default: 792, letter height in points)
  * @param {boolean} useMinLimit Whether to enforce minimum size limits (default: false)
- * @param {number} fixedAt Number of decimal places for numeric formatting (default: 2)
+ * @param {number} fixedAt Number of decimal places for numbers whose format cannot be applied (default: 2)
+ * @param {string|Object} locale Locale for number formats: a BCP 47 tag like "de-DE" or { decimal, group } separators (default: "." and ",")
+ * @param {string|number|Array<string|number>} sheets Sheets to convert: "all", a name, a 1-based position or an array of them (default: "all")
+ * @param {boolean} includeHiddenSheets Whether hidden and veryHidden sheets are converted (default: false)
+ * @param {boolean} sheetBookmarks Whether to add a PDF outline entry for each sheet (default: false)
+ * @param {boolean} respectPageSetup Whether to print like Excel: print area, paper size, orientation, margins, scaling and print titles from the sheet's page setup (default: false)
+ * @param {number|string|boolean} repeatHeaderRows Rows repeated at the top of every page when paginating: a row count or a range like "1:2", false to disable (default: the sheet's frozen rows)
+ * @param {boolean} paginateColumns Whether to split columns that do not fit the page width into additional pages (default: false)
+ * @param {string} pageOrder Order of pages when both rows and columns are paginated: "downThenOver" or "overThenDown" (default: "downThenOver")
+ * @param {number|string|boolean} repeatKeyColumns Columns repeated at the left of every horizontal page: a column count or a range like "A:B", false to disable (default: the sheet's frozen columns)
+ * @param {string} widthStrategy How column widths are computed: "auto" from the cell text, "excel" from the sheet's column widths, or "max" for the larger of both (default: "auto")
+ * @param {Object} fonts TrueType fonts to embed, mapping Excel font names to a .ttf path or bytes, or to { normal, bold, italic, bolditalic } (default: Helvetica for every font)
+ * @param {Array<string>} fallbackFonts Names of fonts from `fonts` tried in order for characters the cell font cannot draw (default: [])
+ * @param {boolean} evaluateFormulas Whether to evaluate formulas that have no cached result, e.g. in workbooks generated by code (default: false)
+ * @param {Array<number>} outlineRows Row numbers that get a PDF outline entry, titled with the row's first text, in every converted sheet (default: none)
+ * @param {boolean} outlineNames Whether to add a PDF outline entry for each defined name that points at a rendered cell (default: false)
+ * @param {string} range Part of each sheet to render, e.g. "B3:H120", or a defined name; overrides the print area. References to another sheet, and names on another sheet, leave the sheet whole (default: the whole sheet)
+ * @param {Function} rowFilter Called for each row with { sheetName, rowNumber, values, texts, styles }, each keyed by column letter; keeps the rows it returns true for; rows repeated as headers are always kept (default: every row)
+ * @param {string} header Header of every page, with Excel's header codes like "&LReport&RPage &P of &N"; overrides the sheet's header (default: the sheet's header with respectPageSetup, none otherwise)
+ * @param {string} footer Footer of every page, with Excel's footer codes; overrides the sheet's footer (default: the sheet's footer with respectPageSetup, none otherwise)
+ * @param {string|Object} watermark Text drawn across every page, or { text, image, opacity, angle, color, fontSize, font } with image a PNG or JPEG path or bytes (default: none)
+ * @param {boolean} streaming Whether to read the sheets row by row and draw each page as soon as it is full, for very large sheets; needs xlsx data or an xlsx path rather than a loaded Workbook or another format (default: false)
+ * @param {number} sampleRows Number of rows the column widths are measured on when streaming (default: 100)
+ * @param {Array<number>} columnWidths Column widths in points from column A on, used instead of measuring when streaming (default: measured)
+ * @param {Function} onProgress Called with { sheetName, rows, pages } after each sheet, and after each page when streaming: the rows read from the sheet and the pages drawn so far (default: none)
+ * @param {string|Array<number>} pageSize Paper of every page: "A4", "Letter", "Legal", "A3", "A5", "Tabloid", "Ledger", "Executive" or [width, height] in points; rows that do not fit go on further pages, columns too with paginateColumns (default: sized to the table)
+ * @param {string} orientation Orientation of the paper: "portrait" or "landscape" (default: portrait, or the sheet's with respectPageSetup)
+ * @param {string} fit Shrinks the sheet to fit: "width" to the page width, "page" to a single page, "none" to print it at full size (default: "none", or the sheet's scaling with respectPageSetup)
+ * @param {number|Object} margins Page margins in points: one number for every side, or { top, right, bottom, left, header, footer } (default: 50 points, header and footer 0.3 inches, or the sheet's with respectPageSetup)
+ * @param {Object} logger Receives the conversion's messages: info(message) for page size adjustments, warn(message) for what was changed or left out; null to stay silent (default: console)
+ * @returns {Promise<Object>} The conversion result: { pdf, pageCount, sheets, skippedImages, clippedColumns, warnings },
+ * with html or pages in place of pdf for the other output formats, see the ConversionResult type
+ * @throws {ConversionError} With a code telling the kind of failure, see ERROR_CODES
  */
 export async function convertExcelToPdf({
+  input,
   inputFilePath,
+  inputFormat,
+  csv,
   outputFilePath,
+  outputFormat = "pdf",
+  outputType = "buffer",
+  pngScale = 1,
   enablePagination = false,
   MAX_WIDTH_SIZE = 14400,
   MAX_HEIGHT_SIZE = 14400,
@@ -32,408 +135,1990 @@ export async function convertExcelToPdf({
   MIN_HEIGHT_SIZE = 792,
   useMinLimit = false,
   fixedAt = 2,
+  locale,
+  sheets = "all",
+  includeHiddenSheets = false,
+  sheetBookmarks = false,
+  respectPageSetup = false,
+  repeatHeaderRows,
+  paginateColumns = false,
+  pageOrder,
+  repeatKeyColumns,
+  widthStrategy = "auto",
+  fonts,
+  fallbackFonts,
+  evaluateFormulas = false,
+  outlineRows = [],
+  outlineNames = false,
+  range,
+  rowFilter,
+  header,
+  footer,
+  watermark,
+  streaming = false,
+  sampleRows = 100,
+  columnWidths,
+  onProgress,
+  pageSize,
+  orientation,
+  fit,
+  margins,
+  logger = console,
 }) {
-  // Check if file exists
-  if (!fs.existsSync(inputFilePath)) {
-    throw new Error(`Error: The file "${inputFilePath}" was not found.`);
-  }
-
-  // Create Workbook instance
-  const workbook = new ExcelJS.Workbook();
+  // What the conversion adjusted or left out, handed to the logger and
+  // returned with the result
+  const report = {
+    warnings: [],
+    skippedImages: [],
+    clippedColumns: [],
+    info: (message) => logger?.info?.(message),
+    warn: (message) => {
+      report.warnings.push(message);
+      logger?.warn?.(message);
+    },
+  };
 
   try {
-    // Read Excel file asynchronously
-    await workbook.xlsx.readFile(inputFilePath);
-
-    const worksheet = workbook.getWorksheet(1);
-
-    // Process data as before
-    const styledRows = [];
-    const totalRows = worksheet.rowCount;
-    const totalCols = worksheet.columnCount;
-    // Build merge map: { 'row-col': { range, startRow, startCol, endRow, endCol } }
-    const mergeMap = {};
-    if (worksheet._merges) {
-      Object.entries(worksheet._merges).forEach(([key, merge]) => {
-        const { top, left, bottom, right } = merge.model;
-        for (let r = top; r <= bottom; r++) {
-          for (let c = left; c <= right; c++) {
-            mergeMap[`${r}-${c}`] = {
-              range: `${top}-${left}:${bottom}-${right}`,
-              startRow: top,
-              startCol: left,
-              endRow: bottom,
-              endCol: right,
-            };
-          }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Unsupported outputFormat: ${outputFormat}`
+      );
+    }
+    const fontRegistry = await loadFonts(fonts, fallbackFonts);
+    const watermarkImage = await loadWatermark(watermark);
+
+    // Temporary jsPDF instance for text measurement, with the same fonts as the output
+    const tempDoc = new jsPDF({
+      unit: "pt",
+      format: "a4",
+    });
+    registerFonts(tempDoc, fontRegistry);
+
+    if (streaming) {
+      const { doc, placements } = await streamWorksheets(
+        await openWorkbookReader({ input, inputFilePath, inputFormat }),
+        {
+          sheets,
+          includeHiddenSheets,
+          sheetBookmarks,
+          MAX_WIDTH_SIZE,
+          MIN_WIDTH_SIZE,
+          MIN_HEIGHT_SIZE,
+          useMinLimit,
+          fixedAt,
+          locale,
+          repeatHeaderRows,
+          widthStrategy,
+          range,
+          rowFilter,
+          header,
+          footer,
+          sampleRows,
+          columnWidths,
+          onProgress,
+          pageSize,
+          orientation,
+          fit,
+          margins,
+          outputFormat,
+          tempDoc,
+          fontRegistry,
+          report,
         }
+      );
+      decoratePages(doc, placements, {
+        filePath: inputFilePath,
+        watermarkImage,
+        fontRegistry,
+        report,
       });
+      return conversionResult(
+        doc,
+        placements,
+        await exportDocument(doc, outputFormat, {
+          outputFilePath,
+          outputType,
+          pngScale,
+          fontRegistry,
+        }),
+        report
+      );
     }
-    // Only add main cell of merge and skip secondary cells
-    for (let rowNumber = 1; rowNumber <= totalRows; rowNumber++) {
-      const row = worksheet.getRow(rowNumber);
-      const cells = [];
-      for (let colNumber = 1; colNumber <= totalCols; colNumber++) {
-        const key = `${rowNumber}-${colNumber}`;
-        // If cell is part of a merge and not the main one, skip it
-        if (
-          mergeMap[key] &&
-          (rowNumber !== mergeMap[key].startRow ||
-            colNumber !== mergeMap[key].startCol)
-        ) {
-          // Ensure secondary merge cells are empty
-          cells.push({
-            text: "",
-            style: {},
-            mergeInfo: null,
-            isSecondaryMergeCell: true,
-          });
-          continue;
-        }
-        // Only process the main cell of the merge
-        let cell = row.getCell(colNumber);
-        let text = extractCellText(cell, fixedAt);
-
-        let style = cell.style || {};
-        let mergeInfo = null;
-        if (mergeMap[key]) {
-          mergeInfo = mergeMap[key];
-        }
-        cells.push({ text, style, mergeInfo });
+
+    // Read Excel data asynchronously
+    const { workbook, data } = await loadWorkbook({
+      input,
+      inputFilePath,
+      inputFormat,
+      csv,
+    });
+
+    const worksheets = selectWorksheets(workbook, sheets, includeHiddenSheets);
+    if (worksheets.length === 0) {
+      throw new ConversionError(
+        ERROR_CODES.SHEET_NOT_FOUND,
+        "No visible worksheets to convert."
+      );
+    }
+    if (evaluateFormulas) {
+      evaluateWorkbookFormulas(workbook, worksheets).forEach((cycle) =>
+        report.warn(`Circular reference: ${cycle}`)
+      );
+    }
+
+    // Charts, internal hyperlinks, AutoFilter criteria and stopIfTrue rules are
+    // read from the xlsx package, after formulas have their results
+    let charts = {};
+    let locations = {};
+    let autoFilters = {};
+    let stops = {};
+    if (data) {
+      try {
+        const xlsxPackage = await openXlsxPackage(data);
+        charts = await readCharts(xlsxPackage, workbook);
+        locations = await readHyperlinks(xlsxPackage);
+        autoFilters = await readAutoFilters(xlsxPackage);
+        stops = await readStopIfTrue(xlsxPackage);
+      } catch (packageError) {
+        report.warn(
+          `Could not read charts, links and filters: ${packageError.message}`
+        );
       }
-      styledRows.push(cells);
     }
 
-    // Adjust references before calling decodeCell
-    Object.entries(mergeMap).forEach(([key, mergeInfo]) => {
-      const startCell = encodeCell(mergeInfo.startRow, mergeInfo.startCol);
-      const endCell = encodeCell(mergeInfo.endRow, mergeInfo.endCol);
-      mergeInfo.range = `${startCell}:${endCell}`;
+    let doc = null;
+    // Where each sheet was drawn, by lower-cased sheet name, and the internal
+    // links waiting for the pages of their targets
+    const placements = {};
+    const internalLinks = [];
+    worksheets.forEach((worksheet) => {
+      const layout = layoutWorksheet(workbook, worksheet, {
+        enablePagination,
+        MAX_WIDTH_SIZE,
+        MAX_HEIGHT_SIZE,
+        MIN_WIDTH_SIZE,
+        MIN_HEIGHT_SIZE,
+        useMinLimit,
+        fixedAt,
+        locale,
+        respectPageSetup,
+        repeatHeaderRows,
+        paginateColumns,
+        pageOrder,
+        repeatKeyColumns,
+        widthStrategy,
+        tempDoc,
+        fontRegistry,
+        charts: charts[worksheet.name] || [],
+        locations: locations[worksheet.name] || {},
+        autoFilter: autoFilters[worksheet.name] || null,
+        stopIfTrue: stops[worksheet.name] || [],
+        range,
+        rowFilter,
+        header,
+        footer,
+        pageSize,
+        orientation,
+        fit,
+        margins,
+        report,
+      });
+      const { pageWidth, pageHeight } = layout;
+      checkPageSize(worksheet.name, pageWidth, pageHeight);
+
+      // Every sheet starts on its own page, sized for that sheet
+      if (!doc) {
+        doc = createDocument(outputFormat, pageWidth, pageHeight, {
+          fontRegistry,
+          tempDoc,
+        });
+      } else {
+        doc.addPage(
+          [pageWidth, pageHeight],
+          pageWidth > pageHeight ? "landscape" : "portrait"
+        );
+      }
+
+      const sheetBookmark = sheetBookmarks
+        ? doc.outline.add(null, worksheet.name, {
+            pageNumber: doc.getNumberOfPages(),
+          })
+        : null;
+
+      const placement = drawWorksheet(doc, layout, report);
+      placement.bookmark = sheetBookmark;
+      onProgress?.({
+        sheetName: worksheet.name,
+        rows: layout.rows.length,
+        pages: doc.getNumberOfPages(),
+      });
+      placements[worksheet.name.toLowerCase()] = placement;
+      placement.links.forEach((link) =>
+        internalLinks.push({ ...link, sheetName: worksheet.name })
+      );
+
+      outlineRows.forEach((rowNumber) => {
+        const rowIdx = layout.rows.indexOf(rowNumber);
+        const title = layout.styledRows[rowIdx]?.find(
+          (cell) => cell.text
+        )?.text;
+        const destination = title && locateCell(placement, rowNumber, 1);
+        if (destination) {
+          doc.outline.add(sheetBookmark, title, {
+            pageNumber: destination.pageNumber,
+          });
+        }
+      });
     });
 
-    // Calculate dynamic table and page dimensions
-    const defaultFontSize = 12;
-    let rowHeight = 20; // Make it let so we can scale it later
-    // Create temporary jsPDF instance for text width calculation
-    const tempDoc = new jsPDF({
-      unit: "pt",
-      format: "a4",
+    // Internal links jump to the page their target cell is drawn on
+    internalLinks.forEach(({ hyperlink, sheetName, pageNumber, ...rect }) => {
+      const target = resolveLinkTarget(workbook, hyperlink, sheetName);
+      const placement = target && placements[target.sheetName.toLowerCase()];
+      const destination =
+        placement && locateCell(placement, target.row, target.col);
+      if (!destination) return;
+      doc.setPage(pageNumber);
+      doc.link(rect.x, rect.y, rect.width, rect.height, {
+        pageNumber: destination.pageNumber,
+        magFactor: "FitH",
+        top: placement.pageHeight - destination.y,
+      });
+    });
+
+    decoratePages(doc, placements, {
+      filePath: inputFilePath,
+      watermarkImage,
+      fontRegistry,
+      report,
     });
-    const padding = 10;
-    const extraSpace = 10;
-    const colWidths = Array(totalCols).fill(padding);
-
-    // Calculate column widths considering all rows, including the header
-    styledRows.forEach((row) => {
-      row.forEach((cell, idx) => {
-        if (cell.isSecondaryMergeCell) {
-          return; // Ignore secondary merge cells
-        }
 
-        const text = cell.text || "";
-        const size = cell.style.font?.size || defaultFontSize;
-        let fontStyle = "normal";
-        if (cell.style.font?.bold && cell.style.font?.italic) {
-          fontStyle = "bolditalic";
-        } else if (cell.style.font?.bold) {
-          fontStyle = "bold";
-        } else if (cell.style.font?.italic) {
-          fontStyle = "italic";
+    // Defined names go under the bookmark of their sheet, if any
+    if (outlineNames) {
+      (workbook.definedNames?.model || []).forEach(({ name }) => {
+        if (name.startsWith("_xlnm.")) return;
+        const target = resolveLinkTarget(workbook, name);
+        const placement =
+          target?.sheetName && placements[target.sheetName.toLowerCase()];
+        const destination =
+          placement && locateCell(placement, target.row, target.col);
+        if (destination) {
+          doc.outline.add(placement.bookmark, name, {
+            pageNumber: destination.pageNumber,
+          });
         }
+      });
+    }
 
-        tempDoc.setFont("helvetica", fontStyle);
-        tempDoc.setFontSize(size);
-        const textWidth = tempDoc.getTextWidth(text) + padding + extraSpace;
-
-        if (cell.mergeInfo) {
-          // If cell is part of a merge, calculate total width of merged columns
-          const { startCol, endCol } = cell.mergeInfo;
-          const mergedWidth = colWidths
-            .slice(startCol - 1, endCol)
-            .reduce((sum, w) => sum + w, 0);
-
-          // If total width of merged columns is less than required for the text, adjust it
-          if (mergedWidth < textWidth) {
-            const extraWidth = textWidth - mergedWidth;
-            const numCols = endCol - startCol + 1;
-            const additionalWidthPerCol = extraWidth / numCols;
-
-            for (let i = startCol - 1; i < endCol; i++) {
-              colWidths[i] += additionalWidthPerCol;
-            }
-          }
-        } else {
-          // If not a merged cell, adjust the width of the individual column
-          if (textWidth > colWidths[idx]) {
-            colWidths[idx] = textWidth;
-          }
+    // Save the output and hand it back to the caller, with what was left out
+    return conversionResult(
+      doc,
+      placements,
+      await exportDocument(doc, outputFormat, {
+        outputFilePath,
+        outputType,
+        pngScale,
+        fontRegistry,
+      }),
+      report
+    );
+  } catch (error) {
+    // Typed errors already tell what went wrong
+    if (error instanceof ConversionError) throw error;
+    throw new ConversionError(
+      ERROR_CODES.CONVERSION_FAILED,
+      `Error processing Excel file: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Checks that a page fits the largest size a PDF allows, which jsPDF would
+ * otherwise shrink the page to, cutting off its content.
+ * @param {string} sheetName The name of the sheet the page belongs to
+ * @param {number} pageWidth The page width in points
+ * @param {number} pageHeight The page height in points
+ * @throws {ConversionError} If the page is too large
+ */
+function checkPageSize(sheetName, pageWidth, pageHeight) {
+  if (pageWidth > PDF_MAX_SIZE || pageHeight > PDF_MAX_SIZE) {
+    throw new ConversionError(
+      ERROR_CODES.LAYOUT_OVERFLOW,
+      `The pages of sheet "${sheetName}" would be ${Math.ceil(pageWidth)}x${Math.ceil(pageHeight)} points, larger than the ${PDF_MAX_SIZE} points a PDF allows.`
+    );
+  }
+}
+
+/**
+ * Creates the document the pages are drawn on: a jsPDF document, or one with
+ * the same drawing methods for SVG and PNG pages, or an HTML document that
+ * lays the pages out as tables.
+ * @param {string} outputFormat "pdf", "html", "svg" or "png"
+ * @param {number} pageWidth The width of the first page in points
+ * @param {number} pageHeight The height of the first page in points
+ * @param {Object} options { fontRegistry, tempDoc }: the font registry from loadFonts and
+ * the jsPDF document text is measured with
+ * @returns {Object} The document, on its first page
+ */
+function createDocument(
+  outputFormat,
+  pageWidth,
+  pageHeight,
+  { fontRegistry, tempDoc }
+) {
+  const options = {
+    orientation: pageWidth > pageHeight ? "landscape" : "portrait",
+    unit: "pt",
+    format: [pageWidth, pageHeight],
+  };
+  switch (outputFormat) {
+    case "html":
+      return createHtmlDocument({ fonts: fontRegistry });
+    case "svg":
+    case "png":
+      return createSvgDocument({
+        ...options,
+        fonts: fontRegistry,
+        measureDoc: tempDoc,
+      });
+    default: {
+      const doc = new jsPDF(options);
+      registerFonts(doc, fontRegistry);
+      return doc;
+    }
+  }
+}
+
+/**
+ * Serializes the finished document in the output format, optionally writing it to disk.
+ * @param {Object} doc The finished document, from createDocument
+ * @param {string} outputFormat "pdf", "html", "svg" or "png"
+ * @param {Object} options { outputFilePath, outputType, pngScale, fontRegistry } from convertExcelToPdf
+ * @returns {Promise<Object>} The output for the conversion result: { pdf }, { html } or { pages }
+ */
+async function exportDocument(
+  doc,
+  outputFormat,
+  { outputFilePath, outputType, pngScale, fontRegistry }
+) {
+  switch (outputFormat) {
+    case "html":
+      return { html: await exportHtml(doc, outputFilePath) };
+    case "svg":
+      return { pages: await exportSvg(doc, outputFilePath) };
+    case "png":
+      return {
+        pages: await exportPng(doc, outputFilePath, {
+          scale: pngScale,
+          fonts: fontRegistry,
+        }),
+      };
+    default:
+      return { pdf: await exportPdf(doc, outputFilePath, outputType) };
+  }
+}
+
+/**
+ * Builds the result a conversion resolves with.
+ * @param {Object} doc The finished document
+ * @param {Object} placements Where each sheet was drawn, by lower-cased sheet name
+ * @param {Object} output The output from exportDocument: { pdf }, { html } or { pages }
+ * @param {Object} report The warnings, skipped images and clipped columns collected on the way
+ * @returns {Object} { pdf, pageCount, sheets, skippedImages, clippedColumns, warnings }, with html or
+ * pages in place of pdf for the other formats, sheets being { name, firstPage, pageCount, pageWidth,
+ * pageHeight } in the order they were drawn
+ */
+function conversionResult(doc, placements, output, report) {
+  return {
+    ...output,
+    pageCount: doc.getNumberOfPages(),
+    sheets: Object.values(placements).map(({ layout, pages }) => ({
+      name: layout.sheetName,
+      firstPage: pages[0]?.pageNumber ?? null,
+      pageCount: pages.length,
+      pageWidth: layout.pageWidth,
+      pageHeight: layout.pageHeight,
+    })),
+    skippedImages: report.skippedImages,
+    clippedColumns: report.clippedColumns,
+    warnings: report.warnings,
+  };
+}
+
+/**
+ * Reads a worksheet into styled rows and computes its column widths and page size.
+ * @param {Object} workbook The ExcelJS workbook the worksheet belongs to
+ * @param {Object} worksheet The ExcelJS worksheet to lay out
+ * @param {Object} options Size limits and formatting options from convertExcelToPdf
+ * @returns {Object} The layout consumed by drawWorksheet
+ */
+function layoutWorksheet(
+  workbook,
+  worksheet,
+  {
+    enablePagination,
+    MAX_WIDTH_SIZE,
+    MAX_HEIGHT_SIZE,
+    MIN_WIDTH_SIZE,
+    MIN_HEIGHT_SIZE,
+    useMinLimit,
+    fixedAt,
+    locale,
+    respectPageSetup,
+    repeatHeaderRows,
+    paginateColumns,
+    pageOrder,
+    repeatKeyColumns,
+    widthStrategy,
+    tempDoc,
+    fontRegistry,
+    charts,
+    locations,
+    autoFilter,
+    stopIfTrue,
+    range,
+    rowFilter,
+    header,
+    footer,
+    pageSize,
+    orientation,
+    fit,
+    margins,
+    report,
+  }
+) {
+  const pageSetup = respectPageSetup ? worksheet.pageSetup || {} : {};
+
+  // Rows and columns to render (sheet numbers, 1-based), the range option
+  // taking precedence over the print area. Hidden rows and columns are left
+  // out, which includes collapsed outline groups since Excel marks their detail
+  // rows and columns as hidden. Like in Excel, the used range stretches to the
+  // images and charts next to the cells.
+  const extent = drawingExtent(worksheet, charts);
+  const printArea = resolvePrintArea(
+    resolveRange(workbook, range, worksheet.name) ?? pageSetup.printArea,
+    Math.max(worksheet.rowCount, extent.rows),
+    Math.max(worksheet.columnCount, extent.cols)
+  );
+  const cols = printArea.cols.filter((c) => !worksheet.getColumn(c).hidden);
+  const colIndexOf = {};
+  cols.forEach((colNumber, idx) => {
+    colIndexOf[colNumber] = idx;
+  });
+
+  // Build merge map: { 'row-col': { range, startRow, startCol, endRow, endCol } }
+  // All cells of a merge share the same object
+  const mergeMap = {};
+  if (worksheet._merges) {
+    Object.entries(worksheet._merges).forEach(([key, merge]) => {
+      const { top, left, bottom, right } = merge.model;
+      const mergeInfo = {
+        range: `${encodeCell(top, left)}:${encodeCell(bottom, right)}`,
+        startRow: top,
+        startCol: left,
+        endRow: bottom,
+        endCol: right,
+      };
+      for (let r = top; r <= bottom; r++) {
+        for (let c = left; c <= right; c++) {
+          mergeMap[`${r}-${c}`] = mergeInfo;
         }
+      }
+    });
+  }
+
+  // Conditional formatting results by "row-col" key
+  const conditional = evaluateConditionalFormatting(
+    worksheet,
+    workbook,
+    stopIfTrue
+  );
+  const theme = themeColors(workbook);
+
+  // Header rows repeated on every page, the print titles take precedence
+  // over the frozen rows in page setup mode
+  const headerRows = resolveHeaderRows(
+    repeatHeaderRows ?? pageSetup.printTitlesRow,
+    worksheet
+  );
+  const isHeaderRow = (rowNumber) =>
+    !!headerRows &&
+    rowNumber >= headerRows.top &&
+    rowNumber <= headerRows.bottom;
+
+  // Rows left out by the sheet's AutoFilter, which Excel usually hides already,
+  // and by the rowFilter option
+  const filteredRows = autoFilter
+    ? applyAutoFilter(autoFilter, (rowNumber, colNumber) => {
+        const cell = worksheet.getRow(rowNumber).getCell(colNumber);
+        return {
+          value: plainValue(cell),
+          text: extractCellText(cell, fixedAt, locale),
+        };
+      })
+    : new Set();
+  const rows = printArea.rows.filter((rowNumber) => {
+    if (worksheet.getRow(rowNumber).hidden || filteredRows.has(rowNumber)) {
+      return false;
+    }
+    if (!rowFilter || isHeaderRow(rowNumber)) return true;
+
+    const row = worksheet.getRow(rowNumber);
+    const cells = cols.map((colNumber) =>
+      readCell(
+        row.getCell(colNumber),
+        fixedAt,
+        locale,
+        conditional[`${rowNumber}-${colNumber}`],
+        theme,
+        locations
+      )
+    );
+    return Boolean(rowFilter(rowDetails(worksheet, row, cols, cells)));
+  });
+
+  // Only add main cell of merge and skip secondary cells
+  const styledRows = [];
+  rows.forEach((rowNumber) => {
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    cols.forEach((colNumber) => {
+      const key = `${rowNumber}-${colNumber}`;
+      const mergeInfo = mergeMap[key] || null;
+
+      // Keep the main cell of every merge on the merge itself, so it can be
+      // drawn even when its top-left corner is outside the rendered area
+      if (mergeInfo && !mergeInfo.mainCell) {
+        const mainCell = worksheet
+          .getRow(mergeInfo.startRow)
+          .getCell(mergeInfo.startCol);
+        mergeInfo.mainCell = {
+          ...readCell(
+            mainCell,
+            fixedAt,
+            locale,
+            conditional[`${mergeInfo.startRow}-${mergeInfo.startCol}`],
+            theme,
+            locations
+          ),
+          mergeInfo,
+        };
+      }
+
+      // If cell is part of a merge and not the main one, skip it
+      if (
+        mergeInfo &&
+        (rowNumber !== mergeInfo.startRow || colNumber !== mergeInfo.startCol)
+      ) {
+        // Ensure secondary merge cells are empty
+        cells.push({
+          text: "",
+          style: {},
+          mergeInfo,
+          isSecondaryMergeCell: true,
+        });
+        return;
+      }
+      if (mergeInfo) {
+        cells.push(mergeInfo.mainCell);
+        return;
+      }
+
+      const cell = row.getCell(colNumber);
+      cells.push({
+        ...readCell(cell, fixedAt, locale, conditional[key], theme, locations),
+        mergeInfo: null,
       });
     });
-    const tableWidth = colWidths.reduce((sum, w) => sum + w, 0);
-    const tableHeight = totalRows * rowHeight + 10;
-    const margin = 50;
-    let pageWidth = tableWidth + margin * 2;
-    let pageHeight = tableHeight + margin * 2 + 40;
-
-    // Apply minimum limits if requested
-    if (useMinLimit) {
-      if (pageWidth < MIN_WIDTH_SIZE) {
-        pageWidth = MIN_WIDTH_SIZE;
-        console.log(`Page width increased to minimum: ${MIN_WIDTH_SIZE} units`);
+    styledRows.push(cells);
+  });
+
+  // Calculate dynamic table and page dimensions
+  const colWidths = Array(cols.length).fill(CELL_PADDING);
+
+  // Calculate column widths considering all rows, including the header
+  styledRows.forEach((row) => {
+    row.forEach((cell, idx) => {
+      if (cell.isSecondaryMergeCell) {
+        return; // Ignore secondary merge cells
       }
-      if (pageHeight < MIN_HEIGHT_SIZE) {
-        pageHeight = MIN_HEIGHT_SIZE;
-        console.log(
-          `Page height increased to minimum: ${MIN_HEIGHT_SIZE} units`
-        );
+
+      const textWidth = cellContentWidth(tempDoc, cell, fontRegistry);
+
+      if (cell.mergeInfo) {
+        // If cell is part of a merge, calculate total width of merged columns
+        const { startCol, endCol } = cell.mergeInfo;
+        const mergedIdx = [];
+        for (let c = startCol; c <= endCol; c++) {
+          if (colIndexOf[c] !== undefined) mergedIdx.push(colIndexOf[c]);
+        }
+        const mergedWidth = mergedIdx.reduce((sum, i) => sum + colWidths[i], 0);
+
+        // If total width of merged columns is less than required for the text, adjust it
+        if (mergedWidth < textWidth) {
+          const extraWidth = textWidth - mergedWidth;
+          const additionalWidthPerCol = extraWidth / mergedIdx.length;
+
+          mergedIdx.forEach((i) => {
+            colWidths[i] += additionalWidthPerCol;
+          });
+        }
+      } else {
+        // If not a merged cell, adjust the width of the individual column
+        if (textWidth > colWidths[idx]) {
+          colWidths[idx] = textWidth;
+        }
       }
+    });
+  });
+
+  applyWidthStrategy(worksheet, cols, colWidths, widthStrategy);
+  const tableWidth = colWidths.reduce((sum, w) => sum + w, 0);
+
+  // Row heights: the sheet's own height when set, otherwise grow the default
+  // height to fit multi-line and wrapped text
+  const rowHeights = rows.map((rowNumber, rowIdx) => {
+    const declaredHeight = worksheet.getRow(rowNumber).height;
+    if (declaredHeight) {
+      return declaredHeight;
     }
 
-    // Apply maximum limits - handle large documents intelligently
-    if (pageWidth > MAX_WIDTH_SIZE || pageHeight > MAX_HEIGHT_SIZE) {
-      if (pageHeight > MAX_HEIGHT_SIZE && !enablePagination) {
-        // If height exceeds limit, enable pagination and use ideal table width
-        console.warn(
-          "Document height too large, enabling pagination automatically"
-        );
-        enablePagination = true;
+    let height = ROW_HEIGHT;
+    styledRows[rowIdx].forEach((cell, idx) => {
+      if (cell.isSecondaryMergeCell || !cell.text) return;
+      // Merges spanning several rows share their height, leave them as is
+      if (cell.mergeInfo && cell.mergeInfo.startRow !== cell.mergeInfo.endRow) {
+        return;
+      }
 
-        // Keep the ideal table width (up to MAX_WIDTH_SIZE) for better readability
-        if (pageWidth > MAX_WIDTH_SIZE) {
-          pageWidth = MAX_WIDTH_SIZE;
-          console.log(
-            `Table width capped at ${MAX_WIDTH_SIZE} units for jsPDF compatibility`
-          );
+      let cellWidth = colWidths[idx];
+      if (cell.mergeInfo) {
+        cellWidth = 0;
+        for (let c = cell.mergeInfo.startCol; c <= cell.mergeInfo.endCol; c++) {
+          if (colIndexOf[c] !== undefined)
+            cellWidth += colWidths[colIndexOf[c]];
         }
+      }
 
-        // Use standard letter height for pagination
-        pageHeight = MIN_HEIGHT_SIZE;
-      } else if (
-        pageWidth > MAX_WIDTH_SIZE &&
-        pageHeight <= MAX_HEIGHT_SIZE &&
-        !enablePagination
-      ) {
-        // If only width exceeds limit, cap it at MAX_WIDTH_SIZE
+      height = Math.max(
+        height,
+        cellContentHeight(tempDoc, cell, cellWidth, fontRegistry)
+      );
+    });
+    return height;
+  });
+  const tableHeight = rowHeights.reduce((sum, h) => sum + h, 0) + 10;
+
+  // Images and charts, anchored to the rendered rows and columns. Those whose
+  // top-left corner is outside the rendered cells are left out.
+  const images = [];
+  const anchorOf = (tl) =>
+    encodeCell((tl.nativeRow || 0) + 1, (tl.nativeCol || 0) + 1);
+  const skipOutside = (type, tl) =>
+    report.skippedImages.push({
+      sheetName: worksheet.name,
+      type,
+      anchor: anchorOf(tl),
+      reason: "outside the rendered cells",
+    });
+  worksheet.getImages().forEach((img) => {
+    const { tl, br, ext } = img.range || {};
+    const media = workbook.getImage(img.imageId);
+    if (!tl || !media) return;
+    const from = resolveImageAnchor(worksheet, tl, rows, cols);
+    if (!from) {
+      skipOutside("image", tl);
+      return;
+    }
+    // Two-cell anchors span to their bottom-right anchor, one-cell anchors have a size
+    const to = br ? resolveImageAnchor(worksheet, br, rows, cols, true) : null;
+    images.push({
+      id: img.imageId,
+      media,
+      from,
+      to,
+      ext,
+      anchor: anchorOf(tl),
+    });
+  });
+  charts.forEach(({ from: tl, to: br, ext, chart }) => {
+    const from = resolveImageAnchor(worksheet, tl, rows, cols);
+    if (!from) {
+      skipOutside("chart", tl);
+      return;
+    }
+    const to = br ? resolveImageAnchor(worksheet, br, rows, cols, true) : null;
+    images.push({ chart, from, to, ext, anchor: anchorOf(tl) });
+  });
+
+  const titleRows = [];
+  if (headerRows) {
+    rows.forEach((r, idx) => {
+      if (r >= headerRows.top && r <= headerRows.bottom) titleRows.push(idx);
+    });
+  }
+
+  // Key columns repeated on every horizontal page, same precedence as above
+  const keyColumns = resolveKeyColumns(
+    repeatKeyColumns ?? pageSetup.printTitlesColumn,
+    worksheet
+  );
+  const titleCols = [];
+  if (keyColumns) {
+    cols.forEach((c, idx) => {
+      if (c >= keyColumns.left && c <= keyColumns.right) titleCols.push(idx);
+    });
+  }
+
+  const layout = {
+    sheetName: worksheet.name,
+    styledRows,
+    rows,
+    cols,
+    colWidths,
+    rowHeights,
+    images,
+    padding: CELL_PADDING,
+    scale: 1,
+    fonts: fontRegistry,
+    titleRows,
+    titleCols,
+    paginateColumns,
+    pageOrder: pageOrder || pageSetup.pageOrder || "downThenOver",
+    centerHorizontally: false,
+    centerVertically: false,
+    headerFooter: resolveHeaderFooter(
+      respectPageSetup ? worksheet.headerFooter : {},
+      header,
+      footer
+    ),
+  };
+
+  if (respectPageSetup) {
+    return Object.assign(
+      layout,
+      pageSetupLayout(pageSetup, tableWidth, tableHeight, {
+        pageSize,
+        orientation,
+        fit,
+        margins,
+      })
+    );
+  }
+
+  const page = resolveMargins(margins, PAGE_MARGINS);
+  Object.assign(layout, {
+    margins: {
+      top: page.top,
+      right: page.right,
+      bottom: page.bottom,
+      left: page.left,
+    },
+    headerMargin: page.header,
+    footerMargin: page.footer,
+  });
+  const marginWidth = page.left + page.right;
+  const marginHeight = page.top + page.bottom;
+
+  // Paper pages are split into as many pages as the rows need
+  const paper = resolvePageSize(pageSize, orientation);
+  if (paper) {
+    const [pageWidth, pageHeight] = paper;
+    return Object.assign(layout, {
+      pageWidth,
+      pageHeight,
+      scale: fitScale(
+        fit,
+        tableWidth,
+        tableHeight,
+        pageWidth - marginWidth,
+        pageHeight - marginHeight
+      ),
+      enablePagination: true,
+    });
+  }
+
+  // Fitting shrinks the table into the largest page, rather than capping the
+  // page width or paginating the rows
+  const scale = fitScale(
+    fit,
+    tableWidth,
+    tableHeight,
+    MAX_WIDTH_SIZE - marginWidth,
+    enablePagination
+      ? MIN_HEIGHT_SIZE - marginHeight
+      : MAX_HEIGHT_SIZE - marginHeight - 40
+  );
+  layout.scale = scale;
+  let pageWidth = tableWidth * scale + marginWidth;
+  let pageHeight = tableHeight * scale + marginHeight + 40;
+
+  // Apply minimum limits if requested
+  if (useMinLimit) {
+    if (pageWidth < MIN_WIDTH_SIZE) {
+      pageWidth = MIN_WIDTH_SIZE;
+      report.info(`Page width increased to minimum: ${MIN_WIDTH_SIZE} units`);
+    }
+    if (pageHeight < MIN_HEIGHT_SIZE) {
+      pageHeight = MIN_HEIGHT_SIZE;
+      report.info(`Page height increased to minimum: ${MIN_HEIGHT_SIZE} units`);
+    }
+  }
+
+  // Apply maximum limits - handle large documents intelligently
+  if (pageWidth > MAX_WIDTH_SIZE || pageHeight > MAX_HEIGHT_SIZE) {
+    if (pageHeight > MAX_HEIGHT_SIZE && !enablePagination) {
+      // If height exceeds limit, enable pagination and use ideal table width
+      report.warn(
+        "Document height too large, enabling pagination automatically"
+      );
+      enablePagination = true;
+
+      // Keep the ideal table width (up to MAX_WIDTH_SIZE) for better readability
+      if (pageWidth > MAX_WIDTH_SIZE) {
         pageWidth = MAX_WIDTH_SIZE;
-        console.log(
+        report.info(
           `Table width capped at ${MAX_WIDTH_SIZE} units for jsPDF compatibility`
         );
-      } else if (enablePagination) {
-        // If pagination is already enabled, use standard letter size for height
-        // but preserve table width up to MAX_WIDTH_SIZE
-        if (pageWidth > MAX_WIDTH_SIZE) {
-          pageWidth = MAX_WIDTH_SIZE;
-          console.log(
-            `Table width capped at ${MAX_WIDTH_SIZE} units for jsPDF compatibility`
-          );
-        }
-        pageHeight = MIN_HEIGHT_SIZE;
       }
 
-      console.log(`Final page dimensions: ${pageWidth}x${pageHeight}`);
+      // Use standard letter height for pagination
+      pageHeight = MIN_HEIGHT_SIZE;
+    } else if (
+      pageWidth > MAX_WIDTH_SIZE &&
+      pageHeight <= MAX_HEIGHT_SIZE &&
+      !enablePagination
+    ) {
+      // If only width exceeds limit, cap it at MAX_WIDTH_SIZE
+      pageWidth = MAX_WIDTH_SIZE;
+      report.info(
+        `Table width capped at ${MAX_WIDTH_SIZE} units for jsPDF compatibility`
+      );
+    } else if (enablePagination) {
+      // If pagination is already enabled, use standard letter size for height
+      // but preserve table width up to MAX_WIDTH_SIZE
+      if (pageWidth > MAX_WIDTH_SIZE) {
+        pageWidth = MAX_WIDTH_SIZE;
+        report.info(
+          `Table width capped at ${MAX_WIDTH_SIZE} units for jsPDF compatibility`
+        );
+      }
+      pageHeight = MIN_HEIGHT_SIZE;
     }
 
-    // Extract images from worksheet
-    const images = [];
-    worksheet.getImages().forEach((img) => {
-      const range = img.range;
-      const ext = range.ext;
-      const tl = range?.tl;
-      if (!tl || tl.col == null || tl.row == null) return;
-      const media = workbook.getImage(img.imageId);
-      if (!media?.buffer) return;
-      images.push({ buffer: media.buffer, ext, tl });
-    });
+    report.info(`Final page dimensions: ${pageWidth}x${pageHeight}`);
+  }
 
-    // Generate PDF with dynamic size
-    const doc = new jsPDF({
-      orientation: pageWidth > pageHeight ? "landscape" : "portrait",
-      unit: "pt",
-      format: [pageWidth, pageHeight],
+  return Object.assign(layout, {
+    pageWidth,
+    pageHeight,
+    enablePagination,
+  });
+}
+
+/**
+ * Combines the margins option with the default margins.
+ * @param {number|Object} margins The margins option: points for every side, or
+ * { top, right, bottom, left, header, footer } in points, each optional
+ * @param {Object} defaults The margins used where the option sets none, same keys
+ * @returns {Object} The margins { top, right, bottom, left, header, footer } in points
+ * @throws {ConversionError} If a margin is not a number
+ */
+function resolveMargins(margins, defaults) {
+  if (margins == null) return defaults;
+  const sides =
+    typeof margins === "number"
+      ? { top: margins, right: margins, bottom: margins, left: margins }
+      : margins;
+  const resolved = { ...defaults };
+  Object.keys(defaults).forEach((side) => {
+    if (sides[side] == null) return;
+    if (typeof sides[side] !== "number" || !(sides[side] >= 0)) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Invalid ${side} margin: ${sides[side]}`
+      );
+    }
+    resolved[side] = sides[side];
+  });
+  return resolved;
+}
+
+/**
+ * Computes the scale of the fit option. Sheets are only ever shrunk.
+ * @param {string} fit "width", "page" or "none"
+ * @param {number} tableWidth Unscaled width of the rendered table in points
+ * @param {number} tableHeight Unscaled height of the rendered table in points
+ * @param {number} availableWidth Width of the page inside its margins
+ * @param {number} availableHeight Height of the page inside its margins
+ * @returns {number} The scale, 1 when the sheet fits as it is
+ * @throws {ConversionError} If fit is not one of the supported values
+ */
+function fitScale(
+  fit,
+  tableWidth,
+  tableHeight,
+  availableWidth,
+  availableHeight
+) {
+  switch (fit ?? "none") {
+    case "none":
+      return 1;
+    case "width":
+      return Math.min(1, availableWidth / tableWidth);
+    case "page":
+      return Math.min(
+        1,
+        availableWidth / tableWidth,
+        availableHeight / tableHeight
+      );
+    default:
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Unsupported fit: ${fit}`
+      );
+  }
+}
+
+/**
+ * Measures the width a cell needs for its text, with padding. Wrapped text
+ * only needs room for its longest word, other text for its longest line.
+ * @param {jsPDF} tempDoc The jsPDF instance used for measuring
+ * @param {Object} cell The cell, from readCell
+ * @param {Object} fontRegistry The font registry from loadFonts
+ * @returns {number} The width in points
+ */
+function cellContentWidth(tempDoc, cell, fontRegistry) {
+  return (
+    measureText(tempDoc, textRuns(cell), {
+      wrap: cell.style.alignment?.wrapText,
+      fonts: fontRegistry,
+    }) +
+    (cell.conditional?.icon ? ICON_SIZE + TEXT_INSET : 0) +
+    CELL_PADDING +
+    EXTRA_SPACE
+  );
+}
+
+/**
+ * Measures the height a cell needs for text on several lines, with padding.
+ * @param {jsPDF} tempDoc The jsPDF instance used for measuring
+ * @param {Object} cell The cell, from readCell
+ * @param {number} width The width of the cell in points
+ * @param {Object} fontRegistry The font registry from loadFonts
+ * @returns {number} The height in points, 0 for text on a single line
+ */
+function cellContentHeight(tempDoc, cell, width, fontRegistry) {
+  const lines = layoutText(tempDoc, textRuns(cell), {
+    width: width - TEXT_INSET * 2,
+    wrap: cell.style.alignment?.wrapText,
+    fonts: fontRegistry,
+  });
+  if (lines.length <= 1) return 0;
+  return (
+    lines.reduce((sum, line) => sum + line.size * LINE_HEIGHT_FACTOR, 0) +
+    CELL_PADDING
+  );
+}
+
+/**
+ * Applies the sheet's own column widths if requested by the width strategy.
+ * @param {Object} worksheet The ExcelJS worksheet, or a streamed worksheet reader
+ * @param {Array<number>} cols The rendered sheet column numbers
+ * @param {Array<number>} colWidths The widths measured from the cell text, updated in place
+ * @param {string} widthStrategy "auto", "excel" or "max"
+ */
+function applyWidthStrategy(worksheet, cols, colWidths, widthStrategy) {
+  if (widthStrategy === "excel" || widthStrategy === "max") {
+    cols.forEach((colNumber, idx) => {
+      const excelWidth = excelColumnWidth(worksheet, colNumber);
+      colWidths[idx] =
+        widthStrategy === "excel"
+          ? excelWidth
+          : Math.max(colWidths[idx], excelWidth);
     });
+  } else if (widthStrategy !== "auto") {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Unsupported widthStrategy: ${widthStrategy}`
+    );
+  }
+}
 
-    // Draw images first (jsPDF has limited image support)
-    images.forEach(({ tl, ext, buffer }) => {
-      try {
-        const colIndex = tl.nativeCol || 0;
-        const rowIndex = tl.nativeRow || 0;
-        const imgX =
-          margin + colWidths.slice(0, colIndex).reduce((sum, w) => sum + w, 0);
-        const imgY = margin + rowIndex * rowHeight;
-        const ptsPerPx = 0.75;
-        const imgWidthPts = (ext?.width || 0) * ptsPerPx;
-        const imgHeightPts = (ext?.height || 0) * ptsPerPx;
-
-        // Convert buffer to base64 for jsPDF
-        const base64String = buffer.toString("base64");
-        const dataURL = `data:image/png;base64,${base64String}`;
-
-        doc.addImage(dataURL, "PNG", imgX, imgY, imgWidthPts, imgHeightPts);
-      } catch (imageError) {
-        console.warn("Could not add image:", imageError.message);
+/**
+ * Describes a row for the rowFilter option.
+ * @param {Object} worksheet The ExcelJS worksheet, or a streamed worksheet reader
+ * @param {Object} row The ExcelJS row
+ * @param {Array<number>} cols The rendered sheet column numbers
+ * @param {Array<Object>} cells The cells of the rendered columns, from readCell
+ * @returns {Object} { sheetName, rowNumber, values, texts, styles }, the last three keyed by column letter
+ */
+function rowDetails(worksheet, row, cols, cells) {
+  const details = {
+    sheetName: worksheet.name,
+    rowNumber: row.number,
+    values: {},
+    texts: {},
+    styles: {},
+  };
+  cols.forEach((colNumber, idx) => {
+    const letter = worksheet.getColumn(colNumber).letter;
+    details.values[letter] = plainValue(row.getCell(colNumber));
+    details.texts[letter] = cells[idx].text;
+    details.styles[letter] = cells[idx].style;
+  });
+  return details;
+}
+
+/**
+ * Combines the running header and footer of a sheet with the header and
+ * footer options, which override the sheet's own.
+ * @param {Object} sheetHeaderFooter The ExcelJS worksheet.headerFooter, or {}
+ * @param {string} header The header option
+ * @param {string} footer The footer option
+ * @returns {Object} The headers and footers drawn by drawHeaderFooter
+ */
+function resolveHeaderFooter(sheetHeaderFooter, header, footer) {
+  return {
+    ...sheetHeaderFooter,
+    ...(header != null && {
+      oddHeader: header,
+      evenHeader: null,
+      firstHeader: null,
+    }),
+    ...(footer != null && {
+      oddFooter: footer,
+      evenFooter: null,
+      firstFooter: null,
+    }),
+  };
+}
+
+/**
+ * Reads the value of a cell for filters: formulas give their result, rich
+ * text and hyperlinks their text, and dates stay dates.
+ * @param {Object} cell The ExcelJS cell
+ * @returns {number|string|boolean|Date|Object|null} The value
+ */
+function plainValue(cell) {
+  const value = cell.formula || cell.sharedFormula ? cell.result : cell.value;
+  return value instanceof Date ? value : cellValue(cell);
+}
+
+/**
+ * Reads the display text and style of a cell.
+ * Number format colors such as [Red] override the font color, and conditional
+ * formatting overrides both. Theme and indexed colors are resolved to ARGB.
+ * Rich text keeps its runs, each in the cell font overridden by the run font.
+ * @param {Object} cell The ExcelJS cell
+ * @param {number} fixedAt Number of decimal places for numbers whose format cannot be applied
+ * @param {string|Object} locale Locale for number formats
+ * @param {Object} conditional The conditional formatting result of the cell, if any
+ * @param {Object} theme The workbook theme colors, from themeColors
+ * @param {Object} locations Internal hyperlinks of the sheet that ExcelJS leaves out, by cell address
+ * @returns {Object} The cell text, style, conditional formatting, rich text runs (null for plain text)
+ * and hyperlink (null without one)
+ */
+function readCell(cell, fixedAt, locale, conditional, theme, locations) {
+  const text = extractCellText(cell, fixedAt, locale);
+  let style = cell.style || {};
+
+  if (cell.numFmt && cell.numFmt.includes("[")) {
+    const value =
+      cell.value &&
+      typeof cell.value === "object" &&
+      !(cell.value instanceof Date)
+        ? cell.result
+        : cell.value;
+    const color = value != null ? numberFormatColor(value, cell.numFmt) : null;
+    if (color) {
+      style = {
+        ...style,
+        font: { ...style.font, color: { argb: `FF${color}` } },
+      };
+    }
+  }
+
+  if (conditional) {
+    const { font, fill, border } = conditional.style;
+    style = {
+      ...style,
+      ...(font && { font: { ...style.font, ...font } }),
+      ...(fill && { fill }),
+      ...(border && { border: { ...style.border, ...border } }),
+    };
+  }
+
+  // Hyperlinks can show rich text too
+  const richText = cell.value?.richText || cell.value?.text?.richText || null;
+  const runs =
+    richText && cell.result === undefined
+      ? richText.map((run) => ({
+          text: run.text || "",
+          font: resolveStyleColors(
+            {
+              font: {
+                ...style.font,
+                ...run.font,
+                ...conditional?.style.font,
+              },
+            },
+            theme
+          ).font,
+        }))
+      : null;
+
+  return {
+    text,
+    style: resolveStyleColors(style, theme),
+    conditional,
+    runs,
+    hyperlink: cell.value?.hyperlink || locations[cell.address] || null,
+  };
+}
+
+/**
+ * Finds the last row and column covered by the images and charts of a worksheet.
+ * One-cell anchored drawings are measured with Excel's default cell size.
+ * @param {Object} worksheet The ExcelJS worksheet
+ * @param {Array<Object>} charts The charts of the worksheet, from readCharts
+ * @returns {Object} The last sheet row and column numbers ({ rows, cols }), 0 without drawings
+ */
+function drawingExtent(worksheet, charts) {
+  const anchors = [
+    ...worksheet.getImages().map(({ range }) => range || {}),
+    ...charts.map(({ from, to, ext }) => ({ tl: from, br: to, ext })),
+  ];
+  let rows = 0;
+  let cols = 0;
+  anchors.forEach(({ tl, br, ext }) => {
+    if (!tl) return;
+    if (br) {
+      // An anchor at the very top-left of a cell ends in the previous one
+      rows = Math.max(rows, br.nativeRow + (br.nativeRowOff > 0 ? 1 : 0));
+      cols = Math.max(cols, br.nativeCol + (br.nativeColOff > 0 ? 1 : 0));
+    } else {
+      // Sizes are in pixels: 20 per default row, 64 per default column
+      rows = Math.max(rows, tl.nativeRow + Math.ceil((ext?.height || 0) / 20));
+      cols = Math.max(cols, tl.nativeCol + Math.ceil((ext?.width || 0) / 64));
+    }
+  });
+  return { rows, cols };
+}
+
+/**
+ * Resolves the rows and columns to render from a print area.
+ * Without a print area the whole used range of the sheet is rendered.
+ * @param {string} printArea The worksheet print area, e.g. "A1:G20" or "A1:B5&&D1:E5"
+ * @param {number} totalRows Number of rows in the worksheet
+ * @param {number} totalCols Number of columns in the worksheet
+ * @returns {Object} Sorted sheet row and column numbers to render
+ */
+function resolvePrintArea(printArea, totalRows, totalCols) {
+  const rowSet = new Set();
+  const colSet = new Set();
+  const areas = printArea ? printArea.split("&&") : [];
+
+  if (areas.length === 0) {
+    areas.push(`1:${Math.max(totalRows, 1)}`);
+  }
+
+  // Multiple print areas are combined into one
+  areas.forEach((area) => {
+    const { top, left, bottom, right } = decodeRange(area);
+    for (let r = top ?? 1; r <= (bottom ?? totalRows); r++) rowSet.add(r);
+    for (let c = left ?? 1; c <= (right ?? totalCols); c++) colSet.add(c);
+  });
+
+  return {
+    rows: [...rowSet].sort((a, b) => a - b),
+    cols: [...colSet].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Computes page size, margins and scale from the worksheet page setup,
+ * the way Excel prints the sheet. The page options take precedence over the
+ * sheet's paper, orientation, margins and scaling.
+ * @param {Object} pageSetup The ExcelJS worksheet.pageSetup object
+ * @param {number} tableWidth Unscaled width of the rendered table in points
+ * @param {number} tableHeight Unscaled height of the rendered table in points
+ * @param {Object} options The pageSize, orientation, fit and margins options
+ * @returns {Object} Page related layout properties
+ */
+function pageSetupLayout(
+  pageSetup,
+  tableWidth,
+  tableHeight,
+  { pageSize, orientation, fit, margins: marginsOption }
+) {
+  const paper =
+    PAPER_SIZES[pageSetup.paperSize] || PAPER_SIZES[DEFAULT_PAPER_SIZE];
+  // A paper of the options turns with the sheet unless given an orientation
+  const landscape = (orientation ?? pageSetup.orientation) === "landscape";
+  const [pageWidth, pageHeight] =
+    resolvePageSize(
+      pageSize,
+      orientation ?? (landscape ? "landscape" : null)
+    ) ?? (landscape ? [paper[1], paper[0]] : paper);
+
+  // Margins are declared in inches
+  const inches = {
+    left: 0.7,
+    right: 0.7,
+    top: 0.75,
+    bottom: 0.75,
+    header: 0.3,
+    footer: 0.3,
+    ...pageSetup.margins,
+  };
+  const page = resolveMargins(marginsOption, {
+    top: inches.top * 72,
+    right: inches.right * 72,
+    bottom: inches.bottom * 72,
+    left: inches.left * 72,
+    header: inches.header * 72,
+    footer: inches.footer * 72,
+  });
+  const margins = {
+    top: page.top,
+    right: page.right,
+    bottom: page.bottom,
+    left: page.left,
+  };
+  const availableWidth = pageWidth - margins.left - margins.right;
+  const availableHeight = pageHeight - margins.top - margins.bottom;
+
+  // Fit to N pages wide by M tall (0 means no constraint), or a fixed percentage
+  let scale = (pageSetup.scale || 100) / 100;
+  if (fit) {
+    scale = fitScale(
+      fit,
+      tableWidth,
+      tableHeight,
+      availableWidth,
+      availableHeight
+    );
+  } else if (pageSetup.fitToPage) {
+    const fitWidth = pageSetup.fitToWidth ?? 1;
+    const fitHeight = pageSetup.fitToHeight ?? 1;
+    const scaleX = fitWidth ? (fitWidth * availableWidth) / tableWidth : 1;
+    const scaleY = fitHeight ? (fitHeight * availableHeight) / tableHeight : 1;
+    scale = Math.min(1, scaleX, scaleY);
+  }
+
+  return {
+    pageWidth,
+    pageHeight,
+    margins,
+    scale,
+    headerMargin: page.header,
+    footerMargin: page.footer,
+    enablePagination: true,
+    paginateColumns: true,
+    centerHorizontally: !!pageSetup.horizontalCentered,
+    centerVertically: !!pageSetup.verticalCentered,
+  };
+}
+
+/**
+ * Draws a laid out worksheet starting on the current page of the document.
+ * Rows and columns are split into page-sized bands when pagination is enabled,
+ * repeating title rows and columns on every page. Links to URLs are added on
+ * the way, links within the workbook are returned to be added once every sheet
+ * is drawn.
+ * @param {jsPDF} doc The jsPDF document instance
+ * @param {Object} layout The layout returned by layoutWorksheet
+ * @param {Object} report Collects the images that could not be drawn and the columns cut off
+ * @returns {Object} Where the sheet was drawn, for locateCell, with its internal links:
+ * { layout, pageHeight, pages, widths, heights, links }, pages being { pageNumber, pageRows, pageCols, origin }
+ * and links { pageNumber, x, y, width, height, hyperlink }
+ */
+function drawWorksheet(doc, layout, report) {
+  const {
+    rows,
+    cols,
+    colWidths,
+    rowHeights,
+    images,
+    scale,
+    margins,
+    pageWidth,
+    pageHeight,
+    enablePagination,
+    paginateColumns,
+    titleRows,
+    titleCols,
+    pageOrder,
+  } = layout;
+  const widths = colWidths.map((w) => w * scale);
+  const heights = rowHeights.map((h) => h * scale);
+  const rowIndices = rows.map((_, idx) => idx);
+  const colIndices = cols.map((_, idx) => idx);
+
+  const rowBands = enablePagination
+    ? splitIntoBands(
+        rowIndices,
+        heights,
+        pageHeight - margins.top - margins.bottom,
+        titleRows
+      )
+    : [rowIndices];
+  const colBands = paginateColumns
+    ? splitIntoBands(
+        colIndices,
+        widths,
+        pageWidth - margins.left - margins.right,
+        titleCols
+      )
+    : [colIndices];
+  if (!paginateColumns) {
+    reportClippedColumns(layout, widths, report);
+  }
+
+  // Page order follows Excel: down then over by default
+  const pages = [];
+  if (pageOrder === "overThenDown") {
+    rowBands.forEach((pageRows) =>
+      colBands.forEach((pageCols) => pages.push({ pageRows, pageCols }))
+    );
+  } else {
+    colBands.forEach((pageCols) =>
+      rowBands.forEach((pageRows) => pages.push({ pageRows, pageCols }))
+    );
+  }
+
+  // HTML tables have no room for drawings
+  if (doc.format === "html" && images.length > 0) {
+    images.forEach(({ chart, anchor }) =>
+      report.skippedImages.push({
+        sheetName: layout.sheetName,
+        type: chart ? "chart" : "image",
+        anchor,
+        reason: "not drawn in HTML output",
+      })
+    );
+    report.warn(
+      `Images and charts of sheet "${layout.sheetName}" are left out of the HTML output`
+    );
+  }
+
+  // Repeated title rows and columns are on several pages, take the first one
+  const imagePages = images.map(({ from }) =>
+    pages.findIndex(
+      ({ pageRows, pageCols }) =>
+        pageRows.includes(from.rowIdx) && pageCols.includes(from.colIdx)
+    )
+  );
+
+  const placement = {
+    layout,
+    pageHeight,
+    pages: [],
+    widths,
+    heights,
+    links: [],
+  };
+  pages.forEach(({ pageRows, pageCols }, pageIdx) => {
+    if (pageIdx > 0) {
+      // Add new page with this sheet's page size
+      doc.addPage(
+        [pageWidth, pageHeight],
+        pageWidth > pageHeight ? "landscape" : "portrait"
+      );
+    }
+    const origin = pageOrigin(layout, widths, heights, pageRows, pageCols);
+    const pageNumber = doc.getNumberOfPages();
+    placement.pages.push({ pageNumber, pageRows, pageCols, origin });
+
+    const page = layoutPage(
+      layout,
+      widths,
+      heights,
+      pageRows,
+      pageCols,
+      origin
+    );
+    drawPage(doc, layout, page).forEach(
+      ({ hyperlink, x, y, width, height }) => {
+        if (hyperlink.startsWith("#")) {
+          placement.links.push({ pageNumber, x, y, width, height, hyperlink });
+        } else {
+          doc.link(x, y, width, height, { url: hyperlink });
+        }
+      }
+    );
+
+    // Images float above the cells, on the page holding their top-left corner
+    if (doc.format === "html") return;
+    drawImages(
+      doc,
+      layout,
+      images.filter((_, idx) => imagePages[idx] === pageIdx),
+      widths,
+      heights,
+      pageRows,
+      pageCols,
+      origin,
+      report
+    );
+  });
+  return placement;
+}
+
+/**
+ * Records the columns that do not fit the page width, which the page edge cuts
+ * off when columns are not paginated.
+ * @param {Object} layout The layout of the sheet, with its page size and margins
+ * @param {Array<number>} widths The column widths in points, scaled
+ * @param {Object} report Collects the clipped columns and warnings
+ */
+function reportClippedColumns(layout, widths, report) {
+  const columns = [];
+  let right = layout.margins.left;
+  layout.cols.forEach((colNumber, idx) => {
+    right += widths[idx];
+    // A fraction of a point over is rounding, not a cut
+    if (right > layout.pageWidth + 0.5) {
+      columns.push(encodeCell(1, colNumber).replace(/\d+$/, ""));
+    }
+  });
+  if (columns.length === 0) return;
+
+  columns.forEach((column) =>
+    report.clippedColumns.push({ sheetName: layout.sheetName, column })
+  );
+  report.warn(
+    columns.length === 1
+      ? `Column ${columns[0]} of sheet "${layout.sheetName}" does not fit the page width and is cut off`
+      : `Columns ${columns[0]} to ${columns[columns.length - 1]} of sheet "${layout.sheetName}" do not fit the page width and are cut off`
+  );
+}
+
+/**
+ * Computes the top-left corner of the table on a page, honoring centering.
+ * @returns {Object} The x and y coordinates to start drawing at
+ */
+function pageOrigin(layout, widths, heights, pageRows, pageCols) {
+  const { margins, pageWidth, pageHeight } = layout;
+  let x = margins.left;
+  let y = margins.top;
+
+  if (layout.centerHorizontally) {
+    const contentWidth = pageCols.reduce((sum, c) => sum + widths[c], 0);
+    const available = pageWidth - margins.left - margins.right;
+    x += Math.max(0, (available - contentWidth) / 2);
+  }
+  if (layout.centerVertically) {
+    const contentHeight = pageRows.reduce((sum, r) => sum + heights[r], 0);
+    const available = pageHeight - margins.top - margins.bottom;
+    y += Math.max(0, (available - contentHeight) / 2);
+  }
+  return { x, y };
+}
+
+/**
+ * Draws images and charts on a page.
+ * The top-left corner is placed in the page's rows and columns. Two-cell anchored
+ * images stretch to their bottom-right anchor with the computed column widths and
+ * row heights, one-cell anchored images keep their size, scaled like the sheet.
+ * Images that cannot be drawn are recorded in the report and left out.
+ */
+function drawImages(
+  doc,
+  layout,
+  images,
+  widths,
+  heights,
+  pageRows,
+  pageCols,
+  origin,
+  report
+) {
+  const { scale, fonts } = layout;
+  const offsetOf = (sizes, indices, idx) =>
+    indices
+      .slice(0, indices.indexOf(idx))
+      .reduce((sum, i) => sum + sizes[i], 0);
+  // Distance from the first rendered row or column, across pages
+  const absoluteOf = (sizes, idx, fraction) =>
+    sizes.slice(0, idx).reduce((sum, size) => sum + size, 0) +
+    sizes[idx] * fraction;
+
+  images.forEach(({ id, media, chart, from, to, ext, anchor }) => {
+    const x =
+      origin.x +
+      offsetOf(widths, pageCols, from.colIdx) +
+      widths[from.colIdx] * from.colFraction;
+    const y =
+      origin.y +
+      offsetOf(heights, pageRows, from.rowIdx) +
+      heights[from.rowIdx] * from.rowFraction;
+
+    let width;
+    let height;
+    if (to) {
+      width =
+        absoluteOf(widths, to.colIdx, to.colFraction) -
+        absoluteOf(widths, from.colIdx, from.colFraction);
+      height =
+        absoluteOf(heights, to.rowIdx, to.rowFraction) -
+        absoluteOf(heights, from.rowIdx, from.rowFraction);
+    } else {
+      // Sizes are in pixels, 0.75 points each
+      width = (ext?.width || 0) * 0.75 * scale;
+      height = (ext?.height || 0) * 0.75 * scale;
+    }
+    if (width <= 0 || height <= 0) return;
+
+    if (chart) {
+      drawChart(doc, chart, x, y, width, height, { scale, fonts });
+      return;
+    }
+    try {
+      drawImage(doc, media, id, x, y, width, height);
+    } catch (imageError) {
+      report.skippedImages.push({
+        sheetName: layout.sheetName,
+        type: "image",
+        anchor,
+        reason: imageError.message,
+      });
+      report.warn(`Could not add image at ${anchor}: ${imageError.message}`);
+    }
+  });
+}
+
+/**
+ * Finds where a cell was drawn: the first page holding it and its top-left corner.
+ * Cells in hidden rows or columns resolve to the next rendered ones.
+ * @param {Object} placement Where the sheet was drawn, from drawWorksheet
+ * @param {number} row The sheet row number
+ * @param {number} col The sheet column number
+ * @returns {Object|null} The { pageNumber, x, y } of the cell, null when it is past the rendered cells
+ */
+function locateCell(placement, row, col) {
+  const { layout, pages, widths, heights } = placement;
+  const rowIdx = layout.rows.findIndex((r) => r >= row);
+  const colIdx = layout.cols.findIndex((c) => c >= col);
+  if (rowIdx < 0 || colIdx < 0) return null;
+
+  const page = pages.find(
+    ({ pageRows, pageCols }) =>
+      pageRows.includes(rowIdx) && pageCols.includes(colIdx)
+  );
+  if (!page) return null;
+  const offset = (indices, idx, sizes) =>
+    indices
+      .slice(0, indices.indexOf(idx))
+      .reduce((sum, i) => sum + sizes[i], 0);
+  return {
+    pageNumber: page.pageNumber,
+    x: page.origin.x + offset(page.pageCols, colIdx, widths),
+    y: page.origin.y + offset(page.pageRows, rowIdx, heights),
+  };
+}
+
+/**
+ * Draws the cells of one page, then their borders. HTML documents lay the page
+ * out as a table instead.
+ * @param {Object} doc The document, from createDocument
+ * @param {Object} layout The layout of the sheet
+ * @param {Object} page The page, from layoutPage
+ * @returns {Array<Object>} The hyperlinks of the drawn cells: { x, y, width, height, hyperlink }
+ */
+function drawPage(doc, layout, page) {
+  if (doc.format === "html") {
+    doc.addTable(page, layout);
+    return page.links;
+  }
+  const { scale, fonts } = layout;
+  page.cells.forEach(({ cell, x, y, width, height }) =>
+    drawCell(doc, cell, x, y, width, height, { scale, fonts })
+  );
+  drawBorders(doc, page.grid, { scale });
+  return page.links;
+}
+
+/**
+ * Draws the headers, footers and watermarks of every page. They go on last,
+ * once the page count is known.
+ * @param {Object} doc The document, from createDocument
+ * @param {Object} placements Where each sheet was drawn: { layout, pages } by sheet
+ * @param {Object} options { filePath, watermarkImage, fontRegistry, report }: the input path
+ * for the file name fields, the watermark from loadWatermark, the font registry and the
+ * report that collects warnings
+ */
+function decoratePages(
+  doc,
+  placements,
+  { filePath, watermarkImage, fontRegistry, report }
+) {
+  // HTML pages are tables, without page margins to draw in
+  if (doc.format === "html") {
+    const headerFooterKeys = [
+      "oddHeader",
+      "oddFooter",
+      "evenHeader",
+      "evenFooter",
+      "firstHeader",
+      "firstFooter",
+    ];
+    Object.values(placements).forEach(({ layout }) => {
+      if (headerFooterKeys.some((key) => layout.headerFooter?.[key])) {
+        report.warn(
+          `Headers and footers of sheet "${layout.sheetName}" are left out of the HTML output`
+        );
       }
     });
+    if (watermarkImage) {
+      report.warn("The watermark is left out of the HTML output");
+    }
+    return;
+  }
+  const totalPages = doc.getNumberOfPages();
+  const date = new Date();
+  Object.values(placements).forEach(({ layout, pages }) =>
+    pages.forEach(({ pageNumber }, sheetPageIdx) => {
+      doc.setPage(pageNumber);
+      drawHeaderFooter(
+        doc,
+        layout.headerFooter,
+        {
+          pageNumber,
+          totalPages,
+          sheetPageIdx,
+          sheetName: layout.sheetName,
+          filePath,
+          date,
+        },
+        layout
+      );
+      if (watermarkImage) {
+        drawWatermark(doc, watermarkImage, { fonts: fontRegistry });
+      }
+    })
+  );
+  doc.setPage(totalPages);
+}
 
-    let y = margin;
-    const startX = margin;
+/**
+ * Converts the worksheets of a streamed workbook, drawing each page as soon as
+ * its rows are read, so only one page of rows is held in memory.
+ * Columns are sized from the first rows or set by columnWidths, and pages are
+ * MIN_HEIGHT_SIZE high unless given a pageSize. As the rows are not known in
+ * advance, fitting the page fits the width. Sheets come in the order they are
+ * stored in the file.
+ * The parts of a sheet stored after its rows, or not read while streaming, are
+ * left out: merged cells, hidden rows, conditional formatting, hyperlinks,
+ * images, charts and the page setup.
+ * @param {Object} workbookReader The ExcelJS WorkbookReader, from openWorkbookReader
+ * @param {Object} options Size limits and formatting options from convertExcelToPdf
+ * @returns {Promise<Object>} The document and where each sheet was drawn: { doc, placements },
+ * placements being { layout, pages } by lower-cased sheet name
+ */
+async function streamWorksheets(
+  workbookReader,
+  {
+    sheets,
+    includeHiddenSheets,
+    sheetBookmarks,
+    MAX_WIDTH_SIZE,
+    MIN_WIDTH_SIZE,
+    MIN_HEIGHT_SIZE,
+    useMinLimit,
+    fixedAt,
+    locale,
+    repeatHeaderRows,
+    widthStrategy,
+    range,
+    rowFilter,
+    header,
+    footer,
+    sampleRows,
+    columnWidths,
+    onProgress,
+    pageSize,
+    orientation,
+    fit,
+    margins,
+    outputFormat,
+    tempDoc,
+    fontRegistry,
+    report,
+  }
+) {
+  const page = resolveMargins(margins, PAGE_MARGINS);
+  const paper = resolvePageSize(pageSize, orientation);
+  // The theme is not read while streaming, theme colors use Office's
+  const theme = themeColors();
+  const requested = sheets === "all" ? null : [].concat(sheets);
+  let doc = null;
+  const placements = {};
 
-    // Process all rows
-    styledRows.forEach((row, rowIdx) => {
-      let x = startX; // Ensure x is initialized before use
-      // Check if content exceeds page height
-      if (enablePagination && y + rowHeight > pageHeight - margin) {
-        doc.addPage(); // Add new page
-        y = margin; // Reset vertical position
+  for await (const worksheetReader of workbookReader) {
+    const bookSheets = workbookReader.model?.sheets || [];
+    requested?.forEach((ref) => {
+      const exists =
+        typeof ref === "number"
+          ? ref >= 1 && ref <= bookSheets.length
+          : bookSheets.some(({ name }) => name === ref);
+      if (!exists) {
+        throw new ConversionError(
+          ERROR_CODES.SHEET_NOT_FOUND,
+          `Worksheet "${ref}" was not found in the workbook.`
+        );
       }
+    });
+    const sheetName = worksheetReader.name;
+    const position = bookSheets.findIndex(({ name }) => name === sheetName) + 1;
+    const hidden =
+      worksheetReader.state === "hidden" ||
+      worksheetReader.state === "veryHidden";
+    if (
+      (hidden && !includeHiddenSheets) ||
+      (requested &&
+        !requested.includes(sheetName) &&
+        !requested.includes(position))
+    ) {
+      continue;
+    }
 
-      // For very wide tables, we'll just use the original logic but with smaller cells if needed
-      row.forEach((cell, i) => {
-        // Check if cell is part of a merge
-        let isMerged = false;
-        let isMainMergeCell = false;
-        let mergeCols = 1;
-        let mergeRows = 1;
-
-        if (cell.mergeInfo) {
-          // Calculate merge range
-          const [start, end] = cell.mergeInfo.range.split(":");
-          const startCell = decodeCell(start);
-          const endCell = decodeCell(end);
-          mergeCols = endCell.col - startCell.col + 1;
-          mergeRows = endCell.row - startCell.row + 1;
-          isMerged = true;
-
-          // Only draw if we are in the main cell of the merge (top-left)
-          if (rowIdx + 1 === startCell.row && i + 1 === startCell.col) {
-            isMainMergeCell = true;
-          }
-        }
+    // Rows and columns of the range option, defined names from the workbook
+    const area = resolveRange(
+      { definedNames: { model: workbookReader.model?.definedNames || [] } },
+      range,
+      sheetName
+    );
+    const bounds = area ? area.split("&&").map(decodeRange) : null;
+    const inRange = (rowNumber) =>
+      !bounds ||
+      bounds.some(
+        ({ top, bottom }) =>
+          rowNumber >= (top ?? 1) && rowNumber <= (bottom ?? Infinity)
+      );
+    const headerRows = resolveHeaderRows(repeatHeaderRows, worksheetReader);
+    const isHeaderRow = (rowNumber) =>
+      !!headerRows &&
+      rowNumber >= headerRows.top &&
+      rowNumber <= headerRows.bottom;
 
-        // If it's a merged cell but not the main one, skip drawing
-        if (isMerged && !isMainMergeCell) {
-          x += colWidths[i] || 10 * 6 + padding;
-          return;
+    const placement = { layout: null, pages: [] };
+    placements[sheetName.toLowerCase()] = placement;
+    let layout = null;
+    // Column widths as drawn, scaled by the fit option
+    let widths = null;
+    const sample = [];
+    const titleRows = [];
+    let pageRows = [];
+    let rowsRead = 0;
+
+    // Lays out the sheet once the sample rows are read
+    const start = () => {
+      const lastCol =
+        columnWidths?.length ||
+        Math.max(1, ...sample.map((row) => row.cellCount));
+      const cols = [];
+      for (let c = 1; c <= lastCol; c++) {
+        if (
+          !bounds ||
+          bounds.some(
+            ({ left, right }) => c >= (left ?? 1) && c <= (right ?? lastCol)
+          )
+        ) {
+          cols.push(c);
         }
+      }
+      bounds?.forEach(({ right }) => {
+        for (let c = lastCol + 1; c <= (right ?? 0); c++) cols.push(c);
+      });
 
-        // Draw cell (merged or normal)
-        if (isMerged && isMainMergeCell) {
-          // Merged cell - calculate combined dimensions
-          const mergedWidth = colWidths
-            .slice(i, i + mergeCols)
-            .reduce((sum, w) => sum + w, 0);
-          const mergedHeight = rowHeight * mergeRows;
-
-          // Background
-          if (
-            cell.style.fill &&
-            cell.style.fill.fgColor &&
-            cell.style.fill.fgColor.argb
-          ) {
-            const hex = cell.style.fill.fgColor.argb.slice(2);
-            doc.setFillColor(`#${hex}`);
-            doc.rect(x, y, mergedWidth, mergedHeight, "F");
-          }
-
-          // Font and text configuration
-          const fontSize = cell.style.font?.size || 12;
-          const isBold = cell.style.font?.bold;
-          const isItalic = cell.style.font?.italic;
-
-          let fontStyle = "normal";
-          if (isBold && isItalic) fontStyle = "bolditalic";
-          else if (isBold) fontStyle = "bold";
-          else if (isItalic) fontStyle = "italic";
-
-          doc.setFont("helvetica", fontStyle);
-          doc.setFontSize(fontSize);
-
-          // Text color
-          const textColor = cell.style.font?.color?.argb
-            ? `#${cell.style.font.color.argb.slice(2)}`
-            : "#000000";
-          doc.setTextColor(textColor);
-
-          // Text positioning and alignment
-          const text = cell.text || "";
-          const align = cell.style.alignment?.horizontal || "left";
-          const textY = y + mergedHeight / 2 + fontSize / 3; // Centered vertically
-
-          if (align === "center") {
-            doc.text(text, x + mergedWidth / 2, textY, { align: "center" });
-          } else if (align === "right") {
-            doc.text(text, x + mergedWidth - 2, textY, { align: "right" });
-          } else {
-            doc.text(text, x + 2, textY);
-          }
-
-          // Borders
-          const borders = cell.style.border || {};
-          drawBorders(doc, x, y, mergedWidth, mergedHeight, borders);
-
-          // Update x correctly so cells align
-          x += colWidths[i] || 10 * 6 + padding; // Increment x by total width of merged cell
-        } else {
-          // Normal cell (not merged)
-          const cellWidth = colWidths[i] || 10 * 6 + padding;
-
-          // Background
-          if (
-            cell.style.fill &&
-            cell.style.fill.fgColor &&
-            cell.style.fill.fgColor.argb
-          ) {
-            const hex = cell.style.fill.fgColor.argb.slice(2);
-            doc.setFillColor(`#${hex}`);
-            doc.rect(x, y, cellWidth, rowHeight, "F");
-          }
-
-          // Font and text configuration
-          const fontSize = cell.style.font?.size || 12;
-          const isBold = cell.style.font?.bold;
-          const isItalic = cell.style.font?.italic;
-
-          let fontStyle = "normal";
-          if (isBold && isItalic) fontStyle = "bolditalic";
-          else if (isBold) fontStyle = "bold";
-          else if (isItalic) fontStyle = "italic";
-
-          doc.setFont("helvetica", fontStyle);
-          doc.setFontSize(fontSize);
-
-          // Text color
-          const textColor = cell.style.font?.color?.argb
-            ? `#${cell.style.font.color.argb.slice(2)}`
-            : "#000000";
-          doc.setTextColor(textColor);
-
-          // Text positioning and alignment
-          const text = cell.text || "";
-          const align = cell.style.alignment?.horizontal || "left";
-          const textY = y + rowHeight / 2 + fontSize / 3; // Centered vertically
-
-          if (align === "center") {
-            doc.text(text, x + cellWidth / 2, textY, { align: "center" });
-          } else if (align === "right") {
-            doc.text(text, x + cellWidth - 2, textY, { align: "right" });
-          } else {
-            doc.text(text, x + 2, textY);
-          }
-
-          // Borders
-          const borders = cell.style.border || {};
-          drawBorders(doc, x, y, cellWidth, rowHeight, borders);
-
-          // Update x correctly so cells align
-          x += cellWidth; // Increment x by total width of normal cell
+      let colWidths;
+      if (columnWidths) {
+        colWidths = cols.map((c) => columnWidths[c - 1] ?? CELL_PADDING);
+      } else {
+        colWidths = Array(cols.length).fill(CELL_PADDING);
+        sample.forEach((row) =>
+          readRow(row, cols).forEach((cell, idx) => {
+            colWidths[idx] = Math.max(
+              colWidths[idx],
+              cellContentWidth(tempDoc, cell, fontRegistry)
+            );
+          })
+        );
+        applyWidthStrategy(worksheetReader, cols, colWidths, widthStrategy);
+      }
+
+      const tableWidth = colWidths.reduce((sum, w) => sum + w, 0);
+      const marginWidth = page.left + page.right;
+      const [pageWidth, pageHeight] = paper || [
+        Math.min(
+          Math.max(tableWidth + marginWidth, useMinLimit ? MIN_WIDTH_SIZE : 0),
+          MAX_WIDTH_SIZE
+        ),
+        MIN_HEIGHT_SIZE,
+      ];
+      const scale = fitScale(
+        fit === "page" ? "width" : fit,
+        tableWidth,
+        0,
+        pageWidth - marginWidth,
+        0
+      );
+      widths = colWidths.map((w) => w * scale);
+      layout = {
+        sheetName,
+        cols,
+        colWidths,
+        scale,
+        fonts: fontRegistry,
+        margins: {
+          top: page.top,
+          right: page.right,
+          bottom: page.bottom,
+          left: page.left,
+        },
+        pageWidth,
+        pageHeight,
+        headerFooter: resolveHeaderFooter({}, header, footer),
+        headerMargin: page.header,
+        footerMargin: page.footer,
+      };
+      placement.layout = layout;
+      checkPageSize(sheetName, pageWidth, pageHeight);
+      reportClippedColumns(layout, widths, report);
+      sample.forEach(addRow);
+      sample.length = 0;
+    };
+
+    const readRow = (row, cols) =>
+      cols.map((colNumber) => ({
+        ...readCell(row.getCell(colNumber), fixedAt, locale, null, theme, {}),
+        mergeInfo: null,
+      }));
+
+    const addRow = (row) => {
+      const cells = readRow(row, layout.cols);
+      if (
+        rowFilter &&
+        !isHeaderRow(row.number) &&
+        !rowFilter(rowDetails(worksheetReader, row, layout.cols, cells))
+      ) {
+        return;
+      }
+      let height = row.height || ROW_HEIGHT;
+      if (!row.height) {
+        cells.forEach((cell, idx) => {
+          if (!cell.text) return;
+          height = Math.max(
+            height,
+            cellContentHeight(
+              tempDoc,
+              cell,
+              layout.colWidths[idx],
+              fontRegistry
+            )
+          );
+        });
+      }
+      const entry = {
+        rowNumber: row.number,
+        cells,
+        height: height * layout.scale,
+      };
+
+      const available =
+        layout.pageHeight - layout.margins.top - layout.margins.bottom;
+      const used = pageRows.reduce((sum, r) => sum + r.height, 0);
+      const hasBody = pageRows.some((r) => !titleRows.includes(r));
+      if (hasBody && used + entry.height > available) {
+        drawStreamedPage();
+        // Header rows are repeated at the top of every page
+        pageRows = [...titleRows];
+      }
+      pageRows.push(entry);
+      if (isHeaderRow(row.number)) titleRows.push(entry);
+    };
+
+    const drawStreamedPage = () => {
+      const { pageWidth, pageHeight } = layout;
+      if (!doc) {
+        doc = createDocument(outputFormat, pageWidth, pageHeight, {
+          fontRegistry,
+          tempDoc,
+        });
+      } else {
+        doc.addPage(
+          [pageWidth, pageHeight],
+          pageWidth > pageHeight ? "landscape" : "portrait"
+        );
+      }
+      const pageNumber = doc.getNumberOfPages();
+      if (sheetBookmarks && placement.pages.length === 0) {
+        doc.outline.add(null, sheetName, { pageNumber });
+      }
+      placement.pages.push({ pageNumber });
+
+      // A layout of just this page's rows, for drawPage
+      const pageLayout = {
+        ...layout,
+        styledRows: pageRows.map((r) => r.cells),
+        rows: pageRows.map((r) => r.rowNumber),
+      };
+      const links = drawPage(
+        doc,
+        pageLayout,
+        layoutPage(
+          pageLayout,
+          widths,
+          pageRows.map((r) => r.height),
+          pageRows.map((_, idx) => idx),
+          layout.cols.map((_, idx) => idx),
+          { x: layout.margins.left, y: layout.margins.top }
+        )
+      );
+      links.forEach(({ hyperlink, x, y, width, height }) => {
+        if (!hyperlink.startsWith("#")) {
+          doc.link(x, y, width, height, { url: hyperlink });
         }
       });
-      y += rowHeight;
-    });
+      // jsPDF keeps a page as many small strings, which take far more memory
+      // than the page itself; it joins them the same way when saving
+      if (doc.internal?.pages) {
+        doc.internal.pages[pageNumber] = [
+          doc.internal.pages[pageNumber].join("\n"),
+        ];
+      }
+      onProgress?.({ sheetName, rows: rowsRead, pages: pageNumber });
+    };
 
-    // Save PDF
-    doc.save(outputFilePath);
-  } catch (error) {
-    throw new Error(`Error processing Excel file: ${error.message}`);
+    for await (const row of worksheetReader) {
+      if (!inRange(row.number)) continue;
+      rowsRead++;
+      if (layout) {
+        addRow(row);
+      } else {
+        sample.push(row);
+        if (sample.length >= sampleRows) start();
+      }
+    }
+    if (!layout) start();
+    // Every sheet has at least one page
+    if (
+      pageRows.some((r) => !titleRows.includes(r)) ||
+      placement.pages.length === 0
+    ) {
+      drawStreamedPage();
+    }
+  }
+
+  if (!doc) {
+    throw new ConversionError(
+      ERROR_CODES.SHEET_NOT_FOUND,
+      "No visible worksheets to convert."
+    );
   }
+  return { doc, placements };
 }
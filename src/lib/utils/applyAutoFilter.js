@@ -0,0 +1,191 @@
+import { decodeRange } from "./decodeRange.js";
+import { dateToSerial } from "./formatNumber.js";
+
+// Date parts compared by each date grouping, from the coarsest
+const DATE_PARTS = ["year", "month", "day", "hour", "minute", "second"];
+
+/**
+ * Finds the rows an AutoFilter hides
+ * Supports value lists (with blanks and date groups), custom conditions with
+ * wildcards, top and bottom items or percents, above and below average and the
+ * date periods Excel saves with their bounds. Other criteria keep every row.
+ * @param {Object} autoFilter - The AutoFilter, from readAutoFilters
+ * @param {Function} cellAt - Called with a sheet row and column, returns the cell's
+ * { value, text }: its value (a number, string, boolean, Date or null) and displayed text
+ * @returns {Set<number>} The sheet rows the filter hides
+ */
+export function applyAutoFilter(autoFilter, cellAt) {
+  const hidden = new Set();
+  const { top, left, bottom } = decodeRange(autoFilter.ref);
+  // The first row holds the filter buttons
+  const dataRows = [];
+  for (let row = top + 1; row <= bottom; row++) dataRows.push(row);
+
+  autoFilter.columns.forEach((column) => {
+    const col = left + column.colId;
+    const cells = dataRows.map((row) => cellAt(row, col));
+    const matches = columnMatcher(column, cells);
+    dataRows.forEach((row, idx) => {
+      if (!matches(cells[idx])) hidden.add(row);
+    });
+  });
+  return hidden;
+}
+
+/**
+ * Builds the test of a filter column, from the cells it filters
+ */
+function columnMatcher(column, cells) {
+  const tests = [];
+  if (column.values) {
+    const values = new Set(column.values);
+    tests.push(
+      (cell) =>
+        values.has(cell.text.toLowerCase()) ||
+        (column.blank && cell.text.trim() === "") ||
+        column.dateGroups.some((group) => matchesDateGroup(group, cell.value))
+    );
+  }
+  if (column.custom) {
+    const { and, conditions } = column.custom;
+    tests.push((cell) =>
+      and
+        ? conditions.every((condition) => matchesCondition(condition, cell))
+        : conditions.some((condition) => matchesCondition(condition, cell))
+    );
+  }
+  if (column.top10) {
+    tests.push(top10Matcher(column.top10, cells));
+  }
+  if (column.dynamic) {
+    tests.push(dynamicMatcher(column.dynamic, cells));
+  }
+  return (cell) => tests.every((test) => test(cell));
+}
+
+function matchesCondition({ operator, val }, cell) {
+  const target = val.trim() !== "" && !isNaN(Number(val)) ? Number(val) : null;
+  const number = numberOf(cell.value);
+  let order;
+  if (target !== null) {
+    // Numbers compare with numbers only
+    if (number === null) return operator === "notEqual";
+    order = number - target;
+  } else if (operator === "equal" || operator === "notEqual") {
+    const equal = wildcardPattern(val).test(cell.text);
+    return operator === "equal" ? equal : !equal;
+  } else {
+    order = cell.text.localeCompare(val, undefined, { sensitivity: "base" });
+  }
+
+  switch (operator) {
+    case "equal":
+      return order === 0;
+    case "notEqual":
+      return order !== 0;
+    case "lessThan":
+      return order < 0;
+    case "lessThanOrEqual":
+      return order <= 0;
+    case "greaterThan":
+      return order > 0;
+    case "greaterThanOrEqual":
+      return order >= 0;
+  }
+  return true;
+}
+
+/**
+ * Turns a filter value with * and ? wildcards (~ escaping them) into a regex
+ */
+function wildcardPattern(val) {
+  let source = "";
+  for (let i = 0; i < val.length; i++) {
+    const char = val[i];
+    if (char === "~" && i < val.length - 1) {
+      source += val[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "*") {
+      source += "[\\s\\S]*";
+    } else if (char === "?") {
+      source += "[\\s\\S]";
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+function matchesDateGroup(group, value) {
+  if (!(value instanceof Date)) return false;
+  const parts = {
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth() + 1,
+    day: value.getUTCDate(),
+    hour: value.getUTCHours(),
+    minute: value.getUTCMinutes(),
+    second: value.getUTCSeconds(),
+  };
+  const depth = DATE_PARTS.indexOf(group.grouping);
+  return DATE_PARTS.slice(0, depth + 1).every(
+    (part) => group[part] === null || group[part] === parts[part]
+  );
+}
+
+function top10Matcher({ top, percent, val, filterVal }, cells) {
+  let threshold = filterVal;
+  if (threshold === null) {
+    const numbers = cells
+      .map((cell) => numberOf(cell.value))
+      .filter((number) => number !== null)
+      .sort((a, b) => (top ? b - a : a - b));
+    if (numbers.length === 0) return () => false;
+    const count = percent ? Math.ceil((numbers.length * val) / 100) : val;
+    threshold = numbers[Math.min(Math.max(count, 1), numbers.length) - 1];
+  }
+  return (cell) => {
+    const number = numberOf(cell.value);
+    return number !== null && (top ? number >= threshold : number <= threshold);
+  };
+}
+
+function dynamicMatcher({ type, val, maxVal }, cells) {
+  if (type === "aboveAverage" || type === "belowAverage") {
+    let average = val;
+    if (average === null) {
+      const numbers = cells
+        .map((cell) => numberOf(cell.value))
+        .filter((number) => number !== null);
+      average = numbers.reduce((sum, n) => sum + n, 0) / (numbers.length || 1);
+    }
+    return (cell) => {
+      const number = numberOf(cell.value);
+      if (number === null) return false;
+      return type === "aboveAverage" ? number > average : number < average;
+    };
+  }
+
+  // Months (M1 to M12) and quarters (Q1 to Q4) of any year
+  const period = /^([MQ])(\d+)$/.exec(type || "");
+  if (period) {
+    const index = Number(period[2]);
+    return (cell) => {
+      if (!(cell.value instanceof Date)) return false;
+      const month = cell.value.getUTCMonth();
+      return period[1] === "M"
+        ? month + 1 === index
+        : Math.floor(month / 3) + 1 === index;
+    };
+  }
+
+  // Other periods (today, last month, year to date, ...) have their bounds saved
+  if (val === null || maxVal === null) return () => true;
+  return (cell) => {
+    const number = numberOf(cell.value);
+    return number !== null && number >= val && number < maxVal;
+  };
+}
+
+function numberOf(value) {
+  if (value instanceof Date) return dateToSerial(value);
+  return typeof value === "number" ? value : null;
+}
@@ -0,0 +1,32 @@
+import { dateToSerial } from "./formatNumber.js";
+
+/**
+ * Reads the value of a cell as formulas see it
+ * Formula cells give their cached result, rich text and hyperlinks their text,
+ * and dates their serial number.
+ * @param {Object} cell - The ExcelJS cell
+ * @returns {number|string|boolean|Object|null} The value, an { error } object or null when blank
+ */
+export function cellValue(cell) {
+  let value = cell?.value;
+
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    if (value.formula || value.sharedFormula) {
+      // cell.value leaves out falsy results such as 0
+      value = cell.result;
+    } else if (Array.isArray(value.richText)) {
+      value = value.richText.map((part) => part.text || "").join("");
+    } else if (value.text !== undefined) {
+      value = value.text;
+    } else if (value.error) {
+      return { error: value.error };
+    } else {
+      value = null;
+    }
+  }
+
+  if (value instanceof Date) {
+    return dateToSerial(value);
+  }
+  return value ?? null;
+}
@@ -0,0 +1,393 @@
+import { decodeRange } from "./decodeRange.js";
+import { cellValue } from "./cellValue.js";
+import { evaluateFormula } from "./evaluateFormula.js";
+import { toBoolean, isError } from "./formulaValues.js";
+import { resolveColor, themeColors } from "./resolveColor.js";
+
+// Excel's default colors when a rule leaves them out
+const DEFAULT_BAR_COLOR = "638EC6";
+const DEFAULT_SCALE_COLORS = ["F8696B", "FFEB84", "63BE7B"];
+
+/**
+ * Evaluates the conditional formatting rules of a worksheet against its cell values
+ * Rules are applied in priority order: a higher priority rule wins each style
+ * property (font color, fill, ...), and only the first data bar and icon set apply.
+ * A highlight rule with stopIfTrue keeps the lower priority rules off the cells it matches.
+ * @param {Object} worksheet - The ExcelJS worksheet
+ * @param {Object} workbook - The workbook, for references to other sheets and its theme colors
+ * @param {number[]} [stopIfTrue] - Priorities of the stopIfTrue rules, which ExcelJS leaves out
+ * @returns {Object} Results by "row-col" key: { style, dataBar, icon }, where style holds
+ * font, fill and border overrides, dataBar is { ratio, color, gradient } and icon is
+ * { iconSet, index, showValue }
+ */
+export function evaluateConditionalFormatting(
+  worksheet,
+  workbook,
+  stopIfTrue = []
+) {
+  const results = {};
+  const rules = [];
+  // Cells matched by a stopIfTrue rule, by "row-col" key
+  const stopped = new Set();
+  const theme = themeColors(workbook);
+
+  (worksheet.conditionalFormattings || []).forEach(({ ref, rules: list }) => {
+    const ranges = String(ref)
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((area) => clampRange(decodeRange(area), worksheet));
+    (list || []).forEach((rule) => rules.push({ rule, ranges }));
+  });
+  // Lower numbers are higher priorities
+  rules.sort(
+    (a, b) => (a.rule.priority ?? Infinity) - (b.rule.priority ?? Infinity)
+  );
+
+  const getCell = (sheet, row, col) => {
+    const target = sheet ? workbook?.getWorksheet(sheet) : worksheet;
+    if (!target) return { error: "#REF!" };
+    return cellValue(target.findCell(row, col));
+  };
+  const getRange = (sheet, top, left, bottom, right) => {
+    const target = sheet ? workbook?.getWorksheet(sheet) : worksheet;
+    if (!target) return [[{ error: "#REF!" }]];
+    const values = [];
+    for (let r = top ?? 1; r <= (bottom ?? target.rowCount); r++) {
+      const row = [];
+      for (let c = left ?? 1; c <= (right ?? target.columnCount); c++) {
+        row.push(cellValue(target.findCell(r, c)));
+      }
+      values.push(row);
+    }
+    return values;
+  };
+
+  rules.forEach(({ rule, ranges }) => {
+    const cells = [];
+    ranges.forEach(({ top, left, bottom, right }) => {
+      for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+          cells.push({ row, col, value: getCell(undefined, row, col) });
+        }
+      }
+    });
+    const numbers = cells
+      .map(({ value }) => value)
+      .filter((value) => typeof value === "number");
+    const origin = ranges[0] && { row: ranges[0].top, col: ranges[0].left };
+    // Stopped cells still count in the averages, ranks and scales of the range
+    const targets = cells.filter(
+      ({ row, col }) => !stopped.has(`${row}-${col}`)
+    );
+    const resultOf = ({ row, col }) => {
+      const key = `${row}-${col}`;
+      results[key] = results[key] || { style: {} };
+      return results[key];
+    };
+
+    switch (rule.type) {
+      case "cellIs":
+      case "expression":
+      case "containsText":
+      case "top10":
+      case "aboveAverage": {
+        const matches = ruleMatcher(rule, numbers, origin, getCell, getRange);
+        const stops = rule.stopIfTrue || stopIfTrue.includes(rule.priority);
+        targets.forEach((cell) => {
+          if (!matches(cell)) return;
+          mergeStyle(resultOf(cell).style, rule.style);
+          if (stops) stopped.add(`${cell.row}-${cell.col}`);
+        });
+        break;
+      }
+      case "colorScale":
+        targets.forEach((cell) => {
+          const color = scaleColor(rule, cell.value, numbers, theme);
+          const { style } = resultOf(cell);
+          if (color && !style.fill) {
+            style.fill = {
+              type: "pattern",
+              pattern: "solid",
+              fgColor: { argb: `FF${color}` },
+            };
+          }
+        });
+        break;
+      case "dataBar":
+        targets.forEach((cell) => {
+          const bar = dataBar(rule, cell.value, numbers, theme);
+          const result = resultOf(cell);
+          if (bar && !result.dataBar) result.dataBar = bar;
+        });
+        break;
+      case "iconSet":
+        targets.forEach((cell) => {
+          const icon = iconOf(rule, cell.value, numbers);
+          const result = resultOf(cell);
+          if (icon && !result.icon) result.icon = icon;
+        });
+        break;
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Builds the predicate deciding which cells a highlight rule applies to
+ */
+function ruleMatcher(rule, numbers, origin, getCell, getRange) {
+  const formulaAt = (formula, { row, col }) =>
+    evaluateFormula(formula, {
+      getCell,
+      getRange,
+      offset: { rows: row - origin.row, cols: col - origin.col },
+    });
+
+  switch (rule.type) {
+    case "cellIs":
+      return (cell) => {
+        if (cell.value == null || isError(cell.value)) return false;
+        const [first, second] = (rule.formulae || []).map((formula) =>
+          formulaAt(String(formula), cell)
+        );
+        return compareCell(rule.operator, cell.value, first, second);
+      };
+    case "expression":
+    case "containsText":
+      return (cell) => {
+        const formula = rule.formulae?.[0];
+        if (formula == null) return false;
+        try {
+          return toBoolean(formulaAt(String(formula), cell));
+        } catch (error) {
+          return false;
+        }
+      };
+    case "top10": {
+      const sorted = [...numbers].sort((a, b) => (rule.bottom ? a - b : b - a));
+      const rank = rule.rank ?? 10;
+      const count = rule.percent
+        ? Math.max(1, Math.floor((sorted.length * rank) / 100))
+        : rank;
+      const threshold = sorted[Math.min(count, sorted.length) - 1];
+      return ({ value }) =>
+        typeof value === "number" &&
+        (rule.bottom ? value <= threshold : value >= threshold);
+    }
+    case "aboveAverage": {
+      const average =
+        numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+      // The attribute is left out for the default, above average
+      const above = rule.aboveAverage !== false;
+      return ({ value }) =>
+        typeof value === "number" &&
+        (above ? value > average : value < average);
+    }
+  }
+  return () => false;
+}
+
+/**
+ * Compares a cell value with the rule operands of a cellIs rule
+ */
+function compareCell(operator, value, first, second) {
+  const compare = (a, b) => {
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    if (a == null || b == null || isError(b)) return NaN;
+    const left = String(a).toLowerCase();
+    const right = String(b).toLowerCase();
+    return left < right ? -1 : left > right ? 1 : 0;
+  };
+
+  switch (operator) {
+    case "equal":
+      return compare(value, first) === 0;
+    case "notEqual":
+      return compare(value, first) !== 0;
+    case "greaterThan":
+      return compare(value, first) > 0;
+    case "lessThan":
+      return compare(value, first) < 0;
+    case "greaterThanOrEqual":
+      return compare(value, first) >= 0;
+    case "lessThanOrEqual":
+      return compare(value, first) <= 0;
+    case "between":
+    case "notBetween": {
+      const [low, high] =
+        compare(first, second) > 0 ? [second, first] : [first, second];
+      const inside = compare(value, low) >= 0 && compare(value, high) <= 0;
+      return operator === "between" ? inside : !inside;
+    }
+  }
+  return false;
+}
+
+/**
+ * Merges a rule style into the conditional style, keeping properties set by higher priority rules
+ */
+function mergeStyle(target, style) {
+  if (!style) return;
+
+  if (style.font) {
+    target.font = { ...style.font, ...target.font };
+  }
+  // Differential fills keep the solid color in bgColor
+  if (style.fill && !target.fill) {
+    const { fill } = style;
+    target.fill =
+      fill.type === "pattern" && (!fill.pattern || fill.pattern === "solid")
+        ? {
+            type: "pattern",
+            pattern: "solid",
+            fgColor: fill.bgColor || fill.fgColor,
+          }
+        : fill;
+  }
+  if (style.border) {
+    target.border = { ...style.border, ...target.border };
+  }
+}
+
+/**
+ * Resolves a threshold (cfvo) of a color scale, data bar or icon set to a number
+ */
+function thresholdValue(cfvo, numbers) {
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  const value = Number(cfvo?.value);
+
+  switch (cfvo?.type) {
+    case "min":
+      return min;
+    case "max":
+      return max;
+    case "autoMin":
+      return Math.min(0, min);
+    case "autoMax":
+      return Math.max(0, max);
+    case "percent":
+      return min + ((max - min) * value) / 100;
+    case "percentile":
+      return percentile(numbers, value / 100);
+    case "num":
+    case "formula":
+      return Number.isFinite(value) ? value : null;
+  }
+  return null;
+}
+
+/**
+ * Computes a percentile with linear interpolation, like PERCENTILE.INC
+ */
+function percentile(numbers, fraction) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * Math.min(1, Math.max(0, fraction));
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Computes the fill color of a value in a 2 or 3 color scale
+ */
+function scaleColor(rule, value, numbers, theme) {
+  if (typeof value !== "number" || numbers.length === 0) return null;
+
+  const stops = (rule.cfvo || []).map((cfvo) => thresholdValue(cfvo, numbers));
+  const defaults =
+    stops.length === 2
+      ? [DEFAULT_SCALE_COLORS[0], DEFAULT_SCALE_COLORS[2]]
+      : DEFAULT_SCALE_COLORS;
+  const colors = stops.map(
+    (_, idx) => resolveColor(rule.color?.[idx], theme) || defaults[idx]
+  );
+  if (stops.length < 2 || stops.some((stop) => stop == null)) return null;
+
+  if (value <= stops[0]) return colors[0];
+  for (let i = 1; i < stops.length; i++) {
+    if (value <= stops[i]) {
+      const span = stops[i] - stops[i - 1];
+      const ratio = span > 0 ? (value - stops[i - 1]) / span : 1;
+      return mixColors(colors[i - 1], colors[i], ratio);
+    }
+  }
+  return colors[colors.length - 1];
+}
+
+/**
+ * Computes the length of a data bar, as a fraction of the cell width
+ */
+function dataBar(rule, value, numbers, theme) {
+  if (typeof value !== "number" || numbers.length === 0) return null;
+
+  const [low, high] = (rule.cfvo || []).map((cfvo) =>
+    thresholdValue(cfvo, numbers)
+  );
+  const min = low ?? Math.min(...numbers);
+  const max = high ?? Math.max(...numbers);
+  const position =
+    max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 1;
+  // Bars span 10% to 90% of the cell unless the rule says otherwise
+  const minLength = (rule.minLength ?? 10) / 100;
+  const maxLength = (rule.maxLength ?? 90) / 100;
+
+  return {
+    ratio: minLength + (maxLength - minLength) * position,
+    color: resolveColor(rule.color, theme) || DEFAULT_BAR_COLOR,
+    gradient: rule.gradient !== false,
+  };
+}
+
+/**
+ * Picks the icon of a value: the last threshold the value reaches
+ */
+function iconOf(rule, value, numbers) {
+  if (typeof value !== "number" || numbers.length === 0) return null;
+
+  const thresholds = (rule.cfvo || []).map((cfvo) =>
+    thresholdValue(cfvo, numbers)
+  );
+  let index = 0;
+  for (let i = 1; i < thresholds.length; i++) {
+    if (thresholds[i] != null && value >= thresholds[i]) index = i;
+  }
+  if (rule.reverse) {
+    index = thresholds.length - 1 - index;
+  }
+
+  return {
+    iconSet: rule.iconSet || "3TrafficLights1",
+    index,
+    showValue: rule.showValue !== false,
+  };
+}
+
+/**
+ * Mixes two RRGGBB colors
+ */
+function mixColors(from, to, ratio) {
+  return [0, 2, 4]
+    .map((offset) => {
+      const a = parseInt(from.slice(offset, offset + 2), 16);
+      const b = parseInt(to.slice(offset, offset + 2), 16);
+      return Math.round(a + (b - a) * ratio)
+        .toString(16)
+        .padStart(2, "0");
+    })
+    .join("")
+    .toUpperCase();
+}
+
+/**
+ * Limits whole-row and whole-column ranges to the used part of the sheet
+ */
+function clampRange({ top, left, bottom, right }, worksheet) {
+  return {
+    top: top ?? 1,
+    left: left ?? 1,
+    bottom: Math.min(bottom ?? worksheet.rowCount, worksheet.rowCount),
+    right: Math.min(right ?? worksheet.columnCount, worksheet.columnCount),
+  };
+}
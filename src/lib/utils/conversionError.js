@@ -0,0 +1,41 @@
+/**
+ * Codes of the errors a conversion fails with
+ */
+export const ERROR_CODES = {
+  // The input file, a font file or the watermark image does not exist
+  FILE_NOT_FOUND: "FILE_NOT_FOUND",
+  // No input was given, or one of a type that cannot be read
+  INVALID_INPUT: "INVALID_INPUT",
+  // The input is not in a format the converter reads
+  UNSUPPORTED_FORMAT: "UNSUPPORTED_FORMAT",
+  // The input is a zip package that ExcelJS cannot read as a workbook
+  CORRUPT_XLSX: "CORRUPT_XLSX",
+  // The input is an ods, xls or csv file that cannot be read
+  CORRUPT_INPUT: "CORRUPT_INPUT",
+  // An option has a value that cannot be used
+  INVALID_OPTION: "INVALID_OPTION",
+  // A requested worksheet is missing, or no worksheet is visible
+  SHEET_NOT_FOUND: "SHEET_NOT_FOUND",
+  // The layout needs a page larger than a PDF allows
+  LAYOUT_OVERFLOW: "LAYOUT_OVERFLOW",
+  // An optional package the requested output needs is not installed
+  MISSING_DEPENDENCY: "MISSING_DEPENDENCY",
+  // Any other failure while converting
+  CONVERSION_FAILED: "CONVERSION_FAILED",
+};
+
+/**
+ * An error a conversion failed with, its code telling the kind of failure
+ */
+export class ConversionError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - The error message
+   * @param {Object} options - { cause }: the error that led to this one
+   */
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = "ConversionError";
+    this.code = code;
+  }
+}
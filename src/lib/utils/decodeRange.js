@@ -0,0 +1,52 @@
+import { decodeCell } from "./decodeCell.js";
+
+/**
+ * Decodes Excel-style range references to their bounds
+ * Accepts cell ranges ('A1:C10'), row ranges ('1:2'), column ranges ('A:B'),
+ * single cells, absolute markers ('$A$1') and sheet prefixes ("'Sheet 1'!A1:B2").
+ * Open sides of row and column ranges are returned as null.
+ * @param {string} ref - The range reference
+ * @returns {Object} An object with top, left, bottom and right bounds
+ * @throws {Error} If the range reference is invalid
+ */
+export function decodeRange(ref) {
+  const clean = String(ref)
+    .replace(/^.*!/, "")
+    .replace(/\$/g, "")
+    .trim()
+    .toUpperCase();
+  const [start, end = start] = clean.split(":");
+
+  // Row range, e.g. '1:2'
+  if (/^\d+$/.test(start) && /^\d+$/.test(end)) {
+    const top = parseInt(start, 10);
+    const bottom = parseInt(end, 10);
+    return {
+      top: Math.min(top, bottom),
+      left: null,
+      bottom: Math.max(top, bottom),
+      right: null,
+    };
+  }
+
+  // Column range, e.g. 'A:B'
+  if (/^[A-Z]+$/.test(start) && /^[A-Z]+$/.test(end)) {
+    const left = decodeCell(`${start}1`).col;
+    const right = decodeCell(`${end}1`).col;
+    return {
+      top: null,
+      left: Math.min(left, right),
+      bottom: null,
+      right: Math.max(left, right),
+    };
+  }
+
+  const startCell = decodeCell(start);
+  const endCell = decodeCell(end);
+  return {
+    top: Math.min(startCell.row, endCell.row),
+    left: Math.min(startCell.col, endCell.col),
+    bottom: Math.max(startCell.row, endCell.row),
+    right: Math.max(startCell.col, endCell.col),
+  };
+}
@@ -0,0 +1,98 @@
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Input formats the converter reads
+ */
+export const INPUT_FORMATS = ["xlsx", "ods", "xls", "csv"];
+
+// File extensions of delimited text files
+const TEXT_EXTENSIONS = /\.(csv|tsv|tab|txt)$/i;
+
+// Mime type an OpenDocument spreadsheet stores first in its zip package
+const ODS_MIMETYPE = "application/vnd.oasis.opendocument.spreadsheet";
+
+/**
+ * Detects the format of the input data
+ * The content decides: zip packages are xlsx, or ods when their mimetype entry
+ * says so, and compound documents are legacy xls. Other data is read as CSV when
+ * the file has a text extension, or when it has no name and looks like text;
+ * files named like a workbook are never read as CSV.
+ * @param {ArrayBuffer|Uint8Array} data - The input data, or at least its first bytes
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.fileName] - Name or path of the input file, for its extension
+ * @param {string} [options.inputFormat] - A format to use instead of detecting it
+ * @returns {string} One of INPUT_FORMATS
+ * @throws {ConversionError} If the inputFormat option is invalid or the format is not supported
+ */
+export function detectInputFormat(data, { fileName, inputFormat } = {}) {
+  if (inputFormat != null) {
+    const format = String(inputFormat).toLowerCase().replace(/^\./, "");
+    if (format === "xlsm") return "xlsx";
+    if (format === "tsv") return "csv";
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Unsupported inputFormat: ${inputFormat}`
+      );
+    }
+    return format;
+  }
+
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) {
+    // The mimetype entry comes first and uncompressed, its name at offset 30
+    const nameLength = bytes[26] | (bytes[27] << 8);
+    const extraLength = bytes[28] | (bytes[29] << 8);
+    const name = latin1(bytes, 30, nameLength);
+    const start = 30 + nameLength + extraLength;
+    const content = latin1(bytes, start, ODS_MIMETYPE.length);
+    return name === "mimetype" && content === ODS_MIMETYPE ? "ods" : "xlsx";
+  }
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return "xls";
+  }
+  if (fileName ? TEXT_EXTENSIONS.test(fileName) : looksLikeText(bytes)) {
+    return "csv";
+  }
+  throw new ConversionError(
+    ERROR_CODES.UNSUPPORTED_FORMAT,
+    "The input is not an xlsx, ods, xls or csv file."
+  );
+}
+
+function startsWith(bytes, signature) {
+  return (
+    bytes.length >= signature.length &&
+    signature.every((byte, idx) => bytes[idx] === byte)
+  );
+}
+
+function latin1(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Text has no control characters other than tabs and line breaks, except
+ * UTF-16 text, which starts with a byte order mark. Markup such as an HTML
+ * error page is text too, but no CSV.
+ */
+function looksLikeText(bytes) {
+  if (bytes.length === 0) return false;
+  if (startsWith(bytes, [0xff, 0xfe]) || startsWith(bytes, [0xfe, 0xff])) {
+    return true;
+  }
+  const start = startsWith(bytes, [0xef, 0xbb, 0xbf]) ? 3 : 0;
+  const sample = bytes.subarray(start, start + 8192);
+  const firstChar = sample.find(
+    (byte) => byte !== 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d
+  );
+  // "<" starts a markup document
+  if (firstChar === 0x3c) return false;
+  return !sample.some(
+    (byte) => byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d
+  );
+}
@@ -1,41 +1,193 @@
 /**
- * Draws borders around a cell in a PDF document using jsPDF
+ * Line widths and dash patterns of the ExcelJS border styles, in unscaled points.
+ * Listed from the lightest to the heaviest: when two cells set the edge they
+ * share, the heavier border wins, as in Excel.
+ */
+export const BORDER_STYLES = {
+  hair: { width: 0.5, dash: [0.75, 0.75] },
+  dotted: { width: 0.75, dash: [0.75, 1.5] },
+  dashDotDot: { width: 0.75, dash: [3, 1.5, 0.75, 1.5, 0.75, 1.5] },
+  dashDot: { width: 0.75, dash: [3, 1.5, 0.75, 1.5] },
+  dashed: { width: 0.75, dash: [3, 1.5] },
+  thin: { width: 0.75 },
+  mediumDashDotDot: { width: 1.5, dash: [6, 2, 1.5, 2, 1.5, 2] },
+  slantDashDot: { width: 1.5, dash: [6, 1, 3, 1] },
+  mediumDashDot: { width: 1.5, dash: [6, 2, 1.5, 2] },
+  mediumDashed: { width: 1.5, dash: [6, 2] },
+  medium: { width: 1.5 },
+  // Two thin lines, this far apart from center to center
+  double: { width: 0.5, gap: 1.5 },
+  thick: { width: 2.25 },
+};
+const STYLE_RANK = Object.keys(BORDER_STYLES);
+
+/**
+ * Draws the borders of a page of cells in a PDF document using jsPDF
+ * Borders are drawn once per edge: where two cells share an edge, the heavier
+ * of their borders is drawn. Consecutive edges with the same border are drawn
+ * as one line, so dash patterns run on across cells. Diagonal borders are drawn
+ * across the whole cell, or merged block.
  * @param {jsPDF} doc - The jsPDF document instance
- * @param {number} x - The x coordinate of the cell
- * @param {number} y - The y coordinate of the cell
- * @param {number} width - The width of the cell
- * @param {number} height - The height of the cell
- * @param {Object} borders - The border styles object containing top, left, bottom, right properties
+ * @param {Array<Array<Object>>} grid - The page cells by row and column:
+ * { x, y, width, height, border, owner }, where border is the ExcelJS border of the
+ * cell and owner is shared by the cells of a merged block (no edges are drawn between them)
+ * @param {Object} options - { scale }: scale factor applied to line widths and dashes (default: 1)
  */
-export function drawBorders(doc, x, y, width, height, borders) {
-  if (!borders) return;
-
-  const sides = ["top", "left", "bottom", "right"];
-  
-  sides.forEach((side) => {
-    const border = borders[side];
-    if (border && border.style && border.style.toLowerCase() !== "none") {
-      const color = border.color?.argb 
-        ? `#${border.color.argb.slice(2)}` 
-        : "#000000";
-      
-      doc.setDrawColor(color);
-      doc.setLineWidth(1);
-
-      switch (side) {
-        case "top":
-          doc.line(x, y, x + width, y);
-          break;
-        case "left":
-          doc.line(x, y, x, y + height);
-          break;
-        case "bottom":
-          doc.line(x, y + height, x + width, y + height);
-          break;
-        case "right":
-          doc.line(x + width, y, x + width, y + height);
-          break;
+export function drawBorders(doc, grid, { scale = 1 } = {}) {
+  if (grid.length === 0 || grid[0].length === 0) return;
+  const rowCount = grid.length;
+  const colCount = grid[0].length;
+  const at = (i, j) =>
+    i >= 0 && i < rowCount && j >= 0 && j < colCount ? grid[i][j] : null;
+  const sideOf = (cell, neighbour, side) =>
+    cell && (!neighbour || neighbour.owner !== cell.owner)
+      ? cell.border?.[side]
+      : null;
+
+  // Diagonals first, so the edges are drawn over their ends
+  const blocks = new Map();
+  grid.forEach((cells) =>
+    cells.forEach((cell) => {
+      const block = blocks.get(cell.owner);
+      if (!block) {
+        blocks.set(cell.owner, {
+          x: cell.x,
+          y: cell.y,
+          right: cell.x + cell.width,
+          bottom: cell.y + cell.height,
+          diagonal: cell.border?.diagonal,
+        });
+        return;
       }
+      block.right = Math.max(block.right, cell.x + cell.width);
+      block.bottom = Math.max(block.bottom, cell.y + cell.height);
+    })
+  );
+  blocks.forEach(({ x, y, right, bottom, diagonal }) => {
+    if (!isVisible(diagonal)) return;
+    if (diagonal.up) {
+      strokeLine(doc, diagonal, x, bottom, right, y, scale);
+    }
+    if (diagonal.down) {
+      strokeLine(doc, diagonal, x, y, right, bottom, scale);
     }
   });
-}
\ No newline at end of file
+
+  // Horizontal edges, line by line
+  for (let i = 0; i <= rowCount; i++) {
+    const runs = [];
+    for (let j = 0; j < colCount; j++) {
+      const above = at(i - 1, j);
+      const below = at(i, j);
+      const border = heavier(
+        sideOf(above, below, "bottom"),
+        sideOf(below, above, "top")
+      );
+      const cell = below || above;
+      addRun(
+        runs,
+        border,
+        below ? below.y : above.y + above.height,
+        cell.x,
+        cell.x + cell.width
+      );
+    }
+    runs.forEach(({ border, at: lineY, start, end }) =>
+      strokeLine(doc, border, start, lineY, end, lineY, scale)
+    );
+  }
+
+  // Vertical edges, column by column
+  for (let j = 0; j <= colCount; j++) {
+    const runs = [];
+    for (let i = 0; i < rowCount; i++) {
+      const left = at(i, j - 1);
+      const right = at(i, j);
+      const border = heavier(
+        sideOf(left, right, "right"),
+        sideOf(right, left, "left")
+      );
+      const cell = right || left;
+      addRun(
+        runs,
+        border,
+        right ? right.x : left.x + left.width,
+        cell.y,
+        cell.y + cell.height
+      );
+    }
+    runs.forEach(({ border, at: lineX, start, end }) =>
+      strokeLine(doc, border, lineX, start, lineX, end, scale)
+    );
+  }
+}
+
+/**
+ * Whether a border has a style that draws a line
+ */
+function isVisible(border) {
+  return Boolean(
+    border && border.style && border.style.toLowerCase() !== "none"
+  );
+}
+
+/**
+ * Picks the heavier of two borders, the first one when they weigh the same
+ */
+function heavier(first, second) {
+  if (!isVisible(second)) return isVisible(first) ? first : null;
+  if (!isVisible(first)) return second;
+  return STYLE_RANK.indexOf(second.style) > STYLE_RANK.indexOf(first.style)
+    ? second
+    : first;
+}
+
+/**
+ * Adds an edge to the runs of a line, extending the last run when the edge
+ * continues it with the same style and color
+ */
+function addRun(runs, border, position, start, end) {
+  if (!border) return;
+  const last = runs[runs.length - 1];
+  if (
+    last &&
+    Math.abs(last.end - start) < 0.01 &&
+    last.border.style === border.style &&
+    colorOf(last.border) === colorOf(border)
+  ) {
+    last.end = end;
+    return;
+  }
+  runs.push({ border, at: position, start, end });
+}
+
+/**
+ * Strokes a border line, or the two lines of a double border
+ */
+function strokeLine(doc, border, x1, y1, x2, y2, scale) {
+  const { width, dash, gap } = BORDER_STYLES[border.style] || {
+    width: 0.75,
+  };
+  doc.setDrawColor(colorOf(border));
+  doc.setLineWidth(width * scale);
+  doc.setLineDashPattern(
+    (dash || []).map((length) => length * scale),
+    0
+  );
+
+  if (gap) {
+    // Offset both lines across the direction of the border
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const dx = (-(y2 - y1) / length) * (gap / 2) * scale;
+    const dy = ((x2 - x1) / length) * (gap / 2) * scale;
+    doc.line(x1 + dx, y1 + dy, x2 + dx, y2 + dy);
+    doc.line(x1 - dx, y1 - dy, x2 - dx, y2 - dy);
+  } else {
+    doc.line(x1, y1, x2, y2);
+  }
+  doc.setLineDashPattern([], 0);
+}
+
+function colorOf(border) {
+  return border.color?.argb ? `#${border.color.argb.slice(2)}` : "#000000";
+}
@@ -0,0 +1,181 @@
+import { drawFill } from "./draw-fill.js";
+import { layoutText, LINE_HEIGHT_FACTOR } from "./layoutText.js";
+import { drawIcon, ICON_SIZE } from "./draw-icon.js";
+
+/**
+ * Distance between the cell edges and its text, in unscaled points
+ */
+export const TEXT_INSET = 2;
+
+/**
+ * Lists the text runs of a cell: its rich text runs, or its text in the cell font
+ * @param {Object} cell - The cell, with text, style and the runs of rich text if any
+ * @returns {Array<Object>} Text runs of { text, font } with an ExcelJS font
+ */
+export function textRuns(cell) {
+  return cell.runs || [{ text: cell.text || "", font: cell.style.font }];
+}
+
+/**
+ * Draws a single cell (background and text) in a PDF document using jsPDF
+ * Borders are drawn per page by drawBorders, once the backgrounds are all drawn.
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {Object} cell - The cell to draw, with text and style properties, the runs of
+ * its rich text and the data bar and icon of its conditional formatting if any
+ * @param {number} x - The x coordinate of the cell
+ * @param {number} y - The y coordinate of the cell
+ * @param {number} width - The width of the cell (total width for merged cells)
+ * @param {number} height - The height of the cell (total height for merged cells)
+ * @param {Object} options - { scale, fonts }: scale factor applied to font sizes and text insets (default: 1)
+ * and the font registry from loadFonts
+ */
+export function drawCell(doc, cell, x, y, width, height, { scale = 1, fonts }) {
+  // Background
+  drawFill(doc, cell.style.fill, x, y, width, height, { scale });
+
+  const inset = TEXT_INSET * scale;
+  const { dataBar, icon } = cell.conditional || {};
+
+  // Conditional formatting data bar, drawn under the text
+  if (dataBar) {
+    drawDataBar(
+      doc,
+      dataBar,
+      x + inset,
+      y + inset,
+      width - inset * 2,
+      height - inset * 2
+    );
+  }
+
+  // Conditional formatting icon, the text keeps clear of it
+  let textLeft = x;
+  if (icon) {
+    const size = Math.min(ICON_SIZE * scale, height - inset * 2);
+    drawIcon(
+      doc,
+      icon.iconSet,
+      icon.index,
+      x + inset,
+      y + (height - size) / 2,
+      size
+    );
+    textLeft += size + inset;
+  }
+
+  // Text positioning and alignment
+  const runs = icon && !icon.showValue ? [] : textRuns(cell);
+  const align = cell.style.alignment?.horizontal || "left";
+  const textWidth = width - (textLeft - x);
+  const lines = layoutText(doc, runs, {
+    width: textWidth - inset * 2,
+    wrap: cell.style.alignment?.wrapText,
+    fonts,
+    scale,
+  });
+  const lineHeights = lines.map((line) => line.size * LINE_HEIGHT_FACTOR);
+  const blockHeight = lineHeights.reduce((sum, h) => sum + h, 0);
+
+  // Vertical alignment, centered unless the cell says otherwise
+  let lineTop = y + (height - blockHeight) / 2;
+  if (cell.style.alignment?.vertical === "top") {
+    lineTop = y + inset;
+  } else if (cell.style.alignment?.vertical === "bottom") {
+    lineTop = y + height - inset - blockHeight;
+  }
+
+  lines.forEach((line, idx) => {
+    const textY = lineTop + lineHeights[idx] / 2 + line.size / 3;
+    let textX = textLeft + inset;
+    if (align === "center") {
+      textX = textLeft + (textWidth - line.width) / 2;
+    } else if (align === "right") {
+      textX = x + width - inset - line.width;
+    }
+
+    // Each segment has its own font, fallback fonts included
+    line.segments.forEach((segment) => {
+      const color = segment.font?.color?.argb
+        ? `#${segment.font.color.argb.slice(2)}`
+        : "#000000";
+      let baseline = textY;
+      if (segment.font?.vertAlign === "superscript") {
+        baseline -= segment.size * 0.6;
+      } else if (segment.font?.vertAlign === "subscript") {
+        baseline += segment.size * 0.3;
+      }
+      doc.setFont(segment.family, segment.style);
+      doc.setFontSize(segment.size);
+      doc.setTextColor(color);
+      doc.text(segment.text, textX, baseline);
+      drawDecorations(doc, segment, textX, baseline, color);
+      textX += segment.width;
+    });
+    lineTop += lineHeights[idx];
+  });
+}
+
+/**
+ * Draws the underline and strikethrough of a text segment
+ */
+function drawDecorations(doc, { font, size, width }, x, baseline, color) {
+  const underline = font?.underline;
+  if (!underline && !font?.strike) return;
+
+  doc.setDrawColor(color);
+  doc.setLineWidth(size * 0.06);
+  doc.setLineDashPattern([], 0);
+  if (underline) {
+    // Accounting underlines sit lower, clear of descenders
+    const accounting = String(underline).endsWith("Accounting");
+    const offset = size * (accounting ? 0.22 : 0.12);
+    doc.line(x, baseline + offset, x + width, baseline + offset);
+    if (String(underline).startsWith("double")) {
+      const second = offset + size * 0.12;
+      doc.line(x, baseline + second, x + width, baseline + second);
+    }
+  }
+  if (font?.strike) {
+    const offset = size * 0.3;
+    doc.line(x, baseline - offset, x + width, baseline - offset);
+  }
+}
+
+/**
+ * Draws a data bar, fading to white when it is a gradient bar
+ */
+function drawDataBar(doc, { ratio, color, gradient }, x, y, width, height) {
+  const barWidth = width * ratio;
+  if (barWidth <= 0 || height <= 0) return;
+
+  if (!gradient) {
+    doc.setFillColor(`#${color}`);
+    doc.rect(x, y, barWidth, height, "F");
+    return;
+  }
+
+  // jsPDF has no simple gradients, draw the fade in strips
+  const strips = 16;
+  const stripWidth = barWidth / strips;
+  for (let i = 0; i < strips; i++) {
+    doc.setFillColor(`#${tint(color, (i / strips) * 0.9)}`);
+    doc.rect(x + i * stripWidth, y, stripWidth + 0.1, height, "F");
+  }
+  doc.setDrawColor(`#${color}`);
+  doc.setLineWidth(0.5);
+  doc.rect(x, y, barWidth, height, "S");
+}
+
+/**
+ * Mixes an RRGGBB color with white
+ */
+function tint(color, amount) {
+  return [0, 2, 4]
+    .map((offset) => {
+      const channel = parseInt(color.slice(offset, offset + 2), 16);
+      return Math.round(channel + (255 - channel) * amount)
+        .toString(16)
+        .padStart(2, "0");
+    })
+    .join("");
+}
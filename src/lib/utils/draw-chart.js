@@ -0,0 +1,654 @@
+import { layoutText, LINE_HEIGHT_FACTOR } from "./layoutText.js";
+import { formatNumber } from "./formatNumber.js";
+
+// Series colors when the chart sets none: the accents of the Office theme
+const PALETTE = ["4472C4", "ED7D31", "A5A5A5", "FFC000", "5B9BD5", "70AD47"];
+const TEXT_COLOR = "595959";
+const GRIDLINE_COLOR = "D9D9D9";
+const AXIS_COLOR = "BFBFBF";
+// Excel's default chart text: Calibri, 14pt titles and 9pt labels
+const CHART_FONT = "Calibri";
+const TITLE_SIZE = 14;
+const LABEL_SIZE = 9;
+
+/**
+ * Draws a chart read by readCharts as vector graphics
+ * Supports bar and column (clustered, stacked and 100% stacked), line, area,
+ * pie, doughnut and scatter charts, with their title, legend, axes and gridlines.
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {Object} chart - The chart model: { title, groups, legend }
+ * @param {number} x - The x coordinate of the chart
+ * @param {number} y - The y coordinate of the chart
+ * @param {number} width - The width of the chart
+ * @param {number} height - The height of the chart
+ * @param {Object} options - { scale, fonts }: scale factor applied to text and lines (default: 1)
+ * and the font registry from loadFonts
+ */
+export function drawChart(
+  doc,
+  chart,
+  x,
+  y,
+  width,
+  height,
+  { scale = 1, fonts }
+) {
+  const text = { doc, fonts, scale };
+
+  // Chart area
+  doc.setFillColor("#FFFFFF");
+  doc.setDrawColor(`#${GRIDLINE_COLOR}`);
+  doc.setLineWidth(0.75 * scale);
+  doc.rect(x, y, width, height, "FD");
+
+  const pad = 8 * scale;
+  let box = {
+    x: x + pad,
+    y: y + pad,
+    width: width - pad * 2,
+    height: height - pad * 2,
+  };
+
+  if (chart.title) {
+    const lines = drawLabel(text, chart.title, box.x, box.y, {
+      size: TITLE_SIZE,
+      width: box.width,
+      align: "center",
+    });
+    box = shrink(box, "t", lines.height + pad / 2);
+  }
+
+  const groups = chart.groups.filter((group) => group.series.length > 0);
+  if (groups.length === 0) return;
+
+  if (chart.legend) {
+    box = drawLegend(text, legendEntries(groups), chart.legend.position, box);
+  }
+
+  if (groups[0].type === "pie" || groups[0].type === "doughnut") {
+    drawPie(doc, groups[0], box, scale);
+  } else {
+    drawPlot(
+      text,
+      groups.filter(({ type }) => type !== "pie" && type !== "doughnut"),
+      box
+    );
+  }
+}
+
+/**
+ * The legend lists the series, or the points of a pie chart
+ */
+function legendEntries(groups) {
+  const [first] = groups;
+  if (first.type === "pie" || first.type === "doughnut") {
+    const [series] = first.series;
+    return series.values.map((_, idx) => ({
+      name: categoryLabel(series.categories[idx], idx),
+      color: pointColor(first, series, idx),
+      line: false,
+    }));
+  }
+  return groups.flatMap((group) =>
+    group.series.map((series, idx) => ({
+      name: series.name || `Series${series.index + 1}`,
+      color: seriesColor(group, series, idx),
+      line: group.type === "line" || group.type === "scatter",
+    }))
+  );
+}
+
+/**
+ * Draws the legend at the side of the box and returns what is left for the plot
+ */
+function drawLegend(text, entries, position, box) {
+  const { doc, scale } = text;
+  const swatch = 7 * scale;
+  const gap = 4 * scale;
+  const lineHeight = LABEL_SIZE * scale * LINE_HEIGHT_FACTOR;
+  const widths = entries.map(
+    (entry) => swatch + gap + labelWidth(text, entry.name, LABEL_SIZE)
+  );
+
+  const drawEntry = (entry, ex, ey) => {
+    doc.setFillColor(`#${entry.color}`);
+    doc.setDrawColor(`#${entry.color}`);
+    if (entry.line) {
+      doc.setLineWidth(2 * scale);
+      doc.line(ex, ey + lineHeight / 2, ex + swatch, ey + lineHeight / 2);
+    } else {
+      doc.rect(ex, ey + (lineHeight - swatch) / 2, swatch, swatch, "F");
+    }
+    drawLabel(text, entry.name, ex + swatch + gap, ey, { size: LABEL_SIZE });
+  };
+
+  if (position === "t" || position === "b") {
+    // One or more centered rows
+    const rows = [[]];
+    let rowWidth = 0;
+    widths.forEach((w, idx) => {
+      if (rowWidth + w > box.width && rows[rows.length - 1].length > 0) {
+        rows.push([]);
+        rowWidth = 0;
+      }
+      rows[rows.length - 1].push(idx);
+      rowWidth += w + gap * 2;
+    });
+    const legendHeight = rows.length * lineHeight;
+    let ey = position === "t" ? box.y : box.y + box.height - legendHeight;
+    rows.forEach((row) => {
+      const total =
+        row.reduce((sum, idx) => sum + widths[idx], 0) +
+        gap * 2 * (row.length - 1);
+      let ex = box.x + (box.width - total) / 2;
+      row.forEach((idx) => {
+        drawEntry(entries[idx], ex, ey);
+        ex += widths[idx] + gap * 2;
+      });
+      ey += lineHeight;
+    });
+    return shrink(box, position, legendHeight + gap);
+  }
+
+  // A column at the left or right, centered unless at the top right
+  const legendWidth = Math.min(Math.max(...widths), box.width / 2);
+  const ex = position === "l" ? box.x : box.x + box.width - legendWidth;
+  let ey =
+    position === "tr"
+      ? box.y
+      : box.y + (box.height - entries.length * lineHeight) / 2;
+  entries.forEach((entry) => {
+    drawEntry(entry, ex, ey);
+    ey += lineHeight;
+  });
+  return shrink(box, position === "l" ? "l" : "r", legendWidth + gap * 2);
+}
+
+/**
+ * Draws a pie or doughnut chart of the first series, clockwise from 12 o'clock
+ */
+function drawPie(doc, group, box, scale) {
+  const [series] = group.series;
+  const values = series.values.map((value) => Math.max(value || 0, 0));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return;
+
+  const radius = Math.min(box.width, box.height) / 2;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  let angle = -Math.PI / 2;
+
+  doc.setDrawColor("#FFFFFF");
+  doc.setLineWidth(0.75 * scale);
+  values.forEach((value, idx) => {
+    if (value === 0) return;
+    const sweep = (value / total) * Math.PI * 2;
+    const points = [[cx, cy]];
+    const steps = Math.max(2, Math.ceil((sweep / (Math.PI * 2)) * 72));
+    for (let i = 0; i <= steps; i++) {
+      const a = angle + (sweep * i) / steps;
+      points.push([cx + Math.cos(a) * radius, cy + Math.sin(a) * radius]);
+    }
+    doc.setFillColor(`#${pointColor(group, series, idx)}`);
+    polygon(doc, points, "FD");
+    angle += sweep;
+  });
+
+  if (group.type === "doughnut") {
+    doc.setFillColor("#FFFFFF");
+    doc.circle(cx, cy, (radius * group.holeSize) / 100, "F");
+  }
+}
+
+/**
+ * Draws the chart groups that have axes on one plot area
+ */
+function drawPlot(text, groups, box) {
+  const { doc, scale } = text;
+  const [first] = groups;
+  const horizontal = first.type === "bar" && first.direction === "bar";
+  const scatter = first.type === "scatter";
+  const valueAxis = first.valueAxis || {};
+  const categoryAxis = first.categoryAxis || {};
+  const count = Math.max(
+    ...groups.flatMap((group) => group.series.map((s) => s.values.length))
+  );
+  if (count === 0) return;
+
+  // Value scale over every group, stacked groups by their sums
+  const extent = [Infinity, -Infinity];
+  groups.forEach((group) => {
+    stackOf(group).forEach((stacks, s) =>
+      stacks.forEach(([low, high], idx) => {
+        if (group.series[s].values[idx] == null) return;
+        extent[0] = Math.min(extent[0], low, high);
+        extent[1] = Math.max(extent[1], low, high);
+      })
+    );
+    if (group.type === "bar" || group.type === "area") {
+      extent[0] = Math.min(extent[0], 0);
+      extent[1] = Math.max(extent[1], 0);
+    }
+  });
+  const percent = groups.some((group) => group.grouping === "percentStacked");
+  const values = niceScale(extent, valueAxis);
+  const valueFormat =
+    valueAxis.numFmt ||
+    (percent ? "0%" : first.series.find((s) => s.numFmt)?.numFmt) ||
+    "General";
+  const valueLabels = ticks(values).map((value) => ({
+    value,
+    text: formatNumber(value, valueFormat),
+  }));
+
+  // Scatter charts have a value scale along x as well
+  const xValues = scatter
+    ? first.series.flatMap((s) =>
+        s.values.map((_, idx) =>
+          typeof s.categories[idx] === "number" ? s.categories[idx] : idx + 1
+        )
+      )
+    : [];
+  const xScale = scatter
+    ? niceScale([Math.min(...xValues), Math.max(...xValues)], categoryAxis)
+    : null;
+  const categories = scatter
+    ? ticks(xScale).map((value) => formatNumber(value, "General"))
+    : Array.from({ length: count }, (_, idx) =>
+        categoryLabel(
+          first.series.find((s) => s.categories.length > 0)?.categories[idx],
+          idx
+        )
+      );
+
+  // Room for the axis labels
+  const labelHeight = LABEL_SIZE * scale * LINE_HEIGHT_FACTOR;
+  const gap = 4 * scale;
+  const valueLabelWidth = valueAxis.deleted
+    ? 0
+    : Math.max(...valueLabels.map((l) => labelWidth(text, l.text, LABEL_SIZE)));
+  const categoryLabelWidth = categoryAxis.deleted
+    ? 0
+    : Math.max(...categories.map((c) => labelWidth(text, c, LABEL_SIZE)));
+  let plot = { ...box };
+  if (categoryAxis.title) {
+    drawLabel(
+      text,
+      categoryAxis.title,
+      plot.x,
+      plot.y + plot.height - labelHeight,
+      { size: LABEL_SIZE, width: plot.width, align: "center" }
+    );
+    plot = shrink(plot, "b", labelHeight + gap);
+  }
+  if (horizontal) {
+    plot = shrink(plot, "l", categoryLabelWidth + gap);
+    plot = shrink(plot, "b", valueAxis.deleted ? 0 : labelHeight + gap);
+  } else {
+    plot = shrink(plot, "l", valueLabelWidth + gap);
+    plot = shrink(plot, "b", categoryAxis.deleted ? 0 : labelHeight + gap);
+  }
+  // Half a label above and beside the plot, for the outer tick labels
+  plot = shrink(plot, "t", labelHeight / 2);
+  plot = shrink(plot, "r", horizontal || scatter ? valueLabelWidth / 2 : 0);
+  if (plot.width <= 0 || plot.height <= 0) return;
+
+  const valueAt = (value) => {
+    const ratio = (value - values.min) / (values.max - values.min);
+    return horizontal
+      ? plot.x + ratio * plot.width
+      : plot.y + plot.height - ratio * plot.height;
+  };
+  const xAt = (value) =>
+    plot.x + ((value - xScale.min) / (xScale.max - xScale.min)) * plot.width;
+  const band = (horizontal ? plot.height : plot.width) / count;
+  // Categories run left to right, or bottom to top for horizontal bars
+  const bandStart = (idx) =>
+    horizontal ? plot.y + plot.height - (idx + 1) * band : plot.x + idx * band;
+
+  // Gridlines and value labels
+  doc.setLineWidth(0.75 * scale);
+  valueLabels.forEach(({ value, text: label }) => {
+    const pos = valueAt(value);
+    if (valueAxis.gridlines) {
+      doc.setDrawColor(`#${GRIDLINE_COLOR}`);
+      if (horizontal) doc.line(pos, plot.y, pos, plot.y + plot.height);
+      else doc.line(plot.x, pos, plot.x + plot.width, pos);
+    }
+    if (valueAxis.deleted) return;
+    if (horizontal) {
+      drawLabel(text, label, pos - 50 * scale, plot.y + plot.height + gap, {
+        size: LABEL_SIZE,
+        width: 100 * scale,
+        align: "center",
+      });
+    } else {
+      drawLabel(text, label, box.x, pos - labelHeight / 2, {
+        size: LABEL_SIZE,
+        width: valueLabelWidth,
+        align: "right",
+      });
+    }
+  });
+
+  // Category labels, skipping some when they would overlap
+  if (!categoryAxis.deleted) {
+    if (scatter) {
+      ticks(xScale).forEach((value, idx) =>
+        drawLabel(
+          text,
+          categories[idx],
+          xAt(value) - 50 * scale,
+          plot.y + plot.height + gap,
+          { size: LABEL_SIZE, width: 100 * scale, align: "center" }
+        )
+      );
+    } else {
+      const room = horizontal ? labelHeight : categoryLabelWidth + gap;
+      const step = Math.max(1, Math.ceil(room / band));
+      categories.forEach((label, idx) => {
+        if (idx % step !== 0) return;
+        if (horizontal) {
+          drawLabel(
+            text,
+            label,
+            box.x,
+            bandStart(idx) + (band - labelHeight) / 2,
+            { size: LABEL_SIZE, width: categoryLabelWidth, align: "right" }
+          );
+        } else {
+          drawLabel(
+            text,
+            label,
+            bandStart(idx) + band / 2 - 50 * scale,
+            plot.y + plot.height + gap,
+            { size: LABEL_SIZE, width: 100 * scale, align: "center" }
+          );
+        }
+      });
+    }
+  }
+
+  // Category axis line, where the value axis crosses zero
+  const zero = valueAt(Math.min(Math.max(0, values.min), values.max));
+  doc.setDrawColor(`#${AXIS_COLOR}`);
+  doc.setLineWidth(0.75 * scale);
+  if (horizontal) doc.line(zero, plot.y, zero, plot.y + plot.height);
+  else doc.line(plot.x, zero, plot.x + plot.width, zero);
+
+  groups.forEach((group) => {
+    const stacks = stackOf(group);
+    switch (group.type) {
+      case "bar":
+        drawBars(doc, group, stacks, { band, bandStart, valueAt, horizontal });
+        break;
+      case "line":
+      case "area":
+        drawLines(doc, group, stacks, {
+          pointAt: (idx, value) => [bandStart(idx) + band / 2, valueAt(value)],
+          scale,
+        });
+        break;
+      case "scatter":
+        drawLines(doc, group, stacks, {
+          pointAt: (idx, value, series) => [
+            xAt(
+              typeof series.categories[idx] === "number"
+                ? series.categories[idx]
+                : idx + 1
+            ),
+            valueAt(value),
+          ],
+          scale,
+        });
+        break;
+    }
+  });
+}
+
+function drawBars(
+  doc,
+  group,
+  stacks,
+  { band, bandStart, valueAt, horizontal }
+) {
+  const stacked =
+    group.grouping !== "clustered" && group.grouping !== "standard";
+  const groupWidth = band / (1 + group.gapWidth / 100);
+  const thickness = stacked ? groupWidth : groupWidth / group.series.length;
+
+  group.series.forEach((series, s) => {
+    doc.setFillColor(`#${seriesColor(group, series, s)}`);
+    stacks[s].forEach(([low, high], idx) => {
+      if (series.values[idx] == null) return;
+      const offset = (band - groupWidth) / 2 + (stacked ? 0 : s * thickness);
+      const a = valueAt(low);
+      const b = valueAt(high);
+      if (horizontal) {
+        doc.rect(
+          Math.min(a, b),
+          bandStart(idx) + band - offset - thickness,
+          Math.abs(b - a),
+          thickness,
+          "F"
+        );
+      } else {
+        doc.rect(
+          bandStart(idx) + offset,
+          Math.min(a, b),
+          thickness,
+          Math.abs(b - a),
+          "F"
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Draws line, area and scatter series; blanks break lines
+ */
+function drawLines(doc, group, stacks, { pointAt, scale }) {
+  group.series.forEach((series, s) => {
+    const color = seriesColor(group, series, s);
+    const points = stacks[s].map(([low, high], idx) =>
+      series.values[idx] == null
+        ? null
+        : {
+            top: pointAt(idx, high, series),
+            bottom: pointAt(idx, low, series),
+          }
+    );
+
+    if (group.type === "area") {
+      const present = points.filter(Boolean);
+      if (present.length < 2) return;
+      doc.setFillColor(`#${color}`);
+      polygon(
+        doc,
+        [
+          ...present.map(({ top }) => top),
+          ...present.map(({ bottom }) => bottom).reverse(),
+        ],
+        "F"
+      );
+      return;
+    }
+
+    const showLine =
+      !series.noLine &&
+      (group.type !== "scatter" || group.scatterStyle !== "marker");
+    if (showLine) {
+      doc.setDrawColor(`#${color}`);
+      doc.setLineWidth(2 * scale);
+      points.forEach((point, idx) => {
+        const previous = points[idx - 1];
+        if (point && previous) {
+          doc.line(...previous.top, ...point.top);
+        }
+      });
+    }
+
+    const showMarkers =
+      !series.noMarker && (group.type === "scatter" || group.markers);
+    if (showMarkers) {
+      doc.setFillColor(`#${color}`);
+      points.forEach((point) => {
+        if (point) doc.circle(...point.top, 2.5 * scale, "F");
+      });
+    }
+  });
+}
+
+/**
+ * Computes the [low, high] extent of every point of every series,
+ * stacking them for stacked groupings
+ */
+function stackOf(group) {
+  const stacked =
+    group.grouping === "stacked" || group.grouping === "percentStacked";
+  if (!stacked) {
+    // Bars and areas start at zero, lines and markers are single points
+    const fromZero = group.type === "bar" || group.type === "area";
+    return group.series.map((series) =>
+      series.values.map((value) => [fromZero ? 0 : value || 0, value || 0])
+    );
+  }
+
+  const count = Math.max(...group.series.map((s) => s.values.length));
+  const totals = Array.from({ length: count }, (_, idx) =>
+    group.series.reduce((sum, s) => sum + Math.abs(s.values[idx] || 0), 0)
+  );
+  const positive = new Array(count).fill(0);
+  const negative = new Array(count).fill(0);
+  return group.series.map((series) =>
+    Array.from({ length: count }, (_, idx) => {
+      let value = series.values[idx] || 0;
+      if (group.grouping === "percentStacked") {
+        value = totals[idx] ? value / totals[idx] : 0;
+      }
+      const running = value >= 0 ? positive : negative;
+      const low = running[idx];
+      running[idx] += value;
+      return [low, running[idx]];
+    })
+  );
+}
+
+/**
+ * Rounds a value range out to readable steps of 1, 2 or 5 times a power of ten
+ * The axis minimum and maximum win when the chart sets them.
+ */
+function niceScale([low, high], axis) {
+  let min = axis.min ?? (Number.isFinite(low) ? low : 0);
+  let max = axis.max ?? (Number.isFinite(high) ? high : 1);
+  if (max <= min) max = min + 1;
+
+  const rough = (max - min) / 6;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step =
+    [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= rough) ||
+    magnitude * 10;
+  if (axis.min == null) min = Math.floor(min / step) * step;
+  if (axis.max == null) max = Math.ceil(max / step) * step;
+  return { min, max, step };
+}
+
+function ticks({ min, max, step }) {
+  const values = [];
+  for (let value = min; value <= max + step / 1e6; value += step) {
+    // Avoid floating point noise such as 0.30000000000000004
+    values.push(Number(value.toPrecision(12)));
+  }
+  return values;
+}
+
+function seriesColor(group, series, idx) {
+  const own =
+    group.type === "line" || group.type === "scatter"
+      ? series.lineColor || series.fillColor
+      : series.fillColor || series.lineColor;
+  return own || PALETTE[(series.index ?? idx) % PALETTE.length];
+}
+
+function pointColor(group, series, idx) {
+  return (
+    series.pointColors[idx] ||
+    (group.varyColors
+      ? PALETTE[idx % PALETTE.length]
+      : seriesColor(group, series, 0))
+  );
+}
+
+function categoryLabel(value, idx) {
+  if (value == null || value === "") return String(idx + 1);
+  return typeof value === "number"
+    ? formatNumber(value, "General")
+    : String(value);
+}
+
+/**
+ * Draws chart text with the chart font (and fallback fonts), returning its height
+ */
+function drawLabel({ doc, fonts, scale }, text, x, y, options) {
+  const { size, width, align = "left" } = options;
+  const lines = layoutText(
+    doc,
+    [
+      {
+        text,
+        font: { name: CHART_FONT, size, color: { argb: `FF${TEXT_COLOR}` } },
+      },
+    ],
+    { width, wrap: width != null, fonts, scale }
+  );
+  let lineTop = y;
+  lines.forEach((line) => {
+    const lineHeight = line.size * LINE_HEIGHT_FACTOR;
+    let textX = x;
+    if (align === "center") textX = x + (width - line.width) / 2;
+    else if (align === "right") textX = x + width - line.width;
+    line.segments.forEach((segment) => {
+      doc.setFont(segment.family, segment.style);
+      doc.setFontSize(segment.size);
+      doc.setTextColor(`#${TEXT_COLOR}`);
+      doc.text(segment.text, textX, lineTop + lineHeight / 2 + line.size / 3);
+      textX += segment.width;
+    });
+    lineTop += lineHeight;
+  });
+  return { height: lineTop - y };
+}
+
+function labelWidth({ doc, fonts, scale }, text, size) {
+  const lines = layoutText(doc, [{ text, font: { name: CHART_FONT, size } }], {
+    fonts,
+    scale,
+  });
+  return Math.max(0, ...lines.map((line) => line.width));
+}
+
+/**
+ * Takes room off one side of a box
+ */
+function shrink(box, side, amount) {
+  switch (side) {
+    case "t":
+      return { ...box, y: box.y + amount, height: box.height - amount };
+    case "b":
+      return { ...box, height: box.height - amount };
+    case "l":
+      return { ...box, x: box.x + amount, width: box.width - amount };
+    default:
+      return { ...box, width: box.width - amount };
+  }
+}
+
+function polygon(doc, points, style) {
+  const [[startX, startY], ...rest] = points;
+  const segments = rest.map(([px, py], idx) => [
+    px - points[idx][0],
+    py - points[idx][1],
+  ]);
+  doc.lines(segments, startX, startY, [1, 1], style, true);
+}
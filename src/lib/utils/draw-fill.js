@@ -0,0 +1,284 @@
+// Gray patterns are drawn as a blend of their colors, by foreground coverage
+const GRAY_PATTERNS = {
+  darkGray: 0.75,
+  mediumGray: 0.5,
+  lightGray: 0.25,
+  gray125: 0.125,
+  gray0625: 0.0625,
+};
+
+// Hatch patterns: the directions of their lines, and whether they are heavy
+const HATCH_PATTERNS = {
+  darkHorizontal: { lines: ["horizontal"], heavy: true },
+  darkVertical: { lines: ["vertical"], heavy: true },
+  darkDown: { lines: ["down"], heavy: true },
+  darkUp: { lines: ["up"], heavy: true },
+  darkGrid: { lines: ["horizontal", "vertical"], heavy: true },
+  darkTrellis: { lines: ["down", "up"], heavy: true },
+  lightHorizontal: { lines: ["horizontal"] },
+  lightVertical: { lines: ["vertical"] },
+  lightDown: { lines: ["down"] },
+  lightUp: { lines: ["up"] },
+  lightGrid: { lines: ["horizontal", "vertical"] },
+  lightTrellis: { lines: ["down", "up"] },
+};
+
+// Hatch line spacing and widths, in unscaled points
+const HATCH_SPACING = 3;
+const HATCH_WIDTH = { light: 0.5, heavy: 1.25 };
+
+// jsPDF has no simple gradients, they are drawn in this many bands
+const GRADIENT_STEPS = 32;
+
+/**
+ * Draws a cell fill in a PDF document using jsPDF
+ * Solid fills, gray and hatch patterns over their background color, and
+ * linear (angle) and path gradients are supported. Colors must be resolved to
+ * ARGB first, see resolveStyleColors.
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {Object} fill - The ExcelJS fill
+ * @param {number} x - The x coordinate of the cell
+ * @param {number} y - The y coordinate of the cell
+ * @param {number} width - The width of the cell
+ * @param {number} height - The height of the cell
+ * @param {Object} options - { scale }: scale factor applied to hatch lines (default: 1)
+ */
+export function drawFill(doc, fill, x, y, width, height, { scale = 1 } = {}) {
+  if (!fill || width <= 0 || height <= 0) return;
+
+  if (fill.type === "gradient") {
+    drawGradient(doc, fill, x, y, width, height);
+    return;
+  }
+  if (fill.type !== "pattern" || !fill.pattern || fill.pattern === "none") {
+    return;
+  }
+
+  const foreground = fill.fgColor?.argb?.slice(2);
+  const background = fill.bgColor?.argb?.slice(2);
+  if (fill.pattern === "solid") {
+    if (!foreground) return;
+    doc.setFillColor(`#${foreground}`);
+    doc.rect(x, y, width, height, "F");
+    return;
+  }
+
+  if (GRAY_PATTERNS[fill.pattern]) {
+    doc.setFillColor(
+      `#${mixColors(
+        background || "FFFFFF",
+        foreground || "000000",
+        GRAY_PATTERNS[fill.pattern]
+      )}`
+    );
+    doc.rect(x, y, width, height, "F");
+    return;
+  }
+
+  const hatch = HATCH_PATTERNS[fill.pattern];
+  if (!hatch) return;
+  if (background) {
+    doc.setFillColor(`#${background}`);
+    doc.rect(x, y, width, height, "F");
+  }
+  doc.setDrawColor(`#${foreground || "000000"}`);
+  doc.setLineWidth(
+    (hatch.heavy ? HATCH_WIDTH.heavy : HATCH_WIDTH.light) * scale
+  );
+  const spacing = HATCH_SPACING * scale;
+  hatch.lines.forEach((direction) =>
+    hatchLines(direction, x, y, width, height, spacing).forEach(
+      ([x1, y1, x2, y2]) => doc.line(x + x1, y + y1, x + x2, y + y2)
+    )
+  );
+}
+
+/**
+ * Picks the one color closest to a cell fill, for outputs that cannot draw
+ * patterns: gray and hatch patterns blend their colors, gradients give the
+ * color halfway through
+ * @param {Object} fill - The ExcelJS fill, colors resolved to ARGB
+ * @returns {string|null} The RRGGBB color, null without a visible fill
+ */
+export function fillColor(fill) {
+  if (fill?.type === "gradient") {
+    const stops = gradientStops(fill);
+    return stops.length > 0 ? colorAt(stops, 0.5) : null;
+  }
+  if (fill?.type !== "pattern" || !fill.pattern || fill.pattern === "none") {
+    return null;
+  }
+
+  const foreground = fill.fgColor?.argb?.slice(2);
+  const background = fill.bgColor?.argb?.slice(2);
+  if (fill.pattern === "solid") return foreground || null;
+  const hatch = HATCH_PATTERNS[fill.pattern];
+  const coverage =
+    GRAY_PATTERNS[fill.pattern] ?? (hatch && (hatch.heavy ? 0.5 : 0.25));
+  if (!coverage) return null;
+  return mixColors(background || "FFFFFF", foreground || "000000", coverage);
+}
+
+/**
+ * Computes the hatch lines of a cell, relative to its top-left corner
+ * Lines are laid out on the page, so they run on across neighbouring cells.
+ */
+function hatchLines(direction, x, y, width, height, spacing) {
+  // The first line from a lower bound, for lines spaced from the page origin
+  const first = (lower, offset) =>
+    lower + mod(spacing / 2 - offset - lower, spacing);
+  const lines = [];
+  switch (direction) {
+    case "horizontal":
+      for (let k = first(0, y); k < height; k += spacing) {
+        lines.push([0, k, width, k]);
+      }
+      break;
+    case "vertical":
+      for (let k = first(0, x); k < width; k += spacing) {
+        lines.push([k, 0, k, height]);
+      }
+      break;
+    case "down":
+      // Lines where x - y = k, from the top left to the bottom right
+      for (let k = first(-height, x - y); k < width; k += spacing) {
+        const start = Math.max(0, k);
+        const end = Math.min(width, height + k);
+        lines.push([start, start - k, end, end - k]);
+      }
+      break;
+    case "up":
+      // Lines where x + y = k, from the bottom left to the top right
+      for (let k = first(0, x + y); k < width + height; k += spacing) {
+        const start = Math.max(0, k - height);
+        const end = Math.min(width, k);
+        lines.push([start, k - start, end, k - end]);
+      }
+      break;
+  }
+  return lines;
+}
+
+function mod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+/**
+ * Draws a linear (angle) or path gradient in bands
+ */
+function drawGradient(doc, fill, x, y, width, height) {
+  const stops = gradientStops(fill);
+  if (stops.length === 0) return;
+
+  if (fill.gradient === "path") {
+    // Rectangles from the edges (last stop) in to the center (first stop)
+    const centerX = x + (fill.center?.left ?? 0) * width;
+    const centerY = y + (fill.center?.top ?? 0) * height;
+    for (let i = GRADIENT_STEPS; i > 0; i--) {
+      const ratio = i / GRADIENT_STEPS;
+      const left = centerX - (centerX - x) * ratio;
+      const top = centerY - (centerY - y) * ratio;
+      const right = centerX + (x + width - centerX) * ratio;
+      const bottom = centerY + (y + height - centerY) * ratio;
+      doc.setFillColor(`#${colorAt(stops, (i - 0.5) / GRADIENT_STEPS)}`);
+      doc.rect(left, top, right - left, bottom - top, "F");
+    }
+    return;
+  }
+
+  // Bands across the gradient direction; 0 degrees runs left to right, 90 top to bottom
+  const angle = ((fill.degree || 0) * Math.PI) / 180;
+  const dx = Math.cos(angle);
+  const dy = Math.sin(angle);
+  const corners = [
+    [x, y],
+    [x + width, y],
+    [x + width, y + height],
+    [x, y + height],
+  ];
+  const projections = corners.map(([px, py]) => px * dx + py * dy);
+  const min = Math.min(...projections);
+  const span = Math.max(...projections) - min;
+  for (let i = 0; i < GRADIENT_STEPS; i++) {
+    // Bands overlap slightly, so no gaps show between them
+    const from = min + (span * i) / GRADIENT_STEPS;
+    const to = min + (span * (i + 1)) / GRADIENT_STEPS + span * 0.005;
+    const band = clipPolygon(clipPolygon(corners, dx, dy, from), -dx, -dy, -to);
+    if (band.length < 3) continue;
+    doc.setFillColor(`#${colorAt(stops, (i + 0.5) / GRADIENT_STEPS)}`);
+    const [[startX, startY], ...rest] = band;
+    doc.lines(
+      rest.map(([px, py], idx) => [px - band[idx][0], py - band[idx][1]]),
+      startX,
+      startY,
+      [1, 1],
+      "F",
+      true
+    );
+  }
+}
+
+/**
+ * Lists the stops of a gradient fill by position, colors as RRGGBB
+ */
+function gradientStops(fill) {
+  return (fill.stops || [])
+    .filter((stop) => stop.color?.argb)
+    .map((stop) => ({
+      position: stop.position ?? 0,
+      color: stop.color.argb.slice(2),
+    }))
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Keeps the part of a convex polygon where px * dx + py * dy >= limit
+ */
+function clipPolygon(points, dx, dy, limit) {
+  const result = [];
+  points.forEach((point, idx) => {
+    const next = points[(idx + 1) % points.length];
+    const a = point[0] * dx + point[1] * dy - limit;
+    const b = next[0] * dx + next[1] * dy - limit;
+    if (a >= 0) result.push(point);
+    if (a >= 0 !== b >= 0) {
+      const t = a / (a - b);
+      result.push([
+        point[0] + (next[0] - point[0]) * t,
+        point[1] + (next[1] - point[1]) * t,
+      ]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Interpolates the color of a gradient at a position between 0 and 1
+ */
+function colorAt(stops, position) {
+  if (position <= stops[0].position) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    if (position <= stops[i].position) {
+      const span = stops[i].position - stops[i - 1].position;
+      const ratio = span > 0 ? (position - stops[i - 1].position) / span : 1;
+      return mixColors(stops[i - 1].color, stops[i].color, ratio);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+/**
+ * Mixes two RRGGBB colors, ratio 0 giving the first and 1 the second
+ */
+function mixColors(first, second, ratio) {
+  return [0, 2, 4]
+    .map((offset) => {
+      const a = parseInt(first.slice(offset, offset + 2), 16);
+      const b = parseInt(second.slice(offset, offset + 2), 16);
+      return Math.round(a + (b - a) * ratio)
+        .toString(16)
+        .padStart(2, "0");
+    })
+    .join("")
+    .toUpperCase();
+}
@@ -0,0 +1,338 @@
+/**
+ * Width and height of conditional formatting icons, in unscaled points
+ */
+export const ICON_SIZE = 12;
+
+const RED = "#F8696B";
+const YELLOW = "#FFC000";
+const GREEN = "#63BE7B";
+const GRAY = "#808080";
+const BLACK = "#000000";
+const PINK = "#F4A6A6";
+const GOLD = "#FFC000";
+const BLUE = "#4472C4";
+
+/**
+ * Icons of the built-in Excel icon sets, from the lowest to the highest value
+ * Each icon is [shape, color, variant].
+ */
+const ICON_SETS = {
+  "3Arrows": [
+    ["arrow", RED, "down"],
+    ["arrow", YELLOW, "right"],
+    ["arrow", GREEN, "up"],
+  ],
+  "3ArrowsGray": [
+    ["arrow", GRAY, "down"],
+    ["arrow", GRAY, "right"],
+    ["arrow", GRAY, "up"],
+  ],
+  "3Flags": [
+    ["flag", RED],
+    ["flag", YELLOW],
+    ["flag", GREEN],
+  ],
+  "3TrafficLights1": [
+    ["circle", RED],
+    ["circle", YELLOW],
+    ["circle", GREEN],
+  ],
+  "3TrafficLights2": [
+    ["circle", RED],
+    ["circle", YELLOW],
+    ["circle", GREEN],
+  ],
+  "3Signs": [
+    ["diamond", RED],
+    ["triangle", YELLOW, "up"],
+    ["circle", GREEN],
+  ],
+  "3Symbols": [
+    ["symbol", RED, "cross"],
+    ["symbol", YELLOW, "exclamation"],
+    ["symbol", GREEN, "check"],
+  ],
+  "3Symbols2": [
+    ["symbol", RED, "cross"],
+    ["symbol", YELLOW, "exclamation"],
+    ["symbol", GREEN, "check"],
+  ],
+  "3Stars": [
+    ["star", GOLD, 0],
+    ["star", GOLD, 0.5],
+    ["star", GOLD, 1],
+  ],
+  "3Triangles": [
+    ["triangle", RED, "down"],
+    ["dash", YELLOW],
+    ["triangle", GREEN, "up"],
+  ],
+  "4Arrows": [
+    ["arrow", RED, "down"],
+    ["arrow", YELLOW, "downRight"],
+    ["arrow", YELLOW, "upRight"],
+    ["arrow", GREEN, "up"],
+  ],
+  "4ArrowsGray": [
+    ["arrow", GRAY, "down"],
+    ["arrow", GRAY, "downRight"],
+    ["arrow", GRAY, "upRight"],
+    ["arrow", GRAY, "up"],
+  ],
+  "4RedToBlack": [
+    ["circle", BLACK],
+    ["circle", GRAY],
+    ["circle", PINK],
+    ["circle", RED],
+  ],
+  "4Rating": [
+    ["rating", BLUE, 1],
+    ["rating", BLUE, 2],
+    ["rating", BLUE, 3],
+    ["rating", BLUE, 4],
+  ],
+  "4TrafficLights": [
+    ["circle", BLACK],
+    ["circle", RED],
+    ["circle", YELLOW],
+    ["circle", GREEN],
+  ],
+  "5Arrows": [
+    ["arrow", RED, "down"],
+    ["arrow", YELLOW, "downRight"],
+    ["arrow", YELLOW, "right"],
+    ["arrow", YELLOW, "upRight"],
+    ["arrow", GREEN, "up"],
+  ],
+  "5ArrowsGray": [
+    ["arrow", GRAY, "down"],
+    ["arrow", GRAY, "downRight"],
+    ["arrow", GRAY, "right"],
+    ["arrow", GRAY, "upRight"],
+    ["arrow", GRAY, "up"],
+  ],
+  "5Rating": [
+    ["rating", BLUE, 0],
+    ["rating", BLUE, 1],
+    ["rating", BLUE, 2],
+    ["rating", BLUE, 3],
+    ["rating", BLUE, 4],
+  ],
+  "5Quarters": [
+    ["quarters", BLACK, 0],
+    ["quarters", BLACK, 1],
+    ["quarters", BLACK, 2],
+    ["quarters", BLACK, 3],
+    ["quarters", BLACK, 4],
+  ],
+  "5Boxes": [
+    ["boxes", BLUE, 0],
+    ["boxes", BLUE, 1],
+    ["boxes", BLUE, 2],
+    ["boxes", BLUE, 3],
+    ["boxes", BLUE, 4],
+  ],
+};
+
+// Direction vectors of the arrow icons, y pointing down
+const ARROW_DIRECTIONS = {
+  up: [0, -1],
+  down: [0, 1],
+  right: [1, 0],
+  upRight: [Math.SQRT1_2, -Math.SQRT1_2],
+  downRight: [Math.SQRT1_2, Math.SQRT1_2],
+};
+
+/**
+ * Draws a conditional formatting icon as vector shapes
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {string} iconSet - The Excel icon set name, e.g. "3TrafficLights1"
+ * @param {number} index - The icon within the set, 0 for the lowest values
+ * @param {number} x - The x coordinate of the icon box
+ * @param {number} y - The y coordinate of the icon box
+ * @param {number} size - The width and height of the icon box
+ */
+export function drawIcon(doc, iconSet, index, x, y, size) {
+  const icons = ICON_SETS[iconSet] || ICON_SETS["3TrafficLights1"];
+  const [shape, color, variant] =
+    icons[Math.min(Math.max(index, 0), icons.length - 1)];
+  const cx = x + size / 2;
+  const cy = y + size / 2;
+  const r = size * 0.4;
+
+  doc.setFillColor(color);
+  doc.setDrawColor(color);
+  doc.setLineWidth(size * 0.08);
+
+  switch (shape) {
+    case "circle":
+      doc.circle(cx, cy, r, "F");
+      break;
+    case "diamond":
+      polygon(doc, [
+        [cx, cy - r],
+        [cx + r, cy],
+        [cx, cy + r],
+        [cx - r, cy],
+      ]);
+      break;
+    case "triangle": {
+      const dir = variant === "down" ? 1 : -1;
+      polygon(doc, [
+        [cx, cy + dir * r],
+        [cx + r, cy - dir * r * 0.8],
+        [cx - r, cy - dir * r * 0.8],
+      ]);
+      break;
+    }
+    case "dash":
+      doc.rect(cx - r, cy - r * 0.2, r * 2, r * 0.4, "F");
+      break;
+    case "arrow":
+      drawArrow(doc, cx, cy, r, ARROW_DIRECTIONS[variant]);
+      break;
+    case "flag":
+      doc.setDrawColor(BLACK);
+      doc.line(cx - r * 0.7, cy - r, cx - r * 0.7, cy + r);
+      polygon(doc, [
+        [cx - r * 0.7, cy - r],
+        [cx + r, cy - r * 0.5],
+        [cx - r * 0.7, cy],
+      ]);
+      break;
+    case "symbol":
+      doc.circle(cx, cy, r, "F");
+      drawSymbol(doc, cx, cy, r * 0.5, variant);
+      break;
+    case "star":
+      drawStar(doc, cx, cy, r, color, variant);
+      break;
+    case "rating":
+      // Four bars of growing height, `variant` of them filled
+      for (let i = 0; i < 4; i++) {
+        const barHeight = r * 0.5 * (i + 1);
+        const barX = x + size * 0.12 + i * size * 0.2;
+        doc.setFillColor(i < variant ? color : "#D9D9D9");
+        doc.rect(barX, cy + r - barHeight, size * 0.14, barHeight, "F");
+      }
+      break;
+    case "quarters":
+      doc.setFillColor("#FFFFFF");
+      doc.circle(cx, cy, r, "FD");
+      if (variant === 4) {
+        doc.setFillColor(color);
+        doc.circle(cx, cy, r, "F");
+      } else if (variant > 0) {
+        doc.setFillColor(color);
+        polygon(doc, pieSlice(cx, cy, r, variant / 4));
+      }
+      break;
+    case "boxes":
+      // A 2x2 grid of squares, `variant` of them filled
+      for (let i = 0; i < 4; i++) {
+        const boxX = cx - r + (i % 2) * r * 1.1;
+        const boxY = cy - r + Math.floor(i / 2) * r * 1.1;
+        doc.setFillColor(i < variant ? color : "#D9D9D9");
+        doc.rect(boxX, boxY, r * 0.9, r * 0.9, "F");
+      }
+      break;
+  }
+}
+
+/**
+ * Draws a filled polygon through the given points
+ */
+function polygon(doc, points) {
+  const [[startX, startY], ...rest] = points;
+  const segments = rest.map(([px, py], idx) => {
+    const [prevX, prevY] = points[idx];
+    return [px - prevX, py - prevY];
+  });
+  doc.lines(segments, startX, startY, [1, 1], "F", true);
+}
+
+function drawArrow(doc, cx, cy, r, [dx, dy]) {
+  // Perpendicular to the direction, for the width of the head and shaft
+  const [px, py] = [-dy, dx];
+  const tip = [cx + dx * r, cy + dy * r];
+  const headBase = [cx + dx * r * 0.1, cy + dy * r * 0.1];
+  const tail = [cx - dx * r, cy - dy * r];
+  const shaft = r * 0.3;
+  const head = r * 0.8;
+
+  polygon(doc, [
+    tip,
+    [headBase[0] + px * head, headBase[1] + py * head],
+    [headBase[0] + px * shaft, headBase[1] + py * shaft],
+    [tail[0] + px * shaft, tail[1] + py * shaft],
+    [tail[0] - px * shaft, tail[1] - py * shaft],
+    [headBase[0] - px * shaft, headBase[1] - py * shaft],
+    [headBase[0] - px * head, headBase[1] - py * head],
+  ]);
+}
+
+function drawSymbol(doc, cx, cy, r, variant) {
+  doc.setDrawColor("#FFFFFF");
+  doc.setFillColor("#FFFFFF");
+  if (variant === "check") {
+    doc.lines(
+      [
+        [r * 0.6, r * 0.7],
+        [r * 1.1, -r * 1.4],
+      ],
+      cx - r * 0.8,
+      cy,
+      [1, 1],
+      "S"
+    );
+  } else if (variant === "cross") {
+    doc.line(cx - r, cy - r, cx + r, cy + r);
+    doc.line(cx - r, cy + r, cx + r, cy - r);
+  } else {
+    doc.line(cx, cy - r, cx, cy + r * 0.3);
+    doc.circle(cx, cy + r * 0.8, r * 0.15, "F");
+  }
+}
+
+function drawStar(doc, cx, cy, r, color, fill) {
+  const points = [];
+  for (let i = 0; i < 10; i++) {
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    const radius = i % 2 === 0 ? r : r * 0.45;
+    points.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+  }
+
+  doc.setFillColor(fill === 1 ? color : "#FFFFFF");
+  polygon(doc, points);
+  if (fill === 0.5) {
+    // Left half of the star
+    doc.setFillColor(color);
+    polygon(doc, [points[0], ...points.slice(5), points[0]]);
+  }
+  const [[startX, startY], ...rest] = points;
+  doc.setLineWidth(r * 0.1);
+  doc.lines(
+    [...rest, points[0]].map(([px, py], idx) => [
+      px - points[idx][0],
+      py - points[idx][1],
+    ]),
+    startX,
+    startY,
+    [1, 1],
+    "S",
+    true
+  );
+}
+
+/**
+ * Points of a pie slice starting at 12 o'clock, clockwise
+ */
+function pieSlice(cx, cy, r, fraction) {
+  const points = [[cx, cy]];
+  const steps = Math.max(2, Math.round(fraction * 24));
+  for (let i = 0; i <= steps; i++) {
+    const angle = -Math.PI / 2 + (i / steps) * fraction * 2 * Math.PI;
+    points.push([cx + Math.cos(angle) * r, cy + Math.sin(angle) * r]);
+  }
+  return points;
+}
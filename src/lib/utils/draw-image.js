@@ -0,0 +1,43 @@
+/**
+ * jsPDF image formats by the file extension Excel stores with the media
+ */
+const IMAGE_FORMATS = {
+  png: "PNG",
+  jpg: "JPEG",
+  jpeg: "JPEG",
+  gif: "GIF",
+  bmp: "BMP",
+  webp: "WEBP",
+};
+
+/**
+ * Draws a workbook image
+ * Images used several times are embedded once.
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {Object} media - The workbook media ({ extension, buffer } or { extension, base64 })
+ * @param {string|number} id - Identifies the media within the workbook
+ * @param {number} x - The x coordinate of the image
+ * @param {number} y - The y coordinate of the image
+ * @param {number} width - The width of the image
+ * @param {number} height - The height of the image
+ * @throws {Error} If the image format is not supported
+ */
+export function drawImage(doc, media, id, x, y, width, height) {
+  const extension = String(media.extension || "png").toLowerCase();
+  const format = IMAGE_FORMATS[extension];
+  if (!format) {
+    throw new Error(`Unsupported image format: ${extension}`);
+  }
+
+  let data;
+  if (media.buffer) {
+    data = new Uint8Array(media.buffer);
+  } else if (media.base64) {
+    // The base64 text may come as a data URL
+    data = `data:image/${extension};base64,${media.base64.replace(/^data:[^,]*,/, "")}`;
+  } else {
+    throw new Error("Image has no data");
+  }
+
+  doc.addImage(data, format, x, y, width, height, `image-${id}`);
+}
@@ -0,0 +1,164 @@
+import { parseFormula } from "./formulaParser.js";
+import { FUNCTIONS } from "./formulaFunctions.js";
+import {
+  FormulaError,
+  toNumber,
+  toText,
+  compareValues,
+} from "./formulaValues.js";
+
+/**
+ * Evaluates an Excel formula
+ * Errors are returned as values ({ error: "#DIV/0!" }); formulas that cannot be
+ * parsed or call unknown functions evaluate to #NAME?.
+ * @param {string} formula - The formula, with or without the leading "="
+ * @param {Object} context - How references are resolved:
+ * - getCell(sheet, row, col): value of a cell (sheet is undefined for the current sheet)
+ * - getRange(sheet, top, left, bottom, right): 2D array of values, open sides are null
+ * - offset: { rows, cols } added to relative references (default: none)
+ * - getName(name): formula a defined name refers to, e.g. "Sheet1!$A$1:$B$4" (optional)
+ * @returns {*} A number, string, boolean, null (blank) or error value
+ */
+export function evaluateFormula(formula, context) {
+  let tree;
+  try {
+    tree = parseFormula(formula);
+  } catch (error) {
+    return { error: "#NAME?" };
+  }
+  const value = evaluateNode(tree, context);
+  // A formula returning a range shows its first value
+  return Array.isArray(value) ? (value[0]?.[0] ?? null) : value;
+}
+
+/**
+ * Evaluates a syntax tree node, turning raised errors into error values
+ */
+function evaluateNode(node, context) {
+  try {
+    return evaluate(node, context);
+  } catch (error) {
+    if (error instanceof FormulaError) {
+      return { error: error.code };
+    }
+    throw error;
+  }
+}
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case "number":
+    case "string":
+    case "boolean":
+      return node.value;
+    case "error":
+      return { error: node.value };
+    case "blank":
+      return null;
+    case "ref": {
+      const { row, col } = shift(node, context.offset);
+      return context.getCell(node.sheet, row, col) ?? null;
+    }
+    case "range": {
+      const start = shift(node.start, context.offset);
+      const end = shift(node.end, context.offset);
+      return context.getRange(
+        node.sheet,
+        minOf(start.row, end.row),
+        minOf(start.col, end.col),
+        maxOf(start.row, end.row),
+        maxOf(start.col, end.col)
+      );
+    }
+    case "name": {
+      const definition = context.getName?.(node.name);
+      if (definition == null) throw new FormulaError("#NAME?");
+      let tree;
+      try {
+        tree = parseFormula(definition);
+      } catch (error) {
+        throw new FormulaError("#NAME?");
+      }
+      // Defined names hold absolute references, the offset does not apply
+      return evaluate(tree, { ...context, offset: undefined });
+    }
+    case "call": {
+      const fn = FUNCTIONS[node.name.replace(/^_xlfn\./, "")];
+      if (!fn) throw new FormulaError("#NAME?");
+      const args = node.args.map((arg) => evaluateNode(arg, context));
+      return fn(args, context);
+    }
+    case "unary": {
+      const value = toNumber(evaluate(node.operand, context));
+      return node.op === "-" ? -value : value;
+    }
+    case "percent":
+      return toNumber(evaluate(node.operand, context)) / 100;
+    case "binary":
+      return evaluateBinary(
+        node.op,
+        evaluate(node.left, context),
+        evaluate(node.right, context)
+      );
+  }
+  throw new FormulaError("#VALUE!");
+}
+
+function evaluateBinary(op, left, right) {
+  switch (op) {
+    case "+":
+      return toNumber(left) + toNumber(right);
+    case "-":
+      return toNumber(left) - toNumber(right);
+    case "*":
+      return toNumber(left) * toNumber(right);
+    case "/": {
+      const dividend = toNumber(left);
+      const divisor = toNumber(right);
+      if (divisor === 0) throw new FormulaError("#DIV/0!");
+      return dividend / divisor;
+    }
+    case "^": {
+      const result = toNumber(left) ** toNumber(right);
+      if (!Number.isFinite(result)) throw new FormulaError("#NUM!");
+      return result;
+    }
+    case "&":
+      return toText(left) + toText(right);
+    case "=":
+      return compareValues(left, right) === 0;
+    case "<>":
+      return compareValues(left, right) !== 0;
+    case "<":
+      return compareValues(left, right) < 0;
+    case ">":
+      return compareValues(left, right) > 0;
+    case "<=":
+      return compareValues(left, right) <= 0;
+    case ">=":
+      return compareValues(left, right) >= 0;
+  }
+  throw new FormulaError("#VALUE!");
+}
+
+/**
+ * Moves the relative parts of a reference by the context offset
+ */
+function shift(ref, offset) {
+  const row =
+    ref.row != null && !ref.rowAbs && offset ? ref.row + offset.rows : ref.row;
+  const col =
+    ref.col != null && !ref.colAbs && offset ? ref.col + offset.cols : ref.col;
+  if ((row != null && row < 1) || (col != null && col < 1)) {
+    throw new FormulaError("#REF!");
+  }
+  return { row, col };
+}
+
+function minOf(a, b) {
+  return a == null || b == null ? null : Math.min(a, b);
+}
+
+function maxOf(a, b) {
+  return a == null || b == null ? null : Math.max(a, b);
+}
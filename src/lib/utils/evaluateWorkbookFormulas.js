@@ -0,0 +1,148 @@
+import { cellValue } from "./cellValue.js";
+import { evaluateFormula } from "./evaluateFormula.js";
+import { parseFormula } from "./formulaParser.js";
+import { DATE_FUNCTIONS } from "./formulaFunctions.js";
+import { serialToDate } from "./formatNumber.js";
+
+// Marks a cell whose formula is being evaluated, to detect circular references
+const EVALUATING = Symbol("evaluating");
+
+/**
+ * Evaluates the formula cells that have no cached result, such as workbooks
+ * generated by code and never opened in Excel
+ * Results are stored on the cells like the results Excel saves, so the rest of
+ * the conversion reads them as usual. Formulas referring to other cells without
+ * results evaluate those first, on any sheet. Like in Excel, every cell of a
+ * circular reference evaluates to 0, and each circle is returned once for the
+ * caller to report.
+ * @param {Object} workbook - The ExcelJS workbook
+ * @param {Array<Object>} worksheets - The worksheets whose formulas to evaluate
+ * @returns {Array<string>} The circular references found, e.g. "Sheet1!A1 -> Sheet1!B1 -> Sheet1!A1"
+ */
+export function evaluateWorkbookFormulas(workbook, worksheets) {
+  const results = new Map();
+  const stack = [];
+  const cycles = [];
+  // Cells on a circular reference, whose partial results are not kept
+  const circular = new Set();
+
+  const findSheet = (name) =>
+    workbook.worksheets.find(
+      (worksheet) => worksheet.name.toLowerCase() === name.toLowerCase()
+    );
+  const definedNames = new Map(
+    (workbook.definedNames?.model || []).map(({ name, ranges }) => [
+      name.toLowerCase(),
+      ranges[0],
+    ])
+  );
+
+  const valueOf = (worksheet, row, col) => {
+    const cell = worksheet.findCell(row, col);
+    if (!needsResult(cell)) {
+      return cellValue(cell);
+    }
+
+    const key = `${worksheet.id}-${row}-${col}`;
+    const address = `${worksheet.name}!${cell.address}`;
+    if (results.get(key) === EVALUATING) {
+      const start = stack.findIndex((entry) => entry.key === key);
+      const circle = stack.slice(start);
+      if (circle.some((entry) => !circular.has(entry.key))) {
+        circle.forEach((entry) => circular.add(entry.key));
+        cycles.push(
+          [...circle.map((entry) => entry.address), address].join(" -> ")
+        );
+      }
+      return 0;
+    }
+    if (results.has(key)) {
+      return results.get(key);
+    }
+
+    results.set(key, EVALUATING);
+    stack.push({ key, address });
+    const result = evaluateFormula(cell.formula, contextFor(worksheet)) ?? 0;
+    stack.pop();
+    const value = circular.has(key) ? 0 : result;
+    results.set(key, value);
+    storeResult(cell, value);
+    return value;
+  };
+
+  const contextFor = (worksheet) => {
+    const sheetOf = (name) => (name ? findSheet(name) : worksheet);
+    return {
+      getCell: (sheet, row, col) => {
+        const target = sheetOf(sheet);
+        return target ? valueOf(target, row, col) : { error: "#REF!" };
+      },
+      getRange: (sheet, top, left, bottom, right) => {
+        const target = sheetOf(sheet);
+        if (!target) return [[{ error: "#REF!" }]];
+        const values = [];
+        for (let r = top ?? 1; r <= (bottom ?? target.rowCount); r++) {
+          const rowValues = [];
+          for (let c = left ?? 1; c <= (right ?? target.columnCount); c++) {
+            rowValues.push(valueOf(target, r, c));
+          }
+          values.push(rowValues);
+        }
+        return values;
+      },
+      getName: (name) => definedNames.get(name.toLowerCase()),
+    };
+  };
+
+  worksheets.forEach((worksheet) => {
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+        if (needsResult(cell)) valueOf(worksheet, rowNumber, colNumber);
+      });
+    });
+  });
+
+  return cycles;
+}
+
+/**
+ * Checks whether a cell holds a formula without a cached result
+ */
+function needsResult(cell) {
+  const value = cell?.value;
+  return (
+    value != null &&
+    typeof value === "object" &&
+    Boolean(value.formula || value.sharedFormula) &&
+    // cell.value leaves out falsy results, cell.result keeps them
+    cell.result === undefined
+  );
+}
+
+/**
+ * Stores an evaluated result on a formula cell, keeping its formula
+ * Date functions give dates when the cell has no number format of its own.
+ */
+function storeResult(cell, value) {
+  let result = value;
+  if (
+    typeof value === "number" &&
+    (!cell.numFmt || cell.numFmt === "General") &&
+    returnsDate(cell.formula)
+  ) {
+    result = serialToDate(value);
+  }
+  cell.value = { ...cell.value, result };
+}
+
+function returnsDate(formula) {
+  try {
+    const tree = parseFormula(formula);
+    return (
+      tree.type === "call" &&
+      DATE_FUNCTIONS.includes(tree.name.replace(/^_xlfn\./, ""))
+    );
+  } catch (error) {
+    return false;
+  }
+}
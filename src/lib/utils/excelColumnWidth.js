@@ -0,0 +1,35 @@
+/**
+ * Width of a column in Excel character units when the sheet does not set one
+ */
+export const DEFAULT_COLUMN_WIDTH = 8.43;
+
+/**
+ * Converts an Excel column width (in characters of the default font) to points
+ * Uses Excel's own formula with the 7px maximum digit width of Calibri 11.
+ * @param {number} width - The column width in character units
+ * @returns {number} The column width in points
+ * @example
+ * excelWidthToPoints(8.43) // returns 48 (64px, the default column width)
+ */
+export function excelWidthToPoints(width) {
+  const maxDigitWidth = 7;
+  const pixels = Math.trunc(
+    ((256 * width + Math.trunc(128 / maxDigitWidth)) / 256) * maxDigitWidth
+  );
+  // 96 pixels per inch, 72 points per inch
+  return pixels * 0.75;
+}
+
+/**
+ * Gets the width of a worksheet column in points, as Excel displays it
+ * @param {Object} worksheet - The ExcelJS worksheet
+ * @param {number} colNumber - The column number (1-based)
+ * @returns {number} The column width in points
+ */
+export function excelColumnWidth(worksheet, colNumber) {
+  const width =
+    worksheet.getColumn(colNumber).width ||
+    worksheet.properties?.defaultColWidth ||
+    DEFAULT_COLUMN_WIDTH;
+  return excelWidthToPoints(width);
+}
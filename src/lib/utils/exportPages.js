@@ -0,0 +1,118 @@
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+// Fonts registered with the canvas package, which keeps them for the whole process
+const canvasFonts = new Set();
+
+/**
+ * Serializes a finished HTML document, optionally writing it to disk
+ * @param {Object} doc - The document from createHtmlDocument
+ * @param {string} outputFilePath - Path to write the HTML to, skipped when empty
+ * @returns {Promise<string>} The HTML text
+ */
+export async function exportHtml(doc, outputFilePath) {
+  const html = doc.toHtml();
+  if (outputFilePath) {
+    const { writeFile } = await import("fs/promises");
+    await writeFile(outputFilePath, html, "utf8");
+  }
+  return html;
+}
+
+/**
+ * Serializes the pages of a finished SVG document, optionally writing them to disk
+ * @param {Object} doc - The document from createSvgDocument
+ * @param {string} outputFilePath - Path to write the pages to, skipped when empty;
+ * documents of several pages are written to numbered files, see pagePath
+ * @returns {Promise<Array<string>>} The SVG text of every page
+ */
+export async function exportSvg(doc, outputFilePath) {
+  const pages = doc.toSvg();
+  await writePages(pages, outputFilePath);
+  return pages;
+}
+
+/**
+ * Rasterizes the pages of a finished SVG document to PNG images, optionally
+ * writing them to disk. Needs the optional @napi-rs/canvas package.
+ * @param {Object} doc - The document from createSvgDocument
+ * @param {string} outputFilePath - Path to write the images to, skipped when empty;
+ * documents of several pages are written to numbered files, see pagePath
+ * @param {Object} options - { scale, fonts }: pixels per point (default: 1) and the
+ * font registry from loadFonts
+ * @returns {Promise<Array<Buffer>>} The PNG image of every page
+ * @throws {ConversionError} If @napi-rs/canvas is not installed or the scale is invalid
+ */
+export async function exportPng(doc, outputFilePath, { scale = 1, fonts }) {
+  if (typeof scale !== "number" || !(scale > 0)) {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Invalid pngScale: ${scale}`
+    );
+  }
+  let canvas;
+  try {
+    canvas = await import("@napi-rs/canvas");
+  } catch (error) {
+    throw new ConversionError(
+      ERROR_CODES.MISSING_DEPENDENCY,
+      "PNG output needs the @napi-rs/canvas package: npm install @napi-rs/canvas",
+      { cause: error }
+    );
+  }
+  const { createCanvas, Image, GlobalFonts } = canvas;
+
+  Object.values(fonts.families).forEach(({ family, styles }) =>
+    Object.values(styles).forEach((face) => {
+      const key = `${family}|${face.binary.length}|${face.vfsName}`;
+      if (canvasFonts.has(key)) return;
+      GlobalFonts.register(Buffer.from(face.binary, "binary"), family);
+      canvasFonts.add(key);
+    })
+  );
+
+  const images = [];
+  for (const svg of doc.toSvg({ scale })) {
+    // The canvas takes a font family as a single name, pick the first one installed
+    const resolved = svg.replace(/font-family="([^"]*)"/g, (_, families) => {
+      const names = families
+        .split(",")
+        .map((name) => name.trim().replace(/^'|'$/g, ""));
+      const installed = names.find((name) => GlobalFonts.has(name));
+      return `font-family="${installed || names[names.length - 1]}"`;
+    });
+    const image = new Image();
+    image.src = Buffer.from(resolved);
+    const page = createCanvas(image.width, image.height);
+    page.getContext("2d").drawImage(image, 0, 0, image.width, image.height);
+    images.push(await page.encode("png"));
+  }
+  await writePages(images, outputFilePath);
+  return images;
+}
+
+/**
+ * Names the file a page is written to: the output path itself for a single
+ * page, otherwise the path with the page number before its extension, e.g.
+ * "report-2.png"
+ * @param {string} outputFilePath - The output path
+ * @param {number} pageNumber - The 1-based page number
+ * @param {number} pageCount - The number of pages
+ * @returns {string} The path of the page
+ */
+export function pagePath(outputFilePath, pageNumber, pageCount) {
+  if (pageCount === 1) return outputFilePath;
+  const match = /^(.*?)(\.[^.\\/]*)?$/.exec(outputFilePath);
+  return `${match[1]}-${pageNumber}${match[2] || ""}`;
+}
+
+async function writePages(pages, outputFilePath) {
+  // The filesystem is only needed when an output path is given
+  if (!outputFilePath) return;
+  const { writeFile } = await import("fs/promises");
+  for (let idx = 0; idx < pages.length; idx++) {
+    await writeFile(
+      pagePath(outputFilePath, idx + 1, pages.length),
+      pages[idx]
+    );
+  }
+}
@@ -0,0 +1,35 @@
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Serializes the finished PDF document, optionally writing it to disk
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {string} outputFilePath - Path to write the PDF to, skipped when empty
+ * @param {string} outputType - Form of the returned PDF: "buffer", "uint8array" or "stream" (default: "buffer")
+ * @returns {Promise<Buffer|Uint8Array|Readable>} The PDF contents
+ */
+export async function exportPdf(doc, outputFilePath, outputType = "buffer") {
+  const bytes = new Uint8Array(doc.output("arraybuffer"));
+
+  // The filesystem is only needed when an output path is given
+  if (outputFilePath) {
+    const { writeFile } = await import("fs/promises");
+    await writeFile(outputFilePath, bytes);
+  }
+
+  switch (outputType) {
+    case "uint8array":
+      return bytes;
+    case "stream": {
+      const { Readable } = await import("stream");
+      return Readable.from([Buffer.from(bytes.buffer)]);
+    }
+    case "buffer":
+      // Fall back to plain bytes where Buffer is not available (browsers)
+      return typeof Buffer !== "undefined" ? Buffer.from(bytes.buffer) : bytes;
+    default:
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Unsupported outputType: ${outputType}`
+      );
+  }
+}
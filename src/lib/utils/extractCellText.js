@@ -1,42 +1,33 @@
+import { formatNumber } from "./formatNumber.js";
+
 /**
  * Extracts text from an Excel cell, handling different value types and formatting
  * @param {Object} cell - The Excel cell object
- * @param {number} fixedAt - Number of decimal places for numeric formatting (default: 2)
+ * @param {number} fixedAt - Number of decimal places used when the number format cannot be applied (default: 2)
+ * @param {string|Object} locale - Locale for number formatting, a BCP 47 tag or { decimal, group } separators
  * @returns {string} The formatted text value
  */
-export function extractCellText(cell, fixedAt = 2) {
+export function extractCellText(cell, fixedAt = 2, locale) {
   if (cell.value == null) {
     return "";
   }
 
   // Handle object values (richText, formulas, etc.)
-  if (typeof cell.value === "object") {
+  if (typeof cell.value === "object" && !(cell.value instanceof Date)) {
     // Handle formulas with calculated results
-    if (cell.value.result !== undefined) {
-      // If the formula has a calculated result, use it
-      const result = cell.value.result;
+    // cell.result keeps falsy results (0, FALSE, "") that cell.value leaves out
+    const result = cell.result;
+    if (result !== undefined) {
       
-      // Format the result based on its type
-      if (typeof result === "number") {
-        const format = cell.numFmt || "";
-        
-        if (format.includes('0.00') || format.includes('#.##') || format.includes('0.0')) {
-          const decimalMatch = format.match(/\.0+/);
-          const decimalPlaces = decimalMatch ? decimalMatch[0].length - 1 : fixedAt;
-          return result.toFixed(decimalPlaces);
-        }
-        
-        // For numbers with natural decimals, preserve them
-        if (result % 1 !== 0) {
-          return result.toString();
-        }
-        
-        return result.toString();
+      // Errors are reported as { error: "#DIV/0!" }
+      if (result && typeof result === "object" && result.error) {
+        return result.error;
       }
-      
-      return String(result);
+
+      // Format the result with the cell's number format
+      return formatValue(result, cell.numFmt, fixedAt, locale);
     }
-    
+
     // Handle richText
     if (cell.value.richText && Array.isArray(cell.value.richText)) {
       return cell.value.richText
@@ -44,8 +35,13 @@ export function extractCellText(cell, fixedAt = 2) {
         .join("");
     }
     
-    // Handle hyperlinks
+    // Handle hyperlinks, whose text can be rich text
     if (cell.value.hyperlink && cell.value.text) {
+      if (Array.isArray(cell.value.text.richText)) {
+        return cell.value.text.richText
+          .map(part => part.text || "")
+          .join("");
+      }
       return cell.value.text;
     }
     
@@ -53,6 +49,11 @@ export function extractCellText(cell, fixedAt = 2) {
     if (cell.value.text) {
       return cell.value.text;
     }
+
+    // Handle error values
+    if (cell.value.error && !cell.value.formula && !cell.value.sharedFormula) {
+      return cell.value.error;
+    }
     
     // For formulas without results, try different approaches
     if (cell.value.formula) {
@@ -89,36 +90,22 @@ export function extractCellText(cell, fixedAt = 2) {
     return "";
   }
 
-  // Handle numeric values
-  if (typeof cell.value === "number") {
-    try {
-      const format = cell.numFmt || "";
-      
-      // Check if the format explicitly defines decimal places
-      if (format.includes('0.00') || format.includes('#.##') || format.includes('0.0')) {
-        const decimalMatch = format.match(/\.0+/);
-        const decimalPlaces = decimalMatch ? decimalMatch[0].length - 1 : fixedAt;
-        return cell.value.toFixed(decimalPlaces);
-      }
-      
-      // Check if cell.text shows decimals but preserve our decimal formatting logic
-      if (cell.text && cell.text.includes('.')) {
-        // Use cell.text but only if it's reasonable (not a formula display)
-        if (!cell.text.startsWith('=') && !cell.text.includes('(')) {
-          return cell.text;
-        }
-      }
-      
-      // For numbers with natural decimals, preserve them
-      if (cell.value % 1 !== 0) {
-        return cell.value.toString();
-      }
-      
-      // For whole numbers, keep as integer unless format suggests decimals
-      return cell.value.toString();
-    } catch (e) {
-      return String(cell.value);
-    }
+  // Handle numeric, date and boolean values with the cell's number format
+  if (
+    typeof cell.value === "number" ||
+    typeof cell.value === "boolean" ||
+    cell.value instanceof Date
+  ) {
+    return formatValue(cell.value, cell.numFmt, fixedAt, locale);
+  }
+
+  // Strings only change when the format has a text section, e.g. "Name: "@
+  if (
+    typeof cell.value === "string" &&
+    cell.numFmt &&
+    cell.numFmt.includes("@")
+  ) {
+    return formatNumber(cell.value, cell.numFmt, { locale });
   }
 
   // Check cell.text for other types (like dates, strings with special formatting)
@@ -142,3 +129,25 @@ export function extractCellText(cell, fixedAt = 2) {
   
   return String(cell.value);
 }
+
+/**
+ * Formats a value with an Excel number format
+ * @param {number|Date|boolean|string} value - The value to format
+ * @param {string} numFmt - The cell number format
+ * @param {number} fixedAt - Number of decimal places used when the format cannot be applied
+ * @param {string|Object} locale - Locale for number formatting
+ * @returns {string} The formatted text value
+ */
+function formatValue(value, numFmt, fixedAt, locale) {
+  let format = numFmt;
+  // Dates without a format are shown like Excel shows new dates
+  if (value instanceof Date && (!format || format === "General")) {
+    format = value.getTime() % 86400000 === 0 ? 14 : 22;
+  }
+
+  try {
+    return formatNumber(value, format, { locale });
+  } catch (e) {
+    return typeof value === "number" ? value.toFixed(fixedAt) : String(value);
+  }
+}
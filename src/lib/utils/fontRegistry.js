@@ -0,0 +1,190 @@
+import { jsPDF } from "jspdf";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Font used for cells whose font has no TrueType file mapped
+ */
+export const STANDARD_FONT = "helvetica";
+
+const FONT_STYLES = ["normal", "bold", "italic", "bolditalic"];
+
+// Characters of WinAnsiEncoding outside Latin-1, which the standard fonts can draw
+const WIN_ANSI_EXTRAS = new Set(
+  Array.from("€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ").map((char) => char.codePointAt(0))
+);
+
+/**
+ * Loads the TrueType fonts to embed in the PDF
+ * @param {Object} fonts - Excel font names mapped to a .ttf path or bytes, or to
+ * { normal, bold, italic, bolditalic } paths/bytes (e.g. { Calibri: "./calibri.ttf" })
+ * @param {Array<string>} fallbackFonts - Names of fonts (keys of `fonts`) tried in order for glyphs the cell font lacks (default: [])
+ * @returns {Promise<Object>} The font registry used for measuring and drawing text
+ * @throws {ConversionError} If a fallback font is not mapped or a font file cannot be read
+ */
+export async function loadFonts(fonts = {}, fallbackFonts = []) {
+  const families = {};
+
+  for (const [name, source] of Object.entries(fonts)) {
+    const sources =
+      typeof source === "string" || isBytes(source)
+        ? { normal: source }
+        : source;
+    const family = name.toLowerCase();
+    const styles = {};
+
+    for (const style of FONT_STYLES) {
+      if (!sources[style]) continue;
+      const bytes = await readFontBytes(sources[style]);
+      styles[style] = {
+        vfsName: `${family}-${style}.ttf`,
+        binary: toBinaryString(bytes),
+        codeMap: jsPDF.API.TTFFont.open(bytes).cmap.unicode.codeMap,
+      };
+    }
+
+    if (!styles.normal) {
+      // Use any available style when there is no regular face
+      styles.normal = styles[Object.keys(styles)[0]];
+    }
+    if (styles.normal) {
+      families[family] = { family, styles };
+    }
+  }
+
+  const fallbacks = fallbackFonts.map((name) => {
+    const family = name.toLowerCase();
+    if (!families[family]) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Fallback font "${name}" is not in the fonts option.`
+      );
+    }
+    return family;
+  });
+
+  return { families, fallbacks };
+}
+
+/**
+ * Registers the loaded fonts with a jsPDF document so they can be used and embedded
+ * @param {jsPDF} doc - The jsPDF document instance
+ * @param {Object} registry - The font registry returned by loadFonts
+ */
+export function registerFonts(doc, registry) {
+  Object.values(registry.families).forEach(({ family, styles }) => {
+    Object.entries(styles).forEach(([style, face]) => {
+      doc.addFileToVFS(face.vfsName, face.binary);
+      doc.addFont(face.vfsName, family, style);
+    });
+  });
+}
+
+/**
+ * Splits text into segments drawn with the cell font or, for glyphs it lacks,
+ * the first fallback font that has them
+ * @param {Object} registry - The font registry returned by loadFonts
+ * @param {string} text - The text to split
+ * @param {Object} font - The ExcelJS font of the text (name, bold, italic)
+ * @param {string} fontStyle - The jsPDF font style ("normal", "bold", ...)
+ * @returns {Array<Object>} Segments of { text, family, style }
+ */
+export function splitByFont(registry, text, font, fontStyle) {
+  const primary = registry.families[font?.name?.toLowerCase()];
+  const candidates = [
+    primary || null,
+    ...registry.fallbacks.map((family) => registry.families[family]),
+  ];
+
+  const segments = [];
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    let chosen = null;
+    for (const candidate of candidates) {
+      if (hasGlyph(candidate, fontStyle, codePoint)) {
+        chosen = candidate;
+        break;
+      }
+    }
+    // Nothing covers the glyph, draw it with the cell font anyway
+    if (chosen === null && !hasGlyph(null, fontStyle, codePoint)) {
+      chosen = primary || null;
+    }
+
+    const family = chosen ? chosen.family : STANDARD_FONT;
+    const style = chosen ? pickStyle(chosen, fontStyle) : fontStyle;
+    const last = segments[segments.length - 1];
+    if (last && last.family === family && last.style === style) {
+      last.text += char;
+    } else {
+      segments.push({ text: char, family, style });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Checks whether a font (null for the standard font) can draw a character
+ */
+function hasGlyph(candidate, fontStyle, codePoint) {
+  // Whitespace and control characters never need a fallback
+  if (codePoint <= 0x20) {
+    return true;
+  }
+  if (!candidate) {
+    return codePoint < 0x100 || WIN_ANSI_EXTRAS.has(codePoint);
+  }
+  const face = candidate.styles[pickStyle(candidate, fontStyle)];
+  return !!face.codeMap[codePoint];
+}
+
+/**
+ * Picks the closest style a font family provides, jsPDF cannot synthesize bold or italic
+ */
+function pickStyle(candidate, fontStyle) {
+  if (candidate.styles[fontStyle]) return fontStyle;
+  if (fontStyle === "bolditalic" && candidate.styles.bold) return "bold";
+  if (fontStyle === "bolditalic" && candidate.styles.italic) return "italic";
+  return "normal";
+}
+
+function isBytes(source) {
+  return source instanceof ArrayBuffer || ArrayBuffer.isView(source);
+}
+
+/**
+ * Reads a font from a path or bytes
+ */
+async function readFontBytes(source) {
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source);
+  }
+  if (ArrayBuffer.isView(source)) {
+    return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  }
+  // The filesystem is only needed when fonts are given as paths
+  const { readFile } = await import("fs/promises");
+  try {
+    return new Uint8Array(await readFile(source));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ConversionError(
+        ERROR_CODES.FILE_NOT_FOUND,
+        `The font file "${source}" was not found.`,
+        { cause: error }
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Converts bytes to the binary string jsPDF keeps in its virtual file system
+ */
+function toBinaryString(bytes) {
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return binary;
+}
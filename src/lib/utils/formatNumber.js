@@ -0,0 +1,982 @@
+import { INDEXED_COLORS } from "./indexedColors.js";
+
+/**
+ * Excel built-in number formats, keyed by numFmtId
+ */
+export const BUILTIN_FORMATS = {
+  0: "General",
+  1: "0",
+  2: "0.00",
+  3: "#,##0",
+  4: "#,##0.00",
+  5: '"$"#,##0_);("$"#,##0)',
+  6: '"$"#,##0_);[Red]("$"#,##0)',
+  7: '"$"#,##0.00_);("$"#,##0.00)',
+  8: '"$"#,##0.00_);[Red]("$"#,##0.00)',
+  9: "0%",
+  10: "0.00%",
+  11: "0.00E+00",
+  12: "# ?/?",
+  13: "# ??/??",
+  14: "m/d/yyyy",
+  15: "d-mmm-yy",
+  16: "d-mmm",
+  17: "mmm-yy",
+  18: "h:mm AM/PM",
+  19: "h:mm:ss AM/PM",
+  20: "h:mm",
+  21: "h:mm:ss",
+  22: "m/d/yyyy h:mm",
+  37: "#,##0 ;(#,##0)",
+  38: "#,##0 ;[Red](#,##0)",
+  39: "#,##0.00;(#,##0.00)",
+  40: "#,##0.00;[Red](#,##0.00)",
+  41: '_(* #,##0_);_(* (#,##0);_(* "-"_);_(@_)',
+  42: '_("$"* #,##0_);_("$"* (#,##0);_("$"* "-"_);_(@_)',
+  43: '_(* #,##0.00_);_(* (#,##0.00);_(* "-"??_);_(@_)',
+  44: '_("$"* #,##0.00_);_("$"* (#,##0.00);_("$"* "-"??_);_(@_)',
+  45: "mm:ss",
+  46: "[h]:mm:ss",
+  47: "mmss.0",
+  48: "##0.0E+0",
+  49: "@",
+};
+
+const NAMED_COLORS = {
+  black: "000000",
+  blue: "0000FF",
+  cyan: "00FFFF",
+  green: "00FF00",
+  magenta: "FF00FF",
+  red: "FF0000",
+  white: "FFFFFF",
+  yellow: "FFFF00",
+};
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const MS_PER_DAY = 86400000;
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const parsedFormats = new Map();
+
+/**
+ * Formats a value the way Excel displays it with the given number format
+ * Supports multi-section formats (positive;negative;zero;text), conditions,
+ * color codes, currency/locale tags, percentages, scientific notation,
+ * fractions, thousands separators and scaling, and date/time codes.
+ * @param {number|Date|string|boolean} value - The value to format
+ * @param {string|number} numFmt - The format code, or a built-in format id (default: "General")
+ * @param {Object} options - Formatting options
+ * @param {string|Object} options.locale - A BCP 47 locale (e.g. "de-DE") or { decimal, group } separators (default: "." and ",")
+ * @returns {string} The formatted text
+ */
+export function formatNumber(value, numFmt, { locale } = {}) {
+  return formatWithColor(value, numFmt, locale).text;
+}
+
+/**
+ * Gets the color a number format gives to a value, such as [Red] for negatives
+ * @param {number|Date|string|boolean} value - The value to format
+ * @param {string|number} numFmt - The format code, or a built-in format id
+ * @returns {string|null} The RRGGBB hex color, or null when the format sets none
+ */
+export function numberFormatColor(value, numFmt) {
+  return formatWithColor(value, numFmt).color;
+}
+
+/**
+ * Formats a value and reports the color of the section that was used
+ * @returns {Object} The formatted text and color ({ text, color })
+ */
+function formatWithColor(value, numFmt, locale) {
+  const format = resolveFormat(numFmt);
+  const separators = resolveSeparators(locale);
+  const sections = parseFormat(format);
+
+  if (typeof value === "boolean") {
+    return { text: value ? "TRUE" : "FALSE", color: null };
+  }
+
+  if (typeof value === "string") {
+    // Text uses the 4th section, or the only section when it has a text placeholder
+    const textSection =
+      sections[3] ||
+      (sections.length === 1 && sections[0].hasText ? sections[0] : null);
+    if (!textSection) {
+      return { text: value, color: null };
+    }
+    return {
+      text: textSection.tokens
+        .map((token) => (token.type === "text" ? value : literalOf(token)))
+        .join(""),
+      color: textSection.color,
+    };
+  }
+
+  const number = value instanceof Date ? dateToSerial(value) : value;
+  if (typeof number !== "number" || !isFinite(number)) {
+    return { text: String(value ?? ""), color: null };
+  }
+
+  const { section, signed } = selectSection(sections, number);
+  if (!section || section.tokens.length === 0) {
+    return { text: "", color: section?.color || null };
+  }
+
+  let text;
+  if (section.isGeneral) {
+    text = formatGeneral(number, separators);
+    // Literals around General, e.g. General" units"
+    if (section.tokens.length > 1) {
+      text = section.tokens
+        .map((token) => (token.type === "general" ? text : literalOf(token)))
+        .join("");
+    }
+  } else if (section.isDate) {
+    text = formatDate(number, section, locale);
+  } else {
+    text = formatNumberSection(
+      signed ? number : Math.abs(number),
+      section,
+      separators
+    );
+  }
+
+  return { text, color: section.color };
+}
+
+/**
+ * Resolves built-in format ids and empty formats to a format code
+ */
+function resolveFormat(numFmt) {
+  if (typeof numFmt === "number") {
+    return BUILTIN_FORMATS[numFmt] || "General";
+  }
+  if (!numFmt) {
+    return "General";
+  }
+  return numFmt;
+}
+
+/**
+ * Resolves the decimal and group separators of a locale
+ */
+function resolveSeparators(locale) {
+  if (locale && typeof locale === "object") {
+    return { decimal: locale.decimal ?? ".", group: locale.group ?? "," };
+  }
+  if (typeof locale === "string") {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+    return {
+      decimal: parts.find((part) => part.type === "decimal")?.value ?? ".",
+      group: parts.find((part) => part.type === "group")?.value ?? ",",
+    };
+  }
+  return { decimal: ".", group: "," };
+}
+
+/**
+ * Converts a JavaScript date (UTC, as ExcelJS reads them) to an Excel serial number
+ * @param {Date} date - The date to convert
+ * @returns {number} The serial number, days since 1899-12-30
+ */
+export function dateToSerial(date) {
+  return date.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+}
+
+/**
+ * Converts an Excel serial number to a JavaScript date in UTC
+ * @param {number} serial - The serial number, days since 1899-12-30
+ * @returns {Date} The date
+ */
+export function serialToDate(serial) {
+  return new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * MS_PER_DAY));
+}
+
+/**
+ * Picks the section used for a number, and whether the number keeps its sign
+ */
+function selectSection(sections, number) {
+  // Sections with conditions, e.g. [>=100]
+  if (sections.some((section) => section.condition)) {
+    const matched = sections.find(
+      (section) => section.condition && section.condition(number)
+    );
+    if (matched) {
+      return { section: matched, signed: true };
+    }
+    // The first section without a condition is used for everything else
+    const fallback = sections.find(
+      (section) => !section.condition && !section.isTextOnly
+    );
+    return { section: fallback, signed: true };
+  }
+
+  const numeric = sections.filter((section, idx) => idx < 3);
+  if (numeric.length === 1 || number > 0 || (number === 0 && !numeric[2])) {
+    return { section: numeric[0], signed: numeric.length === 1 };
+  }
+  if (number < 0) {
+    return { section: numeric[1], signed: false };
+  }
+  return { section: numeric[2], signed: false };
+}
+
+/**
+ * Splits a format code into sections and tokenizes each of them
+ * Parsed formats are cached since the same formats repeat across cells.
+ */
+function parseFormat(format) {
+  if (parsedFormats.has(format)) {
+    return parsedFormats.get(format);
+  }
+
+  const sections = [];
+  let current = "";
+  for (let i = 0; i < format.length; i++) {
+    const char = format[i];
+    if (char === '"') {
+      const end = format.indexOf('"', i + 1);
+      const stop = end === -1 ? format.length : end;
+      current += format.slice(i, stop + 1);
+      i = stop;
+    } else if (char === "\\" || char === "_" || char === "*") {
+      current += format.slice(i, i + 2);
+      i++;
+    } else if (char === "[") {
+      const end = format.indexOf("]", i);
+      const stop = end === -1 ? format.length : end;
+      current += format.slice(i, stop + 1);
+      i = stop;
+    } else if (char === ";") {
+      sections.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  sections.push(current);
+
+  const parsed = sections.map(parseSection);
+  parsedFormats.set(format, parsed);
+  return parsed;
+}
+
+/**
+ * Tokenizes one format section
+ */
+function parseSection(source) {
+  const section = {
+    tokens: [],
+    color: null,
+    condition: null,
+    isDate: false,
+    isGeneral: false,
+    hasText: false,
+    isTextOnly: false,
+  };
+  const tokens = section.tokens;
+  const lower = source.toLowerCase();
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const lowerChar = lower[i];
+
+    if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      const stop = end === -1 ? source.length : end;
+      tokens.push({ type: "literal", value: source.slice(i + 1, stop) });
+      i = stop;
+    } else if (char === "\\") {
+      tokens.push({ type: "literal", value: source[i + 1] || "" });
+      i++;
+    } else if (char === "_") {
+      // Space as wide as the next character
+      tokens.push({ type: "literal", value: " " });
+      i++;
+    } else if (char === "*") {
+      // Repeat fill, there is no column width to fill here
+      i++;
+    } else if (char === "[") {
+      const end = source.indexOf("]", i);
+      const stop = end === -1 ? source.length : end;
+      parseBracket(source.slice(i + 1, stop), section);
+      i = stop;
+    } else if (lower.startsWith("general", i)) {
+      tokens.push({ type: "general" });
+      section.isGeneral = true;
+      i += 6;
+    } else if (lower.startsWith("am/pm", i)) {
+      tokens.push({ type: "ampm", long: true });
+      section.isDate = true;
+      i += 4;
+    } else if (lower.startsWith("a/p", i)) {
+      tokens.push({ type: "ampm", long: false });
+      section.isDate = true;
+      i += 2;
+    } else if (
+      (char === "E" || char === "e") &&
+      (source[i + 1] === "+" || source[i + 1] === "-")
+    ) {
+      tokens.push({ type: "exponent", sign: source[i + 1] });
+      i++;
+    } else if ("ymdhse".includes(lowerChar)) {
+      let end = i;
+      while (lower[end] === lowerChar) end++;
+      const code = lowerChar === "e" ? "y" : lowerChar;
+      tokens.push({ type: "date", code, length: end - i });
+      section.isDate = true;
+      i = end - 1;
+    } else if (char === "0" || char === "#" || char === "?") {
+      tokens.push({ type: "digit", value: char });
+    } else if (char === "." || char === "," || char === "%" || char === "/") {
+      tokens.push({ type: char });
+    } else if (char === "@") {
+      tokens.push({ type: "text" });
+      section.hasText = true;
+    } else {
+      tokens.push({ type: "literal", value: char });
+    }
+  }
+
+  // Minutes are written like months: "m" after hours or before seconds is minutes
+  tokens.forEach((token, idx) => {
+    if (token.type !== "date" || token.code !== "m") return;
+    const previous = findDateToken(tokens, idx, -1);
+    const next = findDateToken(tokens, idx, 1);
+    if (
+      (previous && (previous.code === "h" || previous.elapsed === "h")) ||
+      (next && (next.code === "s" || next.elapsed === "s"))
+    ) {
+      token.code = "min";
+    }
+  });
+
+  // Sub-second digits, e.g. "ss.00"
+  if (section.isDate) {
+    tokens.forEach((token, idx) => {
+      if (token.type !== "." || !tokens[idx + 1]) return;
+      const previous = findDateToken(tokens, idx, -1);
+      if (previous?.code === "s" || previous?.elapsed === "s") {
+        let digits = 0;
+        while (tokens[idx + 1 + digits]?.value === "0") digits++;
+        if (digits > 0) {
+          token.type = "subsecond";
+          token.length = digits;
+          tokens.splice(idx + 1, digits);
+        }
+      }
+    });
+  }
+
+  section.isTextOnly =
+    section.hasText &&
+    !tokens.some((token) => token.type === "digit" || token.type === "date");
+  return section;
+}
+
+/**
+ * Finds the nearest date token before (-1) or after (1) a token
+ */
+function findDateToken(tokens, idx, direction) {
+  for (let i = idx + direction; i >= 0 && i < tokens.length; i += direction) {
+    if (tokens[i].type === "date" || tokens[i].type === "elapsed") {
+      return tokens[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Handles bracketed codes: colors, conditions, elapsed time and currency tags
+ */
+function parseBracket(content, section) {
+  const lower = content.toLowerCase();
+
+  if (NAMED_COLORS[lower]) {
+    section.color = NAMED_COLORS[lower];
+    return;
+  }
+
+  const indexed = lower.match(/^color\s*(\d+)$/);
+  if (indexed) {
+    // [Color1] is the first color of the palette, which starts at index 8
+    section.color = INDEXED_COLORS[parseInt(indexed[1], 10) + 7] || null;
+    return;
+  }
+
+  const condition = content.match(/^(<=|>=|<>|<|>|=)\s*(-?[\d.]+)$/);
+  if (condition) {
+    const limit = parseFloat(condition[2]);
+    const compare = {
+      "<": (n) => n < limit,
+      ">": (n) => n > limit,
+      "=": (n) => n === limit,
+      "<=": (n) => n <= limit,
+      ">=": (n) => n >= limit,
+      "<>": (n) => n !== limit,
+    };
+    section.condition = compare[condition[1]];
+    return;
+  }
+
+  const elapsed = lower.match(/^(h+|m+|s+)$/);
+  if (elapsed) {
+    section.tokens.push({
+      type: "elapsed",
+      elapsed: elapsed[1][0],
+      length: elapsed[1].length,
+    });
+    section.isDate = true;
+    return;
+  }
+
+  // Currency and locale tags, e.g. [$€-407] or [$USD]
+  if (content.startsWith("$")) {
+    const symbol = content.slice(1).split("-")[0];
+    if (symbol) {
+      section.tokens.push({ type: "literal", value: symbol });
+    }
+  }
+}
+
+/**
+ * Gets the text a non number token contributes
+ */
+function literalOf(token) {
+  switch (token.type) {
+    case "literal":
+      return token.value;
+    case "digit":
+      return token.value === "0" ? "0" : "";
+    case ".":
+    case ",":
+    case "%":
+    case "/":
+      return token.type;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Rounds a number to a number of decimals without binary floating point artifacts
+ * The decimal point is shifted on the exponent, as very small and very large
+ * numbers are written in exponent form, e.g. "1e-7"
+ */
+function round(number, decimals) {
+  const shift = (value, places) => {
+    const [mantissa, exponent = "0"] = String(value).split("e");
+    return Number(`${mantissa}e${Number(exponent) + places}`);
+  };
+  return shift(Math.round(shift(number, decimals)), -decimals);
+}
+
+/**
+ * Writes a positive rounded number with a fixed number of decimals, also from
+ * 1e21 on, where toFixed switches to exponent form
+ */
+function toFixedDigits(number, decimals) {
+  if (number < 1e21) return number.toFixed(decimals);
+  const decimalText = decimals > 0 ? `.${"0".repeat(decimals)}` : "";
+  return `${BigInt(number)}${decimalText}`;
+}
+
+/**
+ * Formats a number with the General format: up to 11 characters, switching
+ * to scientific notation for very large or very small numbers
+ */
+function formatGeneral(number, { decimal }) {
+  const abs = Math.abs(number);
+  let text;
+  if (Number.isInteger(number) && abs < 1e11) {
+    text = String(number);
+  } else if (abs >= 1e11 || (abs !== 0 && abs < 1e-4)) {
+    const [mantissa, exponent] = number.toExponential(5).split("e");
+    const cleanMantissa = mantissa.replace(/\.?0+$/, "");
+    const sign = exponent[0] === "-" ? "-" : "+";
+    const digits = exponent.replace(/^[+-]/, "").padStart(2, "0");
+    text = `${cleanMantissa}E${sign}${digits}`;
+  } else {
+    // Keep at most 11 characters, including sign and decimal point
+    const integerDigits = Math.max(1, Math.floor(Math.log10(abs)) + 1);
+    const available = 11 - (number < 0 ? 1 : 0) - integerDigits - 1;
+    const decimals = Math.max(0, available);
+    text = round(number, decimals)
+      .toFixed(decimals)
+      .replace(/(\.\d*?)0+$/, "$1")
+      .replace(/\.$/, "");
+  }
+  return text.replace(".", decimal);
+}
+
+/**
+ * Formats a number with a numeric (non date) section
+ */
+function formatNumberSection(number, section, separators) {
+  const tokens = section.tokens;
+
+  // Each % multiplies by 100
+  const percents = tokens.filter((token) => token.type === "%").length;
+  let value = number * Math.pow(100, percents);
+
+  if (tokens.some((token) => token.type === "/")) {
+    return formatFraction(value, tokens, separators);
+  }
+
+  const exponentIdx = tokens.findIndex((token) => token.type === "exponent");
+  const mantissaTokens =
+    exponentIdx === -1 ? tokens : tokens.slice(0, exponentIdx);
+  const decimalIdx = mantissaTokens.findIndex((token) => token.type === ".");
+  const integerEnd = decimalIdx === -1 ? mantissaTokens.length : decimalIdx;
+
+  // Commas right after the last integer or decimal digit scale by 1000 each,
+  // commas between digits turn on thousands separators
+  const integerDigitIdx = [];
+  mantissaTokens.slice(0, integerEnd).forEach((token, idx) => {
+    if (token.type === "digit") integerDigitIdx.push(idx);
+  });
+  const lastDigit = integerDigitIdx[integerDigitIdx.length - 1] ?? -1;
+  const firstDigit = integerDigitIdx[0] ?? -1;
+  let useGroups = false;
+  let scaleCommas = 0;
+  mantissaTokens.slice(0, integerEnd).forEach((token, idx) => {
+    if (token.type !== ",") return;
+    if (idx > firstDigit && idx < lastDigit) {
+      useGroups = true;
+    } else if (idx > lastDigit && lastDigit !== -1) {
+      scaleCommas++;
+    }
+  });
+  const decimalPlaceholders =
+    decimalIdx === -1
+      ? []
+      : mantissaTokens
+          .slice(decimalIdx + 1)
+          .filter((token) => token.type === "digit");
+  if (decimalPlaceholders.length > 0) {
+    const lastDecimal = mantissaTokens.lastIndexOf(
+      decimalPlaceholders[decimalPlaceholders.length - 1]
+    );
+    for (
+      let idx = lastDecimal + 1;
+      mantissaTokens[idx]?.type === ",";
+      idx++
+    ) {
+      scaleCommas++;
+    }
+  }
+  value /= Math.pow(1000, scaleCommas);
+
+  let exponentText = "";
+  if (exponentIdx !== -1) {
+    const result = splitExponent(
+      value,
+      integerDigitIdx.map((idx) => mantissaTokens[idx]),
+      decimalPlaceholders.length
+    );
+    value = result.mantissa;
+    const exponentDigits = tokens
+      .slice(exponentIdx + 1)
+      .filter((token) => token.type === "digit").length;
+    const sign =
+      result.exponent < 0 ? "-" : tokens[exponentIdx].sign === "+" ? "+" : "";
+    exponentText = `E${sign}${String(Math.abs(result.exponent)).padStart(
+      exponentDigits,
+      "0"
+    )}`;
+  }
+
+  const rounded = round(Math.abs(value), decimalPlaceholders.length);
+  const negative = value < 0 && rounded !== 0;
+  const [integerPart, decimalPart = ""] = toFixedDigits(
+    rounded,
+    decimalPlaceholders.length
+  ).split(".");
+
+  const integerTokens = integerDigitIdx.map((idx) => mantissaTokens[idx]);
+  const integerText = useGroups
+    ? fillGroupedInteger(integerPart, integerTokens, separators.group)
+    : null;
+  const integerFill = useGroups
+    ? null
+    : fillInteger(integerPart, integerTokens);
+  const decimalFill = fillDecimals(decimalPart, decimalPlaceholders);
+
+  // Walk the tokens again and emit the output
+  let output = "";
+  let integerSlot = 0;
+  let decimalSlot = 0;
+  let afterDecimal = false;
+  mantissaTokens.forEach((token, idx) => {
+    if (token.type === "digit") {
+      if (afterDecimal) {
+        output += decimalFill[decimalSlot++];
+      } else if (useGroups) {
+        output += integerSlot++ === 0 ? integerText : "";
+      } else {
+        output += integerFill[integerSlot++];
+      }
+    } else if (token.type === ".") {
+      if (idx === decimalIdx) {
+        output += separators.decimal;
+        afterDecimal = true;
+      } else {
+        output += ".";
+      }
+    } else if (token.type === ",") {
+      // Grouping and scaling commas do not print
+    } else {
+      output += literalOf(token);
+    }
+  });
+
+  if (exponentIdx !== -1) {
+    output += exponentText;
+    tokens.slice(exponentIdx + 1).forEach((token) => {
+      if (token.type === "literal") output += token.value;
+    });
+  }
+
+  return negative ? `-${output}` : output;
+}
+
+/**
+ * Splits a value into mantissa and exponent for scientific formats
+ * Engineering formats like ##0.0E+0 use exponents that are multiples of the
+ * number of integer placeholders.
+ */
+function splitExponent(value, integerTokens, decimals) {
+  if (value === 0) {
+    return { mantissa: 0, exponent: 0 };
+  }
+  const integerDigits = Math.max(1, integerTokens.length);
+  const step = integerTokens.some((token) => token.value === "#")
+    ? integerDigits
+    : 1;
+  let exponent = Math.floor(Math.log10(Math.abs(value)));
+  exponent =
+    step > 1
+      ? Math.floor(exponent / step) * step
+      : exponent - (integerDigits - 1);
+  let mantissa = value / Math.pow(10, exponent);
+
+  // Rounding can carry over, e.g. 9.999 -> 10.00
+  if (Math.abs(round(mantissa, decimals)) >= Math.pow(10, integerDigits)) {
+    exponent += step;
+    mantissa = value / Math.pow(10, exponent);
+  }
+  return { mantissa, exponent };
+}
+
+/**
+ * Fills integer placeholders right to left; the leftmost takes any extra digits
+ */
+function fillInteger(digits, placeholders) {
+  const fill = placeholders.map(() => "");
+  let remaining = digits === "0" ? "" : digits;
+
+  for (let i = placeholders.length - 1; i >= 0; i--) {
+    if (i === 0) {
+      fill[i] = remaining || placeholderBlank(placeholders[i]);
+    } else if (remaining) {
+      fill[i] = remaining.slice(-1);
+      remaining = remaining.slice(0, -1);
+    } else {
+      fill[i] = placeholderBlank(placeholders[i]);
+    }
+  }
+  return fill;
+}
+
+/**
+ * Builds the integer part with thousands separators and zero padding
+ */
+function fillGroupedInteger(digits, placeholders, group) {
+  const firstRequired = placeholders.findIndex((token) => token.value !== "#");
+  const minLength =
+    firstRequired === -1 ? 0 : placeholders.length - firstRequired;
+  let text = digits === "0" ? "" : digits;
+  while (text.length < minLength) {
+    const placeholder = placeholders[placeholders.length - text.length - 1];
+    text = (placeholder.value === "?" ? " " : "0") + text;
+  }
+  return text.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+}
+
+/**
+ * Fills decimal placeholders left to right, trimming optional trailing zeros
+ */
+function fillDecimals(digits, placeholders) {
+  const fill = placeholders.map((_, idx) => digits[idx] || "0");
+  for (let i = placeholders.length - 1; i >= 0; i--) {
+    if (fill[i] !== "0" || placeholders[i].value === "0") break;
+    fill[i] = placeholders[i].value === "?" ? " " : "";
+  }
+  return fill;
+}
+
+/**
+ * Text shown by an unused placeholder: 0 shows a zero, ? a space, # nothing
+ */
+function placeholderBlank(token) {
+  if (token.value === "0") return "0";
+  if (token.value === "?") return " ";
+  return "";
+}
+
+/**
+ * Formats a number as a fraction, e.g. "# ?/?" or "?/8"
+ */
+function formatFraction(value, tokens, separators) {
+  const slashIdx = tokens.findIndex((token) => token.type === "/");
+
+  // Numerator: the digit placeholders right before the slash
+  let numeratorStart = slashIdx;
+  while (numeratorStart > 0 && tokens[numeratorStart - 1].type === "digit") {
+    numeratorStart--;
+  }
+  const numeratorTokens = tokens.slice(numeratorStart, slashIdx);
+
+  // Denominator: placeholders, or a fixed number such as "8" or "100"
+  let denominatorEnd = slashIdx + 1;
+  let fixedDenominator = "";
+  while (
+    denominatorEnd < tokens.length &&
+    (tokens[denominatorEnd].type === "digit" ||
+      (tokens[denominatorEnd].type === "literal" &&
+        /^\d$/.test(tokens[denominatorEnd].value)))
+  ) {
+    if (tokens[denominatorEnd].type === "literal") {
+      fixedDenominator += tokens[denominatorEnd].value;
+    } else if (fixedDenominator) {
+      fixedDenominator += tokens[denominatorEnd].value;
+    }
+    denominatorEnd++;
+  }
+  const denominatorTokens = tokens.slice(slashIdx + 1, denominatorEnd);
+
+  // Whole number part: digit placeholders before the numerator
+  const wholeTokens = tokens
+    .slice(0, numeratorStart)
+    .filter((token) => token.type === "digit");
+  const hasWhole = wholeTokens.length > 0;
+
+  const negative = value < 0;
+  const abs = Math.abs(value);
+  const whole = hasWhole ? Math.floor(abs) : 0;
+  const remainder = abs - whole;
+
+  let numerator;
+  let denominator;
+  if (fixedDenominator) {
+    denominator = parseInt(fixedDenominator, 10);
+    numerator = Math.round(remainder * denominator);
+  } else {
+    const maxDenominator = Math.pow(10, denominatorTokens.length) - 1;
+    [numerator, denominator] = approximateFraction(remainder, maxDenominator);
+  }
+  let wholeValue = whole;
+  if (hasWhole && numerator === denominator) {
+    wholeValue += 1;
+    numerator = 0;
+  }
+
+  const pad = (text, placeholders, alignRight) => {
+    const width = placeholders.length;
+    if (text.length >= width) return text;
+    const padding = " ".repeat(width - text.length);
+    return alignRight ? padding + text : text + padding;
+  };
+
+  let output = "";
+  tokens.forEach((token, idx) => {
+    if (idx < numeratorStart) {
+      if (token.type === "digit") {
+        // Print the whole number once, at the first whole placeholder
+        if (token === wholeTokens[0]) {
+          output +=
+            wholeValue > 0 || numerator === 0
+              ? String(wholeValue).replace(
+                  /\B(?=(\d{3})+(?!\d))/g,
+                  tokens.some((t) => t.type === ",") ? separators.group : ""
+                )
+              : "";
+        }
+      } else if (token.type !== ",") {
+        output += literalOf(token);
+      }
+    } else if (idx === numeratorStart) {
+      if (numerator === 0 && hasWhole) {
+        // No fraction part: blank it out like Excel does
+        output += " ".repeat(
+          numeratorTokens.length + 1 + denominatorTokens.length
+        );
+      } else {
+        output += `${pad(String(numerator), numeratorTokens, true)}/${pad(
+          String(denominator),
+          fixedDenominator ? [] : denominatorTokens,
+          false
+        )}`;
+      }
+    } else if (idx >= denominatorEnd) {
+      output += literalOf(token);
+    }
+  });
+
+  output = output.replace(/\s+$/, "") || "0";
+  return negative ? `-${output}` : output;
+}
+
+/**
+ * Finds the closest fraction with a denominator up to maxDenominator
+ */
+function approximateFraction(value, maxDenominator) {
+  let best = [Math.round(value), 1];
+  let bestError = Math.abs(value - best[0]);
+  for (let denominator = 2; denominator <= maxDenominator; denominator++) {
+    const numerator = Math.round(value * denominator);
+    const error = Math.abs(value - numerator / denominator);
+    if (error < bestError - 1e-12) {
+      best = [numerator, denominator];
+      bestError = error;
+    }
+  }
+  return best;
+}
+
+/**
+ * Formats an Excel serial date/time number with a date section
+ */
+function formatDate(serial, section, locale) {
+  const hasSubseconds = section.tokens.some(
+    (token) => token.type === "subsecond"
+  );
+  // Round to whole seconds unless fractions of a second are shown
+  const ms = hasSubseconds
+    ? Math.round(serial * MS_PER_DAY)
+    : Math.round(serial * 86400) * 1000;
+  const date = new Date(ms - EXCEL_EPOCH_OFFSET * MS_PER_DAY);
+  const hasAmPm = section.tokens.some((token) => token.type === "ampm");
+  const hours = date.getUTCHours();
+  const names = dateNames(locale);
+
+  return section.tokens
+    .map((token) => {
+      switch (token.type) {
+        case "date":
+          return formatDatePart(token, date, hasAmPm, names);
+        case "elapsed": {
+          const totals = { h: 3600000, m: 60000, s: 1000 };
+          const total = Math.floor(ms / totals[token.elapsed]);
+          return String(total).padStart(token.length, "0");
+        }
+        case "ampm":
+          if (token.long) return hours < 12 ? "AM" : "PM";
+          return hours < 12 ? "A" : "P";
+        case "subsecond": {
+          const fraction = (ms % 1000) / 1000;
+          return `.${fraction.toFixed(token.length).slice(2)}`;
+        }
+        case "digit":
+          return token.value === "0" ? "0" : "";
+        default:
+          return literalOf(token);
+      }
+    })
+    .join("");
+}
+
+/**
+ * Formats a single date code (year, month, day, hour, minute, second)
+ */
+function formatDatePart(token, date, hasAmPm, names) {
+  const { code, length } = token;
+  const two = (n) => String(n).padStart(2, "0");
+
+  switch (code) {
+    case "y":
+      return length <= 2
+        ? two(date.getUTCFullYear() % 100)
+        : String(date.getUTCFullYear());
+    case "m": {
+      const month = date.getUTCMonth();
+      if (length === 1) return String(month + 1);
+      if (length === 2) return two(month + 1);
+      if (length === 3) return names.months[month].slice(0, 3);
+      if (length === 5) return names.months[month][0];
+      return names.months[month];
+    }
+    case "d": {
+      if (length === 1) return String(date.getUTCDate());
+      if (length === 2) return two(date.getUTCDate());
+      const day = names.days[date.getUTCDay()];
+      return length === 3 ? day.slice(0, 3) : day;
+    }
+    case "h": {
+      let hours = date.getUTCHours();
+      if (hasAmPm) hours = hours % 12 || 12;
+      return length === 1 ? String(hours) : two(hours);
+    }
+    case "min":
+      return length === 1
+        ? String(date.getUTCMinutes())
+        : two(date.getUTCMinutes());
+    case "s":
+      return length === 1
+        ? String(date.getUTCSeconds())
+        : two(date.getUTCSeconds());
+    default:
+      return "";
+  }
+}
+
+/**
+ * Month and day names, localized when a locale string is given
+ */
+function dateNames(locale) {
+  if (typeof locale !== "string") {
+    return { months: MONTHS, days: DAYS };
+  }
+  const monthFormat = new Intl.DateTimeFormat(locale, {
+    month: "long",
+    timeZone: "UTC",
+  });
+  const dayFormat = new Intl.DateTimeFormat(locale, {
+    weekday: "long",
+    timeZone: "UTC",
+  });
+  return {
+    months: MONTHS.map((_, idx) =>
+      monthFormat.format(new Date(Date.UTC(2021, idx, 1)))
+    ),
+    // 2021-08-01 was a Sunday
+    days: DAYS.map((_, idx) =>
+      dayFormat.format(new Date(Date.UTC(2021, 7, 1 + idx)))
+    ),
+  };
+}
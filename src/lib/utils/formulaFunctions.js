@@ -0,0 +1,653 @@
+import {
+  FormulaError,
+  isError,
+  toNumber,
+  toText,
+  toBoolean,
+  compareValues,
+  flattenArgs,
+} from "./formulaValues.js";
+import { formatNumber, dateToSerial, serialToDate } from "./formatNumber.js";
+
+/**
+ * Worksheet functions available to formulas, by upper-case name
+ * Each function receives its evaluated arguments (ranges as 2D arrays of values)
+ * and returns a number, string, boolean, null, error value or 2D array. Coercion
+ * failures throw a FormulaError, which becomes the error value of the call.
+ */
+export const FUNCTIONS = {
+  // Logical
+  AND: (args) => logicalValues(args).every(Boolean),
+  OR: (args) => logicalValues(args).some(Boolean),
+  NOT: ([value]) => !toBoolean(scalar(value)),
+  IF: ([condition, whenTrue = true, whenFalse = false]) =>
+    toBoolean(scalar(condition)) ? whenTrue : whenFalse,
+  IFS: (args) => {
+    for (let i = 0; i + 1 < args.length; i += 2) {
+      if (toBoolean(scalar(args[i]))) return args[i + 1];
+    }
+    throw new FormulaError("#N/A");
+  },
+  IFERROR: ([value, fallback]) => (isError(value) ? fallback : value),
+  IFNA: ([value, fallback]) =>
+    isError(value) && value.error === "#N/A" ? fallback : value,
+  TRUE: () => true,
+  FALSE: () => false,
+
+  // Information
+  ISBLANK: ([value]) => scalar(value) == null,
+  ISERROR: ([value]) => isError(value),
+  ISNA: ([value]) => isError(value) && value.error === "#N/A",
+  ISNUMBER: ([value]) => typeof scalar(value) === "number",
+  ISTEXT: ([value]) => typeof scalar(value) === "string",
+  NA: () => {
+    throw new FormulaError("#N/A");
+  },
+
+  // Math
+  SUM: (args) => numbersOf(args).reduce((sum, n) => sum + n, 0),
+  PRODUCT: (args) => numbersOf(args).reduce((product, n) => product * n, 1),
+  AVERAGE: (args) => average(numbersOf(args)),
+  MIN: (args) => {
+    const numbers = numbersOf(args);
+    return numbers.length > 0 ? Math.min(...numbers) : 0;
+  },
+  MAX: (args) => {
+    const numbers = numbersOf(args);
+    return numbers.length > 0 ? Math.max(...numbers) : 0;
+  },
+  MEDIAN: (args) => {
+    const numbers = numbersOf(args).sort((a, b) => a - b);
+    if (numbers.length === 0) throw new FormulaError("#NUM!");
+    const middle = Math.floor(numbers.length / 2);
+    return numbers.length % 2
+      ? numbers[middle]
+      : (numbers[middle - 1] + numbers[middle]) / 2;
+  },
+  COUNT: (args) =>
+    flattenArgs(args).filter(({ value, fromRange }) =>
+      fromRange ? typeof value === "number" : isNumeric(value)
+    ).length,
+  COUNTA: (args) =>
+    flattenArgs(args).filter(({ value }) => value != null && value !== "")
+      .length,
+  COUNTBLANK: (args) =>
+    flattenArgs(args).filter(({ value }) => value == null || value === "")
+      .length,
+  COUNTIF: ([range, criteria]) =>
+    cellsOf(range).filter((value) => matchesCriteria(value, criteria)).length,
+  COUNTIFS: (args) => criteriaMask(args, 0).filter(Boolean).length,
+  SUMIF: ([range, criteria, sumRange = range]) => {
+    const sums = cellsOf(sumRange);
+    return cellsOf(range).reduce(
+      (sum, value, idx) =>
+        matchesCriteria(value, criteria) && typeof sums[idx] === "number"
+          ? sum + sums[idx]
+          : sum,
+      0
+    );
+  },
+  SUMIFS: ([sumRange, ...args]) => {
+    const mask = criteriaMask(args, 0);
+    return cellsOf(sumRange).reduce(
+      (sum, value, idx) =>
+        mask[idx] && typeof value === "number" ? sum + value : sum,
+      0
+    );
+  },
+  AVERAGEIF: ([range, criteria, averageRange = range]) => {
+    const values = cellsOf(averageRange);
+    return average(
+      cellsOf(range)
+        .map((value, idx) =>
+          matchesCriteria(value, criteria) ? values[idx] : null
+        )
+        .filter((value) => typeof value === "number")
+    );
+  },
+  SUMPRODUCT: (args) => {
+    const arrays = args.map(cellsOf);
+    if (arrays.some((array) => array.length !== arrays[0].length)) {
+      throw new FormulaError("#VALUE!");
+    }
+    return arrays[0].reduce(
+      (sum, _, idx) =>
+        sum +
+        arrays.reduce(
+          (product, array) =>
+            product * (typeof array[idx] === "number" ? array[idx] : 0),
+          1
+        ),
+      0
+    );
+  },
+  ABS: ([value]) => Math.abs(num(value)),
+  INT: ([value]) => Math.floor(num(value)),
+  TRUNC: ([value, digits = 0]) => {
+    const factor = 10 ** Math.trunc(num(digits));
+    return Math.trunc(num(value) * factor) / factor;
+  },
+  MOD: ([number, divisor]) => {
+    const d = num(divisor);
+    if (d === 0) throw new FormulaError("#DIV/0!");
+    const n = num(number);
+    // The result has the sign of the divisor
+    return n - d * Math.floor(n / d);
+  },
+  POWER: ([number, power]) => {
+    const result = num(number) ** num(power);
+    if (!Number.isFinite(result)) throw new FormulaError("#NUM!");
+    return result;
+  },
+  SQRT: ([value]) => {
+    const number = num(value);
+    if (number < 0) throw new FormulaError("#NUM!");
+    return Math.sqrt(number);
+  },
+  ROUND: ([number, digits = 0]) => roundHalfAway(num(number), num(digits)),
+  ROUNDUP: ([number, digits = 0]) =>
+    roundWith(num(number), num(digits), Math.ceil),
+  ROUNDDOWN: ([number, digits = 0]) =>
+    roundWith(num(number), num(digits), Math.floor),
+
+  // Lookup and reference
+  VLOOKUP: ([lookup, table, column, approximate = true]) => {
+    const rows = rangeOf(table);
+    const index = Math.trunc(num(column));
+    if (index < 1) throw new FormulaError("#VALUE!");
+    if (index > rows[0].length) throw new FormulaError("#REF!");
+    const found = lookupIndex(
+      scalar(lookup),
+      rows.map((row) => row[0]),
+      toBoolean(scalar(approximate)) ? 1 : 0
+    );
+    return rows[found][index - 1];
+  },
+  HLOOKUP: ([lookup, table, row, approximate = true]) => {
+    const rows = rangeOf(table);
+    const index = Math.trunc(num(row));
+    if (index < 1) throw new FormulaError("#VALUE!");
+    if (index > rows.length) throw new FormulaError("#REF!");
+    const found = lookupIndex(
+      scalar(lookup),
+      rows[0],
+      toBoolean(scalar(approximate)) ? 1 : 0
+    );
+    return rows[index - 1][found];
+  },
+  XLOOKUP: ([lookup, lookupArray, returnArray, ifNotFound, mode, search]) => {
+    const lookupRows = rangeOf(lookupArray);
+    const returnRows = rangeOf(returnArray);
+    const vertical = lookupRows[0].length === 1;
+    const values = vertical ? lookupRows.map((row) => row[0]) : lookupRows[0];
+    let found;
+    try {
+      found = xlookupIndex(
+        scalar(lookup),
+        values,
+        mode == null ? 0 : num(mode),
+        search == null ? 1 : num(search)
+      );
+    } catch (error) {
+      if (ifNotFound !== undefined && error.code === "#N/A") return ifNotFound;
+      throw error;
+    }
+    return vertical
+      ? [returnRows[found]]
+      : returnRows.map((row) => [row[found]]);
+  },
+  MATCH: ([lookup, array, type = 1]) => {
+    const rows = rangeOf(array);
+    const values = rows.length === 1 ? rows[0] : rows.map((row) => row[0]);
+    return lookupIndex(scalar(lookup), values, num(type)) + 1;
+  },
+  INDEX: ([array, row, column]) => {
+    const rows = rangeOf(array);
+    let r = row == null ? 0 : Math.trunc(num(row));
+    let c = column == null ? 0 : Math.trunc(num(column));
+    // A single row or column can be indexed by one number
+    if (column == null && rows.length === 1) [r, c] = [1, r];
+    if (r < 0 || c < 0 || r > rows.length || c > rows[0].length) {
+      throw new FormulaError("#REF!");
+    }
+    if (r === 0) return rows.map((values) => [values[c - 1]]);
+    if (c === 0) return [rows[r - 1]];
+    return rows[r - 1][c - 1];
+  },
+  CHOOSE: ([index, ...values]) => {
+    const i = Math.trunc(num(index));
+    if (i < 1 || i > values.length) throw new FormulaError("#VALUE!");
+    return values[i - 1];
+  },
+
+  // Text
+  TEXT: ([value, format]) => {
+    const formatText = toText(scalar(format));
+    const number = scalar(value);
+    return formatNumber(isNumeric(number) ? num(number) : number, formatText);
+  },
+  VALUE: ([value]) => num(value),
+  CONCATENATE: (args) => args.map((arg) => toText(scalar(arg))).join(""),
+  CONCAT: (args) =>
+    flattenArgs(args)
+      .map(({ value }) => toText(value))
+      .join(""),
+  TEXTJOIN: ([delimiter, ignoreEmpty, ...args]) => {
+    const skipEmpty = toBoolean(scalar(ignoreEmpty));
+    return flattenArgs(args)
+      .map(({ value }) => toText(value))
+      .filter((text) => !skipEmpty || text !== "")
+      .join(toText(scalar(delimiter)));
+  },
+  LEFT: ([value, count = 1]) => toText(scalar(value)).slice(0, length(count)),
+  RIGHT: ([value, count = 1]) => {
+    const text = toText(scalar(value));
+    return text.slice(Math.max(0, text.length - length(count)));
+  },
+  MID: ([value, start, count]) => {
+    const from = Math.trunc(num(start));
+    if (from < 1) throw new FormulaError("#VALUE!");
+    return toText(scalar(value)).substr(from - 1, length(count));
+  },
+  LEN: ([value]) => toText(scalar(value)).length,
+  TRIM: ([value]) => toText(scalar(value)).trim().replace(/ {2,}/g, " "),
+  UPPER: ([value]) => toText(scalar(value)).toUpperCase(),
+  LOWER: ([value]) => toText(scalar(value)).toLowerCase(),
+  PROPER: ([value]) =>
+    toText(scalar(value))
+      .toLowerCase()
+      .replace(/(^|[^a-zÀ-ɏ])([a-zÀ-ɏ])/g, (_, p, c) => p + c.toUpperCase()),
+  SUBSTITUTE: ([value, search, replacement, instance]) => {
+    const text = toText(scalar(value));
+    const needle = toText(scalar(search));
+    const substitute = toText(scalar(replacement));
+    if (needle === "") return text;
+    if (instance == null) return text.split(needle).join(substitute);
+
+    const nth = Math.trunc(num(instance));
+    if (nth < 1) throw new FormulaError("#VALUE!");
+    let index = -1;
+    for (let i = 0; i < nth; i++) {
+      index = text.indexOf(needle, index + 1);
+      if (index < 0) return text;
+    }
+    return (
+      text.slice(0, index) + substitute + text.slice(index + needle.length)
+    );
+  },
+  REPLACE: ([value, start, count, replacement]) => {
+    const text = toText(scalar(value));
+    const from = Math.trunc(num(start));
+    if (from < 1) throw new FormulaError("#VALUE!");
+    return (
+      text.slice(0, from - 1) +
+      toText(scalar(replacement)) +
+      text.slice(from - 1 + length(count))
+    );
+  },
+  REPT: ([value, count]) => toText(scalar(value)).repeat(length(count)),
+  EXACT: ([a, b]) => toText(scalar(a)) === toText(scalar(b)),
+  FIND: ([needle, haystack, start]) =>
+    findText(toText(scalar(needle)), toText(scalar(haystack)), start, false),
+  SEARCH: ([needle, haystack, start]) =>
+    findText(toText(scalar(needle)), toText(scalar(haystack)), start, true),
+
+  // Date and time, as serial numbers
+  DATE: ([year, month, day]) => {
+    let y = Math.trunc(num(year));
+    // Years below 1900 are offsets from 1900, like in Excel
+    if (y < 1900) y += 1900;
+    const serial = dateToSerial(
+      new Date(Date.UTC(y, Math.trunc(num(month)) - 1, Math.trunc(num(day))))
+    );
+    if (serial < 0) throw new FormulaError("#NUM!");
+    return serial;
+  },
+  TODAY: () => {
+    const now = new Date();
+    return dateToSerial(
+      new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
+    );
+  },
+  NOW: () => {
+    const now = new Date();
+    // Local wall-clock time, as Excel shows it
+    return dateToSerial(
+      new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+    );
+  },
+  YEAR: ([serial]) => dateOf(serial).getUTCFullYear(),
+  MONTH: ([serial]) => dateOf(serial).getUTCMonth() + 1,
+  DAY: ([serial]) => dateOf(serial).getUTCDate(),
+  WEEKDAY: ([serial, type = 1]) => {
+    const day = dateOf(serial).getUTCDay();
+    switch (num(type)) {
+      case 1:
+        return day + 1;
+      case 2:
+        return ((day + 6) % 7) + 1;
+      case 3:
+        return (day + 6) % 7;
+    }
+    throw new FormulaError("#NUM!");
+  },
+  HOUR: ([serial]) => dateOf(serial).getUTCHours(),
+  MINUTE: ([serial]) => dateOf(serial).getUTCMinutes(),
+  SECOND: ([serial]) => dateOf(serial).getUTCSeconds(),
+  EDATE: ([serial, months]) => {
+    const date = dateOf(serial);
+    const target = Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth() + Math.trunc(num(months)),
+      1
+    );
+    const lastDay = new Date(
+      Date.UTC(
+        new Date(target).getUTCFullYear(),
+        new Date(target).getUTCMonth() + 1,
+        0
+      )
+    ).getUTCDate();
+    const day = Math.min(date.getUTCDate(), lastDay);
+    return Math.floor(dateToSerial(new Date(target))) + day - 1;
+  },
+  EOMONTH: ([serial, months]) => {
+    const date = dateOf(serial);
+    return Math.floor(
+      dateToSerial(
+        new Date(
+          Date.UTC(
+            date.getUTCFullYear(),
+            date.getUTCMonth() + Math.trunc(num(months)) + 1,
+            0
+          )
+        )
+      )
+    );
+  },
+};
+
+/**
+ * Functions whose result is a date, shown with a date format when the cell has none
+ */
+export const DATE_FUNCTIONS = ["DATE", "TODAY", "NOW", "EDATE", "EOMONTH"];
+
+/**
+ * Rounds half away from zero, like Excel's ROUND
+ * @param {number} number - The number to round
+ * @param {number} digits - Decimal places, negative values round to tens, hundreds, ...
+ * @returns {number} The rounded number
+ */
+export function roundHalfAway(number, digits) {
+  return roundWith(number, digits, Math.round);
+}
+
+/**
+ * Rounds the magnitude of a number with the given function, keeping its sign
+ */
+function roundWith(number, digits, round) {
+  const factor = 10 ** Math.trunc(digits);
+  // Correct binary representation errors such as 1.005 * 100 = 100.49999
+  const shifted = Number((Math.abs(number) * factor).toPrecision(15));
+  return (Math.sign(number) * round(shifted)) / factor;
+}
+
+/**
+ * Uses the first value of a range passed where a single value is expected
+ */
+function scalar(value) {
+  return Array.isArray(value) ? (value[0]?.[0] ?? null) : value;
+}
+
+function num(value) {
+  return toNumber(scalar(value));
+}
+
+/**
+ * Coerces a character count, which cannot be negative
+ */
+function length(value) {
+  if (value == null) return 0;
+  const count = Math.trunc(num(value));
+  if (count < 0) throw new FormulaError("#VALUE!");
+  return count;
+}
+
+function isNumeric(value) {
+  if (typeof value === "number") return true;
+  if (typeof value !== "string" || value.trim() === "") return false;
+  return !Number.isNaN(Number(value));
+}
+
+function average(numbers) {
+  if (numbers.length === 0) throw new FormulaError("#DIV/0!");
+  return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+}
+
+/**
+ * Collects the numbers of aggregate arguments: ranges only contribute their
+ * numbers, values typed as arguments are coerced
+ */
+function numbersOf(args) {
+  const numbers = [];
+  flattenArgs(args).forEach(({ value, fromRange }) => {
+    if (isError(value)) throw new FormulaError(value.error);
+    if (fromRange) {
+      if (typeof value === "number") numbers.push(value);
+    } else if (value != null) {
+      numbers.push(toNumber(value));
+    }
+  });
+  return numbers;
+}
+
+/**
+ * Collects the booleans of AND/OR arguments, ranges skip text and blanks
+ */
+function logicalValues(args) {
+  const values = flattenArgs(args)
+    .filter(
+      ({ value, fromRange }) =>
+        !fromRange || (value != null && typeof value !== "string")
+    )
+    .map(({ value }) => toBoolean(value));
+  if (values.length === 0) throw new FormulaError("#VALUE!");
+  return values;
+}
+
+/**
+ * Flattens a range (or single value) into its values, row by row
+ */
+function cellsOf(range) {
+  return Array.isArray(range) ? range.flat() : [range];
+}
+
+function rangeOf(value) {
+  if (isError(value)) throw new FormulaError(value.error);
+  return Array.isArray(value) ? value : [[value]];
+}
+
+/**
+ * Combines the criteria pairs of the *IFS functions into one mask
+ */
+function criteriaMask(args, start) {
+  let mask = null;
+  for (let i = start; i + 1 < args.length; i += 2) {
+    const values = cellsOf(args[i]);
+    if (mask && values.length !== mask.length) {
+      throw new FormulaError("#VALUE!");
+    }
+    const matches = values.map((value) => matchesCriteria(value, args[i + 1]));
+    mask = mask ? mask.map((match, idx) => match && matches[idx]) : matches;
+  }
+  return mask || [];
+}
+
+/**
+ * Tests a value against COUNTIF-style criteria: 5, ">5", "<>done", "a*"
+ */
+function matchesCriteria(value, criteria) {
+  const condition = scalar(criteria);
+  if (typeof condition !== "string") {
+    return value != null && compareOrNaN(value, condition) === 0;
+  }
+
+  const [, operator = "=", operand] = /^(<>|<=|>=|=|<|>)?(.*)$/s.exec(
+    condition
+  );
+  const target = isNumeric(operand) ? Number(operand) : operand;
+
+  if (operator === "=" || operator === "<>") {
+    let equal;
+    if (operand === "") {
+      equal = value == null || value === "";
+    } else if (typeof target === "string") {
+      equal = typeof value === "string" && wildcardMatch(value, target);
+    } else {
+      equal = compareOrNaN(value, target) === 0;
+    }
+    return operator === "=" ? equal : !equal;
+  }
+
+  // Ordering only compares values of the same type
+  if (value == null || typeof value !== typeof target) return false;
+  const order = compareOrNaN(value, target);
+  switch (operator) {
+    case "<":
+      return order < 0;
+    case ">":
+      return order > 0;
+    case "<=":
+      return order <= 0;
+    case ">=":
+      return order >= 0;
+  }
+  return false;
+}
+
+function compareOrNaN(a, b) {
+  try {
+    return compareValues(a, b);
+  } catch (error) {
+    return NaN;
+  }
+}
+
+/**
+ * Matches text against a pattern with ? and * wildcards (~ escapes them), ignoring case
+ */
+function wildcardMatch(text, pattern) {
+  if (!/[*?]/.test(pattern)) {
+    return text.toLowerCase() === pattern.toLowerCase();
+  }
+  return new RegExp(`^${wildcardSource(pattern)}$`, "is").test(text);
+}
+
+function wildcardSource(pattern) {
+  return pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/~\*|~\?|\*|\?/g, (token) =>
+      token === "*" ? ".*" : token === "?" ? "." : `\\${token.slice(-1)}`
+    );
+}
+
+/**
+ * Finds the position of a value like MATCH: type 0 is an exact match, 1 the
+ * largest value not above it and -1 the smallest value not below it
+ */
+function lookupIndex(lookup, values, type) {
+  if (isError(lookup)) throw new FormulaError(lookup.error);
+
+  if (type === 0) {
+    const index = values.findIndex((value) => valuesEqual(value, lookup, true));
+    if (index < 0) throw new FormulaError("#N/A");
+    return index;
+  }
+
+  // Sorted data: keep the last candidate before the order is passed
+  let found = -1;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] == null || typeof values[i] !== typeof lookup) continue;
+    const order = compareOrNaN(values[i], lookup);
+    if (type > 0 ? order <= 0 : order >= 0) {
+      found = i;
+    } else {
+      break;
+    }
+  }
+  if (found < 0) throw new FormulaError("#N/A");
+  return found;
+}
+
+/**
+ * Finds the position of a value like XLOOKUP's match and search modes
+ */
+function xlookupIndex(lookup, values, mode, search) {
+  if (isError(lookup)) throw new FormulaError(lookup.error);
+  const order = values.map((_, idx) => idx);
+  if (search < 0) order.reverse();
+
+  const exact = order.find((idx) =>
+    valuesEqual(values[idx], lookup, mode === 2)
+  );
+  if (exact !== undefined) return exact;
+
+  if (mode === -1 || mode === 1) {
+    // Closest value below (-1) or above (1) the lookup value
+    let best = -1;
+    order.forEach((idx) => {
+      const value = values[idx];
+      if (value == null || typeof value !== typeof lookup) return;
+      const side = compareOrNaN(value, lookup);
+      if (mode === -1 ? side < 0 : side > 0) {
+        if (best < 0 || compareOrNaN(value, values[best]) * mode < 0) {
+          best = idx;
+        }
+      }
+    });
+    if (best >= 0) return best;
+  }
+  throw new FormulaError("#N/A");
+}
+
+function valuesEqual(value, lookup, wildcards) {
+  if (value == null || isError(value)) return false;
+  if (typeof value === "string" && typeof lookup === "string") {
+    return wildcards
+      ? wildcardMatch(value, lookup)
+      : value.toLowerCase() === lookup.toLowerCase();
+  }
+  return typeof value === typeof lookup && value === lookup;
+}
+
+/**
+ * Reads a serial number argument as a date
+ */
+function dateOf(value) {
+  const serial = num(value);
+  if (serial < 0) throw new FormulaError("#NUM!");
+  return serialToDate(serial);
+}
+
+/**
+ * Finds text like FIND (case-sensitive) and SEARCH (case-insensitive, with ? and * wildcards)
+ */
+function findText(needle, haystack, start, search) {
+  const from = start == null ? 1 : num(start);
+  if (from < 1 || from > haystack.length + 1) {
+    throw new FormulaError("#VALUE!");
+  }
+
+  let index;
+  if (search) {
+    const match = new RegExp(wildcardSource(needle), "is").exec(
+      haystack.slice(from - 1)
+    );
+    index = match ? match.index + from - 1 : -1;
+  } else {
+    index = haystack.indexOf(needle, from - 1);
+  }
+
+  if (index < 0) throw new FormulaError("#VALUE!");
+  return index + 1;
+}
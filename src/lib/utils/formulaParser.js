@@ -0,0 +1,217 @@
+/**
+ * Error values that can appear as literals in a formula
+ */
+const ERROR_LITERALS = [
+  "#NULL!",
+  "#DIV/0!",
+  "#VALUE!",
+  "#REF!",
+  "#NAME?",
+  "#NUM!",
+  "#N/A",
+];
+
+// Optional sheet prefix: 'My sheet'! or Sheet1!
+const SHEET_PREFIX = "(?:'((?:[^']|'')+)'|([A-Za-z_][\\w.]*))!";
+const CELL = "\\$?[A-Za-z]{1,3}\\$?\\d+";
+const REFERENCE_PATTERN = new RegExp(
+  `^(?:${SHEET_PREFIX})?(${CELL}(?::${CELL})?|\\$?[A-Za-z]{1,3}:\\$?[A-Za-z]{1,3}|\\$?\\d+:\\$?\\d+)(?![\\w(])`
+);
+const NUMBER_PATTERN = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const NAME_PATTERN = /^[A-Za-z_\\][\w.]*/;
+const OPERATOR_PATTERN = /^(?:<>|<=|>=|[-+*/^&=<>%(),:])/;
+
+const parsedFormulas = new Map();
+
+/**
+ * Parses an Excel formula into a syntax tree
+ * Supports numbers, strings, booleans, error literals, cell and range references
+ * (optionally sheet-qualified), names, function calls and the arithmetic, text
+ * and comparison operators, with Excel's precedence.
+ * @param {string} formula - The formula, with or without the leading "="
+ * @returns {Object} The root node of the syntax tree
+ * @throws {Error} If the formula cannot be parsed
+ */
+export function parseFormula(formula) {
+  if (parsedFormulas.has(formula)) {
+    return parsedFormulas.get(formula);
+  }
+
+  const tokens = tokenize(formula.replace(/^=/, ""));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOperator = (value) =>
+    peek()?.type === "operator" && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" in formula: ${formula}`);
+    }
+    pos++;
+  };
+
+  const binary = (operators, next) => () => {
+    let left = next();
+    while (peek()?.type === "operator" && operators.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error(`Unexpected end of formula: ${formula}`);
+    }
+    switch (token.type) {
+      case "number":
+      case "string":
+      case "boolean":
+      case "error":
+        return { type: token.type, value: token.value };
+      case "reference":
+        return token.value;
+      case "name":
+        if (isOperator("(")) {
+          pos++;
+          const args = [];
+          while (!isOperator(")") || args.length > 0) {
+            // Empty arguments, as in IF(A1,,1), are blank
+            args.push(
+              isOperator(",") || isOperator(")")
+                ? { type: "blank" }
+                : parseComparison()
+            );
+            if (!isOperator(",")) break;
+            pos++;
+          }
+          expect(")");
+          return { type: "call", name: token.value.toUpperCase(), args };
+        }
+        return { type: "name", name: token.value };
+      case "operator":
+        if (token.value === "(") {
+          const inner = parseComparison();
+          expect(")");
+          return inner;
+        }
+    }
+    throw new Error(`Unexpected "${token.value}" in formula: ${formula}`);
+  };
+
+  // Negation binds tighter than every binary operator in Excel (-2^2 = 4)
+  const parseUnary = () => {
+    if (isOperator("-") || isOperator("+")) {
+      const op = tokens[pos++].value;
+      return { type: "unary", op, operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+  const parsePercent = () => {
+    let operand = parseUnary();
+    while (isOperator("%")) {
+      pos++;
+      operand = { type: "percent", operand };
+    }
+    return operand;
+  };
+  const parsePower = binary(["^"], parsePercent);
+  const parseMultiplicative = binary(["*", "/"], parsePower);
+  const parseAdditive = binary(["+", "-"], parseMultiplicative);
+  const parseConcat = binary(["&"], parseAdditive);
+  const parseComparison = binary(
+    ["=", "<>", "<", ">", "<=", ">="],
+    parseConcat
+  );
+
+  const tree = parseComparison();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" in formula: ${formula}`);
+  }
+  parsedFormulas.set(formula, tree);
+  return tree;
+}
+
+/**
+ * Splits a formula into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let rest = source;
+
+  while (rest.length > 0) {
+    const whitespace = /^\s+/.exec(rest);
+    if (whitespace) {
+      rest = rest.slice(whitespace[0].length);
+      continue;
+    }
+
+    let match;
+    if (rest[0] === '"') {
+      match = /^"((?:[^"]|"")*)"/.exec(rest);
+      if (!match) throw new Error(`Unterminated string in formula: ${source}`);
+      tokens.push({ type: "string", value: match[1].replace(/""/g, '"') });
+    } else if (rest[0] === "#") {
+      const error = ERROR_LITERALS.find((literal) =>
+        rest.toUpperCase().startsWith(literal)
+      );
+      if (!error) throw new Error(`Unknown error value in formula: ${source}`);
+      match = [error];
+      tokens.push({ type: "error", value: error });
+    } else if ((match = REFERENCE_PATTERN.exec(rest))) {
+      const sheet = match[1] ? match[1].replace(/''/g, "'") : match[2];
+      tokens.push({
+        type: "reference",
+        value: parseReference(match[3], sheet),
+      });
+    } else if ((match = NUMBER_PATTERN.exec(rest))) {
+      tokens.push({ type: "number", value: Number(match[0]) });
+    } else if ((match = NAME_PATTERN.exec(rest))) {
+      const upper = match[0].toUpperCase();
+      const isCall = /^\s*\(/.test(rest.slice(match[0].length));
+      if (!isCall && (upper === "TRUE" || upper === "FALSE")) {
+        tokens.push({ type: "boolean", value: upper === "TRUE" });
+      } else {
+        tokens.push({ type: "name", value: match[0] });
+      }
+    } else if ((match = OPERATOR_PATTERN.exec(rest))) {
+      tokens.push({ type: "operator", value: match[0] });
+    } else {
+      throw new Error(`Unexpected "${rest[0]}" in formula: ${source}`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return tokens;
+}
+
+/**
+ * Builds a reference node from "A1", "$A$1:B2", "A:C" or "1:3"
+ * Whole columns and rows leave the open side of the range null.
+ */
+function parseReference(text, sheet) {
+  const [start, end] = text.split(":").map(parseCellPart);
+  if (!end) {
+    return { type: "ref", sheet, ...start };
+  }
+  return { type: "range", sheet, start, end };
+}
+
+function parseCellPart(part) {
+  const match = /^(\$?)([A-Za-z]*)(\$?)(\d*)$/.exec(part);
+  const [, colAbs, letters, rowAbs, digits] = match;
+  let col = null;
+  if (letters) {
+    col = 0;
+    for (const letter of letters.toUpperCase()) {
+      col = col * 26 + (letter.charCodeAt(0) - 64);
+    }
+  }
+  return {
+    row: digits ? Number(digits) : null,
+    col,
+    // A lone "$" before a row number belongs to the row
+    rowAbs: letters ? rowAbs === "$" : colAbs === "$",
+    colAbs: letters ? colAbs === "$" : false,
+  };
+}
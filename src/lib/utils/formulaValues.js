@@ -0,0 +1,134 @@
+/**
+ * An Excel error value (#DIV/0!, #VALUE!, ...) raised while evaluating a formula
+ */
+export class FormulaError extends Error {
+  /**
+   * @param {string} code - The Excel error value, e.g. "#VALUE!"
+   */
+  constructor(code) {
+    super(code);
+    this.name = "FormulaError";
+    this.code = code;
+  }
+}
+
+/**
+ * Checks whether a value is an error value, { error: "#N/A" } like ExcelJS reads them
+ * @param {*} value - The value to check
+ * @returns {boolean} True for error values
+ */
+export function isError(value) {
+  return (
+    value != null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    typeof value.error === "string"
+  );
+}
+
+/**
+ * Coerces a formula value to a number the way Excel does in arithmetic
+ * @param {*} value - A number, string, boolean, blank (null) or error value
+ * @returns {number} The number
+ * @throws {FormulaError} For error values, ranges and text that is not a number
+ */
+export function toNumber(value) {
+  if (isError(value)) throw new FormulaError(value.error);
+  if (Array.isArray(value)) throw new FormulaError("#VALUE!");
+  if (value == null) return 0;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "number") return value;
+
+  const text = String(value).trim();
+  const number = Number(text.replace(/%$/, ""));
+  if (text === "" || Number.isNaN(number)) {
+    throw new FormulaError("#VALUE!");
+  }
+  return text.endsWith("%") ? number / 100 : number;
+}
+
+/**
+ * Coerces a formula value to text the way Excel does for the & operator
+ * @param {*} value - A number, string, boolean, blank (null) or error value
+ * @returns {string} The text
+ * @throws {FormulaError} For error values and ranges
+ */
+export function toText(value) {
+  if (isError(value)) throw new FormulaError(value.error);
+  if (Array.isArray(value)) throw new FormulaError("#VALUE!");
+  if (value == null) return "";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") return String(Number(value.toPrecision(15)));
+  return String(value);
+}
+
+/**
+ * Coerces a formula value to a boolean the way Excel does for logical arguments
+ * @param {*} value - A number, string, boolean, blank (null) or error value
+ * @returns {boolean} The boolean
+ * @throws {FormulaError} For error values, ranges and text other than TRUE/FALSE
+ */
+export function toBoolean(value) {
+  if (isError(value)) throw new FormulaError(value.error);
+  if (Array.isArray(value)) throw new FormulaError("#VALUE!");
+  if (value == null) return false;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0;
+
+  const upper = String(value).toUpperCase();
+  if (upper === "TRUE" || upper === "FALSE") return upper === "TRUE";
+  throw new FormulaError("#VALUE!");
+}
+
+/**
+ * Compares two values like Excel's comparison operators:
+ * numbers sort before text, text before booleans, and text ignores case
+ * A blank compares as 0, "" or FALSE depending on the other value.
+ * @param {*} a - The left value
+ * @param {*} b - The right value
+ * @returns {number} A negative number, zero or a positive number
+ * @throws {FormulaError} For error values and ranges
+ */
+export function compareValues(a, b) {
+  [a, b].forEach((value) => {
+    if (isError(value)) throw new FormulaError(value.error);
+    if (Array.isArray(value)) throw new FormulaError("#VALUE!");
+  });
+  if (a == null) a = blankLike(b);
+  if (b == null) b = blankLike(a);
+
+  const rank = (value) =>
+    typeof value === "number" ? 0 : typeof value === "string" ? 1 : 2;
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (typeof a === "string") {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  return Number(a) - Number(b);
+}
+
+/**
+ * Flattens function arguments, expanding ranges (2D arrays) into their values
+ * @param {Array} args - The evaluated arguments
+ * @returns {Array<Object>} Entries of { value, fromRange }, ranges keep their blanks
+ */
+export function flattenArgs(args) {
+  const values = [];
+  args.forEach((arg) => {
+    if (Array.isArray(arg)) {
+      arg.flat().forEach((value) => values.push({ value, fromRange: true }));
+    } else {
+      values.push({ value: arg, fromRange: false });
+    }
+  });
+  return values;
+}
+
+function blankLike(value) {
+  if (typeof value === "string") return "";
+  if (typeof value === "boolean") return false;
+  return 0;
+}
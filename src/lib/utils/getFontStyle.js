@@ -0,0 +1,14 @@
+/**
+ * Maps an Excel font to the jsPDF font style name
+ * @param {Object} font - The ExcelJS font object (may be undefined)
+ * @returns {string} One of "normal", "bold", "italic" or "bolditalic"
+ */
+export function getFontStyle(font) {
+  const isBold = font?.bold;
+  const isItalic = font?.italic;
+
+  if (isBold && isItalic) return "bolditalic";
+  if (isBold) return "bold";
+  if (isItalic) return "italic";
+  return "normal";
+}
@@ -0,0 +1,203 @@
+import { drawCell } from "./draw-cell.js";
+
+// Excel's default header and footer font
+const DEFAULT_FONT = { name: "Calibri", size: 11 };
+
+const SECTIONS = { L: "left", C: "center", R: "right" };
+
+// Codes replaced with page and file details when the page is drawn
+const FIELDS = new Set(["P", "N", "D", "T", "F", "A", "Z"]);
+
+/**
+ * Draws the header and footer of a page
+ * Headers and footers use Excel's codes: &L, &C and &R start the left, center
+ * and right sections; &P, &N, &D, &T, &F, &Z and &A insert the page number, page
+ * count, date, time, file name, file path and sheet name; &B, &I, &U, &E, &S, &X
+ * and &Y toggle bold, italic, underline, double underline, strikethrough,
+ * superscript and subscript; &"Font,Style", &12 and &KRRGGBB set the font, size
+ * and color; && is an ampersand. Pictures (&G) are left out.
+ * @param {jsPDF} doc - The jsPDF document instance, on the page to draw
+ * @param {Object} headerFooter - The ExcelJS header and footer: { oddHeader, oddFooter,
+ * evenHeader, evenFooter, firstHeader, firstFooter, differentFirst, differentOddEven }
+ * @param {Object} page - { pageNumber, totalPages, sheetPageIdx, sheetName, filePath, date }:
+ * the page numbers (sheetPageIdx being 0 on the first page of the sheet) and the details fields insert
+ * @param {Object} box - { pageWidth, pageHeight, margins, headerMargin, footerMargin, fonts }:
+ * the page geometry in points and the font registry from loadFonts
+ */
+export function drawHeaderFooter(doc, headerFooter, page, box) {
+  if (!headerFooter) return;
+  const first = headerFooter.differentFirst && page.sheetPageIdx === 0;
+  const even = headerFooter.differentOddEven && page.pageNumber % 2 === 0;
+  const pick = (kind) =>
+    (first && headerFooter[`first${kind}`]) ||
+    (even && headerFooter[`even${kind}`]) ||
+    headerFooter[`odd${kind}`];
+
+  const { pageWidth, pageHeight, margins, headerMargin, footerMargin } = box;
+  const width = pageWidth - margins.left - margins.right;
+  // Headers hang from the header margin, footers stand on the footer margin
+  const headerHeight = Math.max(margins.top - headerMargin, DEFAULT_FONT.size);
+  const footerHeight = Math.max(
+    margins.bottom - footerMargin,
+    DEFAULT_FONT.size
+  );
+  drawSections(doc, pick("Header"), page, box.fonts, "top", {
+    x: margins.left,
+    y: headerMargin,
+    width,
+    height: headerHeight,
+  });
+  drawSections(doc, pick("Footer"), page, box.fonts, "bottom", {
+    x: margins.left,
+    y: pageHeight - footerMargin - footerHeight,
+    width,
+    height: footerHeight,
+  });
+}
+
+/**
+ * Draws the left, center and right sections of a header or footer
+ */
+function drawSections(
+  doc,
+  text,
+  page,
+  fonts,
+  vertical,
+  { x, y, width, height }
+) {
+  if (!text) return;
+  const sections = parseSections(text);
+  Object.entries(sections).forEach(([horizontal, parts]) => {
+    if (parts.length === 0) return;
+    const runs = parts.map(({ text: partText, field, font }) => ({
+      text: field ? fieldText(field, page) : partText,
+      font,
+    }));
+    drawCell(
+      doc,
+      {
+        text: runs.map((run) => run.text).join(""),
+        runs,
+        style: { alignment: { horizontal, vertical } },
+      },
+      x,
+      y,
+      width,
+      height,
+      { fonts }
+    );
+  });
+}
+
+/**
+ * Splits a header or footer into its sections of text and field runs
+ */
+function parseSections(text) {
+  const sections = { left: [], center: [], right: [] };
+  // Text before any section code goes in the center
+  let section = "center";
+  let font = { ...DEFAULT_FONT };
+  let buffer = "";
+  const flush = () => {
+    if (buffer) sections[section].push({ text: buffer, font: { ...font } });
+    buffer = "";
+  };
+  const toggle = (property, on) => {
+    flush();
+    font[property] = font[property] === on ? undefined : on;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== "&" || i === text.length - 1) {
+      buffer += text[i];
+      continue;
+    }
+    const code = text[++i];
+    if (code === "&") {
+      buffer += "&";
+    } else if (SECTIONS[code.toUpperCase()]) {
+      flush();
+      section = SECTIONS[code.toUpperCase()];
+      font = { ...DEFAULT_FONT };
+    } else if (FIELDS.has(code.toUpperCase())) {
+      flush();
+      sections[section].push({ field: code.toUpperCase(), font: { ...font } });
+    } else if (code === '"') {
+      // &"Font name,Style", where "-" keeps the current font
+      flush();
+      const end = text.indexOf('"', i + 1);
+      const [name, style = ""] = text
+        .slice(i + 1, end < 0 ? text.length : end)
+        .split(",");
+      if (name && name !== "-") font.name = name;
+      font.bold = /bold/i.test(style) || undefined;
+      font.italic = /italic|oblique/i.test(style) || undefined;
+      i = end < 0 ? text.length : end;
+    } else if (/\d/.test(code)) {
+      flush();
+      let digits = code;
+      while (/\d/.test(text[i + 1] || "")) digits += text[++i];
+      font.size = Number(digits);
+    } else if (code.toUpperCase() === "K") {
+      // Colors are RRGGBB, or a theme color that is left as it is
+      flush();
+      const color = text.slice(i + 1, i + 7);
+      if (/^[0-9A-F]{6}$/i.test(color)) {
+        font.color = { argb: `FF${color.toUpperCase()}` };
+      }
+      i += 6;
+    } else {
+      switch (code.toUpperCase()) {
+        case "B":
+          toggle("bold", true);
+          break;
+        case "I":
+          toggle("italic", true);
+          break;
+        case "U":
+          toggle("underline", true);
+          break;
+        case "E":
+          toggle("underline", "double");
+          break;
+        case "S":
+          toggle("strike", true);
+          break;
+        case "X":
+          toggle("vertAlign", "superscript");
+          break;
+        case "Y":
+          toggle("vertAlign", "subscript");
+          break;
+        // Pictures (&G) and unknown codes are dropped
+      }
+    }
+  }
+  flush();
+  return sections;
+}
+
+function fieldText(field, page) {
+  const slash = Math.max(
+    (page.filePath || "").lastIndexOf("/"),
+    (page.filePath || "").lastIndexOf("\\")
+  );
+  switch (field) {
+    case "P":
+      return String(page.pageNumber);
+    case "N":
+      return String(page.totalPages);
+    case "D":
+      return page.date.toLocaleDateString();
+    case "T":
+      return page.date.toLocaleTimeString();
+    case "F":
+      return (page.filePath || "").slice(slash + 1);
+    case "Z":
+      return slash >= 0 ? page.filePath.slice(0, slash + 1) : "";
+    case "A":
+      return page.sheetName;
+  }
+  return "";
+}
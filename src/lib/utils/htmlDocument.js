@@ -0,0 +1,228 @@
+import { textRuns, TEXT_INSET } from "./draw-cell.js";
+import { BORDER_STYLES } from "./draw-borders.js";
+import { fillColor } from "./draw-fill.js";
+import { isSafeLink } from "./safeLink.js";
+import {
+  DEFAULT_FONT_SIZE,
+  SCRIPT_SIZE_FACTOR,
+  LINE_HEIGHT_FACTOR,
+} from "./layoutText.js";
+
+// CSS font family of the standard font, Helvetica
+const STANDARD_FAMILY = "Helvetica, Arial, sans-serif";
+
+const SIDES = ["top", "right", "bottom", "left"];
+
+/**
+ * Creates a document that lays every page out as an HTML table
+ * Tables have the column widths, row heights, merges, fonts, fills and
+ * borders the PDF is drawn with, in inline styles so they survive in email
+ * bodies. Pages are tables one below the other; images, charts, conditional
+ * formatting icons, diagonal borders and page decorations are left out.
+ * @param {Object} options - { fonts }: the font registry from loadFonts
+ * @returns {Object} The document; addTable(page, layout) lays out a page from layoutPage
+ * on the current page and toHtml() returns the HTML text
+ */
+export function createHtmlDocument({ fonts }) {
+  const pages = [];
+  let current = 0;
+
+  const doc = {
+    format: "html",
+    outline: { add: () => null },
+    addPage() {
+      pages.push("");
+      current = pages.length - 1;
+      return doc;
+    },
+    setPage(pageNumber) {
+      current = pageNumber - 1;
+      return doc;
+    },
+    getNumberOfPages: () => pages.length,
+    // Links are part of the table cells
+    link: () => doc,
+    addTable(page, layout) {
+      pages[current] = htmlTable(page, layout, fonts);
+      return doc;
+    },
+    toHtml() {
+      return [
+        "<!DOCTYPE html>",
+        "<html>",
+        '<head><meta charset="utf-8"></head>',
+        "<body>",
+        ...pages,
+        "</body>",
+        "</html>",
+      ].join("\n");
+    },
+  };
+  return doc.addPage();
+}
+
+/**
+ * Writes the table of a page, merged cells spanning their rows and columns
+ */
+function htmlTable(page, { sheetName, scale }, fonts) {
+  const rows = page.heights.map(() => []);
+  page.cells.forEach((placed) => rows[placed.row].push(placed));
+  const width = page.widths.reduce((sum, w) => sum + w, 0);
+
+  return [
+    `<table data-sheet="${escapeHtml(sheetName)}" cellspacing="0" cellpadding="0" style="border-collapse:collapse;table-layout:fixed;width:${pt(width)};margin-bottom:18pt">`,
+    `<colgroup>${page.widths.map((w) => `<col style="width:${pt(w)}">`).join("")}</colgroup>`,
+    ...rows.map(
+      (cells, idx) =>
+        `<tr style="height:${pt(page.heights[idx])}">${cells
+          .map((placed) => cellHtml(placed, scale, fonts))
+          .join("")}</tr>`
+    ),
+    "</table>",
+  ].join("\n");
+}
+
+/**
+ * Writes a table cell, aligned and styled like drawCell draws it
+ */
+function cellHtml({ cell, rowSpan, colSpan }, scale, fonts) {
+  const alignment = cell.style.alignment || {};
+  const { dataBar, icon } = cell.conditional || {};
+  const horizontal = ["center", "right"].includes(alignment.horizontal)
+    ? alignment.horizontal
+    : "left";
+  const vertical = ["top", "bottom"].includes(alignment.vertical)
+    ? alignment.vertical
+    : "middle";
+  const css = [
+    `padding:0 ${pt(TEXT_INSET * scale)}`,
+    `text-align:${horizontal}`,
+    `vertical-align:${vertical}`,
+    `white-space:${alignment.wrapText ? "pre-wrap" : "pre"}`,
+    `line-height:${LINE_HEIGHT_FACTOR}`,
+    ...backgroundCss(cell.style.fill, dataBar),
+    ...borderCss(cell.style.border, scale),
+  ];
+
+  const runs = icon && !icon.showValue ? [] : textRuns(cell);
+  let content = runs
+    .filter((run) => run.text)
+    .map(
+      (run) =>
+        `<span style="${escapeHtml(fontCss(run.font, scale, fonts))}">${escapeHtml(run.text).replace(/\r?\n/g, "<br>")}</span>`
+    )
+    .join("");
+  // Links within the workbook point at other pages and unsafe links could run
+  // scripts, they stay plain text
+  if (
+    cell.hyperlink &&
+    !cell.hyperlink.startsWith("#") &&
+    isSafeLink(cell.hyperlink) &&
+    content
+  ) {
+    content = `<a href="${escapeHtml(cell.hyperlink)}" style="color:inherit;text-decoration:inherit">${content}</a>`;
+  }
+
+  const spans = `${rowSpan > 1 ? ` rowspan="${rowSpan}"` : ""}${colSpan > 1 ? ` colspan="${colSpan}"` : ""}`;
+  return `<td${spans} style="${escapeHtml(css.join(";"))}">${content}</td>`;
+}
+
+/**
+ * Styles text in an ExcelJS font, the standard font standing in for fonts not embedded
+ */
+function fontCss(font, scale, fonts) {
+  const script = ["superscript", "subscript"].includes(font?.vertAlign);
+  const size =
+    (font?.size || DEFAULT_FONT_SIZE) *
+    scale *
+    (script ? SCRIPT_SIZE_FACTOR : 1);
+  const name = font?.name?.replace(/['"\\]/g, "");
+  const family = name && fonts.families[name.toLowerCase()];
+  const decorations = [
+    font?.underline && "underline",
+    font?.strike && "line-through",
+  ].filter(Boolean);
+  return [
+    `font-family:${family ? `'${name}', ${STANDARD_FAMILY}` : STANDARD_FAMILY}`,
+    `font-size:${pt(size)}`,
+    font?.bold && "font-weight:bold",
+    font?.italic && "font-style:italic",
+    `color:#${font?.color?.argb?.slice(2) || "000000"}`,
+    decorations.length > 0 && `text-decoration:${decorations.join(" ")}`,
+    String(font?.underline).startsWith("double") &&
+      "text-decoration-style:double",
+    script &&
+      `vertical-align:${font.vertAlign === "superscript" ? "super" : "sub"}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+}
+
+/**
+ * Styles the background of a cell: its fill and conditional formatting data bar
+ */
+function backgroundCss(fill, dataBar) {
+  const css = [];
+  const color = fillColor(fill);
+  if (color) css.push(`background-color:#${color}`);
+
+  const images = [];
+  if (dataBar && dataBar.ratio > 0) {
+    const end = `${round(dataBar.ratio * 100)}%`;
+    images.push(
+      dataBar.gradient
+        ? `linear-gradient(to right,#${dataBar.color},#FFFFFF ${end},transparent ${end})`
+        : `linear-gradient(to right,#${dataBar.color} ${end},transparent ${end})`
+    );
+  }
+  // Linear gradients over their middle color, for clients without gradients
+  if (fill?.type === "gradient" && fill.gradient !== "path") {
+    const stops = (fill.stops || [])
+      .filter((stop) => stop.color?.argb)
+      .map(
+        (stop) =>
+          `#${stop.color.argb.slice(2)} ${round((stop.position ?? 0) * 100)}%`
+      );
+    if (stops.length > 0) {
+      // Excel's 0 degrees run left to right, CSS's bottom to top
+      images.push(`linear-gradient(${(fill.degree || 0) + 90}deg,${stops})`);
+    }
+  }
+  if (images.length > 0) css.push(`background-image:${images.join(",")}`);
+  return css;
+}
+
+/**
+ * Styles the edges of a cell, with the line widths drawBorders uses
+ */
+function borderCss(border, scale) {
+  return SIDES.map((side) => {
+    const edge = border?.[side];
+    if (!edge?.style || edge.style.toLowerCase() === "none") return null;
+    const { width, dash, gap } = BORDER_STYLES[edge.style] || { width: 0.75 };
+    let kind = "solid";
+    if (gap) {
+      kind = "double";
+    } else if (dash) {
+      kind = dash[0] <= 0.75 ? "dotted" : "dashed";
+    }
+    const color = edge.color?.argb ? edge.color.argb.slice(2) : "000000";
+    return `border-${side}:${pt((gap ? gap + width : width) * scale)} ${kind} #${color}`;
+  }).filter(Boolean);
+}
+
+function pt(value) {
+  return `${round(value)}pt`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,110 @@
+/**
+ * Lays out the cells of one page: where each cell goes and how far merges span
+ * The page model is what every output draws from: the PDF and SVG documents
+ * draw its cells and borders, the HTML document turns it into a table.
+ * Merged cells are placed once, from their first visible cell on the page,
+ * spanning the merged rows and columns that are on the same page.
+ * @param {Object} layout - The layout of the sheet: { styledRows, rows, cols }
+ * @param {Array<number>} widths - The column widths in points, scaled
+ * @param {Array<number>} heights - The row heights in points, scaled
+ * @param {Array<number>} pageRows - Indices of the rows on the page
+ * @param {Array<number>} pageCols - Indices of the columns on the page
+ * @param {Object} origin - { x, y }: the top-left corner of the table on the page
+ * @returns {Object} The page: { origin, widths, heights, cells, grid, links }, with the widths
+ * and heights of its columns and rows; cells being { cell, x, y, width, height, row, col, rowSpan,
+ * colSpan } with row and col positions on the page; grid the cells by row and column for
+ * drawBorders; links { x, y, width, height, hyperlink }
+ */
+export function layoutPage(
+  layout,
+  widths,
+  heights,
+  pageRows,
+  pageCols,
+  origin
+) {
+  const { styledRows, rows, cols } = layout;
+  const inMerge = (mergeInfo, rowIdx, colIdx) =>
+    rows[rowIdx] >= mergeInfo.startRow &&
+    rows[rowIdx] <= mergeInfo.endRow &&
+    cols[colIdx] >= mergeInfo.startCol &&
+    cols[colIdx] <= mergeInfo.endCol;
+
+  const page = {
+    origin,
+    widths: pageCols.map((colIdx) => widths[colIdx]),
+    heights: pageRows.map((rowIdx) => heights[rowIdx]),
+    cells: [],
+    grid: [],
+    links: [],
+  };
+  const place = (cell, x, y, i, j, rowSpan, colSpan) => {
+    const width = page.widths
+      .slice(j, j + colSpan)
+      .reduce((sum, w) => sum + w, 0);
+    const height = page.heights
+      .slice(i, i + rowSpan)
+      .reduce((sum, h) => sum + h, 0);
+    page.cells.push({
+      cell,
+      x,
+      y,
+      width,
+      height,
+      row: i,
+      col: j,
+      rowSpan,
+      colSpan,
+    });
+    if (cell.hyperlink) {
+      page.links.push({ x, y, width, height, hyperlink: cell.hyperlink });
+    }
+  };
+
+  // Merged cells take the borders of their main cell, on the block's outer edges
+  let y = origin.y;
+  pageRows.forEach((rowIdx, i) => {
+    let x = origin.x;
+    const gridRow = [];
+    page.grid.push(gridRow);
+    pageCols.forEach((colIdx, j) => {
+      const cell = styledRows[rowIdx][colIdx];
+      const { mergeInfo } = cell;
+      gridRow.push({
+        x,
+        y,
+        width: widths[colIdx],
+        height: heights[rowIdx],
+        border: (mergeInfo ? mergeInfo.mainCell : cell).style.border,
+        owner: mergeInfo || cell,
+      });
+
+      if (!mergeInfo) {
+        place(cell, x, y, i, j, 1, 1);
+      } else if (
+        (i === 0 || !inMerge(mergeInfo, pageRows[i - 1], colIdx)) &&
+        (j === 0 || !inMerge(mergeInfo, rowIdx, pageCols[j - 1]))
+      ) {
+        // The merge's first visible cell, spanning the rest of the merge on this page
+        let colSpan = 1;
+        while (
+          j + colSpan < pageCols.length &&
+          inMerge(mergeInfo, rowIdx, pageCols[j + colSpan])
+        ) {
+          colSpan++;
+        }
+        let rowSpan = 1;
+        while (
+          i + rowSpan < pageRows.length &&
+          inMerge(mergeInfo, pageRows[i + rowSpan], colIdx)
+        ) {
+          rowSpan++;
+        }
+        place(mergeInfo.mainCell, x, y, i, j, rowSpan, colSpan);
+      }
+      x += widths[colIdx];
+    });
+    y += heights[rowIdx];
+  });
+  return page;
+}
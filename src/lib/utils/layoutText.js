@@ -0,0 +1,212 @@
+import { getFontStyle } from "./getFontStyle.js";
+import { splitByFont } from "./fontRegistry.js";
+
+/**
+ * Line height used for multi-line cell text, as a factor of the font size (jsPDF default)
+ */
+export const LINE_HEIGHT_FACTOR = 1.15;
+
+/**
+ * Font size of text whose font has none, in points
+ */
+export const DEFAULT_FONT_SIZE = 12;
+
+/**
+ * Size of superscripts and subscripts, as a factor of their font size; drawCell raises or lowers them
+ */
+export const SCRIPT_SIZE_FACTOR = 0.65;
+
+/**
+ * Splits text runs into the lines they are drawn with
+ * Explicit line breaks are always honored; with `wrap` the text is also wrapped
+ * to the given width. Each line is made of segments sharing one font, glyphs the
+ * run font lacks are taken from the fallback fonts.
+ * @param {jsPDF} doc - The jsPDF document instance, with the fonts registered
+ * @param {Array<Object>} runs - Text runs of { text, font } with an ExcelJS font
+ * @param {Object} options - { width, wrap, fonts, scale }: available width, whether to wrap,
+ * the font registry from loadFonts and the scale applied to font sizes (default: 1)
+ * @returns {Array<Object>} Lines of { segments, width, size }, segments being { text, family, style, size, font, width }
+ */
+export function layoutText(doc, runs, { width, wrap, fonts, scale = 1 }) {
+  const lines = [];
+
+  splitParagraphs(runs, fonts, scale).forEach((paragraph) => {
+    if (!wrap || !(width > 0)) {
+      lines.push(toLine(doc, paragraph.parts, paragraph.size));
+      return;
+    }
+
+    const firstLine = lines.length;
+    let line = [];
+    let lineWidth = 0;
+    let pendingSpace = [];
+    const breakLine = () => {
+      lines.push(toLine(doc, line, paragraph.size));
+      line = [];
+      lineWidth = 0;
+    };
+
+    tokenize(paragraph.parts).forEach((token) => {
+      if (token.space) {
+        // Leading spaces of a paragraph are kept, others only between words
+        if (lines.length === firstLine || line.length > 0) {
+          pendingSpace.push(...token.parts);
+        }
+        return;
+      }
+
+      const wordWidth = sumWidths(doc, token.parts);
+      const spaceWidth = sumWidths(doc, pendingSpace);
+      if (line.length > 0 && lineWidth + spaceWidth + wordWidth > width) {
+        breakLine();
+      } else {
+        line.push(...pendingSpace);
+        lineWidth += spaceWidth;
+      }
+      pendingSpace = [];
+
+      if (wordWidth <= width || line.length > 0) {
+        line.push(...token.parts);
+        lineWidth += wordWidth;
+        return;
+      }
+
+      // A word longer than the line is broken between characters
+      token.parts.forEach((part) => {
+        for (const char of part.text) {
+          const charPart = { ...part, text: char };
+          const charWidth = measure(doc, charPart);
+          if (line.length > 0 && lineWidth + charWidth > width) {
+            breakLine();
+          }
+          line.push(charPart);
+          lineWidth += charWidth;
+        }
+      });
+    });
+
+    if (line.length > 0 || lines.length === firstLine) {
+      breakLine();
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Measures the narrowest width text can be drawn in without being cut:
+ * its longest word when wrapped, its longest line otherwise
+ * @param {jsPDF} doc - The jsPDF document instance, with the fonts registered
+ * @param {Array<Object>} runs - Text runs of { text, font } with an ExcelJS font
+ * @param {Object} options - { wrap, fonts }: whether the text wraps and the font registry from loadFonts
+ * @returns {number} The width in points
+ */
+export function measureText(doc, runs, { wrap, fonts }) {
+  let maxWidth = 0;
+  splitParagraphs(runs, fonts, 1).forEach(({ parts }) => {
+    const pieces = wrap
+      ? tokenize(parts).filter((token) => !token.space)
+      : [{ parts }];
+    pieces.forEach((piece) => {
+      maxWidth = Math.max(maxWidth, sumWidths(doc, piece.parts));
+    });
+  });
+  return maxWidth;
+}
+
+/**
+ * Splits runs at line breaks into paragraphs of font segments
+ */
+function splitParagraphs(runs, fonts, scale) {
+  const paragraphs = [];
+  let current = null;
+
+  runs.forEach(({ text, font }) => {
+    const script = ["superscript", "subscript"].includes(font?.vertAlign);
+    const size =
+      (font?.size || DEFAULT_FONT_SIZE) *
+      scale *
+      (script ? SCRIPT_SIZE_FACTOR : 1);
+    const fontStyle = getFontStyle(font);
+
+    String(text ?? "")
+      .split(/\r?\n/)
+      .forEach((paragraphText, idx) => {
+        if (!current || idx > 0) {
+          current = { parts: [], size };
+          paragraphs.push(current);
+        }
+        splitByFont(fonts, paragraphText, font, fontStyle).forEach(
+          (segment) => {
+            current.parts.push({ ...segment, size, font });
+          }
+        );
+      });
+  });
+
+  return paragraphs.length > 0
+    ? paragraphs
+    : [{ parts: [], size: DEFAULT_FONT_SIZE * scale }];
+}
+
+/**
+ * Groups segments into words and the whitespace between them
+ */
+function tokenize(parts) {
+  const tokens = [];
+  parts.forEach((part) => {
+    part.text.split(/(\s+)/).forEach((text) => {
+      if (!text) return;
+      const space = /^\s+$/.test(text);
+      const last = tokens[tokens.length - 1];
+      // Words can span segments, e.g. a glyph taken from a fallback font
+      if (last && last.space === space) {
+        last.parts.push({ ...part, text });
+      } else {
+        tokens.push({ space, parts: [{ ...part, text }] });
+      }
+    });
+  });
+  return tokens;
+}
+
+/**
+ * Merges the parts of a line into segments and measures them
+ */
+function toLine(doc, parts, paragraphSize) {
+  const segments = [];
+  parts.forEach((part) => {
+    const last = segments[segments.length - 1];
+    if (
+      last &&
+      last.family === part.family &&
+      last.style === part.style &&
+      last.size === part.size &&
+      last.font === part.font
+    ) {
+      last.text += part.text;
+    } else {
+      segments.push({ ...part });
+    }
+  });
+  segments.forEach((segment) => {
+    segment.width = measure(doc, segment);
+  });
+
+  return {
+    segments,
+    width: segments.reduce((sum, s) => sum + s.width, 0),
+    size:
+      segments.reduce((max, s) => Math.max(max, s.size), 0) || paragraphSize,
+  };
+}
+
+function sumWidths(doc, parts) {
+  return parts.reduce((sum, part) => sum + measure(doc, part), 0);
+}
+
+function measure(doc, part) {
+  doc.setFont(part.family, part.style);
+  doc.setFontSize(part.size);
+  return doc.getTextWidth(part.text);
+}
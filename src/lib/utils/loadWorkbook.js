@@ -0,0 +1,196 @@
+import ExcelJS from "exceljs";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+import { detectInputFormat } from "./detectInputFormat.js";
+import { readCsv } from "./readCsv.js";
+import { readOds } from "./readOds.js";
+import { readXls } from "./readXls.js";
+
+/**
+ * Loads the workbook to convert from any of the supported input sources
+ * Xlsx, ods, xls and csv data are read, the format detected from the content
+ * or the file extension. The xlsx bytes are kept for the parts ExcelJS does not
+ * read, such as charts.
+ * @param {Object} source - The input source
+ * @param {Object|Buffer|ArrayBuffer|Uint8Array|ReadableStream} source.input - An ExcelJS workbook, file bytes or a readable stream of file data
+ * @param {string} source.inputFilePath - Path to an xlsx, ods, xls or csv file, used when no `input` is given
+ * @param {string} [source.inputFormat] - "xlsx", "ods", "xls" or "csv", instead of detecting the format
+ * @param {Object} [source.csv] - Options of csv input: { delimiter, encoding, header }
+ * @returns {Promise<Object>} The loaded ExcelJS workbook and the xlsx bytes: { workbook, data },
+ * data is null when a loaded workbook or another format was given
+ * @throws {ConversionError} If no input is given, the input file does not exist or the
+ * data is not a readable workbook
+ */
+export async function loadWorkbook({ input, inputFilePath, inputFormat, csv }) {
+  // Already loaded workbook, use it as is
+  if (input instanceof ExcelJS.Workbook) {
+    return { workbook: input, data: null };
+  }
+
+  let data;
+  if (input != null) {
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+      data = input;
+    } else if (typeof input.pipe === "function") {
+      data = await readStream(input);
+    } else {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_INPUT,
+        "Unsupported input: expected a Workbook, Buffer, ArrayBuffer, Uint8Array or readable stream."
+      );
+    }
+  } else {
+    if (!inputFilePath) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_INPUT,
+        "Either `input` or `inputFilePath` is required."
+      );
+    }
+
+    // The filesystem is only needed when reading from a path
+    const fs = await import("fs");
+    if (!fs.existsSync(inputFilePath)) {
+      throw new ConversionError(
+        ERROR_CODES.FILE_NOT_FOUND,
+        `The file "${inputFilePath}" was not found.`
+      );
+    }
+    data = await fs.promises.readFile(inputFilePath);
+  }
+
+  const format = detectInputFormat(data, {
+    fileName: inputFilePath,
+    inputFormat,
+  });
+  if (format === "csv") {
+    const workbook = await readCsv(data, { ...csv, fileName: inputFilePath });
+    return { workbook, data: null };
+  }
+  if (format === "ods") return { workbook: await readOds(data), data: null };
+  if (format === "xls") return { workbook: await readXls(data), data: null };
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(data);
+  } catch (error) {
+    throw new ConversionError(
+      ERROR_CODES.CORRUPT_XLSX,
+      `The xlsx data could not be read: ${error.message}`,
+      { cause: error }
+    );
+  }
+  return { workbook, data };
+}
+
+/**
+ * Checks that data starts like an xlsx package, rather than another format
+ * @param {ArrayBuffer|Uint8Array} data - The input data, or at least its first bytes
+ * @param {string} [inputFormat] - The inputFormat option
+ * @throws {ConversionError} If the data is not an xlsx package
+ */
+function checkXlsxSignature(data, inputFormat) {
+  let format;
+  try {
+    format = detectInputFormat(data, { inputFormat });
+  } catch (error) {
+    if (error.code !== ERROR_CODES.UNSUPPORTED_FORMAT) throw error;
+  }
+  if (format !== "xlsx") {
+    throw new ConversionError(
+      ERROR_CODES.UNSUPPORTED_FORMAT,
+      "The input is not an xlsx file; streaming reads xlsx files only."
+    );
+  }
+}
+
+/**
+ * Collects the bytes of a readable stream
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Opens a streaming reader over the workbook to convert, for sheets too large
+ * to load at once. Rows are read as the xlsx data comes in.
+ * @param {Object} source - The input source
+ * @param {Buffer|ArrayBuffer|Uint8Array|ReadableStream} source.input - Xlsx bytes or a readable stream of xlsx data
+ * @param {string} source.inputFilePath - Path to an xlsx file, used when no `input` is given
+ * @param {string} [source.inputFormat] - The inputFormat option, which must be "xlsx" when given
+ * @returns {Promise<Object>} The ExcelJS WorkbookReader, caching shared strings and styles
+ * @throws {ConversionError} If no input is given, the input is a loaded workbook, the
+ * input file does not exist or the data is not an xlsx file
+ */
+export async function openWorkbookReader({
+  input,
+  inputFilePath,
+  inputFormat,
+}) {
+  // Streams are not read ahead, only the format given for them is checked
+  if (inputFormat != null) checkXlsxSignature(new Uint8Array(0), inputFormat);
+
+  let source;
+  if (input != null) {
+    if (input instanceof ExcelJS.Workbook) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_INPUT,
+        "Streaming needs xlsx data, a loaded Workbook cannot be streamed."
+      );
+    } else if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+      const { Readable } = await import("stream");
+      const bytes =
+        input instanceof ArrayBuffer
+          ? Buffer.from(input)
+          : Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+      checkXlsxSignature(bytes, inputFormat);
+      source = Readable.from([bytes]);
+    } else if (typeof input.pipe === "function") {
+      source = input;
+    } else {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_INPUT,
+        "Unsupported input: expected a Buffer, ArrayBuffer, Uint8Array or readable stream."
+      );
+    }
+  } else {
+    if (!inputFilePath) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_INPUT,
+        "Either `input` or `inputFilePath` is required."
+      );
+    }
+
+    const fs = await import("fs");
+    if (!fs.existsSync(inputFilePath)) {
+      throw new ConversionError(
+        ERROR_CODES.FILE_NOT_FOUND,
+        `The file "${inputFilePath}" was not found.`
+      );
+    }
+    const file = await fs.promises.open(inputFilePath, "r");
+    try {
+      // Enough of the file to tell an ods package from an xlsx one
+      const { buffer, bytesRead } = await file.read(
+        Buffer.alloc(128),
+        0,
+        128,
+        0
+      );
+      checkXlsxSignature(buffer.subarray(0, bytesRead), inputFormat);
+    } finally {
+      await file.close();
+    }
+    source = inputFilePath;
+  }
+
+  return new ExcelJS.stream.xlsx.WorkbookReader(source, {
+    worksheets: "emit",
+    sharedStrings: "cache",
+    styles: "cache",
+    hyperlinks: "ignore",
+    entries: "ignore",
+  });
+}
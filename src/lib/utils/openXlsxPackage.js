@@ -0,0 +1,105 @@
+import JSZip from "jszip";
+import { parseXml, childElements, findElements } from "./parseXml.js";
+
+/**
+ * Opens an xlsx package to read the parts ExcelJS leaves out
+ * @param {ArrayBuffer|Uint8Array} data - The xlsx bytes
+ * @returns {Promise<Object>} The package: { worksheets, readXml, readElement, readElements,
+ * readRelationships },
+ * worksheets being the { name, path } of every worksheet part, in workbook order
+ */
+export async function openXlsxPackage(data) {
+  const zip = await JSZip.loadAsync(data);
+  const readText = async (path) => {
+    const file = path && zip.file(path);
+    return file ? file.async("string") : null;
+  };
+
+  const xlsxPackage = {
+    worksheets: [],
+
+    /**
+     * Reads and parses a part, null when the part is missing
+     */
+    async readXml(path) {
+      const xml = await readText(path);
+      return xml == null ? null : parseXml(xml);
+    },
+
+    /**
+     * Reads one element of a part without parsing the rest of it, e.g. the
+     * hyperlinks of a large worksheet. Null when the part or element is missing.
+     */
+    async readElement(path, name) {
+      const xml = await readText(path);
+      const match = xml && elementPattern(name).exec(xml);
+      return match ? parseXml(match[0]) : null;
+    },
+
+    /**
+     * Reads every element with a name from a part, e.g. the conditional
+     * formatting rules of a worksheet. Empty when the part is missing.
+     */
+    async readElements(path, name) {
+      const xml = await readText(path);
+      return xml
+        ? [...xml.matchAll(elementPattern(name, "g"))].map((match) =>
+            parseXml(match[0])
+          )
+        : [];
+    },
+
+    /**
+     * Reads the relationships of a part: target paths by relationship id
+     */
+    async readRelationships(path) {
+      const slash = path.lastIndexOf("/");
+      const rels = await xlsxPackage.readXml(
+        `${path.slice(0, slash)}/_rels/${path.slice(slash + 1)}.rels`
+      );
+      const targets = {};
+      childElements(rels, "Relationship").forEach(({ attributes }) => {
+        targets[attributes.Id] =
+          attributes.TargetMode === "External"
+            ? attributes.Target
+            : resolvePath(path, attributes.Target);
+      });
+      return targets;
+    },
+  };
+
+  const book = await xlsxPackage.readXml("xl/workbook.xml");
+  if (book) {
+    const bookRels = await xlsxPackage.readRelationships("xl/workbook.xml");
+    xlsxPackage.worksheets = findElements(book, "sheet")
+      .map(({ attributes }) => ({
+        name: attributes.name,
+        path: bookRels[attributes.id],
+      }))
+      .filter(({ path }) => path);
+  }
+  return xlsxPackage;
+}
+
+/**
+ * Matches an element of an XML part, with or without a namespace prefix
+ */
+function elementPattern(name, flags) {
+  return new RegExp(
+    `<(\\w+:)?${name}\\b[^>]*?(/>|>[\\s\\S]*?</(\\w+:)?${name}>)`,
+    flags
+  );
+}
+
+/**
+ * Resolves a relationship target against the part that refers to it
+ */
+function resolvePath(from, target) {
+  if (target.startsWith("/")) return target.slice(1);
+  const parts = from.split("/").slice(0, -1);
+  target.split("/").forEach((part) => {
+    if (part === "..") parts.pop();
+    else if (part !== ".") parts.push(part);
+  });
+  return parts.join("/");
+}
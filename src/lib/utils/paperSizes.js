@@ -0,0 +1,26 @@
+/**
+ * Portrait paper dimensions in points, keyed by the Excel `pageSetup.paperSize` code
+ */
+export const PAPER_SIZES = {
+  1: [612, 792], // Letter
+  3: [792, 1224], // Tabloid
+  4: [1224, 792], // Ledger
+  5: [612, 1008], // Legal
+  6: [396, 612], // Statement
+  7: [522, 756], // Executive
+  8: [841.89, 1190.55], // A3
+  9: [595.28, 841.89], // A4
+  11: [419.53, 595.28], // A5
+  12: [728.5, 1031.81], // B4 (JIS)
+  13: [515.91, 728.5], // B5 (JIS)
+  14: [612, 936], // Folio
+  20: [297, 684], // Envelope #10
+  27: [311.81, 623.62], // Envelope DL
+  28: [459.21, 649.13], // Envelope C5
+  34: [498.9, 708.66], // Envelope B5
+};
+
+/**
+ * Paper size used when a worksheet does not declare one (Letter)
+ */
+export const DEFAULT_PAPER_SIZE = 1;
@@ -0,0 +1,83 @@
+import { SaxesParser } from "saxes";
+
+/**
+ * Parses an XML document into a tree of elements
+ * Element and attribute names drop their namespace prefix ("c:ser" becomes
+ * "ser"), which is enough to read the parts of an Office package.
+ * @param {string} xml - The XML text
+ * @returns {Object} The root element: { name, attributes, children, text }
+ * @throws {Error} If the XML is not well-formed
+ */
+export function parseXml(xml) {
+  const parser = new SaxesParser();
+  const root = { name: "", attributes: {}, children: [], text: "" };
+  const stack = [root];
+
+  parser.on("opentag", (node) => {
+    const attributes = {};
+    Object.entries(node.attributes).forEach(([name, value]) => {
+      attributes[localName(name)] = value;
+    });
+    const element = {
+      name: localName(node.name),
+      attributes,
+      children: [],
+      text: "",
+    };
+    stack[stack.length - 1].children.push(element);
+    stack.push(element);
+  });
+  parser.on("text", (text) => {
+    stack[stack.length - 1].text += text;
+  });
+  parser.on("closetag", () => {
+    stack.pop();
+  });
+  parser.write(xml).close();
+
+  return root.children[0];
+}
+
+/**
+ * Finds the first child element with the given name
+ * @param {Object} element - The parent element, may be undefined
+ * @param {...string} names - Names of nested children to follow, e.g. ("tx", "rich")
+ * @returns {Object|undefined} The element, undefined when missing
+ */
+export function childElement(element, ...names) {
+  return names.reduce(
+    (current, name) => current?.children.find((child) => child.name === name),
+    element
+  );
+}
+
+/**
+ * Finds the child elements with the given name
+ * @param {Object} element - The parent element, may be undefined
+ * @param {string} name - The child element name
+ * @returns {Array<Object>} The elements
+ */
+export function childElements(element, name) {
+  return element?.children.filter((child) => child.name === name) || [];
+}
+
+/**
+ * Finds the descendant elements with the given name, in document order
+ * @param {Object} element - The element to search
+ * @param {string} name - The element name
+ * @returns {Array<Object>} The elements
+ */
+export function findElements(element, name) {
+  const found = [];
+  const visit = (current) =>
+    current.children.forEach((child) => {
+      if (child.name === name) found.push(child);
+      visit(child);
+    });
+  if (element) visit(element);
+  return found;
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
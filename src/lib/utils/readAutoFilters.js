@@ -0,0 +1,89 @@
+import { childElement, childElements } from "./parseXml.js";
+
+/**
+ * Reads the AutoFilter criteria of the worksheets of an xlsx package
+ * ExcelJS only keeps the range of an AutoFilter, so its filter columns are read
+ * from the sheet parts.
+ * @param {Object} xlsxPackage - The package, from openXlsxPackage
+ * @returns {Promise<Object>} The AutoFilters by worksheet name: { ref, columns }, each column
+ * { colId, values, blank, dateGroups, custom, top10, dynamic } with colId counted from
+ * the first column of ref and only the criteria the column has
+ */
+export async function readAutoFilters(xlsxPackage) {
+  const autoFilters = {};
+  for (const sheet of xlsxPackage.worksheets) {
+    const autoFilter = await xlsxPackage.readElement(sheet.path, "autoFilter");
+    if (!autoFilter?.attributes.ref) continue;
+    const columns = childElements(autoFilter, "filterColumn")
+      .map(readFilterColumn)
+      .filter((column) => Object.keys(column).length > 1);
+    if (columns.length > 0) {
+      autoFilters[sheet.name] = { ref: autoFilter.attributes.ref, columns };
+    }
+  }
+  return autoFilters;
+}
+
+function readFilterColumn(filterColumn) {
+  const column = { colId: Number(filterColumn.attributes.colId) || 0 };
+
+  const filters = childElement(filterColumn, "filters");
+  if (filters) {
+    column.values = childElements(filters, "filter").map(({ attributes }) =>
+      String(attributes.val ?? "").toLowerCase()
+    );
+    column.blank = flag(filters.attributes.blank);
+    column.dateGroups = childElements(filters, "dateGroupItem").map(
+      ({ attributes }) => ({
+        grouping: attributes.dateTimeGrouping,
+        year: numberOrNull(attributes.year),
+        month: numberOrNull(attributes.month),
+        day: numberOrNull(attributes.day),
+        hour: numberOrNull(attributes.hour),
+        minute: numberOrNull(attributes.minute),
+        second: numberOrNull(attributes.second),
+      })
+    );
+  }
+
+  const customFilters = childElement(filterColumn, "customFilters");
+  if (customFilters) {
+    column.custom = {
+      and: flag(customFilters.attributes.and),
+      conditions: childElements(customFilters, "customFilter").map(
+        ({ attributes }) => ({
+          operator: attributes.operator || "equal",
+          val: attributes.val ?? "",
+        })
+      ),
+    };
+  }
+
+  const top10 = childElement(filterColumn, "top10");
+  if (top10) {
+    column.top10 = {
+      top: top10.attributes.top === undefined || flag(top10.attributes.top),
+      percent: flag(top10.attributes.percent),
+      val: Number(top10.attributes.val) || 10,
+      filterVal: numberOrNull(top10.attributes.filterVal),
+    };
+  }
+
+  const dynamicFilter = childElement(filterColumn, "dynamicFilter");
+  if (dynamicFilter) {
+    column.dynamic = {
+      type: dynamicFilter.attributes.type,
+      val: numberOrNull(dynamicFilter.attributes.val),
+      maxVal: numberOrNull(dynamicFilter.attributes.maxVal),
+    };
+  }
+  return column;
+}
+
+function flag(value) {
+  return value === "1" || value === "true";
+}
+
+function numberOrNull(value) {
+  return value === undefined || value === "" ? null : Number(value);
+}
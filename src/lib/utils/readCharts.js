@@ -0,0 +1,333 @@
+import { childElement, childElements, findElements } from "./parseXml.js";
+import { parseFormula } from "./formulaParser.js";
+import { cellValue } from "./cellValue.js";
+import { themeColors } from "./resolveColor.js";
+
+// Scheme color names that stand for theme colors
+const SCHEME_ALIASES = { tx1: "dk1", bg1: "lt1", tx2: "dk2", bg2: "lt2" };
+
+// Drawing sizes are in English Metric Units, 9525 per pixel
+const EMU_PER_PIXEL = 9525;
+
+// Chart groups of a plot area, by element name
+const CHART_TYPES = {
+  barChart: "bar",
+  bar3DChart: "bar",
+  lineChart: "line",
+  line3DChart: "line",
+  areaChart: "area",
+  area3DChart: "area",
+  pieChart: "pie",
+  pie3DChart: "pie",
+  ofPieChart: "pie",
+  doughnutChart: "doughnut",
+  scatterChart: "scatter",
+};
+
+/**
+ * Reads the charts of an xlsx package
+ * ExcelJS leaves charts out, so they are read from the chart parts of the
+ * package. Series values, categories and names are read from the referenced
+ * cells, or from the values cached in the chart when the cells are missing.
+ * @param {Object} xlsxPackage - The package, from openXlsxPackage
+ * @param {Object} workbook - The ExcelJS workbook loaded from the same bytes
+ * @returns {Promise<Object>} The charts by worksheet name: arrays of
+ * { from, to, ext, chart }, where from/to are anchors like ExcelJS image anchors
+ * (to is null for one-cell anchors, which have an ext size in pixels instead)
+ */
+export async function readCharts(xlsxPackage, workbook) {
+  const { readXml, readElement, readRelationships } = xlsxPackage;
+  const charts = {};
+
+  for (const sheet of xlsxPackage.worksheets) {
+    const drawing = await readElement(sheet.path, "drawing");
+    if (!drawing) continue;
+
+    const drawingPath = (await readRelationships(sheet.path))[
+      drawing.attributes.id
+    ];
+    const drawingXml = drawingPath && (await readXml(drawingPath));
+    if (!drawingXml) continue;
+    const drawingRels = await readRelationships(drawingPath);
+
+    const sheetCharts = [];
+    for (const anchor of drawingXml.children) {
+      const chartRef = findElements(anchor, "chart").find(
+        (element) => element.attributes.id
+      );
+      const placement = anchorOf(anchor);
+      if (!chartRef || !placement) continue;
+
+      const chartXml = await readXml(drawingRels[chartRef.attributes.id]);
+      if (!chartXml) continue;
+      sheetCharts.push({
+        ...placement,
+        chart: readChart(chartXml, workbook),
+      });
+    }
+    if (sheetCharts.length > 0) {
+      charts[sheet.name] = sheetCharts;
+    }
+  }
+  return charts;
+}
+
+/**
+ * Reads the position of a drawing anchor
+ * Absolute anchors are not tied to cells and are left out.
+ */
+function anchorOf(anchor) {
+  const marker = (element) =>
+    element && {
+      nativeCol: Number(childElement(element, "col")?.text || 0),
+      nativeColOff: Number(childElement(element, "colOff")?.text || 0),
+      nativeRow: Number(childElement(element, "row")?.text || 0),
+      nativeRowOff: Number(childElement(element, "rowOff")?.text || 0),
+    };
+
+  if (anchor.name === "twoCellAnchor") {
+    return {
+      from: marker(childElement(anchor, "from")),
+      to: marker(childElement(anchor, "to")),
+      ext: null,
+    };
+  }
+  if (anchor.name === "oneCellAnchor") {
+    const { cx = 0, cy = 0 } = childElement(anchor, "ext")?.attributes || {};
+    return {
+      from: marker(childElement(anchor, "from")),
+      to: null,
+      ext: { width: cx / EMU_PER_PIXEL, height: cy / EMU_PER_PIXEL },
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads a chart part into the model drawn by drawChart
+ */
+function readChart(chartSpace, workbook) {
+  const chart = childElement(chartSpace, "chart");
+  const plotArea = childElement(chart, "plotArea");
+  const axes = {};
+  (plotArea?.children || []).forEach((element) => {
+    if (["catAx", "valAx", "dateAx", "serAx"].includes(element.name)) {
+      axes[childElement(element, "axId")?.attributes.val] = readAxis(
+        element,
+        workbook
+      );
+    }
+  });
+
+  const groups = (plotArea?.children || [])
+    .filter((element) => CHART_TYPES[element.name])
+    .map((element) => {
+      const type = CHART_TYPES[element.name];
+      const [categoryAxisId, valueAxisId] = childElements(element, "axId").map(
+        (axId) => axId.attributes.val
+      );
+      return {
+        type,
+        direction: attributeOf(element, "barDir") || "col",
+        grouping: attributeOf(element, "grouping") || "clustered",
+        gapWidth: Number(attributeOf(element, "gapWidth") ?? 150),
+        holeSize: Number(attributeOf(element, "holeSize") ?? 50),
+        varyColors: booleanOf(element, "varyColors", type === "pie"),
+        markers: booleanOf(element, "marker", true),
+        scatterStyle: attributeOf(element, "scatterStyle") || "lineMarker",
+        categoryAxis: axes[categoryAxisId] || null,
+        valueAxis: axes[valueAxisId] || null,
+        series: childElements(element, "ser")
+          .map((ser) => readSeries(ser, workbook))
+          .sort((a, b) => a.order - b.order),
+      };
+    });
+
+  const legend = childElement(chart, "legend");
+  return {
+    title: booleanOf(chart, "autoTitleDeleted", false)
+      ? null
+      : readTitle(childElement(chart, "title"), workbook),
+    groups,
+    legend: legend && {
+      position: attributeOf(legend, "legendPos") || "r",
+    },
+  };
+}
+
+function readAxis(axis, workbook) {
+  const numFmt = childElement(axis, "numFmt")?.attributes;
+  return {
+    deleted: booleanOf(axis, "delete", false),
+    min: numberOf(childElement(axis, "scaling", "min")),
+    max: numberOf(childElement(axis, "scaling", "max")),
+    gridlines: Boolean(childElement(axis, "majorGridlines")),
+    // Source-linked formats come from the series cells
+    numFmt: numFmt && numFmt.sourceLinked !== "1" ? numFmt.formatCode : null,
+    title: readTitle(childElement(axis, "title"), workbook),
+  };
+}
+
+function readSeries(ser, workbook) {
+  const index = Number(attributeOf(ser, "idx") ?? 0);
+  const spPr = childElement(ser, "spPr");
+  const values = readData(
+    childElement(ser, "val") || childElement(ser, "yVal"),
+    workbook
+  );
+  const marker = childElement(ser, "marker");
+
+  return {
+    index,
+    order: Number(attributeOf(ser, "order") ?? index),
+    name: readText(childElement(ser, "tx"), workbook),
+    categories: readData(
+      childElement(ser, "cat") || childElement(ser, "xVal"),
+      workbook
+    ).values,
+    values: values.values.map((value) =>
+      typeof value === "number" ? value : null
+    ),
+    numFmt: values.formatCode,
+    fillColor: colorOf(childElement(spPr, "solidFill"), workbook),
+    lineColor: colorOf(childElement(spPr, "ln", "solidFill"), workbook),
+    noLine: Boolean(childElement(spPr, "ln", "noFill")),
+    noMarker: attributeOf(marker, "symbol") === "none",
+    pointColors: Object.fromEntries(
+      childElements(ser, "dPt").map((dPt) => [
+        Number(attributeOf(dPt, "idx")),
+        colorOf(childElement(dPt, "spPr", "solidFill"), workbook),
+      ])
+    ),
+  };
+}
+
+/**
+ * Reads series data from its cell reference, or from the cached or literal values
+ */
+function readData(element, workbook) {
+  const source = element?.children[0];
+  if (!source) return { values: [], formatCode: null };
+
+  const cache =
+    childElement(source, "numCache") ||
+    childElement(source, "strCache") ||
+    // Multi-level categories: the level next to the values
+    childElement(source, "multiLvlStrCache", "lvl") ||
+    source;
+  const formatCode = childElement(cache, "formatCode")?.text || null;
+
+  const formula = childElement(source, "f")?.text;
+  const fromCells = formula ? readRange(formula, workbook) : null;
+  if (fromCells) return { values: fromCells, formatCode };
+
+  const count = Number(attributeOf(cache, "ptCount") ?? 0);
+  const values = new Array(count).fill(null);
+  childElements(cache, "pt").forEach((pt) => {
+    const text = childElement(pt, "v")?.text ?? "";
+    const number = Number(text);
+    values[Number(pt.attributes.idx)] =
+      source.name.startsWith("num") && text !== "" && !Number.isNaN(number)
+        ? number
+        : text;
+  });
+  return { values, formatCode };
+}
+
+/**
+ * Reads the values of a reference like "Sheet1!$B$2:$B$5", row by row
+ */
+function readRange(formula, workbook) {
+  let node;
+  try {
+    node = parseFormula(formula);
+  } catch (error) {
+    return null;
+  }
+  const [start, end] =
+    node.type === "range" ? [node.start, node.end] : [node, node];
+  const worksheet =
+    node.sheet &&
+    workbook.worksheets.find(
+      ({ name }) => name.toLowerCase() === node.sheet.toLowerCase()
+    );
+  if (!worksheet || !["ref", "range"].includes(node.type)) return null;
+  // Whole rows and columns are read from the cache
+  if ([start.row, start.col, end.row, end.col].includes(null)) return null;
+
+  const values = [];
+  for (let row = start.row; row <= end.row; row++) {
+    for (let col = start.col; col <= end.col; col++) {
+      const value = cellValue(worksheet.findCell(row, col));
+      values.push(value != null && typeof value === "object" ? null : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Reads a chart or axis title, from its rich text or referenced cell
+ */
+function readTitle(title, workbook) {
+  if (!title) return null;
+  return readText(childElement(title, "tx"), workbook) || null;
+}
+
+function readText(tx, workbook) {
+  const rich = childElement(tx, "rich");
+  if (rich) {
+    return childElements(rich, "p")
+      .map((p) =>
+        findElements(p, "t")
+          .map((t) => t.text)
+          .join("")
+      )
+      .join("\n");
+  }
+  const literal = childElement(tx, "v");
+  if (literal) return literal.text;
+  const ref = childElement(tx, "strRef");
+  if (ref) {
+    return (readData(tx, workbook).values || []).join(" ");
+  }
+  return "";
+}
+
+/**
+ * Reads an RGB, theme or system color to RRGGBB, ignoring tints and shades
+ */
+function colorOf(fill, workbook) {
+  const color = fill?.children[0];
+  switch (color?.name) {
+    case "srgbClr":
+      return color.attributes.val.toUpperCase();
+    case "schemeClr": {
+      // Text and background colors are aliases of the dark and light ones
+      const theme = themeColors(workbook);
+      const name = SCHEME_ALIASES[color.attributes.val] || color.attributes.val;
+      return theme[name] || null;
+    }
+    case "sysClr":
+      return color.attributes.lastClr?.toUpperCase() || null;
+  }
+  return null;
+}
+
+function attributeOf(element, name) {
+  return childElement(element, name)?.attributes.val;
+}
+
+function numberOf(element) {
+  const value = element?.attributes.val;
+  return value == null ? null : Number(value);
+}
+
+/**
+ * Reads a boolean child element, whose val attribute defaults to true
+ */
+function booleanOf(element, name, defaultValue) {
+  const child = childElement(element, name);
+  if (!child) return defaultValue;
+  const value = child.attributes.val ?? "1";
+  return value === "1" || value === "true";
+}
@@ -0,0 +1,144 @@
+import ExcelJS from "exceljs";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+// Delimiters tried when none is given, the first one winning ties
+const DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Reads delimited text into a workbook with one worksheet
+ * Rows go through ExcelJS's CSV reader, which turns numbers, dates, TRUE and
+ * FALSE and error values like #N/A into cell values.
+ * @param {ArrayBuffer|Uint8Array} data - The CSV bytes
+ * @param {Object} [options] - CSV options
+ * @param {string} [options.delimiter] - The field delimiter (default: detected from the first lines)
+ * @param {string} [options.encoding] - The text encoding, e.g. "windows-1252" (default: utf-8,
+ * or utf-16 when the data starts with its byte order mark)
+ * @param {boolean} [options.header] - Whether the first row is a header, drawn bold and
+ * repeated on every page (default: false)
+ * @param {string} [options.fileName] - Name or path of the file, naming the worksheet
+ * @returns {Promise<Object>} The ExcelJS workbook
+ * @throws {ConversionError} If the encoding or delimiter is invalid, or the data cannot be parsed
+ */
+export async function readCsv(
+  data,
+  { delimiter, encoding, header = false, fileName } = {}
+) {
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  let text;
+  try {
+    text = new TextDecoder(encoding || bomEncoding(bytes)).decode(bytes);
+  } catch (error) {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Unsupported csv encoding: ${encoding}`,
+      { cause: error }
+    );
+  }
+
+  const fieldDelimiter =
+    delimiter ??
+    (/\.(tsv|tab)$/i.test(fileName || "") ? "\t" : detectDelimiter(text));
+  if (typeof fieldDelimiter !== "string" || fieldDelimiter.length !== 1) {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Invalid csv delimiter: ${delimiter}`
+    );
+  }
+
+  const { Readable } = await import("stream");
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    worksheet = await workbook.csv.read(Readable.from([text]), {
+      sheetName: sheetNameOf(fileName),
+      parserOptions: { delimiter: fieldDelimiter },
+    });
+  } catch (error) {
+    throw new ConversionError(
+      ERROR_CODES.CORRUPT_INPUT,
+      `The csv data could not be read: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  // ExcelJS parses dates in local time, cells hold the same wall-clock time in
+  // UTC like the dates of xlsx files
+  worksheet.eachRow((row) =>
+    row.eachCell((cell) => {
+      if (cell.value instanceof Date) {
+        const date = cell.value;
+        cell.value = new Date(
+          date.getTime() - date.getTimezoneOffset() * 60000
+        );
+      }
+    })
+  );
+
+  if (header && worksheet.rowCount > 0) {
+    worksheet.getRow(1).font = { bold: true };
+    // Frozen rows are repeated on every page
+    worksheet.views = [{ state: "frozen", ySplit: 1 }];
+  }
+  return workbook;
+}
+
+/**
+ * Picks the encoding announced by a byte order mark, utf-8 without one
+ */
+function bomEncoding(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  return "utf-8";
+}
+
+/**
+ * Picks the delimiter found the same number of times on each of the first
+ * lines, and the most often, quoted fields left out
+ */
+function detectDelimiter(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .slice(0, 10)
+    .map((line) => line.replace(/"[^"]*"/g, ""));
+  if (lines.length === 0) return DELIMITERS[0];
+  let best = DELIMITERS[0];
+  let bestCount = 0;
+  DELIMITERS.forEach((candidate) => {
+    const counts = lines.map((line) => line.split(candidate).length - 1);
+    const count = Math.min(...counts);
+    if (count > bestCount && counts.every((n) => n === counts[0])) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  if (bestCount > 0) return best;
+
+  // Lines with varying field counts, use the most frequent delimiter
+  DELIMITERS.forEach((candidate) => {
+    const count = lines.join("").split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Names the worksheet after the file, within Excel's limits on sheet names
+ */
+function sheetNameOf(fileName) {
+  const base = String(fileName || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.[^.]*$/, "")
+    .replace(/[\\/*?:[\]]/g, " ")
+    .trim()
+    .slice(0, 31);
+  return base || "Sheet1";
+}
@@ -0,0 +1,30 @@
+import { childElements } from "./parseXml.js";
+import { decodeRange } from "./decodeRange.js";
+import { encodeCell } from "./encodeCell.js";
+
+/**
+ * Reads the internal hyperlinks of an xlsx package
+ * ExcelJS only keeps hyperlinks that have a relationship target, so links to a
+ * location in the workbook, as Excel saves them, are read from the sheet parts.
+ * @param {Object} xlsxPackage - The package, from openXlsxPackage
+ * @returns {Promise<Object>} The links by worksheet name, each mapping cell addresses
+ * to a "#Sheet!A1" style hyperlink
+ */
+export async function readHyperlinks(xlsxPackage) {
+  const links = {};
+  for (const sheet of xlsxPackage.worksheets) {
+    const hyperlinks = await xlsxPackage.readElement(sheet.path, "hyperlinks");
+    childElements(hyperlinks, "hyperlink").forEach(({ attributes }) => {
+      if (!attributes.location || !attributes.ref) return;
+      links[sheet.name] = links[sheet.name] || {};
+      // A link can cover a range of cells
+      const { top, left, bottom, right } = decodeRange(attributes.ref);
+      for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+          links[sheet.name][encodeCell(row, col)] = `#${attributes.location}`;
+        }
+      }
+    });
+  }
+  return links;
+}
@@ -0,0 +1,931 @@
+import ExcelJS from "exceljs";
+import JSZip from "jszip";
+import { SaxesParser } from "saxes";
+import { parseXml, childElement, childElements } from "./parseXml.js";
+import { PAPER_SIZES } from "./paperSizes.js";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+// Excel's limits on a sheet
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+
+// Empty cells and rows are repeated to the end of the sheet; those repeated
+// more often than this are left out unless they hold values
+const MAX_BLANK_REPEAT = 100;
+
+// Points per unit of the lengths in ODF styles
+const UNIT_POINTS = {
+  pt: 1,
+  pc: 12,
+  in: 72,
+  cm: 72 / 2.54,
+  mm: 72 / 25.4,
+  px: 0.75,
+};
+
+// Names of the number styles of an OpenDocument file
+const DATA_STYLES = new Set([
+  "number-style",
+  "currency-style",
+  "percentage-style",
+  "date-style",
+  "time-style",
+  "boolean-style",
+  "text-style",
+]);
+
+// Colors of number formats, by the color an ODF number style gives its text
+const FORMAT_COLORS = {
+  "#000000": "Black",
+  "#0000ff": "Blue",
+  "#00ffff": "Cyan",
+  "#00ff00": "Green",
+  "#ff00ff": "Magenta",
+  "#ff0000": "Red",
+  "#ffffff": "White",
+  "#ffff00": "Yellow",
+};
+
+const ERROR_VALUES = new Set([
+  "#NULL!",
+  "#DIV/0!",
+  "#VALUE!",
+  "#REF!",
+  "#NAME?",
+  "#NUM!",
+  "#N/A",
+]);
+
+// Drawings and comments anchored in cells hold paragraphs of their own
+const SKIPPED_ELEMENTS = new Set([
+  "annotation",
+  "frame",
+  "custom-shape",
+  "rect",
+  "line",
+  "ellipse",
+  "g",
+]);
+
+/**
+ * Reads an OpenDocument spreadsheet (.ods) into an ExcelJS workbook
+ * Cell values, merges, column widths, row heights, hidden rows, columns and
+ * sheets, cell styles, number formats, hyperlinks, print ranges, repeated rows
+ * and the page layout are kept. Formula cells keep their cached result.
+ * @param {ArrayBuffer|Uint8Array} data - The ods bytes
+ * @returns {Promise<Object>} The ExcelJS workbook
+ * @throws {ConversionError} If the data is not a readable ods package
+ */
+export async function readOds(data) {
+  try {
+    const zip = await JSZip.loadAsync(data);
+    const content = await zip.file("content.xml")?.async("string");
+    const styles = await zip.file("styles.xml")?.async("string");
+    if (content == null) throw new Error("content.xml is missing");
+
+    const workbook = new ExcelJS.Workbook();
+    const styleSheet = readStyleSheet([
+      styles && parseXml(styles),
+      // Only the styles of the content part are parsed into a tree, its
+      // cells are read as they come
+      ...["font-face-decls", "automatic-styles"].map((name) =>
+        extractElement(content, name)
+      ),
+    ]);
+    readTables(content, workbook, styleSheet);
+    return workbook;
+  } catch (error) {
+    throw new ConversionError(
+      ERROR_CODES.CORRUPT_INPUT,
+      `The ods data could not be read: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Parses one element of a part, null when it is missing
+ */
+function extractElement(xml, name) {
+  const match = new RegExp(
+    `<(\\w+:)?${name}\\b[^>]*?(/>|>[\\s\\S]*?</(\\w+:)?${name}>)`
+  ).exec(xml);
+  return match ? parseXml(match[0]) : null;
+}
+
+/**
+ * Collects the styles, number styles, fonts and page layouts of the parts
+ */
+function readStyleSheet(roots) {
+  const sheet = {
+    styles: {},
+    defaults: {},
+    dataStyles: {},
+    fonts: {},
+    pageLayouts: {},
+    masterPages: {},
+    cellStyles: new Map(),
+    formats: new Map(),
+  };
+  const collect = (element) => {
+    const { name, attributes } = element;
+    if (name === "style") {
+      const family = attributes.family;
+      sheet.styles[family] = sheet.styles[family] || {};
+      sheet.styles[family][attributes.name] = element;
+    } else if (name === "default-style") {
+      sheet.defaults[attributes.family] = element;
+    } else if (DATA_STYLES.has(name)) {
+      sheet.dataStyles[attributes.name] = element;
+    } else if (name === "font-face") {
+      sheet.fonts[attributes.name] = attributes["font-family"];
+    } else if (name === "page-layout") {
+      sheet.pageLayouts[attributes.name] = element;
+    } else if (name === "master-page") {
+      sheet.masterPages[attributes.name] = element;
+    } else {
+      element.children.forEach(collect);
+    }
+  };
+  roots.filter(Boolean).forEach(collect);
+  return sheet;
+}
+
+/**
+ * Reads the tables of the content part into worksheets
+ */
+function readTables(xml, workbook, styleSheet) {
+  const parser = new SaxesParser();
+  let sheet = null;
+  let row = null;
+  let cell = null;
+  let paragraphs = 0;
+  let skipped = 0;
+
+  parser.on("opentag", (node) => {
+    const name = localName(node.name);
+    const attributes = localAttributes(node.attributes);
+    if (skipped > 0 || (cell && SKIPPED_ELEMENTS.has(name))) {
+      skipped++;
+      return;
+    }
+
+    switch (name) {
+      case "table":
+        sheet = startSheet(workbook, attributes, styleSheet);
+        break;
+      case "table-header-rows":
+        if (sheet) sheet.headerTop = sheet.row + 1;
+        break;
+      case "table-column":
+        if (sheet) addColumns(sheet, attributes, styleSheet);
+        break;
+      case "table-row":
+        if (sheet) row = startRow(attributes, styleSheet);
+        break;
+      case "table-cell":
+      case "covered-table-cell":
+        if (row) {
+          cell = {
+            attributes,
+            covered: name === "covered-table-cell",
+            text: "",
+            hyperlink: null,
+          };
+          paragraphs = 0;
+        }
+        break;
+      case "p":
+      case "h":
+        if (cell) {
+          if (paragraphs > 0) cell.text += "\n";
+          paragraphs++;
+          cell.inParagraph = true;
+        }
+        break;
+      case "s":
+        if (cell?.inParagraph)
+          cell.text += " ".repeat(Number(attributes.c) || 1);
+        break;
+      case "tab":
+        if (cell?.inParagraph) cell.text += "\t";
+        break;
+      case "line-break":
+        if (cell?.inParagraph) cell.text += "\n";
+        break;
+      case "a":
+        if (cell) cell.hyperlink = attributes.href || null;
+        break;
+    }
+  });
+
+  parser.on("text", (text) => {
+    // Runs of white space count as one space, spaces beyond it are text:s elements
+    if (skipped === 0 && cell?.inParagraph) {
+      cell.text += text.replace(/[ \t\r\n]+/g, " ");
+    }
+  });
+
+  parser.on("closetag", (node) => {
+    if (skipped > 0) {
+      skipped--;
+      return;
+    }
+
+    switch (localName(node.name)) {
+      case "p":
+      case "h":
+        if (cell) cell.inParagraph = false;
+        break;
+      case "table-cell":
+      case "covered-table-cell":
+        if (cell) addCell(sheet, row, cell, styleSheet);
+        cell = null;
+        break;
+      case "table-row":
+        if (row) finishRow(sheet, row);
+        row = null;
+        break;
+      case "table-header-rows":
+        if (sheet) sheet.headerBottom = sheet.row;
+        break;
+      case "table":
+        if (sheet) finishSheet(sheet, styleSheet);
+        sheet = null;
+        break;
+    }
+  });
+
+  parser.write(xml).close();
+}
+
+function startSheet(workbook, attributes, styleSheet) {
+  const tableStyle = styleSheet.styles.table?.[attributes["style-name"]];
+  const hidden =
+    childElement(tableStyle, "table-properties")?.attributes.display ===
+    "false";
+  const worksheet = workbook.addWorksheet(
+    String(attributes.name || `Sheet${workbook.worksheets.length + 1}`).slice(
+      0,
+      31
+    ),
+    { state: hidden ? "hidden" : "visible" }
+  );
+  return {
+    worksheet,
+    attributes,
+    tableStyle,
+    row: 0,
+    columns: [],
+    merges: [],
+    // Rows without values wait here for a row with values below them, so the
+    // empty rows at the end of the sheet are left out
+    pendingRows: [],
+  };
+}
+
+function addColumns(sheet, attributes, styleSheet) {
+  const properties = childElement(
+    styleSheet.styles["table-column"]?.[attributes["style-name"]],
+    "table-column-properties"
+  )?.attributes;
+  const width = toPoints(properties?.["column-width"]);
+  const column = {
+    // Points to Excel's character widths, 7 pixels a character
+    width: width ? width / 0.75 / 7 : null,
+    hidden: attributes.visibility === "collapse",
+    defaultStyle: attributes["default-cell-style-name"],
+  };
+  const repeat = Math.min(
+    Number(attributes["number-columns-repeated"]) || 1,
+    MAX_COLUMNS - sheet.columns.length
+  );
+  for (let i = 0; i < repeat; i++) sheet.columns.push(column);
+}
+
+function startRow(attributes, styleSheet) {
+  const properties = childElement(
+    styleSheet.styles["table-row"]?.[attributes["style-name"]],
+    "table-row-properties"
+  )?.attributes;
+  return {
+    repeat: Number(attributes["number-rows-repeated"]) || 1,
+    // Optimal heights are left to the layout, which fits the row's text
+    height:
+      properties && properties["use-optimal-row-height"] !== "true"
+        ? toPoints(properties["row-height"])
+        : null,
+    hidden: attributes.visibility === "collapse",
+    defaultStyle: attributes["default-cell-style-name"],
+    col: 0,
+    cells: [],
+  };
+}
+
+function addCell(sheet, row, cell, styleSheet) {
+  const { attributes } = cell;
+  const repeat = Number(attributes["number-columns-repeated"]) || 1;
+  const col = row.col;
+  row.col += repeat;
+  if (cell.covered || col >= MAX_COLUMNS) return;
+
+  const styleName =
+    attributes["style-name"] ??
+    row.defaultStyle ??
+    sheet.columns[col]?.defaultStyle ??
+    "Default";
+  const style = cellStyle(styleName, styleSheet);
+  const colSpan = Number(attributes["number-columns-spanned"]) || 1;
+  const rowSpan = Number(attributes["number-rows-spanned"]) || 1;
+  let value = cellValue(attributes, cell.text);
+  if (value == null && !style.visible && colSpan === 1 && rowSpan === 1) {
+    return;
+  }
+  if (cell.hyperlink && typeof value === "string") {
+    value = { text: value, hyperlink: linkOf(cell.hyperlink) };
+  }
+  if (value != null && style.numFmt === undefined) {
+    // Time and percentage values need a format to show as such
+    if (attributes["value-type"] === "time") style.numFmt = "[h]:mm:ss";
+    if (attributes["value-type"] === "percentage") style.numFmt = "0%";
+  }
+
+  row.cells.push({
+    col,
+    repeat: value == null ? Math.min(repeat, MAX_BLANK_REPEAT) : repeat,
+    value,
+    style: style.model,
+    numFmt: style.numFmt,
+    colSpan,
+    rowSpan,
+  });
+}
+
+function finishRow(sheet, row) {
+  const hasValues = row.cells.some(
+    (cell) => cell.value != null || cell.colSpan > 1 || cell.rowSpan > 1
+  );
+  const top = sheet.row + 1;
+  if (hasValues) {
+    sheet.pendingRows.forEach(({ rowNumber, row: pending }) =>
+      writeRow(sheet, rowNumber, pending)
+    );
+    sheet.pendingRows = [];
+    const repeat = Math.min(row.repeat, MAX_ROWS - sheet.row);
+    for (let i = 0; i < repeat; i++) writeRow(sheet, top + i, row);
+  } else if (
+    row.repeat <= MAX_BLANK_REPEAT &&
+    (row.cells.length > 0 || row.height != null || row.hidden)
+  ) {
+    for (let i = 0; i < row.repeat; i++) {
+      sheet.pendingRows.push({ rowNumber: top + i, row });
+    }
+  }
+  sheet.row += row.repeat;
+}
+
+function writeRow(sheet, rowNumber, row) {
+  const sheetRow = sheet.worksheet.getRow(rowNumber);
+  if (row.height) sheetRow.height = row.height;
+  if (row.hidden) sheetRow.hidden = true;
+  row.cells.forEach(
+    ({ col, repeat, value, style, numFmt, colSpan, rowSpan }) => {
+      const count = Math.min(repeat, MAX_COLUMNS - col);
+      for (let i = 0; i < count; i++) {
+        const sheetCell = sheetRow.getCell(col + i + 1);
+        // Each cell gets its own style, ExcelJS changes styles in place
+        sheetCell.style =
+          numFmt === undefined ? { ...style } : { ...style, numFmt };
+        if (value != null) sheetCell.value = value;
+      }
+      if (colSpan > 1 || rowSpan > 1) {
+        sheet.merges.push([
+          rowNumber,
+          col + 1,
+          rowNumber + rowSpan - 1,
+          col + colSpan,
+        ]);
+      }
+    }
+  );
+}
+
+function finishSheet(sheet, styleSheet) {
+  const { worksheet, attributes } = sheet;
+
+  sheet.columns.slice(0, worksheet.columnCount).forEach((column, idx) => {
+    if (column.width) worksheet.getColumn(idx + 1).width = column.width;
+    if (column.hidden) worksheet.getColumn(idx + 1).hidden = true;
+  });
+
+  sheet.merges.forEach((merge) => {
+    try {
+      worksheet.mergeCells(...merge);
+    } catch (error) {
+      // Overlapping spans keep the first merge
+    }
+  });
+
+  const printArea = printRanges(attributes["print-ranges"]);
+  if (printArea) worksheet.pageSetup.printArea = printArea;
+  if (sheet.headerTop && sheet.headerBottom >= sheet.headerTop) {
+    worksheet.pageSetup.printTitlesRow = `${sheet.headerTop}:${sheet.headerBottom}`;
+  }
+  applyPageLayout(worksheet, sheet.tableStyle, styleSheet);
+}
+
+/**
+ * Converts "Sheet1.A1:Sheet1.D20 $Sheet1.$F$1:.$G$5" to a print area, "A1:D20&&F1:G5"
+ */
+function printRanges(ranges) {
+  if (!ranges) return null;
+  const areas = ranges
+    .split(/\s+/)
+    .map((range) =>
+      range
+        .split(":")
+        .map((ref) => ref.slice(ref.lastIndexOf(".") + 1).replace(/\$/g, ""))
+        .join(":")
+    )
+    .filter((area) => /^[A-Z]+\d+(:[A-Z]+\d+)?$/i.test(area));
+  return areas.length > 0 ? areas.join("&&") : null;
+}
+
+/**
+ * Sets the paper, orientation, margins and scale of the sheet's master page
+ */
+function applyPageLayout(worksheet, tableStyle, styleSheet) {
+  const masterPage =
+    styleSheet.masterPages[tableStyle?.attributes["master-page-name"]] ||
+    styleSheet.masterPages.Default;
+  const pageLayout =
+    styleSheet.pageLayouts[masterPage?.attributes["page-layout-name"]];
+  const properties = childElement(
+    pageLayout,
+    "page-layout-properties"
+  )?.attributes;
+  if (!properties) return;
+
+  const { pageSetup } = worksheet;
+  const width = toPoints(properties["page-width"]);
+  const height = toPoints(properties["page-height"]);
+  if (width && height) {
+    const short = Math.min(width, height);
+    const long = Math.max(width, height);
+    const paper = Object.entries(PAPER_SIZES).find(
+      ([, size]) =>
+        Math.abs(Math.min(...size) - short) < 2 &&
+        Math.abs(Math.max(...size) - long) < 2
+    );
+    if (paper) pageSetup.paperSize = Number(paper[0]);
+    pageSetup.orientation =
+      properties["print-orientation"] ||
+      (width > height ? "landscape" : "portrait");
+  }
+
+  const inches = (length) => (toPoints(length) ?? 0) / 72;
+  pageSetup.margins = {
+    ...pageSetup.margins,
+    top: inches(properties["margin-top"]),
+    bottom: inches(properties["margin-bottom"]),
+    left: inches(properties["margin-left"]),
+    right: inches(properties["margin-right"]),
+  };
+
+  const scale = parseFloat(properties["scale-to"]);
+  if (scale > 0) pageSetup.scale = Math.round(scale);
+  const fitX = Number(properties["scale-to-X"]);
+  const fitY = Number(properties["scale-to-Y"]);
+  if (fitX > 0 || fitY > 0) {
+    pageSetup.fitToPage = true;
+    pageSetup.fitToWidth = fitX || 0;
+    pageSetup.fitToHeight = fitY || 0;
+  }
+}
+
+/**
+ * Reads a cell's value from its value type, null for empty cells
+ */
+function cellValue(attributes, text) {
+  switch (attributes["value-type"]) {
+    case "float":
+    case "percentage":
+    case "currency":
+      return Number(attributes.value);
+    case "date":
+      return dateOf(attributes["date-value"]);
+    case "time":
+      return durationOf(attributes["time-value"]);
+    case "boolean":
+      return attributes["boolean-value"] === "true";
+    case "error":
+      return ERROR_VALUES.has(text) ? { error: text } : text;
+  }
+  const string = attributes["string-value"] ?? text;
+  return string === "" ? null : string;
+}
+
+/**
+ * Dates without a time zone are wall-clock times, kept in UTC like the dates
+ * of xlsx files
+ */
+function dateOf(value) {
+  const iso =
+    /T/.test(value) && !/(Z|[+-]\d\d:\d\d)$/.test(value) ? `${value}Z` : value;
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Converts an ISO duration like PT13H30M00S to a fraction of a day
+ */
+function durationOf(value) {
+  const match =
+    /^(-)?P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(
+      value || ""
+    );
+  if (!match) return null;
+  const [, negative, days, hours, minutes, seconds] = match;
+  const fraction =
+    Number(days || 0) +
+    (Number(hours || 0) * 3600 +
+      Number(minutes || 0) * 60 +
+      Number(seconds || 0)) /
+      86400;
+  return negative ? -fraction : fraction;
+}
+
+/**
+ * Turns an internal link like #Sheet2.A1 into Excel's #Sheet2!A1
+ */
+function linkOf(href) {
+  return href.replace(/^#(.+)\.\$?([A-Z]+)\$?(\d+)$/i, "#$1!$2$3");
+}
+
+/**
+ * Resolves a cell style and its parents to an ExcelJS style
+ * @returns {Object} { model, numFmt, visible }: the style without its number format,
+ * the number format (undefined for General) and whether empty cells show it
+ */
+function cellStyle(name, styleSheet) {
+  if (styleSheet.cellStyles.has(name)) {
+    const cached = styleSheet.cellStyles.get(name);
+    return { ...cached };
+  }
+
+  // From the default style down to the style itself
+  const chain = [];
+  const seen = new Set();
+  let current = styleSheet.styles["table-cell"]?.[name];
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    chain.unshift(current);
+    current =
+      styleSheet.styles["table-cell"]?.[
+        current.attributes["parent-style-name"]
+      ];
+  }
+  if (styleSheet.defaults["table-cell"]) {
+    chain.unshift(styleSheet.defaults["table-cell"]);
+  }
+
+  const text = {};
+  const cellProperties = {};
+  const paragraph = {};
+  let dataStyleName;
+  chain.forEach((style) => {
+    Object.assign(text, childElement(style, "text-properties")?.attributes);
+    Object.assign(
+      cellProperties,
+      childElement(style, "table-cell-properties")?.attributes
+    );
+    Object.assign(
+      paragraph,
+      childElement(style, "paragraph-properties")?.attributes
+    );
+    dataStyleName = style.attributes["data-style-name"] ?? dataStyleName;
+  });
+
+  const model = {};
+  const font = fontOf(text, styleSheet.fonts);
+  if (Object.keys(font).length > 0) model.font = font;
+
+  const background = hexColor(cellProperties["background-color"]);
+  if (background) {
+    model.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: `FF${background}` },
+    };
+  }
+
+  const border = {};
+  ["top", "right", "bottom", "left"].forEach((side) => {
+    const edge = borderOf(
+      cellProperties[`border-${side}`] ?? cellProperties.border
+    );
+    if (edge) border[side] = edge;
+  });
+  if (Object.keys(border).length > 0) model.border = border;
+
+  const alignment = alignmentOf(cellProperties, paragraph);
+  if (Object.keys(alignment).length > 0) model.alignment = alignment;
+
+  const resolved = {
+    model,
+    numFmt: dataStyleName ? formatCode(dataStyleName, styleSheet) : undefined,
+    visible: !!(model.fill || model.border),
+  };
+  styleSheet.cellStyles.set(name, resolved);
+  return { ...resolved };
+}
+
+function fontOf(text, fonts) {
+  const font = {};
+  const family = text["font-name"]
+    ? (fonts[text["font-name"]] ?? text["font-name"])
+    : text["font-family"];
+  if (family) font.name = family.replace(/^['"]|['"]$/g, "");
+  const size = toPoints(text["font-size"]);
+  if (size) font.size = size;
+  if (text["font-weight"] === "bold" || Number(text["font-weight"]) >= 600) {
+    font.bold = true;
+  }
+  if (text["font-style"] === "italic" || text["font-style"] === "oblique") {
+    font.italic = true;
+  }
+  const color = hexColor(text.color);
+  if (color) font.color = { argb: `FF${color}` };
+  const underline = text["text-underline-style"];
+  if (underline && underline !== "none") {
+    font.underline = text["text-underline-type"] === "double" ? "double" : true;
+  }
+  const strike = text["text-line-through-style"];
+  if (strike && strike !== "none") font.strike = true;
+  return font;
+}
+
+/**
+ * Converts a border like "0.74pt solid #000000" to an ExcelJS border edge
+ */
+function borderOf(value) {
+  if (!value || value === "none") return null;
+  let width = 0.75;
+  let lineStyle = "solid";
+  let color = "000000";
+  value.split(/\s+/).forEach((token) => {
+    if (hexColor(token)) {
+      color = hexColor(token);
+    } else if (toPoints(token) != null) {
+      width = toPoints(token);
+    } else {
+      lineStyle = token;
+    }
+  });
+  if (lineStyle === "none" || lineStyle === "hidden" || width === 0) {
+    return null;
+  }
+
+  let style;
+  if (lineStyle === "double") {
+    style = "double";
+  } else if (lineStyle === "dotted") {
+    style = "dotted";
+  } else if (lineStyle === "dashed") {
+    style = width > 1.1 ? "mediumDashed" : "dashed";
+  } else if (width < 0.5) {
+    style = "hair";
+  } else if (width <= 1.1) {
+    style = "thin";
+  } else if (width <= 2) {
+    style = "medium";
+  } else {
+    style = "thick";
+  }
+  return { style, color: { argb: `FF${color}` } };
+}
+
+function alignmentOf(cellProperties, paragraph) {
+  const alignment = {};
+  // Alignment by value type leaves numbers right and text left, like General
+  const horizontal = {
+    start: "left",
+    left: "left",
+    center: "center",
+    end: "right",
+    right: "right",
+    justify: "justify",
+  }[paragraph["text-align"]];
+  if (horizontal && cellProperties["text-align-source"] !== "value-type") {
+    alignment.horizontal = horizontal;
+  }
+  const vertical = {
+    top: "top",
+    middle: "middle",
+    bottom: "bottom",
+  }[cellProperties["vertical-align"]];
+  if (vertical) alignment.vertical = vertical;
+  if (cellProperties["wrap-option"] === "wrap") alignment.wrapText = true;
+  if (cellProperties["shrink-to-fit"] === "true") alignment.shrinkToFit = true;
+  const angle = Number(cellProperties["rotation-angle"]);
+  if (angle > 0 && angle <= 90) alignment.textRotation = angle;
+  if (angle >= 270 && angle < 360) alignment.textRotation = angle - 360;
+  return alignment;
+}
+
+/**
+ * Builds the Excel format code of a number style, with the sections of the
+ * styles it maps values to
+ */
+function formatCode(name, styleSheet) {
+  if (styleSheet.formats.has(name)) return styleSheet.formats.get(name);
+
+  const dataStyle = styleSheet.dataStyles[name];
+  let code;
+  if (dataStyle) {
+    const own = sectionCode(dataStyle);
+    const maps = childElements(dataStyle, "map")
+      .map(({ attributes }) => ({
+        condition:
+          /^value\(\)\s*(<=|>=|<>|!=|=|<|>)\s*(-?[\d.]+)$/.exec(
+            attributes.condition || ""
+          ) || null,
+        style: styleSheet.dataStyles[attributes["apply-style-name"]],
+      }))
+      .filter(({ condition, style }) => condition && style);
+    const zeroTest = (idx, op) =>
+      maps[idx]?.condition[1] === op && Number(maps[idx].condition[2]) === 0;
+
+    if (maps.length === 0) {
+      code = own;
+    } else if (maps.length === 1 && (zeroTest(0, ">=") || zeroTest(0, ">"))) {
+      code = `${sectionCode(maps[0].style)};${own}`;
+    } else if (maps.length === 1 && zeroTest(0, "<")) {
+      code = `${own};${sectionCode(maps[0].style)}`;
+    } else if (maps.length === 2 && zeroTest(0, ">") && zeroTest(1, "<")) {
+      code = `${sectionCode(maps[0].style)};${sectionCode(maps[1].style)};${own}`;
+    } else {
+      const conditional = maps.slice(0, 2).map(({ condition, style }) => {
+        const operator = condition[1] === "!=" ? "<>" : condition[1];
+        return `[${operator}${condition[2]}]${sectionCode(style)}`;
+      });
+      code = [...conditional, own].join(";");
+    }
+  }
+  const numFmt = !code || code === "General" ? undefined : code;
+  styleSheet.formats.set(name, numFmt);
+  return numFmt;
+}
+
+/**
+ * Builds the format code of one number style, without its mapped styles
+ */
+function sectionCode(dataStyle) {
+  const percent = dataStyle.name === "percentage-style";
+  const elapsed =
+    dataStyle.name === "time-style" &&
+    dataStyle.attributes["truncate-on-overflow"] === "false";
+  let code = "";
+  let color = "";
+  let firstHours = true;
+
+  dataStyle.children.forEach(({ name, attributes, text }) => {
+    const long = attributes.style === "long";
+    switch (name) {
+      case "number":
+        // A number without decimal places is the General format
+        if (
+          attributes["decimal-places"] === undefined &&
+          attributes.grouping !== "true" &&
+          dataStyle.children.length === 1
+        ) {
+          code += "General";
+        } else {
+          code += digitsCode(attributes);
+        }
+        break;
+      case "scientific-number":
+        code += `${digitsCode(attributes)}E+${"0".repeat(
+          Number(attributes["min-exponent-digits"]) || 2
+        )}`;
+        break;
+      case "fraction": {
+        const numerator = "?".repeat(
+          Number(attributes["min-numerator-digits"]) || 1
+        );
+        const denominator =
+          attributes["denominator-value"] ??
+          "?".repeat(Number(attributes["min-denominator-digits"]) || 1);
+        const whole =
+          attributes["min-integer-digits"] !== undefined ? "# " : "";
+        code += `${whole}${numerator}/${denominator}`;
+        break;
+      }
+      case "text":
+        code += literal(text, percent);
+        break;
+      case "currency-symbol":
+        code += literal(text, false);
+        break;
+      case "text-content":
+        code += "@";
+        break;
+      case "text-properties":
+        color = FORMAT_COLORS[String(attributes.color).toLowerCase()] || "";
+        break;
+      case "year":
+        code += long ? "yyyy" : "yy";
+        break;
+      case "month":
+        if (attributes.textual === "true") {
+          code += long ? "mmmm" : "mmm";
+        } else {
+          code += long ? "mm" : "m";
+        }
+        break;
+      case "day":
+        code += long ? "dd" : "d";
+        break;
+      case "day-of-week":
+        code += long ? "dddd" : "ddd";
+        break;
+      case "hours": {
+        const hours = long ? "hh" : "h";
+        code += elapsed && firstHours ? `[${hours}]` : hours;
+        firstHours = false;
+        break;
+      }
+      case "minutes":
+        code += long ? "mm" : "m";
+        break;
+      case "seconds": {
+        const places = Number(attributes["decimal-places"]) || 0;
+        code += `${long ? "ss" : "s"}${places > 0 ? `.${"0".repeat(places)}` : ""}`;
+        break;
+      }
+      case "am-pm":
+        code += "AM/PM";
+        break;
+    }
+  });
+  return color && code ? `[${color}]${code}` : code;
+}
+
+/**
+ * Builds the digits of a number: integer digits, grouping and decimal places
+ */
+function digitsCode(attributes) {
+  const integer = Number(attributes["min-integer-digits"] ?? 1);
+  let digits = "0".repeat(integer) || "#";
+  if (attributes.grouping === "true") {
+    const padded = "#".repeat(Math.max(1, 4 - integer)) + "0".repeat(integer);
+    digits = `${padded[0]},${padded.slice(1)}`;
+  }
+  const places = Number(attributes["decimal-places"]) || 0;
+  const minPlaces = Math.min(
+    Number(attributes["min-decimal-places"] ?? places),
+    places
+  );
+  if (places > 0) {
+    digits += `.${"0".repeat(minPlaces)}${"#".repeat(places - minPlaces)}`;
+  }
+  return digits;
+}
+
+/**
+ * Quotes literal text of a format; the percent sign of percentages stays a
+ * placeholder so the value is shown in percent
+ */
+function literal(text, percent) {
+  const quote = (part) => {
+    if (part === "") return "";
+    if (/^[ \-/:,()]+$/.test(part)) return part;
+    return `"${part.replace(/"/g, "")}"`;
+  };
+  return percent ? text.split("%").map(quote).join("%") : quote(text);
+}
+
+function hexColor(value) {
+  const match = /^#([0-9a-f]{6})$/i.exec(value || "");
+  return match ? match[1].toUpperCase() : null;
+}
+
+function toPoints(length) {
+  const match = /^(-?\d*\.?\d+)(pt|pc|in|cm|mm|px)?$/i.exec(
+    String(length ?? "").trim()
+  );
+  if (!match) return null;
+  return Number(match[1]) * UNIT_POINTS[(match[2] || "pt").toLowerCase()];
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+function localAttributes(attributes) {
+  const local = {};
+  Object.entries(attributes).forEach(([name, value]) => {
+    local[localName(name)] = value;
+  });
+  return local;
+}
@@ -0,0 +1,25 @@
+/**
+ * Reads which conditional formatting rules of the worksheets of an xlsx package stop
+ * the rules after them
+ * ExcelJS leaves out the stopIfTrue attribute of a rule, so it is read from the
+ * sheet parts and matched to the ExcelJS rules by priority.
+ * @param {Object} xlsxPackage - The package, from openXlsxPackage
+ * @returns {Promise<Object>} The priorities of the stopIfTrue rules by worksheet name
+ */
+export async function readStopIfTrue(xlsxPackage) {
+  const stops = {};
+  for (const sheet of xlsxPackage.worksheets) {
+    const priorities = (await xlsxPackage.readElements(sheet.path, "cfRule"))
+      .filter(({ attributes }) => flag(attributes.stopIfTrue))
+      .map(({ attributes }) => Number(attributes.priority))
+      .filter(Number.isFinite);
+    if (priorities.length > 0) {
+      stops[sheet.name] = priorities;
+    }
+  }
+  return stops;
+}
+
+function flag(value) {
+  return value === "1" || value === "true";
+}
@@ -0,0 +1,1004 @@
+import ExcelJS from "exceljs";
+import { BUILTIN_FORMATS, serialToDate } from "./formatNumber.js";
+import { INDEXED_COLORS } from "./indexedColors.js";
+import { encodeCell } from "./encodeCell.js";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+// Sector chain markers of a compound file
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+
+// BIFF8 record types
+const RECORD = {
+  FORMULA: 0x0006,
+  EOF: 0x000a,
+  HEADER: 0x0014,
+  FOOTER: 0x0015,
+  NAME: 0x0018,
+  DATEMODE: 0x0022,
+  LEFTMARGIN: 0x0026,
+  RIGHTMARGIN: 0x0027,
+  TOPMARGIN: 0x0028,
+  BOTTOMMARGIN: 0x0029,
+  FILEPASS: 0x002f,
+  FONT: 0x0031,
+  CONTINUE: 0x003c,
+  PANE: 0x0041,
+  COLINFO: 0x007d,
+  WSBOOL: 0x0081,
+  BOUNDSHEET: 0x0085,
+  PALETTE: 0x0092,
+  STANDARDWIDTH: 0x0099,
+  SETUP: 0x00a1,
+  MULRK: 0x00bd,
+  MULBLANK: 0x00be,
+  RSTRING: 0x00d6,
+  XF: 0x00e0,
+  MERGECELLS: 0x00e5,
+  SST: 0x00fc,
+  LABELSST: 0x00fd,
+  BLANK: 0x0201,
+  NUMBER: 0x0203,
+  LABEL: 0x0204,
+  BOOLERR: 0x0205,
+  STRING: 0x0207,
+  ROW: 0x0208,
+  DEFAULTROWHEIGHT: 0x0225,
+  WINDOW2: 0x023e,
+  RK: 0x027e,
+  FORMAT: 0x041e,
+  BOF: 0x0809,
+};
+
+const ERROR_VALUES = {
+  0x00: "#NULL!",
+  0x07: "#DIV/0!",
+  0x0f: "#VALUE!",
+  0x17: "#REF!",
+  0x1d: "#NAME?",
+  0x24: "#NUM!",
+  0x2a: "#N/A",
+};
+
+// Border line styles by their BIFF code
+const BORDER_STYLES = [
+  null,
+  "thin",
+  "medium",
+  "dashed",
+  "dotted",
+  "thick",
+  "double",
+  "hair",
+  "mediumDashed",
+  "dashDot",
+  "mediumDashDot",
+  "dashDotDot",
+  "mediumDashDotDot",
+  "slantDashDot",
+];
+
+// Fill patterns by their BIFF code
+const FILL_PATTERNS = [
+  "none",
+  "solid",
+  "mediumGray",
+  "darkGray",
+  "lightGray",
+  "darkHorizontal",
+  "darkVertical",
+  "darkDown",
+  "darkUp",
+  "darkGrid",
+  "darkTrellis",
+  "lightHorizontal",
+  "lightVertical",
+  "lightDown",
+  "lightUp",
+  "lightGrid",
+  "lightTrellis",
+  "gray125",
+  "gray0625",
+];
+
+const HORIZONTAL_ALIGNMENTS = [
+  null,
+  "left",
+  "center",
+  "right",
+  "fill",
+  "justify",
+  "centerContinuous",
+  "distributed",
+];
+
+const VERTICAL_ALIGNMENTS = ["top", "middle", null, "justify", "distributed"];
+
+const UNDERLINES = {
+  1: true,
+  2: "double",
+  0x21: "singleAccounting",
+  0x22: "doubleAccounting",
+};
+
+/**
+ * Reads a legacy Excel 97-2003 workbook (.xls, BIFF8) into an ExcelJS workbook
+ * Cell values, shared strings, fonts, number formats, fills, borders,
+ * alignment, merges, column widths, row heights, hidden rows, columns and
+ * sheets, frozen panes, headers and footers, print areas and titles and the page
+ * setup are kept. Formula cells keep their cached result; charts, images and
+ * hyperlinks are left out.
+ * @param {ArrayBuffer|Uint8Array} data - The xls bytes
+ * @returns {Promise<Object>} The ExcelJS workbook
+ * @throws {ConversionError} If the workbook is encrypted, older than Excel 97 or unreadable
+ */
+export async function readXls(data) {
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  let stream;
+  try {
+    stream = readCompoundStream(bytes, ["Workbook", "Book"]);
+  } catch (error) {
+    throw new ConversionError(
+      ERROR_CODES.CORRUPT_INPUT,
+      `The xls data could not be read: ${error.message}`,
+      { cause: error }
+    );
+  }
+  if (!stream || stream.name.toLowerCase() !== "workbook") {
+    throw new ConversionError(
+      ERROR_CODES.UNSUPPORTED_FORMAT,
+      "Only Excel 97-2003 (BIFF8) xls files can be read."
+    );
+  }
+
+  try {
+    const records = readRecords(stream.data);
+    const globals = readGlobals(records);
+    const workbook = new ExcelJS.Workbook();
+    const styles = new Map();
+    globals.sheets.forEach((sheet) => {
+      const worksheet = workbook.addWorksheet(sheet.name.slice(0, 31), {
+        state: sheet.state,
+      });
+      const start = records.findIndex(
+        (record) => record.offset === sheet.offset
+      );
+      if (start >= 0) readSheet(records, start, worksheet, globals, styles);
+
+      const names = globals.names[sheet.index] || {};
+      if (names.printArea) worksheet.pageSetup.printArea = names.printArea;
+      if (names.printTitlesRow) {
+        worksheet.pageSetup.printTitlesRow = names.printTitlesRow;
+      }
+      if (names.printTitlesColumn) {
+        worksheet.pageSetup.printTitlesColumn = names.printTitlesColumn;
+      }
+    });
+    return workbook;
+  } catch (error) {
+    if (error instanceof ConversionError) throw error;
+    throw new ConversionError(
+      ERROR_CODES.CORRUPT_INPUT,
+      `The xls data could not be read: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Finds a stream of a compound file (OLE2) by one of its names
+ * @returns {Object|null} The stream { name, data }, null when it is missing
+ */
+function readCompoundStream(bytes, names) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const sectorSize = 1 << view.getUint16(0x1e, true);
+  const miniSectorSize = 1 << view.getUint16(0x20, true);
+  const miniStreamCutoff = view.getUint32(0x38, true);
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+  const sectorsPerFatSector = sectorSize / 4;
+
+  // The sectors of the allocation table, listed in the header and DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const sector = view.getUint32(0x4c + i * 4, true);
+    if (sector !== FREE_SECTOR) fatSectors.push(sector);
+  }
+  let difatSector = view.getUint32(0x44, true);
+  for (
+    let count = view.getUint32(0x48, true);
+    count > 0 && difatSector !== END_OF_CHAIN;
+    count--
+  ) {
+    const offset = sectorOffset(difatSector);
+    for (let i = 0; i < sectorsPerFatSector - 1; i++) {
+      const sector = view.getUint32(offset + i * 4, true);
+      if (sector !== FREE_SECTOR) fatSectors.push(sector);
+    }
+    difatSector = view.getUint32(offset + sectorSize - 4, true);
+  }
+  const fat = [];
+  fatSectors.forEach((sector) => {
+    const offset = sectorOffset(sector);
+    for (let i = 0; i < sectorsPerFatSector; i++) {
+      fat.push(view.getUint32(offset + i * 4, true));
+    }
+  });
+
+  const chain = (start, table) => {
+    const sectors = [];
+    for (
+      let sector = start;
+      sector !== END_OF_CHAIN && sector < table.length;
+      sector = table[sector]
+    ) {
+      if (sectors.length > table.length) throw new Error("Sector loop");
+      sectors.push(sector);
+    }
+    return sectors;
+  };
+  const readChain = (start, size) => {
+    const out = new Uint8Array(size);
+    let written = 0;
+    chain(start, fat).forEach((sector) => {
+      if (written >= size) return;
+      const offset = sectorOffset(sector);
+      const part = bytes.subarray(
+        offset,
+        offset + Math.min(sectorSize, size - written)
+      );
+      out.set(part, written);
+      written += part.length;
+    });
+    return out;
+  };
+
+  // Directory entries of 128 bytes, the root entry first
+  const directorySectors = chain(view.getUint32(0x30, true), fat);
+  const directory = readChain(
+    directorySectors[0],
+    directorySectors.length * sectorSize
+  );
+  const dirView = new DataView(directory.buffer);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = dirView.getUint16(offset + 0x40, true);
+    let name = "";
+    for (let i = 0; i + 2 < nameLength; i += 2) {
+      name += String.fromCharCode(dirView.getUint16(offset + i, true));
+    }
+    entries.push({
+      name,
+      type: dirView.getUint8(offset + 0x42),
+      start: dirView.getUint32(offset + 0x74, true),
+      size: dirView.getUint32(offset + 0x78, true),
+    });
+  }
+
+  const entry = names
+    .map((name) =>
+      entries.find(
+        (candidate) =>
+          candidate.type === 2 &&
+          candidate.name.toLowerCase() === name.toLowerCase()
+      )
+    )
+    .find(Boolean);
+  if (!entry) return null;
+  if (entry.size >= miniStreamCutoff) {
+    return { name: entry.name, data: readChain(entry.start, entry.size) };
+  }
+
+  // Small streams are stored in the mini stream, in sectors of 64 bytes
+  const root = entries[0];
+  const miniStream = readChain(root.start, root.size);
+  const miniFatSectors = chain(view.getUint32(0x3c, true), fat);
+  const miniFatBytes = readChain(
+    miniFatSectors[0] ?? END_OF_CHAIN,
+    miniFatSectors.length * sectorSize
+  );
+  const miniFat = Array.from(
+    new Uint32Array(miniFatBytes.buffer, 0, miniFatBytes.length / 4)
+  );
+  const out = new Uint8Array(entry.size);
+  let written = 0;
+  chain(entry.start, miniFat).forEach((sector) => {
+    if (written >= entry.size) return;
+    const part = miniStream.subarray(
+      sector * miniSectorSize,
+      sector * miniSectorSize + Math.min(miniSectorSize, entry.size - written)
+    );
+    out.set(part, written);
+    written += part.length;
+  });
+  return { name: entry.name, data: out };
+}
+
+/**
+ * Splits the workbook stream into records, CONTINUE records kept apart
+ */
+function readRecords(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const records = [];
+  for (let offset = 0; offset + 4 <= data.length;) {
+    const type = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    const body = data.subarray(offset + 4, offset + 4 + size);
+    records.push({
+      type,
+      offset,
+      data: body,
+      view: new DataView(body.buffer, body.byteOffset, body.byteLength),
+    });
+    offset += 4 + size;
+  }
+  return records;
+}
+
+/**
+ * Reads the workbook globals: sheets, shared strings, fonts, formats, cell
+ * formats, the palette and the print names
+ */
+function readGlobals(records) {
+  const globals = {
+    sheets: [],
+    strings: [],
+    fonts: [],
+    formats: {},
+    xfs: [],
+    palette: INDEXED_COLORS.slice(),
+    date1904: false,
+    names: {},
+  };
+
+  const [bof] = records;
+  if (
+    !bof ||
+    bof.type !== RECORD.BOF ||
+    bof.view.getUint16(0, true) !== 0x0600
+  ) {
+    throw new ConversionError(
+      ERROR_CODES.UNSUPPORTED_FORMAT,
+      "Only Excel 97-2003 (BIFF8) xls files can be read."
+    );
+  }
+
+  for (let idx = 1; idx < records.length; idx++) {
+    const { type, data, view } = records[idx];
+    if (type === RECORD.EOF) break;
+
+    switch (type) {
+      case RECORD.FILEPASS:
+        throw new ConversionError(
+          ERROR_CODES.UNSUPPORTED_FORMAT,
+          "Encrypted xls files cannot be read."
+        );
+      case RECORD.DATEMODE:
+        globals.date1904 = view.getUint16(0, true) === 1;
+        break;
+      case RECORD.FONT: {
+        const grbit = view.getUint16(2, true);
+        const icv = view.getUint16(4, true);
+        const font = {
+          name: readShortString(data, 14).text,
+          size: view.getUint16(0, true) / 20,
+        };
+        if (view.getUint16(6, true) >= 700) font.bold = true;
+        if (grbit & 0x02) font.italic = true;
+        if (grbit & 0x08) font.strike = true;
+        if (UNDERLINES[data[10]]) font.underline = UNDERLINES[data[10]];
+        const script = view.getUint16(8, true);
+        if (script === 1) font.vertAlign = "superscript";
+        if (script === 2) font.vertAlign = "subscript";
+        font.icv = icv;
+        globals.fonts.push(font);
+        break;
+      }
+      case RECORD.FORMAT:
+        globals.formats[view.getUint16(0, true)] = readString(data, 2).text;
+        break;
+      case RECORD.XF:
+        globals.xfs.push(readXf(view));
+        break;
+      case RECORD.PALETTE: {
+        const count = view.getUint16(0, true);
+        for (let i = 0; i < count; i++) {
+          const rgb = data.subarray(2 + i * 4, 5 + i * 4);
+          globals.palette[8 + i] = Array.from(rgb, (byte) =>
+            byte.toString(16).padStart(2, "0")
+          )
+            .join("")
+            .toUpperCase();
+        }
+        break;
+      }
+      case RECORD.BOUNDSHEET:
+        // Charts and macro sheets are left out
+        if (data[5] === 0) {
+          globals.sheets.push({
+            index: globals.sheets.length + 1,
+            offset: view.getUint32(0, true),
+            state: ["visible", "hidden", "veryHidden"][data[4] & 0x03],
+            name: readShortString(data, 6).text,
+          });
+        } else {
+          globals.sheets.push({ index: globals.sheets.length + 1, skip: true });
+        }
+        break;
+      case RECORD.SST:
+        globals.strings = readSharedStrings(records, idx);
+        break;
+      case RECORD.NAME:
+        readPrintName(records[idx], globals.names);
+        break;
+    }
+  }
+  globals.sheets = globals.sheets.filter((sheet) => !sheet.skip);
+  return globals;
+}
+
+function readXf(view) {
+  const alignment = view.getUint8(6);
+  const border = view.getUint32(10, true);
+  const border2 = view.getUint32(14, true);
+  const colors = view.getUint16(18, true);
+  return {
+    font: view.getUint16(0, true),
+    format: view.getUint16(2, true),
+    horizontal: alignment & 0x07,
+    wrap: !!(alignment & 0x08),
+    vertical: (alignment >> 4) & 0x07,
+    rotation: view.getUint8(7),
+    indent: view.getUint8(8) & 0x0f,
+    shrink: !!(view.getUint8(8) & 0x10),
+    borders: {
+      left: [border & 0x0f, (border >> 16) & 0x7f],
+      right: [(border >> 4) & 0x0f, (border >>> 23) & 0x7f],
+      top: [(border >> 8) & 0x0f, border2 & 0x7f],
+      bottom: [(border >> 12) & 0x0f, (border2 >> 7) & 0x7f],
+    },
+    pattern: (border2 >>> 26) & 0x3f,
+    foreground: colors & 0x7f,
+    background: (colors >> 7) & 0x7f,
+  };
+}
+
+/**
+ * Reads the shared strings, which continue over CONTINUE records
+ */
+function readSharedStrings(records, idx) {
+  const parts = [records[idx].data];
+  for (let next = idx + 1; records[next]?.type === RECORD.CONTINUE; next++) {
+    parts.push(records[next].data);
+  }
+  const reader = continuedReader(parts);
+  // The total count of strings in the workbook, then the count of unique ones
+  reader.skip(4);
+  const count = reader.uint32();
+  const strings = [];
+  for (let i = 0; i < count && !reader.done(); i++) {
+    strings.push(reader.string());
+  }
+  return strings;
+}
+
+/**
+ * Reads strings split over a record and its CONTINUE records; the characters
+ * carried to the next record start with a new flags byte
+ */
+function continuedReader(parts) {
+  let part = 0;
+  let offset = 0;
+  const advance = () => {
+    while (part < parts.length && offset >= parts[part].length) {
+      part++;
+      offset = 0;
+    }
+  };
+  const byte = () => {
+    advance();
+    return part < parts.length ? parts[part][offset++] : 0;
+  };
+  const uint16 = () => byte() | (byte() << 8);
+  const uint32 = () => (uint16() | (uint16() << 16)) >>> 0;
+  const skip = (count) => {
+    for (let i = 0; i < count; i++) byte();
+  };
+
+  return {
+    uint32,
+    skip,
+    done: () => {
+      advance();
+      return part >= parts.length;
+    },
+    string() {
+      const length = uint16();
+      const flags = byte();
+      const runs = flags & 0x08 ? uint16() : 0;
+      const extended = flags & 0x04 ? uint32() : 0;
+      let wide = flags & 0x01;
+      let text = "";
+      while (text.length < length) {
+        if (offset >= (parts[part]?.length ?? 0)) {
+          part++;
+          offset = 0;
+          if (part >= parts.length) break;
+          wide = byte() & 0x01;
+        }
+        text += String.fromCharCode(wide ? uint16() : byte());
+      }
+      skip(runs * 4 + extended);
+      return text;
+    },
+  };
+}
+
+/**
+ * Reads the Print_Area and Print_Titles names of the sheets
+ */
+function readPrintName({ data, view }, names) {
+  const grbit = view.getUint16(0, true);
+  const nameLength = data[3];
+  const formulaLength = view.getUint16(4, true);
+  const sheetIndex = view.getUint16(8, true);
+  if (!(grbit & 0x20) || sheetIndex === 0) return;
+
+  const wide = data[14] & 0x01;
+  const builtin = data[15];
+  const formula = data.subarray(
+    15 + nameLength * (wide ? 2 : 1),
+    15 + nameLength * (wide ? 2 : 1) + formulaLength
+  );
+  const areas = readFormulaAreas(formula);
+  if (areas.length === 0) return;
+
+  const sheetNames = (names[sheetIndex] = names[sheetIndex] || {});
+  if (builtin === 0x06) {
+    sheetNames.printArea = areas
+      .map(({ top, left, bottom, right }) =>
+        top === bottom && left === right
+          ? encodeCell(top, left)
+          : `${encodeCell(top, left)}:${encodeCell(bottom, right)}`
+      )
+      .join("&&");
+  } else if (builtin === 0x07) {
+    areas.forEach(({ top, left, bottom, right }) => {
+      if (left === 1 && right >= 256) {
+        sheetNames.printTitlesRow = `${top}:${bottom}`;
+      } else if (top === 1 && bottom >= 65536) {
+        sheetNames.printTitlesColumn = `${encodeCell(1, left).replace(/\d+/, "")}:${encodeCell(1, right).replace(/\d+/, "")}`;
+      }
+    });
+  }
+}
+
+/**
+ * Reads the 3D areas of a name formula, joined by unions
+ */
+function readFormulaAreas(formula) {
+  const view = new DataView(
+    formula.buffer,
+    formula.byteOffset,
+    formula.byteLength
+  );
+  const areas = [];
+  for (let offset = 0; offset < formula.length;) {
+    const token = formula[offset];
+    if (token === 0x29) {
+      // A function of references, followed by the references
+      offset += 3;
+    } else if (token === 0x10) {
+      // The union of the areas around it
+      offset += 1;
+    } else if (token === 0x3b || token === 0x5b || token === 0x7b) {
+      areas.push({
+        top: view.getUint16(offset + 3, true) + 1,
+        bottom: view.getUint16(offset + 5, true) + 1,
+        left: (view.getUint16(offset + 7, true) & 0x3fff) + 1,
+        right: (view.getUint16(offset + 9, true) & 0x3fff) + 1,
+      });
+      offset += 11;
+    } else {
+      break;
+    }
+  }
+  return areas;
+}
+
+/**
+ * Reads the records of a sheet into the worksheet
+ */
+function readSheet(records, start, worksheet, globals, styles) {
+  const merges = [];
+  const margins = {};
+  let frozen = false;
+  let pane = null;
+  let fitToPage = false;
+  let formulaCell = null;
+
+  const styleOf = (xfIndex) => {
+    if (!styles.has(xfIndex)) {
+      styles.set(xfIndex, cellStyle(globals.xfs[xfIndex], globals));
+    }
+    return styles.get(xfIndex);
+  };
+  const setCell = (row, col, xfIndex, value) => {
+    const cell = worksheet.getRow(row + 1).getCell(col + 1);
+    const { model, numFmt, isDate } = styleOf(xfIndex);
+    // Each cell gets its own style, ExcelJS changes styles in place
+    cell.style = numFmt ? { ...model, numFmt } : { ...model };
+    if (value == null) return;
+    cell.value =
+      typeof value === "number" && isDate
+        ? serialToDate(value + (globals.date1904 ? 1462 : 0))
+        : value;
+  };
+
+  // Charts embedded in the sheet are substreams of their own
+  let depth = 0;
+  for (let idx = start + 1; idx < records.length; idx++) {
+    const { type, data, view } = records[idx];
+    if (type === RECORD.BOF) {
+      depth++;
+      continue;
+    }
+    if (type === RECORD.EOF) {
+      if (depth === 0) break;
+      depth--;
+      continue;
+    }
+    if (depth > 0) continue;
+
+    switch (type) {
+      case RECORD.LABELSST:
+        setCell(
+          view.getUint16(0, true),
+          view.getUint16(2, true),
+          view.getUint16(4, true),
+          globals.strings[view.getUint32(6, true)] ?? ""
+        );
+        break;
+      case RECORD.LABEL:
+      case RECORD.RSTRING:
+        setCell(
+          view.getUint16(0, true),
+          view.getUint16(2, true),
+          view.getUint16(4, true),
+          readString(data, 6).text
+        );
+        break;
+      case RECORD.NUMBER:
+        setCell(
+          view.getUint16(0, true),
+          view.getUint16(2, true),
+          view.getUint16(4, true),
+          view.getFloat64(6, true)
+        );
+        break;
+      case RECORD.RK:
+        setCell(
+          view.getUint16(0, true),
+          view.getUint16(2, true),
+          view.getUint16(4, true),
+          rkValue(view.getUint32(6, true))
+        );
+        break;
+      case RECORD.MULRK: {
+        const row = view.getUint16(0, true);
+        const first = view.getUint16(2, true);
+        const count = (data.length - 6) / 6;
+        for (let i = 0; i < count; i++) {
+          setCell(
+            row,
+            first + i,
+            view.getUint16(4 + i * 6, true),
+            rkValue(view.getUint32(6 + i * 6, true))
+          );
+        }
+        break;
+      }
+      case RECORD.BOOLERR: {
+        const value = data[6];
+        setCell(
+          view.getUint16(0, true),
+          view.getUint16(2, true),
+          view.getUint16(4, true),
+          data[7] ? { error: ERROR_VALUES[value] || "#N/A" } : value === 1
+        );
+        break;
+      }
+      case RECORD.FORMULA: {
+        const row = view.getUint16(0, true);
+        const col = view.getUint16(2, true);
+        const xfIndex = view.getUint16(4, true);
+        if (view.getUint16(12, true) !== 0xffff) {
+          setCell(row, col, xfIndex, view.getFloat64(6, true));
+        } else if (data[6] === 0) {
+          // The string result follows in a STRING record
+          formulaCell = { row, col, xfIndex };
+        } else if (data[6] === 1) {
+          setCell(row, col, xfIndex, data[8] === 1);
+        } else if (data[6] === 2) {
+          setCell(row, col, xfIndex, {
+            error: ERROR_VALUES[data[8]] || "#N/A",
+          });
+        } else {
+          setCell(row, col, xfIndex, null);
+        }
+        break;
+      }
+      case RECORD.STRING:
+        if (formulaCell) {
+          const { row, col, xfIndex } = formulaCell;
+          setCell(row, col, xfIndex, readContinuedString(records, idx));
+          formulaCell = null;
+        }
+        break;
+      case RECORD.BLANK:
+        setCell(
+          view.getUint16(0, true),
+          view.getUint16(2, true),
+          view.getUint16(4, true),
+          null
+        );
+        break;
+      case RECORD.MULBLANK: {
+        const row = view.getUint16(0, true);
+        const first = view.getUint16(2, true);
+        const count = (data.length - 6) / 2;
+        for (let i = 0; i < count; i++) {
+          const xfIndex = view.getUint16(4 + i * 2, true);
+          // Blank cells only matter when their format shows
+          if (styleOf(xfIndex).visible) setCell(row, first + i, xfIndex, null);
+        }
+        break;
+      }
+      case RECORD.ROW: {
+        const row = worksheet.getRow(view.getUint16(0, true) + 1);
+        const flags = view.getUint32(12, true);
+        if (flags & 0x20) row.hidden = true;
+        if (flags & 0x40) row.height = (view.getUint16(6, true) & 0x7fff) / 20;
+        break;
+      }
+      case RECORD.COLINFO: {
+        const first = view.getUint16(0, true);
+        const last = Math.min(view.getUint16(2, true), 16383);
+        const width = view.getUint16(4, true) / 256;
+        const hidden = !!(view.getUint16(8, true) & 0x01);
+        // Formats of whole columns are left out, a last column of 255 or more
+        // means every column to the right
+        for (let col = first; col <= Math.min(last, first + 255); col++) {
+          const column = worksheet.getColumn(col + 1);
+          column.width = width;
+          if (hidden) column.hidden = true;
+        }
+        break;
+      }
+      case RECORD.STANDARDWIDTH:
+        worksheet.properties.defaultColWidth = view.getUint16(0, true) / 256;
+        break;
+      case RECORD.DEFAULTROWHEIGHT:
+        worksheet.properties.defaultRowHeight = view.getUint16(2, true) / 20;
+        break;
+      case RECORD.MERGECELLS: {
+        const count = view.getUint16(0, true);
+        for (let i = 0; i < count; i++) {
+          const offset = 2 + i * 8;
+          merges.push([
+            view.getUint16(offset, true) + 1,
+            view.getUint16(offset + 4, true) + 1,
+            view.getUint16(offset + 2, true) + 1,
+            view.getUint16(offset + 6, true) + 1,
+          ]);
+        }
+        break;
+      }
+      case RECORD.WINDOW2:
+        frozen = !!(view.getUint16(0, true) & 0x08);
+        break;
+      case RECORD.PANE:
+        pane = {
+          xSplit: view.getUint16(0, true),
+          ySplit: view.getUint16(2, true),
+        };
+        break;
+      case RECORD.HEADER:
+        if (data.length > 0)
+          worksheet.headerFooter.oddHeader = readString(data, 0).text;
+        break;
+      case RECORD.FOOTER:
+        if (data.length > 0)
+          worksheet.headerFooter.oddFooter = readString(data, 0).text;
+        break;
+      case RECORD.LEFTMARGIN:
+        margins.left = view.getFloat64(0, true);
+        break;
+      case RECORD.RIGHTMARGIN:
+        margins.right = view.getFloat64(0, true);
+        break;
+      case RECORD.TOPMARGIN:
+        margins.top = view.getFloat64(0, true);
+        break;
+      case RECORD.BOTTOMMARGIN:
+        margins.bottom = view.getFloat64(0, true);
+        break;
+      case RECORD.WSBOOL:
+        fitToPage = !!(view.getUint16(0, true) & 0x0100);
+        break;
+      case RECORD.SETUP: {
+        const flags = view.getUint16(10, true);
+        const { pageSetup } = worksheet;
+        // Without printer settings the paper, scale and orientation are unset
+        if (!(flags & 0x04)) {
+          pageSetup.paperSize = view.getUint16(0, true) || undefined;
+          pageSetup.scale = view.getUint16(2, true) || 100;
+          pageSetup.orientation = flags & 0x02 ? "portrait" : "landscape";
+        }
+        pageSetup.fitToWidth = view.getUint16(6, true);
+        pageSetup.fitToHeight = view.getUint16(8, true);
+        if (data.length >= 32) {
+          margins.header = view.getFloat64(16, true);
+          margins.footer = view.getFloat64(24, true);
+        }
+        break;
+      }
+    }
+  }
+
+  merges.forEach((merge) => {
+    try {
+      worksheet.mergeCells(...merge);
+    } catch (error) {
+      // Overlapping merges keep the first one
+    }
+  });
+  if (frozen && pane && (pane.xSplit > 0 || pane.ySplit > 0)) {
+    worksheet.views = [{ state: "frozen", ...pane }];
+  }
+  worksheet.pageSetup.margins = { ...worksheet.pageSetup.margins, ...margins };
+  worksheet.pageSetup.fitToPage = fitToPage;
+}
+
+/**
+ * Converts a cell format (XF record) to an ExcelJS style
+ * @returns {Object} { model, numFmt, isDate, visible }: the style without its number
+ * format, the number format, whether it formats dates and whether blank cells show it
+ */
+function cellStyle(xf, globals) {
+  if (!xf) return { model: {}, numFmt: null, isDate: false, visible: false };
+  const { palette } = globals;
+  const colorOf = (icv) =>
+    icv < palette.length && icv !== 64 ? { argb: `FF${palette[icv]}` } : null;
+  const model = {};
+
+  // There is no font 4, the fonts after it are numbered from 5
+  const font = globals.fonts[xf.font >= 4 ? xf.font - 1 : xf.font];
+  if (font) {
+    const { icv, ...rest } = font;
+    model.font = rest;
+    const color = colorOf(icv);
+    if (color) model.font.color = color;
+  }
+
+  const pattern = FILL_PATTERNS[xf.pattern];
+  if (pattern && pattern !== "none") {
+    model.fill = { type: "pattern", pattern };
+    const foreground = colorOf(xf.foreground);
+    const background = colorOf(xf.background);
+    if (foreground) model.fill.fgColor = foreground;
+    if (background) model.fill.bgColor = background;
+  }
+
+  const border = {};
+  Object.entries(xf.borders).forEach(([side, [line, icv]]) => {
+    if (BORDER_STYLES[line]) {
+      border[side] = {
+        style: BORDER_STYLES[line],
+        color: colorOf(icv) || { argb: "FF000000" },
+      };
+    }
+  });
+  if (Object.keys(border).length > 0) model.border = border;
+
+  const alignment = {};
+  if (HORIZONTAL_ALIGNMENTS[xf.horizontal]) {
+    alignment.horizontal = HORIZONTAL_ALIGNMENTS[xf.horizontal];
+  }
+  if (VERTICAL_ALIGNMENTS[xf.vertical]) {
+    alignment.vertical = VERTICAL_ALIGNMENTS[xf.vertical];
+  }
+  if (xf.wrap) alignment.wrapText = true;
+  if (xf.shrink) alignment.shrinkToFit = true;
+  if (xf.indent) alignment.indent = xf.indent;
+  if (xf.rotation === 255) {
+    alignment.textRotation = "vertical";
+  } else if (xf.rotation > 90 && xf.rotation <= 180) {
+    alignment.textRotation = 90 - xf.rotation;
+  } else if (xf.rotation > 0) {
+    alignment.textRotation = xf.rotation;
+  }
+  if (Object.keys(alignment).length > 0) model.alignment = alignment;
+
+  const numFmt =
+    xf.format === 0
+      ? null
+      : (globals.formats[xf.format] ?? BUILTIN_FORMATS[xf.format] ?? null);
+  return {
+    model,
+    numFmt,
+    isDate: isDateFormat(numFmt),
+    visible: !!(model.fill || model.border),
+  };
+}
+
+/**
+ * Whether a format shows dates or times, like ExcelJS decides for xlsx cells
+ */
+function isDateFormat(numFmt) {
+  if (!numFmt) return false;
+  const code = numFmt.replace(/\[[^\]]*]/g, "").replace(/"[^"]*"/g, "");
+  return /[ymdhsb]/i.test(code.replace(/\\./g, ""));
+}
+
+/**
+ * Decodes an RK number: a 30-bit integer or the high bits of a double,
+ * optionally divided by 100
+ */
+function rkValue(rk) {
+  let value;
+  if (rk & 0x02) {
+    value = rk >> 2;
+  } else {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint32(4, rk & 0xfffffffc, true);
+    value = view.getFloat64(0, true);
+  }
+  return rk & 0x01 ? value / 100 : value;
+}
+
+/**
+ * Reads a string with a 16-bit length, as in LABEL, FORMAT and STRING records
+ */
+function readString(data, offset) {
+  const length = data[offset] | (data[offset + 1] << 8);
+  return readCharacters(data, offset + 3, length, data[offset + 2] & 0x01);
+}
+
+/**
+ * Reads a string with an 8-bit length, as in FONT and BOUNDSHEET records
+ */
+function readShortString(data, offset) {
+  return readCharacters(
+    data,
+    offset + 2,
+    data[offset],
+    data[offset + 1] & 0x01
+  );
+}
+
+function readCharacters(data, offset, length, wide) {
+  let text = "";
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(
+      wide
+        ? data[offset + i * 2] | (data[offset + i * 2 + 1] << 8)
+        : data[offset + i]
+    );
+  }
+  return { text, end: offset + length * (wide ? 2 : 1) };
+}
+
+/**
+ * Reads the string of a STRING record, which may continue in CONTINUE records
+ */
+function readContinuedString(records, idx) {
+  const parts = [records[idx].data];
+  for (let next = idx + 1; records[next]?.type === RECORD.CONTINUE; next++) {
+    parts.push(records[next].data);
+  }
+  return continuedReader(parts).string();
+}
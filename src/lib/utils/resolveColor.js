@@ -0,0 +1,178 @@
+import { INDEXED_COLORS } from "./indexedColors.js";
+import { parseXml, findElements } from "./parseXml.js";
+
+// Colors of the default Office theme, used when the workbook has no theme
+const DEFAULT_THEME = {
+  dk1: "000000",
+  lt1: "FFFFFF",
+  dk2: "44546A",
+  lt2: "E7E6E6",
+  accent1: "4472C4",
+  accent2: "ED7D31",
+  accent3: "A5A5A5",
+  accent4: "FFC000",
+  accent5: "5B9BD5",
+  accent6: "70AD47",
+  hlink: "0563C1",
+  folHlink: "954F72",
+};
+
+// Theme color indexes of cell styles; light and dark come in this order
+const THEME_ORDER = [
+  "lt1",
+  "dk1",
+  "lt2",
+  "dk2",
+  "accent1",
+  "accent2",
+  "accent3",
+  "accent4",
+  "accent5",
+  "accent6",
+  "hlink",
+  "folHlink",
+];
+
+const themeCache = new WeakMap();
+
+/**
+ * Reads the theme colors of a workbook
+ * ExcelJS keeps the theme part as XML text; colors missing from it fall back
+ * to the default Office theme.
+ * @param {Object} workbook - The ExcelJS workbook
+ * @returns {Object} RRGGBB colors by scheme name (dk1, lt1, accent1, ...)
+ */
+export function themeColors(workbook) {
+  if (!workbook) return DEFAULT_THEME;
+  if (themeCache.has(workbook)) return themeCache.get(workbook);
+
+  const colors = { ...DEFAULT_THEME };
+  const xml = workbook._themes && Object.values(workbook._themes)[0];
+  if (typeof xml === "string") {
+    try {
+      const [scheme] = findElements(parseXml(xml), "clrScheme");
+      (scheme?.children || []).forEach(({ name, children }) => {
+        const color = children[0];
+        const value =
+          color?.name === "sysClr"
+            ? color.attributes.lastClr
+            : color?.attributes.val;
+        if (value && /^[0-9A-F]{6}$/i.test(value)) {
+          colors[name] = value.toUpperCase();
+        }
+      });
+    } catch (error) {
+      // An unreadable theme leaves the default colors
+    }
+  }
+  themeCache.set(workbook, colors);
+  return colors;
+}
+
+/**
+ * Resolves an ExcelJS color to RRGGBB
+ * Handles ARGB, theme and indexed colors, with the tint Excel applies to them.
+ * @param {Object} color - The ExcelJS color: { argb }, { theme, tint } or { indexed }
+ * @param {Object} theme - The theme colors, from themeColors
+ * @returns {string|null} The RRGGBB color, null when the color is missing or unknown
+ */
+export function resolveColor(color, theme = DEFAULT_THEME) {
+  if (!color) return null;
+
+  let rgb = null;
+  if (typeof color.argb === "string" && color.argb.length >= 6) {
+    rgb = color.argb.slice(-6).toUpperCase();
+  } else if (color.theme != null) {
+    rgb = theme[THEME_ORDER[color.theme]] || null;
+  } else if (color.indexed != null) {
+    rgb = INDEXED_COLORS[color.indexed] || null;
+  }
+  return rgb && color.tint ? applyTint(rgb, color.tint) : rgb;
+}
+
+/**
+ * Resolves the font, border and fill colors of a cell style to ARGB colors
+ * @param {Object} style - The ExcelJS cell style
+ * @param {Object} theme - The theme colors, from themeColors
+ * @returns {Object} A copy of the style whose colors are all { argb }
+ */
+export function resolveStyleColors(style, theme) {
+  const argbOf = (color) => {
+    const rgb = resolveColor(color, theme);
+    return rgb ? { argb: `FF${rgb}` } : undefined;
+  };
+  const resolved = { ...style };
+
+  if (style.font?.color) {
+    resolved.font = { ...style.font, color: argbOf(style.font.color) };
+  }
+  if (style.border) {
+    resolved.border = {};
+    Object.entries(style.border).forEach(([side, border]) => {
+      resolved.border[side] =
+        border && border.color
+          ? { ...border, color: argbOf(border.color) }
+          : border;
+    });
+  }
+  if (style.fill?.type === "pattern") {
+    resolved.fill = {
+      ...style.fill,
+      fgColor: argbOf(style.fill.fgColor),
+      bgColor: argbOf(style.fill.bgColor),
+    };
+  } else if (style.fill?.type === "gradient") {
+    resolved.fill = {
+      ...style.fill,
+      stops: (style.fill.stops || []).map((stop) => ({
+        ...stop,
+        color: argbOf(stop.color),
+      })),
+    };
+  }
+  return resolved;
+}
+
+/**
+ * Lightens (positive tint) or darkens (negative tint) a color in HSL, as Excel does
+ */
+function applyTint(rgb, tint) {
+  const [r, g, b] = [0, 2, 4].map(
+    (offset) => parseInt(rgb.slice(offset, offset + 2), 16) / 255
+  );
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let lightness = (max + min) / 2;
+  const delta = max - min;
+  let hue = 0;
+  let saturation = 0;
+  if (delta > 0) {
+    saturation = delta / (1 - Math.abs(2 * lightness - 1));
+    if (max === r) hue = ((g - b) / delta + 6) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+  }
+
+  lightness = tint < 0 ? lightness * (1 + tint) : lightness * (1 - tint) + tint;
+
+  // Back to RGB
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs((hue % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [r1, g1, b1] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x],
+  ][Math.floor(hue) % 6];
+  return [r1, g1, b1]
+    .map((channel) =>
+      Math.round(Math.min(1, Math.max(0, channel + m)) * 255)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")
+    .toUpperCase();
+}
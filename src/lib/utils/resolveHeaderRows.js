@@ -0,0 +1,36 @@
+import { decodeRange } from "./decodeRange.js";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Resolves which sheet rows are repeated at the top of every page
+ * @param {number|string|boolean} repeatHeaderRows - A row count (e.g. 2), a row range (e.g. '1:2'), or false to disable.
+ * When undefined, the rows above the worksheet's frozen pane are used.
+ * @param {Object} worksheet - The ExcelJS worksheet
+ * @returns {Object|null} The first and last sheet row to repeat ({ top, bottom }), or null for none
+ */
+export function resolveHeaderRows(repeatHeaderRows, worksheet) {
+  if (repeatHeaderRows === undefined || repeatHeaderRows === null) {
+    // Default to the frozen rows of the sheet
+    const frozenView = (worksheet.views || []).find(
+      (view) => view.state === "frozen" && view.ySplit > 0
+    );
+    return frozenView ? { top: 1, bottom: frozenView.ySplit } : null;
+  }
+
+  if (repeatHeaderRows === false || repeatHeaderRows === 0) {
+    return null;
+  }
+
+  if (typeof repeatHeaderRows === "number") {
+    return { top: 1, bottom: repeatHeaderRows };
+  }
+
+  const { top, bottom } = decodeRange(repeatHeaderRows);
+  if (top === null) {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Invalid header rows: ${repeatHeaderRows}`
+    );
+  }
+  return { top, bottom };
+}
@@ -0,0 +1,75 @@
+import { excelColumnWidth } from "./excelColumnWidth.js";
+
+// Drawing offsets are stored in English Metric Units
+const EMU_PER_POINT = 12700;
+// Excel's row height when neither the row nor the sheet sets one
+const DEFAULT_ROW_HEIGHT = 15;
+
+/**
+ * Resolves an image anchor to a position in the rendered rows and columns
+ * The offset within the anchor cell is kept as a fraction of Excel's cell size,
+ * so the image follows the cell when the PDF draws it wider or taller. Anchors in
+ * hidden rows or columns move to the next rendered one.
+ * @param {Object} worksheet - The ExcelJS worksheet
+ * @param {Object} anchor - The ExcelJS anchor, with 0-based nativeCol/nativeRow and EMU offsets
+ * @param {Array<number>} rows - The rendered sheet row numbers, in order
+ * @param {Array<number>} cols - The rendered sheet column numbers, in order
+ * @param {boolean} clamp - Whether anchors past the rendered cells snap to their end instead of resolving to null (default: false)
+ * @returns {Object|null} The position { rowIdx, colIdx, rowFraction, colFraction } by rendered index,
+ * or null when the anchor is outside the rendered cells
+ */
+export function resolveImageAnchor(
+  worksheet,
+  anchor,
+  rows,
+  cols,
+  clamp = false
+) {
+  const row = (anchor.nativeRow || 0) + 1;
+  const col = (anchor.nativeCol || 0) + 1;
+  const rowHeight =
+    worksheet.findRow(row)?.height ||
+    worksheet.properties?.defaultRowHeight ||
+    DEFAULT_ROW_HEIGHT;
+  const colWidth = excelColumnWidth(worksheet, col);
+
+  const vertical = locate(
+    rows,
+    row,
+    (anchor.nativeRowOff || 0) / EMU_PER_POINT / rowHeight,
+    clamp
+  );
+  const horizontal = locate(
+    cols,
+    col,
+    (anchor.nativeColOff || 0) / EMU_PER_POINT / colWidth,
+    clamp
+  );
+  if (!vertical || !horizontal) {
+    return null;
+  }
+
+  return {
+    rowIdx: vertical.idx,
+    rowFraction: vertical.fraction,
+    colIdx: horizontal.idx,
+    colFraction: horizontal.fraction,
+  };
+}
+
+/**
+ * Finds the rendered index of a sheet row or column and the offset within it
+ */
+function locate(numbers, number, fraction, clamp) {
+  if (number < numbers[0]) {
+    return clamp ? { idx: 0, fraction: 0 } : null;
+  }
+  const idx = numbers.findIndex((n) => n >= number);
+  if (idx < 0) {
+    return clamp ? { idx: numbers.length - 1, fraction: 1 } : null;
+  }
+  return {
+    idx,
+    fraction: numbers[idx] === number ? Math.min(Math.max(fraction, 0), 1) : 0,
+  };
+}
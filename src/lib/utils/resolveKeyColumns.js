@@ -0,0 +1,36 @@
+import { decodeRange } from "./decodeRange.js";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Resolves which sheet columns are repeated at the left of every horizontal page
+ * @param {number|string|boolean} repeatKeyColumns - A column count (e.g. 1), a column range (e.g. 'A:B'), or false to disable.
+ * When undefined, the columns left of the worksheet's frozen pane are used.
+ * @param {Object} worksheet - The ExcelJS worksheet
+ * @returns {Object|null} The first and last sheet column to repeat ({ left, right }), or null for none
+ */
+export function resolveKeyColumns(repeatKeyColumns, worksheet) {
+  if (repeatKeyColumns === undefined || repeatKeyColumns === null) {
+    // Default to the frozen columns of the sheet
+    const frozenView = (worksheet.views || []).find(
+      (view) => view.state === "frozen" && view.xSplit > 0
+    );
+    return frozenView ? { left: 1, right: frozenView.xSplit } : null;
+  }
+
+  if (repeatKeyColumns === false || repeatKeyColumns === 0) {
+    return null;
+  }
+
+  if (typeof repeatKeyColumns === "number") {
+    return { left: 1, right: repeatKeyColumns };
+  }
+
+  const { left, right } = decodeRange(repeatKeyColumns);
+  if (left === null) {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Invalid key columns: ${repeatKeyColumns}`
+    );
+  }
+  return { left, right };
+}
@@ -0,0 +1,47 @@
+import { decodeRange } from "./decodeRange.js";
+
+/**
+ * Resolves a location in the workbook to the cell it points at
+ * Accepts internal hyperlinks ("#Sheet1!A1", "#'My sheet'!B2:C4"), with or
+ * without the leading #, and defined names ("#Totals"). Ranges resolve to their
+ * top-left cell, references without a sheet to the sheet they are on.
+ * @param {Object} workbook - The ExcelJS workbook
+ * @param {string} location - The location
+ * @param {string} sheetName - The name of the sheet the location is on
+ * @returns {Object|null} The target { sheetName, row, col }, null when it cannot be resolved
+ */
+export function resolveLinkTarget(workbook, location, sheetName) {
+  const target = String(location || "")
+    .replace(/^#/, "")
+    .trim();
+  if (!target) return null;
+
+  const separator = target.lastIndexOf("!");
+  if (separator < 0) {
+    // A defined name, or a cell on the same sheet
+    const definedName = (workbook.definedNames?.model || []).find(
+      ({ name }) => name.toLowerCase() === target.toLowerCase()
+    );
+    if (definedName) {
+      return definedName.ranges[0]
+        ? resolveLinkTarget(workbook, definedName.ranges[0], sheetName)
+        : null;
+    }
+    return cellOf(target, sheetName);
+  }
+
+  const sheet = target
+    .slice(0, separator)
+    .replace(/^'(.*)'$/, "$1")
+    .replace(/''/g, "'");
+  return cellOf(target.slice(separator + 1), sheet);
+}
+
+function cellOf(ref, sheetName) {
+  try {
+    const { top, left } = decodeRange(ref);
+    return { sheetName, row: top ?? 1, col: left ?? 1 };
+  } catch (error) {
+    return null;
+  }
+}
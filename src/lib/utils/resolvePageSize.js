@@ -0,0 +1,63 @@
+import { PAPER_SIZES } from "./paperSizes.js";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+// Excel paper size codes by the names the pageSize option accepts
+const PAPER_NAMES = {
+  letter: 1,
+  tabloid: 3,
+  ledger: 4,
+  legal: 5,
+  executive: 7,
+  a3: 8,
+  a4: 9,
+  a5: 11,
+};
+
+/**
+ * Resolves the pageSize and orientation options to the size of the pages
+ * @param {string|Array<number>} pageSize - A paper name ("A4", "Letter", "Legal", "A3", "A5",
+ * "Tabloid", "Ledger" or "Executive", in any case) or [width, height] in points
+ * @param {string} orientation - "portrait" or "landscape", turning the page so its longer
+ * side is the height or the width; papers are portrait and sizes kept as given without it
+ * @returns {Array<number>|null} The page [width, height] in points, null without a page size
+ * @throws {ConversionError} If the paper name, the size or the orientation is invalid
+ */
+export function resolvePageSize(pageSize, orientation) {
+  if (
+    orientation != null &&
+    orientation !== "portrait" &&
+    orientation !== "landscape"
+  ) {
+    throw new ConversionError(
+      ERROR_CODES.INVALID_OPTION,
+      `Unsupported orientation: ${orientation}`
+    );
+  }
+  if (pageSize == null) return null;
+
+  let size;
+  if (Array.isArray(pageSize)) {
+    size = pageSize.map(Number);
+    if (size.length !== 2 || !size.every((side) => side > 0)) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Invalid pageSize: ${pageSize.join("x")}`
+      );
+    }
+  } else {
+    const code = PAPER_NAMES[String(pageSize).toLowerCase()];
+    if (!code) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Unsupported pageSize: ${pageSize}`
+      );
+    }
+    size = PAPER_SIZES[code];
+  }
+
+  const short = Math.min(...size);
+  const long = Math.max(...size);
+  if (orientation === "landscape") return [long, short];
+  if (orientation === "portrait") return [short, long];
+  return size;
+}
@@ -0,0 +1,54 @@
+import { decodeRange } from "./decodeRange.js";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Resolves the range option to the part of a sheet to render
+ * Accepts references ("B3:H120", "A:F", "5:40", "'Sheet 1'!B3:H120") and defined
+ * names, whose ranges on other sheets are left out. References without a sheet
+ * apply to every sheet, those with a sheet only to that sheet.
+ * @param {Object} workbook - The ExcelJS workbook
+ * @param {string} range - The range option
+ * @param {string} sheetName - The name of the sheet being rendered
+ * @returns {string|null} The areas to render, joined with "&&" like a print area,
+ * or null when the range does not apply to the sheet
+ * @throws {ConversionError} If the range is neither a reference nor a defined name
+ */
+export function resolveRange(workbook, range, sheetName) {
+  if (!range) return null;
+  const definedName = (workbook.definedNames?.model || []).find(
+    ({ name }) => name.toLowerCase() === String(range).trim().toLowerCase()
+  );
+  const refs = definedName ? definedName.ranges : [String(range)];
+
+  const areas = refs
+    .map((ref) => {
+      const separator = ref.lastIndexOf("!");
+      if (separator < 0) return ref;
+      const sheet = ref
+        .slice(0, separator)
+        .replace(/^'(.*)'$/, "$1")
+        .replace(/''/g, "'");
+      return sheet.toLowerCase() === sheetName.toLowerCase()
+        ? ref.slice(separator + 1)
+        : null;
+    })
+    .filter(Boolean);
+  areas.forEach((area) => {
+    // A word that is no defined name would pass for a column range
+    if (!area.includes(":") && !/\d/.test(area)) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Invalid range: ${range}`
+      );
+    }
+    try {
+      decodeRange(area);
+    } catch (error) {
+      throw new ConversionError(
+        ERROR_CODES.INVALID_OPTION,
+        `Invalid range: ${range}`
+      );
+    }
+  });
+  return areas.length > 0 ? areas.join("&&") : null;
+}
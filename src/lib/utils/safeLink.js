@@ -0,0 +1,14 @@
+// Schemes of the links written into HTML and SVG output; others, such as
+// javascript: or data:, could run scripts where the output is shown
+const SAFE_SCHEMES = /^(?:https?|mailto):/i;
+
+/**
+ * Checks whether a hyperlink can be written as a live link in HTML or SVG
+ * output: web and mail links, and # links within the document
+ * @param {string} url - The hyperlink of a cell
+ * @returns {boolean} Whether the link is safe to emit
+ */
+export function isSafeLink(url) {
+  const link = String(url).trim();
+  return link.startsWith("#") || SAFE_SCHEMES.test(link);
+}
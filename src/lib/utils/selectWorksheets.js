@@ -0,0 +1,48 @@
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+
+/**
+ * Resolves the `sheets` option to the list of worksheets to convert
+ * @param {Object} workbook - The ExcelJS workbook instance
+ * @param {string|number|Array<string|number>} sheets - "all", a sheet name, a 1-based sheet position, or an array of names/positions
+ * @param {boolean} includeHidden - Whether hidden and veryHidden sheets are kept (default: false)
+ * @returns {Array<Object>} The selected worksheets, in the order they were requested
+ * @throws {ConversionError} If a requested sheet does not exist in the workbook
+ */
+export function selectWorksheets(
+  workbook,
+  sheets = "all",
+  includeHidden = false
+) {
+  const worksheets = workbook.worksheets;
+  const isVisible = (worksheet) =>
+    includeHidden ||
+    (worksheet.state !== "hidden" && worksheet.state !== "veryHidden");
+
+  if (sheets === "all") {
+    return worksheets.filter(isVisible);
+  }
+
+  const requested = Array.isArray(sheets) ? sheets : [sheets];
+  const selected = [];
+
+  requested.forEach((ref) => {
+    const worksheet =
+      typeof ref === "number"
+        ? worksheets[ref - 1]
+        : worksheets.find((ws) => ws.name === ref);
+
+    if (!worksheet) {
+      throw new ConversionError(
+        ERROR_CODES.SHEET_NOT_FOUND,
+        `Worksheet "${ref}" was not found in the workbook.`
+      );
+    }
+    // Skip hidden sheets and duplicates
+    if (!isVisible(worksheet) || selected.includes(worksheet)) {
+      return;
+    }
+    selected.push(worksheet);
+  });
+
+  return selected;
+}
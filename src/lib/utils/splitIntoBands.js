@@ -0,0 +1,33 @@
+/**
+ * Splits rows or columns into page-sized bands for pagination
+ * Title indices that come before a band are repeated at its start,
+ * and their size is deducted from the space available to that band.
+ * @param {Array<number>} indices - The row or column indices to split, in order
+ * @param {Array<number>} sizes - Size of each row/column in points, indexed like `indices`
+ * @param {number} available - Space available on one page in points
+ * @param {Array<number>} titles - Indices repeated at the start of every band after the first (default: [])
+ * @returns {Array<Array<number>>} The bands, each a list of indices to draw on one page
+ */
+export function splitIntoBands(indices, sizes, available, titles = []) {
+  const bands = [];
+  let current = [];
+  let used = 0;
+
+  indices.forEach((index) => {
+    const size = sizes[index];
+    // Always keep at least one row/column per band so we never loop forever,
+    // and allow for rounding when the content was scaled to fit exactly
+    if (current.length > 0 && used + size - available > 1e-6) {
+      bands.push(current);
+      current = titles.filter((title) => title < index);
+      used = current.reduce((sum, title) => sum + sizes[title], 0);
+    }
+    current.push(index);
+    used += size;
+  });
+
+  if (current.length > 0) {
+    bands.push(current);
+  }
+  return bands;
+}
@@ -0,0 +1,331 @@
+import { STANDARD_FONT } from "./fontRegistry.js";
+import { isSafeLink } from "./safeLink.js";
+
+// CSS font families of jsPDF's standard fonts, with the metric-compatible
+// Liberation fonts and the DejaVu fonts most Linux systems have
+const STANDARD_FAMILIES = {
+  helvetica: "Helvetica, Arial, 'Liberation Sans', 'DejaVu Sans', sans-serif",
+  times: "'Times New Roman', Times, 'Liberation Serif', 'DejaVu Serif', serif",
+  courier:
+    "'Courier New', Courier, 'Liberation Mono', 'DejaVu Sans Mono', monospace",
+};
+
+// Mime types of the image formats jsPDF takes
+const IMAGE_TYPES = {
+  PNG: "image/png",
+  JPEG: "image/jpeg",
+  JPG: "image/jpeg",
+  GIF: "image/gif",
+  BMP: "image/bmp",
+  WEBP: "image/webp",
+};
+
+/**
+ * Creates a document that draws into SVG pages
+ * It has the drawing methods of jsPDF the draw helpers use (colors, lines,
+ * rectangles, paths, circles, text, images, links and graphics states), so
+ * pages are drawn exactly like in the PDF. Text is measured with the jsPDF
+ * measuring document, and fonts from the font registry are embedded in the
+ * pages that use them.
+ * @param {Object} options - { orientation, format, fonts, measureDoc }: the first page as
+ * for jsPDF, with format [width, height] in points; the font registry from loadFonts and the
+ * jsPDF document text is measured with, with the same fonts registered
+ * @returns {Object} The document; toSvg() returns its pages as SVG text
+ */
+export function createSvgDocument({ orientation, format, fonts, measureDoc }) {
+  const pages = [];
+  let current = null;
+  let state = {
+    fillColor: "#000000",
+    drawColor: "#000000",
+    textColor: "#000000",
+    lineWidth: 0.2,
+    dash: [],
+    family: STANDARD_FONT,
+    style: "normal",
+    fontSize: 16,
+    opacity: 1,
+  };
+  const stack = [];
+
+  const add = (markup) => current.content.push(markup);
+  const opacity = () =>
+    state.opacity < 1 ? { opacity: round(state.opacity) } : {};
+  const paint = (style) => {
+    const fill = /F/.test(style || "");
+    const stroke = !style || /[SD]/.test(style);
+    return {
+      fill: fill ? state.fillColor : "none",
+      ...(stroke && {
+        stroke: state.drawColor,
+        "stroke-width": round(state.lineWidth),
+        ...(state.dash.length > 0 && {
+          "stroke-dasharray": state.dash.map(round).join(" "),
+        }),
+      }),
+      ...opacity(),
+    };
+  };
+
+  const doc = {
+    format: "svg",
+    internal: {
+      pageSize: {
+        getWidth: () => current.width,
+        getHeight: () => current.height,
+      },
+    },
+    outline: { add: () => null },
+
+    addPage(pageFormat, pageOrientation) {
+      let [width, height] = pageFormat;
+      // Like jsPDF, the orientation turns the page
+      if (
+        (pageOrientation === "landscape" && width < height) ||
+        (pageOrientation === "portrait" && width > height)
+      ) {
+        [width, height] = [height, width];
+      }
+      current = { width, height, content: [], faces: new Set() };
+      pages.push(current);
+      return doc;
+    },
+    setPage(pageNumber) {
+      current = pages[pageNumber - 1];
+      return doc;
+    },
+    getNumberOfPages: () => pages.length,
+
+    setFillColor(color) {
+      state.fillColor = color;
+      return doc;
+    },
+    setDrawColor(color) {
+      state.drawColor = color;
+      return doc;
+    },
+    setTextColor(color) {
+      state.textColor = color;
+      return doc;
+    },
+    setLineWidth(width) {
+      state.lineWidth = width;
+      return doc;
+    },
+    setLineDashPattern(dash) {
+      state.dash = dash || [];
+      return doc;
+    },
+    setFont(family, style = "normal") {
+      state.family = family;
+      state.style = style;
+      return doc;
+    },
+    setFontSize(size) {
+      state.fontSize = size;
+      return doc;
+    },
+    getTextWidth(text) {
+      measureDoc.setFont(state.family, state.style);
+      measureDoc.setFontSize(state.fontSize);
+      return measureDoc.getTextWidth(text);
+    },
+    saveGraphicsState() {
+      stack.push(state);
+      state = { ...state };
+      return doc;
+    },
+    restoreGraphicsState() {
+      state = stack.pop() || state;
+      return doc;
+    },
+    setGState(gState) {
+      state.opacity = gState.opacity ?? 1;
+      return doc;
+    },
+
+    rect(x, y, width, height, style) {
+      add(
+        element("rect", {
+          x: round(x),
+          y: round(y),
+          width: round(width),
+          height: round(height),
+          ...paint(style),
+        })
+      );
+      return doc;
+    },
+    line(x1, y1, x2, y2) {
+      add(
+        element("line", {
+          x1: round(x1),
+          y1: round(y1),
+          x2: round(x2),
+          y2: round(y2),
+          ...paint("S"),
+        })
+      );
+      return doc;
+    },
+    lines(segments, x, y, [scaleX, scaleY] = [1, 1], style, closed) {
+      // Segments are relative: [dx, dy] lines or 6-number Bézier curves
+      const path = [`M${round(x)} ${round(y)}`];
+      segments.forEach((segment) => {
+        const points = segment.map((value, idx) =>
+          round(value * (idx % 2 === 0 ? scaleX : scaleY))
+        );
+        path.push(`${points.length === 6 ? "c" : "l"}${points.join(" ")}`);
+      });
+      if (closed) path.push("Z");
+      add(element("path", { d: path.join(""), ...paint(style) }));
+      return doc;
+    },
+    circle(x, y, radius, style) {
+      add(
+        element("circle", {
+          cx: round(x),
+          cy: round(y),
+          r: round(radius),
+          ...paint(style),
+        })
+      );
+      return doc;
+    },
+    text(text, x, y, { angle } = {}) {
+      const registered = fonts.families[state.family];
+      if (registered) current.faces.add(`${state.family}|${state.style}`);
+      add(
+        element(
+          "text",
+          {
+            x: round(x),
+            y: round(y),
+            "font-family": registered
+              ? `'${state.family}', ${STANDARD_FAMILIES[STANDARD_FONT]}`
+              : STANDARD_FAMILIES[state.family] ||
+                STANDARD_FAMILIES[STANDARD_FONT],
+            "font-size": round(state.fontSize),
+            ...(/bold/.test(state.style) && { "font-weight": "bold" }),
+            ...(/italic/.test(state.style) && { "font-style": "italic" }),
+            fill: state.textColor,
+            ...opacity(),
+            ...(angle && {
+              // jsPDF turns text counterclockwise, SVG clockwise
+              transform: `rotate(${round(-angle)} ${round(x)} ${round(y)})`,
+            }),
+            "xml:space": "preserve",
+          },
+          escapeXml(text)
+        )
+      );
+      return doc;
+    },
+    addImage(data, imageFormat, x, y, width, height) {
+      add(
+        element("image", {
+          x: round(x),
+          y: round(y),
+          width: round(width),
+          height: round(height),
+          preserveAspectRatio: "none",
+          "xlink:href":
+            typeof data === "string"
+              ? data
+              : `data:${IMAGE_TYPES[String(imageFormat).toUpperCase()] || "image/png"};base64,${toBase64(data)}`,
+          ...opacity(),
+        })
+      );
+      return doc;
+    },
+    getImageProperties: (data) => measureDoc.getImageProperties(data),
+    link(x, y, width, height, { url } = {}) {
+      // Links within the workbook point at other pages, which are other files,
+      // and unsafe links could run scripts
+      if (!url || !isSafeLink(url)) return doc;
+      add(
+        element(
+          "a",
+          { "xlink:href": escapeXml(url) },
+          element("rect", {
+            x: round(x),
+            y: round(y),
+            width: round(width),
+            height: round(height),
+            fill: "#FFFFFF",
+            "fill-opacity": 0,
+          })
+        )
+      );
+      return doc;
+    },
+
+    /**
+     * Serializes the pages
+     * @param {Object} [options] - { scale }: pixels per point, to size the pages in pixels
+     * rather than points (default: sized in points)
+     * @returns {Array<string>} The SVG text of every page
+     */
+    toSvg({ scale } = {}) {
+      return pages.map(({ width, height, content, faces }) => {
+        const size = (side) =>
+          scale ? String(Math.ceil(side * scale)) : `${round(side)}pt`;
+        const fontFaces = [...faces].map((key) => {
+          const [family, style] = key.split("|");
+          const face = fonts.families[family].styles[style];
+          return `@font-face{font-family:'${family}';font-weight:${/bold/.test(style) ? "bold" : "normal"};font-style:${/italic/.test(style) ? "italic" : "normal"};src:url(data:font/ttf;base64,${btoa(face.binary)})}`;
+        });
+        return [
+          `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size(width)}" height="${size(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+          ...(fontFaces.length > 0
+            ? [`<defs><style>${fontFaces.join("")}</style></defs>`]
+            : []),
+          // Pages are white like paper, not transparent
+          `<rect width="100%" height="100%" fill="#FFFFFF"/>`,
+          ...content,
+          "</svg>",
+        ].join("\n");
+      });
+    },
+  };
+
+  return doc.addPage(format, orientation);
+}
+
+/**
+ * Writes an SVG element, leaving out attributes without a value
+ */
+function element(name, attributes, content) {
+  const attributeText = Object.entries(attributes)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([key, value]) => ` ${key}="${value}"`)
+    .join("");
+  return content == null
+    ? `<${name}${attributeText}/>`
+    : `<${name}${attributeText}>${content}</${name}>`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escapes text for XML, dropping the control characters XML cannot hold
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
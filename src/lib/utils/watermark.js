@@ -0,0 +1,136 @@
+import { GState } from "jspdf";
+import { ConversionError, ERROR_CODES } from "./conversionError.js";
+import { layoutText } from "./layoutText.js";
+
+const DEFAULT_OPACITY = 0.15;
+const DEFAULT_ANGLE = 45;
+const DEFAULT_COLOR = "808080";
+// Share of the page the watermark spans
+const COVERAGE = 0.7;
+
+/**
+ * Loads the watermark option, reading the image when given as a path
+ * @param {string|Object} watermark - The watermark text, or { text, image, opacity, angle,
+ * color, fontSize, font } with image a path or bytes of a PNG or JPEG file
+ * @returns {Promise<Object|null>} The watermark drawn by drawWatermark, null without one
+ * @throws {ConversionError} If the image file does not exist
+ */
+export async function loadWatermark(watermark) {
+  if (!watermark) return null;
+  const options =
+    typeof watermark === "string" ? { text: watermark } : watermark;
+  if (!options.text && !options.image) return null;
+
+  return {
+    text: options.text ? String(options.text) : null,
+    image: options.image ? await readImageBytes(options.image) : null,
+    opacity: options.opacity ?? DEFAULT_OPACITY,
+    angle: options.angle ?? DEFAULT_ANGLE,
+    color: (options.color || DEFAULT_COLOR).replace(/^#/, ""),
+    fontSize: options.fontSize || null,
+    font: options.font || null,
+  };
+}
+
+/**
+ * Draws a watermark over the current page, see loadWatermark
+ * Text is centered on the page at the watermark angle, sized to span most of
+ * the page unless it has a font size. Images are centered and scaled to fit.
+ * @param {jsPDF} doc - The jsPDF document instance, on the page to draw
+ * @param {Object} watermark - The watermark from loadWatermark
+ * @param {Object} options - { fonts }: the font registry from loadFonts
+ */
+export function drawWatermark(doc, watermark, { fonts }) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  doc.saveGraphicsState();
+  doc.setGState(new GState({ opacity: watermark.opacity }));
+
+  if (watermark.image) {
+    const { width, height, fileType } = doc.getImageProperties(watermark.image);
+    const fit = Math.min(
+      (pageWidth * COVERAGE) / width,
+      (pageHeight * COVERAGE) / height
+    );
+    doc.addImage(
+      watermark.image,
+      fileType,
+      (pageWidth - width * fit) / 2,
+      (pageHeight - height * fit) / 2,
+      width * fit,
+      height * fit,
+      "watermark"
+    );
+  }
+
+  if (watermark.text) {
+    drawWatermarkText(doc, watermark, pageWidth, pageHeight, fonts);
+  }
+  doc.restoreGraphicsState();
+}
+
+/**
+ * Draws the watermark text, rotated around the page center
+ */
+function drawWatermarkText(doc, watermark, pageWidth, pageHeight, fonts) {
+  const angle = (watermark.angle * Math.PI) / 180;
+  // Baseline direction and the direction glyphs point up to, y pointing down
+  const dir = [Math.cos(angle), -Math.sin(angle)];
+  const up = [-Math.sin(angle), -Math.cos(angle)];
+
+  const font = { name: watermark.font, bold: true, size: 1 };
+  let size = watermark.fontSize;
+  if (!size) {
+    // The longest line that fits the page along the watermark angle
+    const [line] = layoutText(doc, [{ text: watermark.text, font }], { fonts });
+    const span = Math.min(
+      Math.abs(dir[0]) > 1e-6 ? pageWidth / Math.abs(dir[0]) : Infinity,
+      Math.abs(dir[1]) > 1e-6 ? pageHeight / Math.abs(dir[1]) : Infinity
+    );
+    size = line.width > 0 ? (span * COVERAGE) / line.width : 12;
+  }
+
+  const [line] = layoutText(
+    doc,
+    [{ text: watermark.text, font: { ...font, size } }],
+    { fonts }
+  );
+  // Start so the line is centered on the page
+  let x = pageWidth / 2 - (dir[0] * line.width) / 2 - up[0] * size * 0.35;
+  let y = pageHeight / 2 - (dir[1] * line.width) / 2 - up[1] * size * 0.35;
+  doc.setTextColor(`#${watermark.color}`);
+  line.segments.forEach((segment) => {
+    doc.setFont(segment.family, segment.style);
+    doc.setFontSize(segment.size);
+    doc.text(segment.text, x, y, { angle: watermark.angle });
+    x += dir[0] * segment.width;
+    y += dir[1] * segment.width;
+  });
+}
+
+/**
+ * Reads an image from a path or bytes
+ */
+async function readImageBytes(source) {
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source);
+  }
+  if (ArrayBuffer.isView(source)) {
+    return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  }
+  // The filesystem is only needed when the image is given as a path
+  const { readFile } = await import("fs/promises");
+  try {
+    return new Uint8Array(await readFile(source));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ConversionError(
+        ERROR_CODES.FILE_NOT_FOUND,
+        `The watermark image file "${source}" was not found.`,
+        { cause: error }
+      );
+    }
+    throw error;
+  }
+}
@@ -1,19 +1,189 @@
 declare module "excel-to-pdf-converter" {
+  import type { Workbook } from "exceljs";
+  import type { Readable } from "stream";
+
+  /** A .ttf file path or its bytes */
+  type FontSource = string | Buffer | ArrayBuffer | Uint8Array;
+
+  /** The faces of a font family, missing styles fall back to normal */
+  interface FontFaces {
+    normal?: FontSource;
+    bold?: FontSource;
+    italic?: FontSource;
+    bolditalic?: FontSource;
+  }
+
+  /** A row offered to the rowFilter option, values, texts and styles keyed by column letter */
+  interface RowDetails {
+    sheetName: string;
+    rowNumber: number;
+    /** Cell values: formula results, the text of rich text and hyperlinks, dates as Date */
+    values: Record<
+      string,
+      number | string | boolean | Date | { error: string } | null
+    >;
+    /** Displayed texts, with number formats applied */
+    texts: Record<string, string>;
+    /** Cell styles, with theme and indexed colors resolved to ARGB */
+    styles: Record<string, Record<string, any>>;
+  }
+
+  /** A watermark drawn over every page */
+  interface Watermark {
+    text?: string;
+    /** A PNG or JPEG file path or its bytes */
+    image?: string | Buffer | ArrayBuffer | Uint8Array;
+    opacity?: number;
+    angle?: number;
+    color?: string;
+    fontSize?: number;
+    font?: string;
+  }
+
+  /** Codes of the errors a conversion fails with */
+  type ErrorCode =
+    | "FILE_NOT_FOUND"
+    | "INVALID_INPUT"
+    | "UNSUPPORTED_FORMAT"
+    | "CORRUPT_XLSX"
+    | "CORRUPT_INPUT"
+    | "INVALID_OPTION"
+    | "SHEET_NOT_FOUND"
+    | "LAYOUT_OVERFLOW"
+    | "MISSING_DEPENDENCY"
+    | "CONVERSION_FAILED";
+
+  export const ERROR_CODES: { readonly [Code in ErrorCode]: Code };
+
+  /** An error a conversion failed with, its code telling the kind of failure */
+  export class ConversionError extends Error {
+    constructor(
+      code: ErrorCode,
+      message: string,
+      options?: { cause?: unknown }
+    );
+    name: "ConversionError";
+    code: ErrorCode;
+  }
+
+  /** Options of csv input */
+  interface CsvOptions {
+    /** The field delimiter, detected from the first lines by default */
+    delimiter?: string;
+    /** The text encoding, e.g. "windows-1252"; utf-8 by default */
+    encoding?: string;
+    /** Whether the first row is a header, drawn bold and repeated on every page */
+    header?: boolean;
+  }
+
+  /** Page margins in points, header and footer being their distance from the page edge */
+  interface Margins {
+    top?: number;
+    right?: number;
+    bottom?: number;
+    left?: number;
+    header?: number;
+    footer?: number;
+  }
+
+  /** Receives the messages of a conversion, console by default */
+  interface Logger {
+    info?: (message: string) => void;
+    warn?: (message: string) => void;
+  }
+
+  /** What a conversion resolves with */
+  interface ConversionResult {
+    /** The PDF contents, in the form of the outputType option; pdf output only */
+    pdf?: Buffer | Uint8Array | Readable;
+    /** The HTML text; html output only */
+    html?: string;
+    /** The SVG text or PNG image of every page; svg and png output only */
+    pages?: Array<string | Buffer>;
+    pageCount: number;
+    /**
+     * The sheets drawn, in order, with the size of their pages in points;
+     * firstPage is null for sheets without pages, e.g. empty or fully filtered sheets
+     */
+    sheets: Array<{
+      name: string;
+      firstPage: number | null;
+      pageCount: number;
+      pageWidth: number;
+      pageHeight: number;
+    }>;
+    /** Images and charts left out, anchor being their top-left cell like "C5" */
+    skippedImages: Array<{
+      sheetName: string;
+      type: "image" | "chart";
+      anchor: string;
+      reason: string;
+    }>;
+    /** Columns cut off by the page edge, by column letter */
+    clippedColumns: Array<{ sheetName: string; column: string }>;
+    /** Every warning given to the logger */
+    warnings: string[];
+  }
+
   /**
    * Converts an Excel file to a PDF document.
-   * @param {string} inputFilePath Path to the input Excel file.
-   * @param {string} outputFilePath Name of the output PDF file.
+   * @param {Object|Buffer|ArrayBuffer|Uint8Array|Readable} input Excel data to convert: an ExcelJS Workbook, xlsx, ods, xls or csv bytes or a readable stream of them. Takes precedence over inputFilePath.
+   * @param {string} inputFilePath Path to the input xlsx, ods, xls or csv file.
+   * @param {string} inputFormat Format of the input: "xlsx", "ods", "xls" or "csv" (default: detected from the content, or the file extension for csv)
+   * @param {Object} csv Options of csv input: { delimiter, encoding, header }, the field delimiter (default: detected), the text encoding (default: utf-8) and whether the first row is a header drawn bold and repeated on every page (default: false)
+   * @param {string} outputFilePath Name of the output file. When omitted nothing is written to disk. SVG and PNG pages are written to numbered files like "report-2.png" when there are several.
+   * @param {string} outputFormat What to produce: "pdf", "html" with a table per page, "svg" or "png" page images; png needs the @napi-rs/canvas package (default: "pdf")
+   * @param {string} outputType Form of the resolved PDF: "buffer", "uint8array" or "stream" (default: "buffer")
+   * @param {number} pngScale Pixels per point of PNG pages (default: 1)
    * @param {boolean} enablePagination Whether to enable pagination (default: false)
    * @param {number} MAX_WIDTH_SIZE Maximum width size for the PDF (default: 14400, max jsPDF limit)
    * @param {number} MAX_HEIGHT_SIZE Maximum height size for the PDF (default: 14400, max jsPDF limit)
    * @param {number} MIN_WIDTH_SIZE Minimum width size for the PDF (default: 612, letter width in points)
    * @param {number} MIN_HEIGHT_SIZE Minimum height size for the PDF (default: 792, letter height in points)
    * @param {boolean} useMinLimit Whether to enforce minimum size limits (default: false)
-   * @param {number} fixedAt Number of decimal places for numeric formatting (default: 2)
+   * @param {number} fixedAt Number of decimal places for numbers whose format cannot be applied (default: 2)
+   * @param {string|Object} locale Locale for number formats: a BCP 47 tag like "de-DE" or { decimal, group } separators (default: "." and ",")
+   * @param {string|number|Array<string|number>} sheets Sheets to convert: "all", a name, a 1-based position or an array of them (default: "all")
+   * @param {boolean} includeHiddenSheets Whether hidden and veryHidden sheets are converted (default: false)
+   * @param {boolean} sheetBookmarks Whether to add a PDF outline entry for each sheet (default: false)
+   * @param {boolean} respectPageSetup Whether to print like Excel: print area, paper size, orientation, margins, scaling and print titles from the sheet's page setup (default: false)
+   * @param {number|string|boolean} repeatHeaderRows Rows repeated at the top of every page when paginating: a row count or a range like "1:2", false to disable (default: the sheet's frozen rows)
+   * @param {boolean} paginateColumns Whether to split columns that do not fit the page width into additional pages (default: false)
+   * @param {string} pageOrder Order of pages when both rows and columns are paginated: "downThenOver" or "overThenDown" (default: "downThenOver")
+   * @param {number|string|boolean} repeatKeyColumns Columns repeated at the left of every horizontal page: a column count or a range like "A:B", false to disable (default: the sheet's frozen columns)
+   * @param {string} widthStrategy How column widths are computed: "auto" from the cell text, "excel" from the sheet's column widths, or "max" for the larger of both (default: "auto")
+   * @param {Object} fonts TrueType fonts to embed, mapping Excel font names to a .ttf path or bytes, or to { normal, bold, italic, bolditalic } (default: Helvetica for every font)
+   * @param {Array<string>} fallbackFonts Names of fonts from `fonts` tried in order for characters the cell font cannot draw (default: [])
+   * @param {boolean} evaluateFormulas Whether to evaluate formulas that have no cached result, e.g. in workbooks generated by code (default: false)
+   * @param {Array<number>} outlineRows Row numbers that get a PDF outline entry, titled with the row's first text, in every converted sheet (default: none)
+   * @param {boolean} outlineNames Whether to add a PDF outline entry for each defined name that points at a rendered cell (default: false)
+   * @param {string} range Part of each sheet to render, e.g. "B3:H120", or a defined name; overrides the print area. References to another sheet, and names on another sheet, leave the sheet whole (default: the whole sheet)
+   * @param {Function} rowFilter Called for each row with { sheetName, rowNumber, values, texts, styles }, each keyed by column letter; keeps the rows it returns true for; rows repeated as headers are always kept (default: every row)
+   * @param {string} header Header of every page, with Excel's header codes like "&LReport&RPage &P of &N"; overrides the sheet's header (default: the sheet's header with respectPageSetup, none otherwise)
+   * @param {string} footer Footer of every page, with Excel's footer codes; overrides the sheet's footer (default: the sheet's footer with respectPageSetup, none otherwise)
+   * @param {string|Object} watermark Text drawn across every page, or { text, image, opacity, angle, color, fontSize, font } with image a PNG or JPEG path or bytes (default: none)
+   * @param {boolean} streaming Whether to read the sheets row by row and draw each page as soon as it is full, for very large sheets; needs xlsx data or an xlsx path rather than a loaded Workbook or another format (default: false)
+   * @param {number} sampleRows Number of rows the column widths are measured on when streaming (default: 100)
+   * @param {Array<number>} columnWidths Column widths in points from column A on, used instead of measuring when streaming (default: measured)
+   * @param {Function} onProgress Called with { sheetName, rows, pages } after each sheet, and after each page when streaming: the rows read from the sheet and the pages drawn so far (default: none)
+   * @param {string|Array<number>} pageSize Paper of every page: "A4", "Letter", "Legal", "A3", "A5", "Tabloid", "Ledger", "Executive" or [width, height] in points; rows that do not fit go on further pages, columns too with paginateColumns (default: sized to the table)
+   * @param {string} orientation Orientation of the paper: "portrait" or "landscape" (default: portrait, or the sheet's with respectPageSetup)
+   * @param {string} fit Shrinks the sheet to fit: "width" to the page width, "page" to a single page, "none" to print it at full size (default: "none", or the sheet's scaling with respectPageSetup)
+   * @param {number|Object} margins Page margins in points: one number for every side, or { top, right, bottom, left, header, footer } (default: 50 points, header and footer 0.3 inches, or the sheet's with respectPageSetup)
+   * @param {Object} logger Receives the conversion's messages: info(message) for page size adjustments, warn(message) for what was changed or left out; null to stay silent (default: console)
+   * @returns {Promise<Object>} The conversion result: { pdf, pageCount, sheets, skippedImages, clippedColumns, warnings },
+   * with html or pages in place of pdf for the other output formats
+   * @throws {ConversionError} With a code telling the kind of failure, see ERROR_CODES
    */
   export function convertExcelToPdf({
+    input,
     inputFilePath,
+    inputFormat,
+    csv,
     outputFilePath,
+    outputFormat,
+    outputType,
+    pngScale,
     enablePagination,
     MAX_WIDTH_SIZE,
     MAX_HEIGHT_SIZE,
@@ -21,9 +191,44 @@ declare module "excel-to-pdf-converter" {
     MIN_HEIGHT_SIZE,
     useMinLimit,
     fixedAt,
+    locale,
+    sheets,
+    includeHiddenSheets,
+    sheetBookmarks,
+    respectPageSetup,
+    repeatHeaderRows,
+    paginateColumns,
+    pageOrder,
+    repeatKeyColumns,
+    widthStrategy,
+    fonts,
+    fallbackFonts,
+    evaluateFormulas,
+    outlineRows,
+    outlineNames,
+    range,
+    rowFilter,
+    header,
+    footer,
+    watermark,
+    streaming,
+    sampleRows,
+    columnWidths,
+    onProgress,
+    pageSize,
+    orientation,
+    fit,
+    margins,
+    logger,
   }: {
-    inputFilePath: string;
-    outputFilePath: string;
+    input?: Workbook | Buffer | ArrayBuffer | Uint8Array | Readable;
+    inputFilePath?: string;
+    inputFormat?: "xlsx" | "ods" | "xls" | "csv";
+    csv?: CsvOptions;
+    outputFilePath?: string;
+    outputFormat?: "pdf" | "html" | "svg" | "png";
+    outputType?: "buffer" | "uint8array" | "stream";
+    pngScale?: number;
     enablePagination?: boolean;
     MAX_WIDTH_SIZE?: number;
     MAX_HEIGHT_SIZE?: number;
@@ -31,5 +236,48 @@ declare module "excel-to-pdf-converter" {
     MIN_HEIGHT_SIZE?: number;
     useMinLimit?: boolean;
     fixedAt?: number;
-  }): Promise<void>;
+    locale?: string | { decimal?: string; group?: string };
+    sheets?: "all" | string | number | Array<string | number>;
+    includeHiddenSheets?: boolean;
+    sheetBookmarks?: boolean;
+    respectPageSetup?: boolean;
+    repeatHeaderRows?: number | string | false;
+    paginateColumns?: boolean;
+    pageOrder?: "downThenOver" | "overThenDown";
+    repeatKeyColumns?: number | string | false;
+    widthStrategy?: "auto" | "excel" | "max";
+    fonts?: Record<string, FontSource | FontFaces>;
+    fallbackFonts?: string[];
+    evaluateFormulas?: boolean;
+    outlineRows?: number[];
+    outlineNames?: boolean;
+    range?: string;
+    rowFilter?: (row: RowDetails) => boolean;
+    header?: string;
+    footer?: string;
+    watermark?: string | Watermark;
+    streaming?: boolean;
+    sampleRows?: number;
+    columnWidths?: number[];
+    onProgress?: (progress: {
+      sheetName: string;
+      rows: number;
+      pages: number;
+    }) => void;
+    pageSize?:
+      | "A4"
+      | "Letter"
+      | "Legal"
+      | "A3"
+      | "A5"
+      | "Tabloid"
+      | "Ledger"
+      | "Executive"
+      | (string & {})
+      | [number, number];
+    orientation?: "portrait" | "landscape";
+    fit?: "width" | "page" | "none";
+    margins?: number | Margins;
+    logger?: Logger | null;
+  }): Promise<ConversionResult>;
 }
@@ -0,0 +1,156 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, mkdir, writeFile, rm, access } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import ExcelJS from "exceljs";
+import {
+  parseArgsOptions,
+  toConversionOptions,
+} from "../src/cli/cliOptions.js";
+import { collectInputs, outputPathFor } from "../src/cli/collectInputs.js";
+
+const CLI = fileURLToPath(new URL("../src/cli/index.js", import.meta.url));
+
+let folder;
+
+// Runs the command in the temp folder, resolving with its exit code and output
+const run = (args) =>
+  new Promise((done) =>
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      { cwd: folder },
+      (error, stdout, stderr) =>
+        done({ code: error ? error.code : 0, stdout, stderr })
+    )
+  );
+const exists = (path) =>
+  access(join(folder, path)).then(
+    () => true,
+    () => false
+  );
+
+before(async () => {
+  folder = await mkdtemp(join(tmpdir(), "excel-to-pdf-cli-"));
+  await mkdir(join(folder, "in", "sub"), { recursive: true });
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet("Data").addRows([
+    ["Name", "Amount"],
+    ["Apples", 3],
+  ]);
+  await workbook.xlsx.writeFile(join(folder, "in", "a.xlsx"));
+  await writeFile(join(folder, "in", "sub", "b.csv"), "x,y\n1,2\n");
+  await writeFile(join(folder, "in", "notes.md"), "# not a workbook\n");
+  await writeFile(join(folder, "in", "~$a.xlsx"), "Excel lock file");
+});
+
+after(() => rm(folder, { recursive: true, force: true }));
+
+test("flags become conversion options", () => {
+  const { values } = parseArgs({
+    args: [
+      "--sheets=Summary,2",
+      "--paginate",
+      "--margins=10,20,30,40",
+      "--page-size=595,842",
+      "--csv-delimiter=tab",
+      "--csv-header",
+      "--repeat-header-rows=false",
+      "--outline-rows=1,12",
+      "--font=Calibri=c.ttf",
+      "--font=Calibri:bold=cb.ttf",
+      "--format=svg",
+      "--png-scale=2",
+    ],
+    options: parseArgsOptions(),
+    allowPositionals: true,
+  });
+  assert.deepEqual(toConversionOptions(values), {
+    sheets: ["Summary", 2],
+    enablePagination: true,
+    margins: { top: 10, right: 20, bottom: 30, left: 40 },
+    pageSize: [595, 842],
+    csv: { delimiter: "\t", header: true },
+    repeatHeaderRows: false,
+    outlineRows: [1, 12],
+    fonts: { Calibri: { normal: "c.ttf", bold: "cb.ttf" } },
+    outputFormat: "svg",
+    pngScale: 2,
+  });
+  assert.throws(() => toConversionOptions({ "max-width": "wide" }), {
+    message: '--max-width expects a number, got "wide".',
+  });
+  assert.throws(() => toConversionOptions({ margins: "1,2" }), /one or four/);
+});
+
+test("folders and globs expand to workbooks", async () => {
+  const inputs = await collectInputs([
+    join(folder, "in"),
+    join(folder, "in", "**", "*.csv"),
+  ]);
+  assert.deepEqual(inputs, [
+    { file: join(folder, "in", "a.xlsx"), base: join(folder, "in") },
+    { file: join(folder, "in", "sub", "b.csv"), base: join(folder, "in") },
+  ]);
+  assert.equal(
+    outputPathFor(inputs[1], join(folder, "out"), "html"),
+    join(folder, "out", "sub", "b.html")
+  );
+  assert.equal(outputPathFor(inputs[1]), resolve(folder, "in", "sub", "b.pdf"));
+  await assert.rejects(collectInputs([join(folder, "missing")]), {
+    message: /No such file or folder/,
+  });
+});
+
+test("converts folders into --out-dir, mirroring their structure", async () => {
+  const { code, stdout } = await run(["in", "-o", "out", "--format", "html"]);
+  assert.equal(code, 0);
+  assert.match(stdout, /Converted 2 files\./);
+  assert.ok(await exists("out/a.html"));
+  assert.ok(await exists("out/sub/b.html"));
+});
+
+test("prints usage and exits with 2 on usage errors", async () => {
+  const help = await run(["--help"]);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /--format <value>/);
+  assert.equal((await run([])).code, 2);
+  assert.equal((await run(["in", "--no-such-flag"])).code, 2);
+  assert.equal((await run(["in", "--concurrency", "many"])).code, 2);
+  assert.equal((await run(["missing.xlsx"])).code, 2);
+});
+
+test("exits with 1 and lists the files that failed", async () => {
+  await mkdir(join(folder, "mixed"));
+  await writeFile(join(folder, "mixed", "broken.xlsx"), "not a workbook");
+  await writeFile(join(folder, "mixed", "good.csv"), "x\n1\n");
+  const { code, stdout, stderr } = await run(["mixed"]);
+  assert.equal(code, 1);
+  assert.match(stdout, /good\.csv -> mixed[\\/]good\.pdf \(1 page\)/);
+  assert.match(stderr, /Failed to convert 1 of 2 files:/);
+  assert.match(stderr, /broken\.xlsx: The input is not an xlsx/);
+});
+
+test("does not convert inputs that would write the same output", async () => {
+  await mkdir(join(folder, "twins"));
+  await writeFile(join(folder, "twins", "report.csv"), "x\n1\n");
+  await writeFile(join(folder, "twins", "report.tsv"), "x\t1\n");
+  await writeFile(join(folder, "twins", "other.csv"), "x\n1\n");
+  const { code, stdout, stderr } = await run(["twins"]);
+  assert.equal(code, 1);
+  assert.match(stderr, /Failed to convert 2 of 3 files:/);
+  assert.match(
+    stderr,
+    /report\.csv: twins[\\/]report\.pdf would also be written from twins[\\/]report\.tsv/
+  );
+  assert.match(stdout, /other\.csv -> /);
+  assert.equal(await exists("twins/report.pdf"), false);
+
+  const single = await run([join("twins", "other.csv")]);
+  assert.equal(single.code, 0);
+  assert.match(single.stdout, /Converted 1 file\./);
+});
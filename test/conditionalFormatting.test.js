@@ -0,0 +1,233 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import JSZip from "jszip";
+import { evaluateConditionalFormatting } from "../src/lib/utils/conditionalFormatting.js";
+import { openXlsxPackage } from "../src/lib/utils/openXlsxPackage.js";
+import { readStopIfTrue } from "../src/lib/utils/readStopIfTrue.js";
+
+// A1:A5 hold 10, 20, 30, 40 and 50, B1:B5 hold 30
+const sheetWith = (...rules) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Data");
+  [10, 20, 30, 40, 50].forEach((value, idx) => {
+    sheet.getCell(idx + 1, 1).value = value;
+    sheet.getCell(idx + 1, 2).value = 30;
+  });
+  sheet.addConditionalFormatting({ ref: "A1:A5", rules });
+  return { workbook, sheet };
+};
+const evaluate = (...rules) => {
+  const { workbook, sheet } = sheetWith(...rules);
+  return evaluateConditionalFormatting(sheet, workbook);
+};
+const fill = (argb) => ({
+  type: "pattern",
+  pattern: "solid",
+  bgColor: { argb },
+});
+// The rows of column A filled with a color
+const filledRows = (results, argb = "FFFF0000") =>
+  [1, 2, 3, 4, 5].filter(
+    (row) => results[`${row}-1`]?.style.fill?.fgColor?.argb === argb
+  );
+
+test("cellIs rules compare cell values with their operands", () => {
+  const rule = (operator, formulae) => ({
+    type: "cellIs",
+    priority: 1,
+    operator,
+    formulae,
+    style: { fill: fill("FFFF0000") },
+  });
+  assert.deepEqual(
+    filledRows(evaluate(rule("greaterThan", ["25"]))),
+    [3, 4, 5]
+  );
+  assert.deepEqual(filledRows(evaluate(rule("equal", ["$B$1"]))), [3]);
+  assert.deepEqual(
+    filledRows(evaluate(rule("between", ["40", "20"]))),
+    [2, 3, 4]
+  );
+  assert.deepEqual(
+    filledRows(evaluate(rule("notBetween", ["20", "40"]))),
+    [1, 5]
+  );
+});
+
+test("expression rules move their relative references with the cell", () => {
+  const results = evaluate({
+    type: "expression",
+    priority: 1,
+    formulae: ["$A1>=B1"],
+    style: { fill: fill("FFFF0000") },
+  });
+  assert.deepEqual(filledRows(results), [3, 4, 5]);
+});
+
+test("top10 and aboveAverage rules rank the values of the range", () => {
+  const rule = (type, options) => ({
+    type,
+    priority: 1,
+    style: { fill: fill("FFFF0000") },
+    ...options,
+  });
+  assert.deepEqual(filledRows(evaluate(rule("top10", { rank: 2 }))), [4, 5]);
+  assert.deepEqual(
+    filledRows(
+      evaluate(rule("top10", { rank: 20, percent: true, bottom: true }))
+    ),
+    [1]
+  );
+  assert.deepEqual(filledRows(evaluate(rule("aboveAverage"))), [4, 5]);
+  assert.deepEqual(
+    filledRows(evaluate(rule("aboveAverage", { aboveAverage: false }))),
+    [1, 2]
+  );
+});
+
+test("color scales interpolate between their thresholds", () => {
+  const results = evaluate({
+    type: "colorScale",
+    priority: 1,
+    cfvo: [{ type: "min" }, { type: "percentile", value: 50 }, { type: "max" }],
+  });
+  const colorOf = (row) => results[`${row}-1`].style.fill.fgColor.argb;
+  assert.equal(colorOf(1), "FFF8696B");
+  assert.equal(colorOf(2), "FFFCAA78");
+  assert.equal(colorOf(3), "FFFFEB84");
+  assert.equal(colorOf(5), "FF63BE7B");
+});
+
+test("data bars span the cell from their minimum to maximum length", () => {
+  const results = evaluate({
+    type: "dataBar",
+    priority: 1,
+    cfvo: [{ type: "min" }, { type: "max" }],
+    gradient: false,
+  });
+  const barOf = (row) => results[`${row}-1`].dataBar;
+  assert.deepEqual(barOf(1), { ratio: 0.1, color: "638EC6", gradient: false });
+  assert.equal(barOf(3).ratio, 0.5);
+  assert.equal(barOf(5).ratio, 0.9);
+});
+
+test("icon sets pick the last threshold a value reaches", () => {
+  const rule = {
+    type: "iconSet",
+    priority: 1,
+    iconSet: "3Arrows",
+    cfvo: [
+      { type: "percent", value: 0 },
+      { type: "percent", value: 33 },
+      { type: "percent", value: 67 },
+    ],
+  };
+  const iconsOf = (results) =>
+    [1, 2, 3, 4, 5].map((row) => results[`${row}-1`].icon.index);
+  assert.deepEqual(iconsOf(evaluate(rule)), [0, 0, 1, 2, 2]);
+  assert.deepEqual(
+    iconsOf(evaluate({ ...rule, reverse: true })),
+    [2, 2, 1, 0, 0]
+  );
+  assert.deepEqual(evaluate({ ...rule, showValue: false })["1-1"].icon, {
+    iconSet: "3Arrows",
+    index: 0,
+    showValue: false,
+  });
+});
+
+test("higher priority rules win each style property", () => {
+  const results = evaluate(
+    {
+      type: "cellIs",
+      priority: 2,
+      operator: "greaterThan",
+      formulae: ["0"],
+      style: { font: { bold: true, italic: true }, fill: fill("FF00FF00") },
+    },
+    {
+      type: "cellIs",
+      priority: 1,
+      operator: "greaterThan",
+      formulae: ["35"],
+      style: { font: { italic: false }, fill: fill("FFFF0000") },
+    },
+    {
+      type: "colorScale",
+      priority: 3,
+      cfvo: [{ type: "min" }, { type: "max" }],
+    }
+  );
+  assert.deepEqual(filledRows(results), [4, 5]);
+  assert.deepEqual(filledRows(results, "FF00FF00"), [1, 2, 3]);
+  assert.deepEqual(results["5-1"].style.font, { bold: true, italic: false });
+  assert.deepEqual(results["1-1"].style.font, { bold: true, italic: true });
+});
+
+test("stopIfTrue rules keep lower priority rules off the cells they match", () => {
+  const rules = [
+    {
+      type: "cellIs",
+      priority: 1,
+      operator: "greaterThan",
+      formulae: ["35"],
+      style: { fill: fill("FFFF0000") },
+    },
+    {
+      type: "dataBar",
+      priority: 2,
+      cfvo: [{ type: "min" }, { type: "max" }],
+    },
+    {
+      type: "aboveAverage",
+      priority: 3,
+      style: { font: { bold: true } },
+    },
+  ];
+  const check = (results) => {
+    assert.deepEqual(filledRows(results), [4, 5]);
+    assert.equal(results["5-1"].dataBar, undefined);
+    assert.equal(results["5-1"].style.font, undefined);
+    // The stopped cells still count in the range of the data bar
+    assert.equal(results["3-1"].dataBar.ratio, 0.5);
+  };
+
+  check(evaluate({ ...rules[0], stopIfTrue: true }, rules[1], rules[2]));
+  // The priorities read from the xlsx package
+  const { workbook, sheet } = sheetWith(...rules);
+  check(evaluateConditionalFormatting(sheet, workbook, [1]));
+
+  // Without stopIfTrue every rule applies
+  const results = evaluate(...rules);
+  assert.equal(results["5-1"].dataBar.ratio, 0.9);
+  assert.deepEqual(results["5-1"].style.font, { bold: true });
+});
+
+test("reads the stopIfTrue rules ExcelJS leaves out of an xlsx file", async () => {
+  const { workbook } = sheetWith(
+    {
+      type: "cellIs",
+      priority: 1,
+      operator: "greaterThan",
+      formulae: ["35"],
+      style: { fill: fill("FFFF0000") },
+    },
+    {
+      type: "expression",
+      priority: 2,
+      formulae: ["A1<20"],
+      style: { fill: fill("FF00FF00") },
+    }
+  );
+  const zip = await JSZip.loadAsync(await workbook.xlsx.writeBuffer());
+  const part = "xl/worksheets/sheet1.xml";
+  const xml = await zip.file(part).async("string");
+  assert.match(xml, /<cfRule [^>]*priority="2"/);
+  zip.file(part, xml.replace(/priority="2"/, 'priority="2" stopIfTrue="1"'));
+
+  const xlsxPackage = await openXlsxPackage(
+    await zip.generateAsync({ type: "uint8array" })
+  );
+  assert.deepEqual(await readStopIfTrue(xlsxPackage), { Data: [2] });
+});
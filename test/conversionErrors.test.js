@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import {
+  convertExcelToPdf,
+  ConversionError,
+  ERROR_CODES,
+} from "../src/lib/excel-to-pdf.js";
+
+const workbook = () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Data").addRows([
+    ["Name", "Amount"],
+    ["Apples", 3],
+  ]);
+  return wb;
+};
+
+const rejectsWith = async (options, code, message) => {
+  const error = await convertExcelToPdf({ logger: null, ...options }).then(
+    () => assert.fail("the conversion did not fail"),
+    (error) => error
+  );
+  assert.ok(error instanceof ConversionError);
+  assert.equal(error.code, code);
+  if (message) assert.match(error.message, message);
+  return error;
+};
+
+test("converts a workbook into a result", async () => {
+  const result = await convertExcelToPdf({ input: workbook(), logger: null });
+  assert.ok(Buffer.isBuffer(result.pdf));
+  assert.equal(result.pageCount, 1);
+  assert.deepEqual(
+    result.sheets.map(({ name, firstPage }) => [name, firstPage]),
+    [["Data", 1]]
+  );
+  assert.deepEqual(result.warnings, []);
+});
+
+test("typed errors keep their code and message", async () => {
+  const error = await rejectsWith(
+    { inputFilePath: "missing/report.xlsx" },
+    ERROR_CODES.FILE_NOT_FOUND,
+    /^The file "missing\/report\.xlsx" was not found\.$/
+  );
+  assert.equal(error.cause, undefined);
+  await rejectsWith({}, ERROR_CODES.INVALID_INPUT, /^Either `input`/);
+  await rejectsWith(
+    { input: workbook(), sheets: ["Summary"] },
+    ERROR_CODES.SHEET_NOT_FOUND
+  );
+  await rejectsWith(
+    { input: workbook(), outputFormat: "docx" },
+    ERROR_CODES.INVALID_OPTION,
+    /^Unsupported outputFormat: docx$/
+  );
+  await rejectsWith(
+    { input: Buffer.from("PK\u0003\u0004 not really a zip") },
+    ERROR_CODES.CORRUPT_XLSX
+  );
+});
+
+test("missing font and watermark files are not found", async () => {
+  await rejectsWith(
+    { input: workbook(), fonts: { Calibri: "missing/calibri.ttf" } },
+    ERROR_CODES.FILE_NOT_FOUND,
+    /missing\/calibri\.ttf/
+  );
+  await rejectsWith(
+    { input: workbook(), watermark: { image: "missing/logo.png" } },
+    ERROR_CODES.FILE_NOT_FOUND,
+    /missing\/logo\.png/
+  );
+});
+
+test("unknown failures are conversion failures with their cause", async () => {
+  const cause = new Error("boom");
+  const error = await rejectsWith(
+    {
+      input: workbook(),
+      rowFilter: () => {
+        throw cause;
+      },
+    },
+    ERROR_CODES.CONVERSION_FAILED,
+    /boom/
+  );
+  assert.equal(error.cause, cause);
+});
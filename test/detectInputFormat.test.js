@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { detectInputFormat } from "../src/lib/utils/detectInputFormat.js";
+import { convertExcelToPdf } from "../src/lib/excel-to-pdf.js";
+
+const text = (value) => new TextEncoder().encode(value);
+const unsupported = { code: "UNSUPPORTED_FORMAT" };
+
+test("detects workbooks from their content", () => {
+  const zip = Uint8Array.from([0x50, 0x4b, 0x03, 0x04, ...new Array(60)]);
+  const cfb = Uint8Array.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+  assert.equal(detectInputFormat(zip), "xlsx");
+  assert.equal(detectInputFormat(zip, { fileName: "report.ods" }), "xlsx");
+  assert.equal(detectInputFormat(cfb, { fileName: "report.xlsx" }), "xls");
+});
+
+test("reads text as csv without a name or with a text extension", () => {
+  assert.equal(detectInputFormat(text("a,b\n1,2\n")), "csv");
+  assert.equal(detectInputFormat(text("a;b"), { fileName: "data.TSV" }), "csv");
+  assert.equal(detectInputFormat(text("a,b"), { fileName: "data.txt" }), "csv");
+  assert.equal(detectInputFormat(text("x"), { inputFormat: "csv" }), "csv");
+});
+
+test("rejects text named like a workbook", () => {
+  ["report.xlsx", "report.xlsm", "report.xls", "report.ods"].forEach(
+    (fileName) =>
+      assert.throws(
+        () => detectInputFormat(text("a,b\n1,2\n"), { fileName }),
+        unsupported
+      )
+  );
+});
+
+test("rejects markup and binary data without a name", () => {
+  assert.throws(
+    () => detectInputFormat(text("<!DOCTYPE html><html></html>")),
+    unsupported
+  );
+  assert.throws(
+    () => detectInputFormat(text("\uFEFF  <?xml version='1.0'?>")),
+    unsupported
+  );
+  assert.throws(
+    () => detectInputFormat(Uint8Array.from([1, 2, 3])),
+    unsupported
+  );
+});
+
+test("rejects an unknown inputFormat", () => {
+  assert.throws(() => detectInputFormat(text("a"), { inputFormat: "docx" }), {
+    code: "INVALID_OPTION",
+  });
+});
+
+test("conversions fail for a corrupt xlsx file and an HTML page", async () => {
+  const folder = await mkdtemp(join(tmpdir(), "excel-to-pdf-"));
+  try {
+    const inputFilePath = join(folder, "report.xlsx");
+    await writeFile(inputFilePath, "Name,Amount\nApples,3\n");
+    await assert.rejects(
+      convertExcelToPdf({ inputFilePath, logger: null }),
+      unsupported
+    );
+  } finally {
+    await rm(folder, { recursive: true, force: true });
+  }
+  await assert.rejects(
+    convertExcelToPdf({
+      input: Buffer.from("<html><body>502 Bad Gateway</body></html>"),
+      logger: null,
+    }),
+    unsupported
+  );
+});
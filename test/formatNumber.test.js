@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatNumber } from "../src/lib/utils/formatNumber.js";
+
+test("General keeps up to 11 characters", () => {
+  assert.equal(formatNumber(12.5, "General"), "12.5");
+  assert.equal(formatNumber(1 / 3, "General"), "0.333333333");
+  assert.equal(formatNumber(-1234.5678, "General"), "-1234.5678");
+  assert.equal(formatNumber(0.0001, "General"), "0.0001");
+  assert.equal(formatNumber(0.000123456789, "General"), "0.000123457");
+});
+
+test("General switches tiny and huge numbers to scientific notation", () => {
+  assert.equal(formatNumber(1e-7, "General"), "1E-07");
+  assert.equal(formatNumber(0.00001, "General"), "1E-05");
+  assert.equal(formatNumber(123456789012, "General"), "1.23457E+11");
+  assert.equal(formatNumber(1e21, "General"), "1E+21");
+});
+
+test("fixed decimals round numbers of any magnitude", () => {
+  assert.equal(formatNumber(1e-7, "0.00"), "0.00");
+  assert.equal(formatNumber(1.005, "0.00"), "1.01");
+  assert.equal(formatNumber(1e21, "#,##0"), "1,000,000,000,000,000,000,000");
+  assert.equal(formatNumber(1e21, "0.00"), "1000000000000000000000.00");
+});
+
+test("thousands separators and scaling commas", () => {
+  assert.equal(formatNumber(1234.5, "#,##0.00"), "1,234.50");
+  assert.equal(formatNumber(1234567, '#,##0,"K"'), "1,235K");
+  assert.equal(formatNumber(1234567, '#,##0.0,"K"'), "1,234.6K");
+  assert.equal(formatNumber(1234567, '0.0,,"M"'), "1.2M");
+});
+
+test("percentages, sections and locales", () => {
+  assert.equal(formatNumber(0.256, "0.0%"), "25.6%");
+  assert.equal(formatNumber(-5, "0;(0)"), "(5)");
+  assert.equal(formatNumber(0, '0;-0;"zero"'), "zero");
+  assert.equal(
+    formatNumber(1234.5, "#,##0.00", { locale: "de-DE" }),
+    "1.234,50"
+  );
+});
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { evaluateFormula } from "../src/lib/utils/evaluateFormula.js";
+import { evaluateWorkbookFormulas } from "../src/lib/utils/evaluateWorkbookFormulas.js";
+
+// A1:C4 of a sheet, and a second sheet "Rates" with B2 = 0.2
+const GRID = [
+  ["Apples", 3, 1.5],
+  ["Pears", 5, 2],
+  ["Plums", null, 4],
+  ["Kiwis", 7, 0.5],
+];
+const context = {
+  getCell: (sheet, row, col) =>
+    sheet === "Rates"
+      ? row === 2 && col === 2
+        ? 0.2
+        : null
+      : (GRID[row - 1]?.[col - 1] ?? null),
+  getRange: (sheet, top, left, bottom, right) => {
+    const values = [];
+    for (let r = top ?? 1; r <= (bottom ?? GRID.length); r++) {
+      const row = [];
+      for (let c = left ?? 1; c <= (right ?? 3); c++) {
+        row.push(context.getCell(sheet, r, c));
+      }
+      values.push(row);
+    }
+    return values;
+  },
+};
+const evaluate = (formula) => evaluateFormula(formula, context);
+
+test("operators follow Excel's precedence", () => {
+  assert.equal(evaluate("=1+2*3"), 7);
+  assert.equal(evaluate("=(1+2)*3"), 9);
+  assert.equal(evaluate("=2^3^2"), 64);
+  assert.equal(evaluate("=-2^2"), 4);
+  assert.equal(evaluate("=10-4-3"), 3);
+  assert.equal(evaluate("=50%*10"), 5);
+  assert.equal(evaluate('="a"&1+2'), "a3");
+  assert.equal(evaluate("=1+2=3"), true);
+  assert.equal(evaluate("=B1*C1+B2*C2"), 14.5);
+});
+
+test("aggregates, conditions and lookups", () => {
+  assert.equal(evaluate("=SUM(B1:B4)"), 15);
+  assert.equal(evaluate("=SUM(B1:C2, 10)"), 21.5);
+  assert.equal(evaluate("=AVERAGE(B1:B4)"), 5);
+  assert.equal(evaluate("=COUNT(B1:B4)"), 3);
+  assert.equal(evaluate('=COUNTIF(B1:B4, ">4")'), 2);
+  assert.equal(evaluate('=SUMIF(A1:A4, "P*", C1:C4)'), 6);
+  assert.equal(evaluate('=IF(B2>4, "many", "few")'), "many");
+  assert.equal(evaluate("=IF(B3, 1, 2)"), 2);
+  assert.equal(evaluate('=VLOOKUP("Pears", A1:C4, 3, FALSE)'), 2);
+  assert.equal(evaluate("=INDEX(A1:A4, MATCH(7, B1:B4, 0))"), "Kiwis");
+  assert.deepEqual(evaluate('=VLOOKUP("Figs", A1:C4, 2, FALSE)'), {
+    error: "#N/A",
+  });
+  assert.equal(evaluate('=IFERROR(VLOOKUP("Figs", A1:C4, 2, FALSE), 0)'), 0);
+});
+
+test("text functions", () => {
+  assert.equal(evaluate('=CONCATENATE(A1, " x", B1)'), "Apples x3");
+  assert.equal(evaluate("=LEFT(A2, 2)&MID(A3, 2, 2)&RIGHT(A4, 1)"), "Pelus");
+  assert.equal(evaluate('=UPPER(TRIM("  to  do "))'), "TO DO");
+  assert.equal(evaluate("=LEN(A1)"), 6);
+  assert.equal(evaluate('=SUBSTITUTE("a-b-c", "-", "+")'), "a+b+c");
+  assert.equal(evaluate('=TEXT(1234.5, "#,##0.00")'), "1,234.50");
+  assert.equal(
+    evaluate('=TEXTJOIN(", ", TRUE, A1:A3)'),
+    "Apples, Pears, Plums"
+  );
+});
+
+test("date functions work on serial numbers", () => {
+  assert.equal(evaluate("=DATE(2024, 2, 29)"), 45351);
+  assert.equal(
+    evaluate('=YEAR(45351)&"-"&MONTH(45351)&"-"&DAY(45351)'),
+    "2024-2-29"
+  );
+  assert.equal(evaluate("=EOMONTH(DATE(2024, 1, 15), 1)"), 45351);
+  assert.equal(evaluate("=EDATE(DATE(2024, 1, 31), 1)"), 45351);
+  assert.equal(evaluate("=WEEKDAY(DATE(2024, 2, 29))"), 5);
+});
+
+test("references to other sheets and absolute references", () => {
+  assert.equal(evaluate("=B2*Rates!B2"), 1);
+  assert.equal(evaluate("=ROUND(B2*'Rates'!$B$2, 2)"), 1);
+  assert.equal(evaluate("=$B$1+B$2+$B4"), 15);
+});
+
+test("errors propagate", () => {
+  assert.deepEqual(evaluate("=1/0"), { error: "#DIV/0!" });
+  assert.deepEqual(evaluate("=SUM(1, 1/0)"), { error: "#DIV/0!" });
+  assert.deepEqual(evaluate("=(1/0)+NOSUCHFUNCTION(1)"), { error: "#DIV/0!" });
+  assert.deepEqual(evaluate("=NOSUCHFUNCTION(1)"), { error: "#NAME?" });
+  assert.deepEqual(evaluate("=1+"), { error: "#NAME?" });
+  assert.deepEqual(evaluate('=1+"x"'), { error: "#VALUE!" });
+  assert.equal(evaluate("=ISERROR(1/0)"), true);
+});
+
+const results = (sheet, addresses) =>
+  addresses.map((address) => sheet.getCell(address).result);
+
+test("workbook formulas evaluate across sheets, with shared formulas", () => {
+  const workbook = new ExcelJS.Workbook();
+  const rates = workbook.addWorksheet("Rates");
+  rates.getCell("A1").value = 2;
+  rates.getCell("A2").value = { formula: "A1*10" };
+  const sheet = workbook.addWorksheet("Data");
+  sheet.getCell("A1").value = 1;
+  sheet.getCell("A2").value = 2;
+  sheet.getCell("A3").value = 3;
+  sheet.getCell("B1").value = {
+    formula: "A1*Rates!$A$2",
+    shareType: "shared",
+    ref: "B1:B3",
+  };
+  sheet.getCell("B2").value = { sharedFormula: "B1" };
+  sheet.getCell("B3").value = { sharedFormula: "B1" };
+  sheet.getCell("C1").value = { formula: "SUM(B1:B3)" };
+
+  assert.deepEqual(evaluateWorkbookFormulas(workbook, [sheet]), []);
+  assert.deepEqual(results(sheet, ["B1", "B2", "B3", "C1"]), [20, 40, 60, 120]);
+  assert.equal(rates.getCell("A2").result, 20);
+});
+
+test("every cell of a circular reference is 0, reported once", () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Sheet1");
+  sheet.getCell("C16").value = { formula: "D16+1" };
+  sheet.getCell("D16").value = { formula: "C16+C16+1" };
+  sheet.getCell("E16").value = { formula: "C16+5" };
+
+  assert.deepEqual(evaluateWorkbookFormulas(workbook, [sheet]), [
+    "Sheet1!C16 -> Sheet1!D16 -> Sheet1!C16",
+  ]);
+  assert.deepEqual(results(sheet, ["C16", "D16", "E16"]), [0, 0, 5]);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { convertExcelToPdf } from "../src/lib/excel-to-pdf.js";
+
+const workbook = () => {
+  const wb = new ExcelJS.Workbook();
+  const sheet = wb.addWorksheet("Data");
+  sheet.addRows([
+    ["Name", "Amount"],
+    ["Apples & pears", 3],
+  ]);
+  sheet.mergeCells("A3:B3");
+  sheet.getCell("A3").value = "Total";
+  return wb;
+};
+
+test("lays every page out as a table", async () => {
+  const { html, pdf, pageCount, warnings } = await convertExcelToPdf({
+    input: workbook(),
+    outputFormat: "html",
+    logger: null,
+  });
+  assert.equal(pdf, undefined);
+  assert.equal(pageCount, 1);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<table data-sheet="Data"/);
+  assert.match(html, />Apples &amp; pears</);
+  assert.match(html, /<td colspan="2"[^>]*><span[^>]*>Total</);
+  assert.deepEqual(warnings, []);
+});
+
+test("warns about headers, footers and watermarks left out", async () => {
+  const { warnings } = await convertExcelToPdf({
+    input: workbook(),
+    outputFormat: "html",
+    header: "&CReport",
+    watermark: "DRAFT",
+    logger: null,
+  });
+  assert.deepEqual(warnings, [
+    'Headers and footers of sheet "Data" are left out of the HTML output',
+    "The watermark is left out of the HTML output",
+  ]);
+});
+
+test("writes only web and mail links as live links", async () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Links").addRows([
+    [{ text: "Site", hyperlink: "https://example.com/?a=1&b=2" }],
+    [{ text: "Mail", hyperlink: "mailto:team@example.com" }],
+    [{ text: "Script", hyperlink: "javascript:alert(document.cookie)" }],
+    [{ text: "Data", hyperlink: "data:text/html,<script>alert(1)</script>" }],
+    [{ text: "Spaced", hyperlink: " JavaScript:alert(1)" }],
+  ]);
+
+  const { html } = await convertExcelToPdf({
+    input: wb,
+    outputFormat: "html",
+    logger: null,
+  });
+  assert.match(html, /href="https:\/\/example\.com\/\?a=1&amp;b=2"/);
+  assert.match(html, /href="mailto:team@example\.com"/);
+  assert.doesNotMatch(html, /javascript:|data:text/i);
+  assert.match(html, />Script</);
+
+  const { pages } = await convertExcelToPdf({
+    input: wb,
+    outputFormat: "svg",
+    logger: null,
+  });
+  assert.match(pages[0], /xlink:href="https:\/\/example\.com\//);
+  assert.match(pages[0], /xlink:href="mailto:team@example\.com"/);
+  assert.doesNotMatch(pages[0], /javascript:|data:text/i);
+});
@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { readXls } from "../src/lib/utils/readXls.js";
+import { readOds } from "../src/lib/utils/readOds.js";
+import { readCsv } from "../src/lib/utils/readCsv.js";
+import { ConversionError } from "../src/lib/utils/conversionError.js";
+
+const fixture = (name) =>
+  readFile(new URL(`fixtures/${name}`, import.meta.url));
+const text = (value) => new TextEncoder().encode(value);
+const valuesOf = (worksheet) =>
+  worksheet
+    .getSheetValues()
+    .slice(1)
+    .map((row) => Array.from(row.slice(1), (value) => value ?? null));
+
+test("reads the cells, merges and styles of an xls workbook", async () => {
+  const workbook = await readXls(await fixture("report.xls"));
+  assert.deepEqual(
+    workbook.worksheets.map(({ name, state }) => [name, state]),
+    [
+      ["Sales", "visible"],
+      ["Hidden", "hidden"],
+    ]
+  );
+
+  const sheet = workbook.getWorksheet("Sales");
+  assert.deepEqual(Object.keys(sheet._merges), ["A1"]);
+  assert.equal(sheet._merges.A1.model.right, 3);
+  assert.deepEqual(sheet.getCell("A1").font, {
+    name: "Arial",
+    size: 14,
+    bold: true,
+    color: { argb: "FF0000FF" },
+  });
+  assert.equal(sheet.getCell("A1").fill.fgColor.argb, "FFFFFF99");
+  assert.equal(sheet.getCell("A3").value, "Widgets ünïcödé");
+
+  const amount = sheet.getCell("B3");
+  assert.equal(amount.value, 1234.5);
+  assert.equal(amount.numFmt, "#,##0.00;[Red](#,##0.00)");
+  assert.deepEqual(amount.font, {
+    name: "Times New Roman",
+    size: 11,
+    italic: true,
+    underline: true,
+    color: { argb: "FFFF0000" },
+  });
+  assert.equal(sheet.getCell("B4").value, -42);
+  assert.equal(sheet.getCell("B6").numFmt, "0%");
+
+  // Dates are serial numbers with a date format in the file
+  assert.deepEqual(sheet.getCell("C3").value, new Date("2024-03-09T00:00:00Z"));
+  assert.equal(sheet.getCell("C3").numFmt, "yyyy-mm-dd");
+  assert.equal(sheet.getCell("C4").numFmt, "m/d/yyyy h:mm");
+
+  // Formula cells keep their cached result
+  assert.equal(sheet.getCell("A5").value, true);
+  assert.equal(sheet.getCell("B5").value, 1192.5);
+  assert.equal(sheet.getCell("C5").value, "concat");
+  assert.deepEqual(sheet.getCell("D5").value, { error: "#DIV/0!" });
+
+  assert.equal(sheet.getColumn(4).hidden, true);
+  assert.equal(sheet.pageSetup.printArea, "A1:C8");
+  assert.equal(sheet.pageSetup.printTitlesRow, "2:2");
+  assert.equal(sheet.views[0].ySplit, 2);
+});
+
+test("rejects truncated and corrupt xls data with a typed error", async () => {
+  const data = await fixture("report.xls");
+  const truncated = data.subarray(0, 1024);
+  await assert.rejects(readXls(truncated), (error) => {
+    assert.ok(error instanceof ConversionError);
+    assert.equal(error.code, "CORRUPT_INPUT");
+    return true;
+  });
+
+  // The workbook stream overwritten, its first record included
+  const corrupt = Buffer.from(data);
+  corrupt.fill(0xab, 600, 1600);
+  await assert.rejects(readXls(corrupt), { code: "UNSUPPORTED_FORMAT" });
+});
+
+test("reads the cells, merges and styles of an ods workbook", async () => {
+  const workbook = await readOds(await fixture("report.ods"));
+  assert.deepEqual(
+    workbook.worksheets.map(({ name, state }) => [name, state]),
+    [
+      ["Report", "visible"],
+      ["Data", "visible"],
+      ["Secret", "hidden"],
+    ]
+  );
+
+  const sheet = workbook.getWorksheet("Report");
+  assert.deepEqual(Object.keys(sheet._merges), ["B1"]);
+  assert.equal(sheet._merges.B1.model.right, 3);
+  assert.equal(sheet.getCell("A1").value, "Title with   spaces");
+  assert.equal(sheet.getCell("B1").value, "Merged\ntwo lines");
+  assert.deepEqual(sheet.getCell("A1").font, {
+    name: "Liberation Sans",
+    size: 12,
+    bold: true,
+  });
+  assert.equal(sheet.getCell("A1").fill.fgColor.argb, "FFDDEEFF");
+
+  assert.equal(sheet.getCell("A2").value, 1234.5);
+  assert.equal(sheet.getCell("A2").numFmt, "#,##0.00;[Red]-#,##0.00");
+  assert.equal(sheet.getCell("C2").numFmt, "0.0%");
+  assert.deepEqual(sheet.getCell("D2").value, new Date("2024-03-09T00:00:00Z"));
+  assert.equal(sheet.getCell("D2").numFmt, 'dd"."mm"."yyyy');
+  assert.equal(sheet.getCell("B3").numFmt, "[h]:mm");
+  assert.equal(sheet.getCell("A3").numFmt, '"€" #,##0.00');
+  assert.deepEqual(sheet.getCell("A3").font, {
+    name: "Liberation Serif",
+    size: 10,
+    italic: true,
+    color: { argb: "FF008000" },
+    underline: true,
+  });
+
+  // Repeated rows, errors, hidden rows and links
+  assert.equal(sheet.getCell("A4").value, 99.9);
+  assert.deepEqual(sheet.getCell("D4").value, { error: "#DIV/0!" });
+  assert.equal(sheet.getRow(6).hidden, true);
+  assert.deepEqual(sheet.getCell("D7").value, {
+    text: "to data",
+    hyperlink: "#Data!B2",
+  });
+  assert.equal(sheet.pageSetup.printArea, "A1:D8");
+  assert.equal(sheet.pageSetup.printTitlesRow, "1:1");
+});
+
+test("rejects a truncated ods package with a typed error", async () => {
+  const data = await fixture("report.ods");
+  await assert.rejects(readOds(data.subarray(0, 1000)), {
+    code: "CORRUPT_INPUT",
+  });
+});
+
+test("reads csv files with a byte order mark and quoted fields", async () => {
+  const workbook = await readCsv(await fixture("people.csv"), {
+    fileName: "data/people.csv",
+  });
+  const [sheet] = workbook.worksheets;
+  assert.equal(sheet.name, "people");
+  assert.deepEqual(valuesOf(sheet), [
+    ["Name", "Note", "Amount", "Since"],
+    [
+      "Smith; John",
+      'said "hi"\nthen left',
+      1.5,
+      new Date("2024-01-05T00:00:00Z"),
+    ],
+    ["Lee", null, -20],
+  ]);
+});
+
+test("detects the delimiter from the first lines", async () => {
+  const read = async (value, options) =>
+    valuesOf((await readCsv(text(value), options)).worksheets[0]);
+  assert.deepEqual(await read("a,b;c\n1,2;3\n"), [
+    ["a", "b;c"],
+    [1, "2;3"],
+  ]);
+  assert.deepEqual(await read("a;b;c,d\n1;2,5;3\n"), [
+    ["a", "b", "c,d"],
+    [1, "2,5", 3],
+  ]);
+  assert.deepEqual(await read("a\tb\n1\t2\n"), [
+    ["a", "b"],
+    [1, 2],
+  ]);
+  assert.deepEqual(await read('"x|y"|b\n1|2\n'), [
+    ["x|y", "b"],
+    [1, 2],
+  ]);
+  // Tab separated files by their name, or a given delimiter
+  assert.deepEqual(await read("a,b\t1\n", { fileName: "list.tsv" }), [
+    ["a,b", 1],
+  ]);
+  assert.deepEqual(await read("a,b;c\n", { delimiter: ";" }), [["a,b", "c"]]);
+});
+
+test("decodes utf-16 csv files by their byte order mark", async () => {
+  const data = Buffer.from("\uFEFFName,Amount\nZoë,2\n", "utf16le");
+  const [sheet] = (await readCsv(data)).worksheets;
+  assert.deepEqual(valuesOf(sheet), [
+    ["Name", "Amount"],
+    ["Zoë", 2],
+  ]);
+});
+
+test("rejects invalid csv options with a typed error", async () => {
+  await assert.rejects(readCsv(text("a"), { encoding: "klingon" }), {
+    code: "INVALID_OPTION",
+  });
+  await assert.rejects(readCsv(text("a"), { delimiter: ";;" }), {
+    code: "INVALID_OPTION",
+  });
+});
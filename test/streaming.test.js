@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { convertExcelToPdf } from "../src/lib/excel-to-pdf.js";
+
+// A header row and 120 orders, about four letter pages
+const ordersXlsx = async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Orders");
+  sheet.addRow(["Order", "Customer", "Amount"]);
+  for (let order = 1; order <= 120; order++) {
+    sheet.addRow([order, `Customer ${order}`, order * 2.5]);
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// The header cells and the customers of every page
+const pagesOf = (html) =>
+  html
+    .split("<table")
+    .slice(1)
+    .map((table) => ({
+      headers: (table.match(/>Order</g) || []).length,
+      customers: [...table.matchAll(/>Customer (\d+)</g)].map(([, order]) =>
+        Number(order)
+      ),
+    }));
+
+test("streaming draws the same pages and header rows as a normal conversion", async () => {
+  const input = await ordersXlsx();
+  const convert = (streaming) =>
+    convertExcelToPdf({
+      input,
+      streaming,
+      enablePagination: true,
+      repeatHeaderRows: 1,
+      pageSize: "letter",
+      outputFormat: "html",
+      logger: null,
+    });
+
+  const normal = await convert(false);
+  const streamed = await convert(true);
+  assert.ok(normal.pageCount > 1);
+  assert.equal(streamed.pageCount, normal.pageCount);
+  assert.deepEqual(streamed.sheets, normal.sheets);
+
+  const pages = pagesOf(streamed.html);
+  assert.equal(pages.length, streamed.pageCount);
+  assert.deepEqual(pages, pagesOf(normal.html));
+  // The header row on every page, and every order on one page only
+  pages.forEach(({ headers }) => assert.equal(headers, 1));
+  assert.deepEqual(
+    pages.flatMap(({ customers }) => customers),
+    Array.from({ length: 120 }, (_, idx) => idx + 1)
+  );
+});
+
+test("streaming produces as many PDF pages as a normal conversion", async () => {
+  const input = await ordersXlsx();
+  const convert = (streaming) =>
+    convertExcelToPdf({
+      input,
+      streaming,
+      enablePagination: true,
+      repeatHeaderRows: 1,
+      pageSize: "letter",
+      logger: null,
+    });
+
+  const normal = await convert(false);
+  const streamed = await convert(true);
+  assert.ok(streamed.pdf.length > 0);
+  assert.equal(streamed.pageCount, normal.pageCount);
+});